@@ -37,6 +37,14 @@ module.exports = function (cb) {
   var eventBus = new EventEmitter()
   zenbot.conf.eventBus = eventBus
 
+  if (zenbot.conf.storage === 'file') {
+    // flat files instead of MongoDB, for laptops and CI
+    var dir = path.resolve(__dirname, zenbot.conf.file_store.path)
+    _.set(zenbot, 'conf.db.file', require('./lib/file-store')(dir))
+    cb(null, zenbot)
+    return
+  }
+
   var authStr = '', authMechanism, connectionString
 
   if(zenbot.conf.mongo.username){
@@ -2,6 +2,9 @@ var tb = require('timebucket')
   , crypto = require('crypto')
   , objectifySelector = require('../lib/objectify-selector')
   , collectionService = require('../lib/services/collection-service')
+  , orderBook = require('../lib/order-book')
+  , loadExchange = require('../lib/load-exchange')
+  , candleCache = require('../lib/candle-cache')
 
 module.exports = function (program, conf) {
   program
@@ -12,9 +15,12 @@ module.exports = function (program, conf) {
     .option('-d, --days <days>', 'number of days to acquire (default: ' + conf.days + ')', Number, conf.days)
     .option('--start <unix_in_ms>', 'lower bound as unix time in ms', Number, -1)
     .option('--end <unix_in_ms>', 'upper bound as unix time in ms', Number, -1)
+    .option('--record_order_book', 'also record order book snapshots, and keep recording after the download completed')
+    .option('--order_book_depth <levels>', 'number of price levels per side to record', Number, conf.order_book_depth)
+    .option('--order_book_interval <seconds>', 'seconds between order book snapshots', Number, conf.order_book_interval)
     .action(function (selector, cmd) {
       selector = objectifySelector(selector || conf.selector)
-      var exchange = require(`../extensions/exchanges/${selector.exchange_id}/exchange`)(conf)
+      var exchange = loadExchange(selector.exchange_id, conf)
       if (!exchange) {
         console.error('cannot backfill ' + selector.normalized + ': exchange not implemented')
         process.exit(1)
@@ -23,6 +29,21 @@ module.exports = function (program, conf) {
       var collectionServiceInstance = collectionService(conf)
       var tradesCollection = collectionServiceInstance.getTrades()
       var resume_markers = collectionServiceInstance.getResumeMarkers()
+      var candles = candleCache(conf)
+      var recorder = null
+      if (cmd.record_order_book) {
+        try {
+          recorder = orderBook.recorder(exchange, collectionServiceInstance.getOrderBooks(), selector, {
+            depth: cmd.order_book_depth,
+            interval: cmd.order_book_interval
+          })
+        }
+        catch (err) {
+          console.error(err.message)
+          process.exit(1)
+        }
+        recorder.start()
+      }
 
       var marker = {
         id: crypto.randomBytes(4).toString('hex'),
@@ -42,6 +63,8 @@ module.exports = function (program, conf) {
       var last_batch_id, last_batch_opts
       var offset = exchange.offset
       var markers, trades
+      // the range of the trades saved, for the candle cache
+      var saved_from = null, saved_to = null
       if (!mode) {
         console.error('cannot backfill ' + selector.normalized + ': exchange does not offer historical data')
         process.exit(0)
@@ -103,7 +126,7 @@ module.exports = function (program, conf) {
           if (mode !== 'backward' && !trades.length) {
             if (trade_counter) {
               console.log('\ndownload complete!\n')
-              process.exit(0)
+              return finish()
             }
             else {
               if (get_trade_retry_count < 5) {
@@ -121,7 +144,7 @@ module.exports = function (program, conf) {
           }
           else if (!trades.length) {
             console.log('\ngetTrades() returned no trades, we may have exhausted the historical data range.')
-            process.exit(0)
+            return finish()
           }
           trades.sort(function (a, b) {
             if (mode === 'backward') {
@@ -198,10 +221,10 @@ module.exports = function (program, conf) {
 
         if (mode === 'backward' && marker.oldest_time <= target_time) {
           console.log('\ndownload complete!\n')
-          process.exit(0)
+          return finish()
         } else if(cmd.start >= 0 && cmd.end >= 0 && target_time <= marker.newest_time){
           console.log('\ndownload of span ('+cmd.start+' - '+cmd.end+') complete!\n')
-          process.exit(0)
+          return finish()
         }
 
         if (exchange.backfillRateLimit) {
@@ -211,10 +234,34 @@ module.exports = function (program, conf) {
         }
       }
 
+      // with --record_order_book the process stays up to record snapshots
+      function finish () {
+        if (saved_from !== null && candles.sizes.length) {
+          console.log('updating the candles of ' + selector.normalized + ' for sim --use_candles...')
+        }
+        candles.update(selector.normalized, saved_from, saved_to, function (err) {
+          if (err) {
+            console.error('error saving candles')
+            console.error(err)
+          }
+          stop()
+        })
+      }
+
+      function stop () {
+        if (recorder) {
+          console.log('recording ' + selector.normalized + ' order book snapshots, press ctrl-c to stop')
+          return
+        }
+        process.exit(0)
+      }
+
       function saveTrade (trade) {
         trade.id = selector.normalized + '-' + String(trade.trade_id)
         trade._id = trade.id
         trade.selector = selector.normalized
+        saved_from = saved_from === null ? trade.time : Math.min(saved_from, trade.time)
+        saved_to = saved_to === null ? trade.time : Math.max(saved_to, trade.time)
         var cursor = exchange.getCursor(trade)
         if (mode === 'backward') {
           if (!marker.to) {
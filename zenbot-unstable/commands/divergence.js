@@ -0,0 +1,127 @@
+var fs = require('fs')
+  , tb = require('timebucket')
+  , moment = require('moment')
+  , n = require('numbro')
+  , _ = require('lodash')
+  , colors = require('colors')
+  , objectifySelector = require('../lib/objectify-selector')
+  , collectionService = require('../lib/services/collection-service')
+  , simPool = require('../lib/sim-pool')
+  , divergence = require('../lib/divergence')
+
+// options of the live run that do not carry over to its sim
+var live_only = ['_', 'selector', 'mode', 'paper', 'start', 'end', 'days', 'currency_capital', 'asset_capital',
+  'stats', 'debug', 'manual', 'non_interactive', 'session', 'conf', 'report', 'window']
+
+module.exports = function (program, conf) {
+  program
+    .command('divergence <session_id>')
+    .description('re-run a live or paper session as a sim over the same trades and compare their signals and fills')
+    .option('--conf <path>', 'path to optional conf overrides file')
+    .option('--window <minutes>', 'pair a live and a sim signal or fill at most this far apart (default: one period)', Number)
+    .option('--report <path>', 'write the pairs and the summary as JSON to this file')
+    .action(function (session_id, cmd) {
+      var collectionServiceInstance = collectionService(conf)
+      var sessions = collectionServiceInstance.getSessions()
+
+      function fail (err) {
+        console.error(err)
+        process.exit(1)
+      }
+
+      function listSessions () {
+        sessions.find({mode: {$in: ['live', 'paper']}}).sort({started: -1}).limit(20).toArray(function (err, docs) {
+          if (err) return fail(err)
+          console.error('session ' + session_id + ' not found' + (docs.length ? ', recent sessions:' : ''))
+          docs.forEach(function (doc) {
+            console.error('  ' + doc.id + '  ' + doc.mode + '  ' + doc.selector + '  ' + moment(doc.started).format('YYYY-MM-DD HH:mm') + ' - ' + moment(doc.updated).format('YYYY-MM-DD HH:mm'))
+          })
+          process.exit(1)
+        })
+      }
+
+      sessions.find({_id: session_id}).limit(1).toArray(function (err, docs) {
+        if (err) return fail(err)
+        var session = docs[0]
+        if (!session || !session.options) return listSessions()
+        var query = {selector: session.selector, session_id: session.id}
+        collectionServiceInstance.getMyTrades().find(query).sort({time: 1}).toArray(function (err, my_trades) {
+          if (err) return fail(err)
+          collectionServiceInstance.getPeriods().find(query).sort({time: 1}).toArray(function (err, periods) {
+            if (err) return fail(err)
+            var live = {
+              fills: my_trades,
+              signals: _.flatten(periods.map(function (period) { return period.signals || [] }))
+            }
+            simulate(session, live)
+          })
+        })
+      })
+
+      function simulate (session, live) {
+        var options = _.omitBy(_.omit(session.options, live_only), _.isObject)
+        var end = session.updated || new Date().getTime()
+        var balance = divergence.startBalance(session.balance, live.fills)
+        Object.assign(options, {
+          selector: session.selector,
+          start: moment(session.started).format('YYYYMMDDHHmm'),
+          end: moment(end).format('YYYYMMDDHHmm'),
+          currency_capital: balance.currency,
+          asset_capital: balance.asset,
+          filename: 'none'
+        })
+        console.log('simulating ' + session.selector + ' with ' + options.strategy + ' from ' + moment(session.started).format('YYYY-MM-DD HH:mm') + ' to ' + moment(end).format('YYYY-MM-DD HH:mm') + '...')
+        simPool(conf, {concurrency: 1, details: true}).run(options, null, function (err, result) {
+          if (err) return fail(err)
+          // the sim starts at the minute, the live run only traded after its preroll
+          function inSession (event) {
+            return event.time >= session.started && event.time <= end
+          }
+          var sim = {
+            fills: result.my_trades.filter(inSession),
+            signals: result.signals.filter(inSession)
+          }
+          var window = cmd.window ? cmd.window * 60000 : tb(0).resize(session.options.period_length).add(1).toMilliseconds()
+          print(session, divergence.compare(live, sim, window))
+        })
+      }
+
+      function print (session, comparison) {
+        function price (value) {
+          return value === undefined ? '' : n(value).format('0.00000000')
+        }
+        function pct (value) {
+          return value === null ? '-' : n(value).format('+0.000%')
+        }
+        function delay (ms) {
+          return ms === null ? '-' : n(ms / 1000).format('+0,0.[0]') + 's'
+        }
+        function line (pair, fills) {
+          var event = pair.live || pair.sim
+          var cols = [moment(event.time).format('YYYY-MM-DD HH:mm:ss'), event.type === 'buy' ? colors.green(event.type) : colors.red(event.type)]
+          if (!pair.sim) return console.log(cols.concat(colors.yellow('live only'), price(pair.live.price), fills ? price(pair.live.size) : '').join('  '))
+          if (!pair.live) return console.log(cols.concat(colors.yellow('sim only'), price(pair.sim.price), fills ? price(pair.sim.size) : '').join('  '))
+          cols.push('delay ' + delay(pair.diff.time), 'price ' + pct(pair.diff.price))
+          if (fills) cols.push('size ' + n(pair.diff.size).format('+0.00000000'), 'fee ' + n(pair.diff.fee).format('+0.00000000'))
+          console.log(cols.join('  '))
+        }
+        function summary (name, s) {
+          console.log(name + ': ' + s.matched + ' matched, ' + s.live_only + ' live only, ' + s.sim_only + ' sim only, avg. delay ' + delay(s.avg_delay) + ', avg. price diff ' + pct(s.avg_price_diff) + ' (abs. ' + pct(s.avg_abs_price_diff) + ')')
+        }
+
+        console.log(colors.grey('\nsignals (sim vs. live):'))
+        comparison.signals.forEach(function (pair) { line(pair, false) })
+        console.log(colors.grey('\nfills (sim vs. live):'))
+        comparison.fills.forEach(function (pair) { line(pair, true) })
+        console.log()
+        summary('signals', comparison.summary.signals)
+        summary('fills', comparison.summary.fills)
+        console.log('fees: live ' + price(comparison.summary.fills.live_fees) + ', sim ' + price(comparison.summary.fills.sim_fees) + ' ' + objectifySelector(session.selector).currency)
+        if (cmd.report) {
+          fs.writeFileSync(cmd.report, JSON.stringify(Object.assign({session_id: session.id, selector: session.selector}, comparison), null, 2))
+          console.log('wrote', cmd.report)
+        }
+        process.exit(0)
+      }
+    })
+}
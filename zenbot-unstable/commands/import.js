@@ -0,0 +1,104 @@
+var crypto = require('crypto')
+  , moment = require('moment')
+  , colors = require('colors')
+  , objectifySelector = require('../lib/objectify-selector')
+  , collectionService = require('../lib/services/collection-service')
+  , csvImport = require('../lib/csv-import')
+  , candleCache = require('../lib/candle-cache')
+
+module.exports = function (program, conf) {
+  program
+    .command('import <selector> <file>')
+    .description('import trades or OHLCV candles from a CSV file, for simulating without an exchange')
+    .option('--conf <path>', 'path to optional conf overrides file')
+    .option('--format <format>', 'trades or ohlcv (default: detected from the header)', /^(trades|ohlcv)$/i)
+    .option('--period <period>', 'candle length of an OHLCV file, e.g. 1m or 1h (default: the smallest step between the first candles)')
+    .option('--max_gap <minutes>', 'report gaps between trades or candles longer than this (default: 60, one candle for OHLCV)', Number)
+    .option('--dry_run', 'only check the file, do not write anything')
+    .action(function (selector, file, cmd) {
+      selector = objectifySelector(selector)
+      var collectionServiceInstance = cmd.dry_run ? null : collectionService(conf)
+      var tradesCollection = cmd.dry_run ? null : collectionServiceInstance.getTrades()
+      var opts = {
+        format: cmd.format,
+        period: cmd.period,
+        max_gap: cmd.max_gap ? cmd.max_gap * 60000 : null
+      }
+
+      function formatTime (time) {
+        return moment.utc(time).format('YYYY-MM-DD HH:mm:ss')
+      }
+
+      // the file is read and saved a batch of rows at a time, it can be larger than the memory
+      function saveBatch (trades, done) {
+        if (cmd.dry_run || !trades.length) return done()
+        Promise.all(trades.map(function (trade) {
+          trade.selector = selector.normalized
+          trade.id = selector.normalized + '-' + String(trade.trade_id)
+          trade._id = trade.id
+          return tradesCollection.replaceOne({_id: trade.id}, trade, {upsert: true})
+        })).then(function () {
+          process.stdout.write('.')
+          done()
+        }).catch(function (err) {
+          console.error('\nerror saving trades')
+          console.error(err)
+          process.exit(1)
+        })
+      }
+
+      csvImport.read(file, opts, saveBatch, function (err, result) {
+        if (err) {
+          console.error('\ncannot import ' + file + ': ' + err.message.trim())
+          process.exit(1)
+        }
+        if (!result.count) {
+          console.error('\nno valid rows found in ' + file)
+          process.exit(1)
+        }
+        console.log('\n' + file + ': ' + result.format + (result.candle_length ? ' (' + result.candle_length / 60000 + 'm candles)' : '') + ', ' + result.count + ' trades from ' + formatTime(result.oldest_time) + ' to ' + formatTime(result.newest_time) + ' UTC')
+        if (result.invalid) console.log(colors.yellow('skipped ' + result.invalid + ' invalid rows'))
+        if (result.duplicates) console.log(colors.yellow('skipped ' + result.duplicates + ' duplicate rows'))
+        if (result.gaps.length) {
+          console.log(colors.yellow(result.gaps.length + ' gaps:'))
+          result.gaps.slice(0, 10).forEach(function (gap) {
+            console.log('  ' + formatTime(gap.from) + ' - ' + formatTime(gap.to) + ' (' + moment.duration(gap.to - gap.from).humanize() + ')')
+          })
+          if (result.gaps.length > 10) console.log('  ...')
+        }
+        if (cmd.dry_run) process.exit(0)
+        saveMarker(result)
+      })
+
+      // the marker records the imported range by time, sim lists it when a range has no trades
+      function saveMarker (result) {
+        var marker = {
+          id: crypto.randomBytes(4).toString('hex'),
+          selector: selector.normalized,
+          from: result.oldest_time,
+          to: result.newest_time,
+          oldest_time: result.oldest_time,
+          newest_time: result.newest_time,
+          source: 'import'
+        }
+        marker._id = marker.id
+        var resume_markers = collectionServiceInstance.getResumeMarkers()
+        var candles = candleCache(conf)
+        resume_markers.replaceOne({_id: marker.id}, marker, {upsert: true}).then(function () {
+          console.log('imported ' + result.count + ' trades into ' + selector.normalized)
+          candles.update(selector.normalized, marker.oldest_time, marker.newest_time, function (err) {
+            if (err) {
+              console.error('error saving candles')
+              console.error(err)
+              process.exit(1)
+            }
+            process.exit(0)
+          })
+        }).catch(function (err) {
+          console.error('\nerror saving marker')
+          console.error(err)
+          process.exit(1)
+        })
+      }
+    })
+}
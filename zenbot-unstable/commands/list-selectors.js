@@ -10,6 +10,10 @@ module.exports = function (program) {
       var exchanges = fs.readdirSync('./extensions/exchanges')
       exchanges.forEach(function(exchange){
         if (exchange === 'sim' || exchange === '_stub') return
+        if (exchange === 'ccxt') {
+          console.log('ccxt:\n  ' + 'ccxt:'.cyan + '<exchange>'.green + '.'.grey + '<asset>'.green + '-'.grey + '<currency>'.cyan + '   (any exchange ccxt supports)'.grey)
+          return
+        }
 
         console.log(`${exchange}:`)
         var products = require(`../extensions/exchanges/${exchange}/products.json`)
@@ -19,6 +19,12 @@ module.exports = function (program, conf) {
         var ctx = {
           option: function (name, desc, type, def) {
             console.log(('    --' + name).green + '=<value>'.grey + '  ' + desc.grey + (typeof def !== 'undefined' ? (' (default: '.grey + def + ')'.grey) : ''))
+          },
+          timeframe: function (size) {
+            console.log('    timeframe: '.grey + size)
+          },
+          ticks: function () {
+            console.log('    replays every trade in sim'.grey)
           }
         }
         strat.getOptions.call(ctx, strat)
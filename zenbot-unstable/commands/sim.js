@@ -1,6 +1,5 @@
 var tb = require('timebucket')
   , minimist = require('minimist')
-  , n = require('numbro')
   , fs = require('fs')
   , path = require('path')
   , moment = require('moment')
@@ -8,6 +7,10 @@ var tb = require('timebucket')
   , objectifySelector = require('../lib/objectify-selector')
   , engineFactory = require('../lib/engine')
   , collectionService = require('../lib/services/collection-service')
+  , candleCache = require('../lib/candle-cache')
+  , orderBook = require('../lib/order-book')
+  , timeframes = require('../lib/timeframes')
+  , simReport = require('../lib/sim-report')
   , jsonexport = require('jsonexport')
   , _ = require('lodash')
 
@@ -27,6 +30,11 @@ module.exports = function (program, conf) {
     .option('--currency_capital <amount>', 'amount of start capital in currency', Number, conf.currency_capital)
     .option('--asset_capital <amount>', 'amount of start capital in asset', Number, conf.asset_capital)
     .option('--avg_slippage_pct <pct>', 'avg. amount of slippage to apply to trades', Number, conf.avg_slippage_pct)
+    .option('--fill_model <model>', 'how orders get filled: simple (as soon as the price crosses) or queue (by estimated queue position)', /^(simple|queue)$/i, conf.fill_model)
+    .option('--queue_window <minutes>', 'for the queue fill model, minutes of traded volume used to estimate the queue at a price', Number, conf.queue_window)
+    .option('--queue_factor <factor>', 'for the queue fill model, share of the traded volume at a price assumed to be queued ahead of an order', Number, conf.queue_factor)
+    .option('--sim_latency <ms>', 'order latency of the simulated exchange', Number, conf.sim_latency)
+    .option('--fee_tiers <tiers>', 'fee tiers by 30 day volume as volume:maker_pct:taker_pct,... (ex: 0:0.1:0.2,50000:0.08:0.18)', String, conf.fee_tiers)
     .option('--buy_pct <pct>', 'buy with this % of currency balance', Number, conf.buy_pct)
     .option('--sell_pct <pct>', 'sell with this % of asset balance', Number, conf.sell_pct)
     .option('--markdown_buy_pct <pct>', '% to mark down buy price', Number, conf.markdown_buy_pct)
@@ -38,9 +46,23 @@ module.exports = function (program, conf) {
     .option('--buy_stop_pct <pct>', 'buy if price surges above this % of sold price', Number, conf.buy_stop_pct)
     .option('--profit_stop_enable_pct <pct>', 'enable trailing sell stop when reaching this % profit', Number, conf.profit_stop_enable_pct)
     .option('--profit_stop_pct <pct>', 'maintain a trailing stop this % below the high-water mark of profit', Number, conf.profit_stop_pct)
+    .option('--native_stops', 'place the sell stop and profit stop as resting orders on exchanges that support it', Boolean, conf.native_stops)
+    .option('--stop_limit_pct <pct>', 'for native stop-limit orders, % below the stop price to set the limit at', Number, conf.stop_limit_pct)
     .option('--max_sell_loss_pct <pct>', 'avoid selling at a loss pct under this float', conf.max_sell_loss_pct)
     .option('--max_buy_loss_pct <pct>', 'avoid buying at a loss pct over this float', conf.max_buy_loss_pct)
     .option('--max_slippage_pct <pct>', 'avoid selling at a slippage pct above this float', conf.max_slippage_pct)
+    .option('--risk_per_trade_pct <pct>', 'size buys so that a move of --risk_stop_mult times the volatility costs this % of the equity', Number, conf.risk_per_trade_pct)
+    .option('--risk_volatility <measure>', 'volatility for risk sizing: atr or stddev', /^(atr|stddev)$/i, conf.risk_volatility)
+    .option('--risk_periods <periods>', 'number of periods to measure the volatility over', Number, conf.risk_periods)
+    .option('--risk_stop_mult <multiple>', 'multiple of the volatility a position is expected to move against us', Number, conf.risk_stop_mult)
+    .option('--max_daily_loss_pct <pct>', 'stop buying for the rest of the day once the equity dropped this % since the day started', Number, conf.max_daily_loss_pct)
+    .option('--max_weekly_loss_pct <pct>', 'stop buying for the rest of the week once the equity dropped this % since the week started', Number, conf.max_weekly_loss_pct)
+    .option('--max_exposure_pct <pct>', 'never hold more than this % of the equity in the asset', Number, conf.max_exposure_pct)
+    .option('--margin', 'trade on margin, sell signals open short positions', conf.margin)
+    .option('--leverage <multiple>', 'on margin, size positions at up to this multiple of the equity', Number, conf.leverage)
+    .option('--borrow_rate_pct <pct>', 'daily interest in % on what is borrowed for margin positions', Number, conf.borrow_rate_pct)
+    .option('--maintenance_margin_pct <pct>', 'liquidate margin positions once the equity falls to this % of their value', Number, conf.maintenance_margin_pct)
+    .option('--mode <mode>', 'sim, or train to let a learning strategy train on the first part of the range and trade the rest to validate', /^(sim|train)$/i, 'sim')
     .option('--symmetrical', 'reverse time at the end of the graph, normalizing buy/hold to 0', conf.symmetrical)
     .option('--rsi_periods <periods>', 'number of periods to calculate RSI at', Number, conf.rsi_periods)
     .option('--exact_buy_orders', 'instead of only adjusting maker buy when the price goes up, adjust it if price has changed at all')
@@ -48,8 +70,12 @@ module.exports = function (program, conf) {
     .option('--disable_options', 'disable printing of options')
     .option('--quarentine_time <minutes>', 'For loss trade, set quarentine time for cancel buys', Number, conf.quarentine_time)
     .option('--enable_stats', 'enable printing order stats')
+    .option('--use_candles', 'replay the candle cache of c.candle_sizes instead of the trades where the periods come out the same', conf.use_candles)
+    .option('--replay_order_book', 'replay recorded order book snapshots as s.order_book (see backfill --record_order_book)')
     .option('--backtester_generation <generation>','creates a json file in simulations with the generation number', Number, -1)
+    .option('--result_file <path>', 'write the json --backtester_generation writes to this file instead')
     .option('--verbose', 'print status lines on every period')
+    .option('--report <path>', 'write a JSON report with the equity curve, fills and round trips to this file')
     .option('--silent', 'only output on completion (can speed up sim)')
     .action(function (selector, cmd) {
       var s = { options: minimist(process.argv) }
@@ -72,6 +98,7 @@ module.exports = function (program, conf) {
       })
       var tradesCollection = collectionService(conf).getTrades()
       var simResults = collectionService(conf).getSimResults()
+      var orderBookReplay = null
 
       var eventBus = conf.eventBus
 
@@ -98,19 +125,39 @@ module.exports = function (program, conf) {
       so.show_options = !cmd.disable_options
       so.verbose = !!cmd.verbose
       so.selector = objectifySelector(selector || conf.selector)
+      so.train = String(cmd.mode).toLowerCase() === 'train'
       so.mode = 'sim'
+      if (cmd.replay_order_book) {
+        orderBookReplay = orderBook.replay(collectionService(conf).getOrderBooks(), so.selector)
+      }
 
       var engine = engineFactory(s, conf)
       if (!so.min_periods) so.min_periods = 1
+      var report = simReport(s)
+      eventBus.on('period', function (period) {
+        if (!so.start || period.time >= so.start) report.record(period)
+      })
       var cursor, reversing, reverse_point
-      var query_start = so.start ? tb(so.start).resize(so.period_length).subtract(so.min_periods + 2).toMilliseconds() : null
+      var candles = candleCache(conf)
+      var candle_size = null
+      var query_start = so.start ? timeframes.start(s, tb(so.start).resize(so.period_length).subtract(so.min_periods + 2).toMilliseconds(), so.start) : null
 
       function exitSim () {
         console.log()
         if (!s.period) {
           console.error('no trades found! try running `zenbot backfill ' + so.selector.normalized + '` first')
-          process.exit(1)
+          return collectionService(conf).getResumeMarkers().find({selector: so.selector.normalized}).toArray(function (err, markers) {
+            if (!err && markers.length) {
+              console.error('stored trades of ' + so.selector.normalized + ' cover (use --start and --end):')
+              markers.sort(function (a, b) { return a.oldest_time - b.oldest_time }).forEach(function (marker) {
+                console.error('  ' + moment(marker.oldest_time).format('YYYYMMDDHHmm') + ' - ' + moment(marker.newest_time).format('YYYYMMDDHHmm') + (marker.source ? ' (' + marker.source + ')' : ''))
+              })
+            }
+            process.exit(1)
+          })
         }
+        report.record(s.period)
+        var sim_report = report.build()
         var option_keys = Object.keys(so)
         var output_lines = []
         option_keys.sort(function (a, b) {
@@ -123,62 +170,11 @@ module.exports = function (program, conf) {
         })
 
         let options_output = options
-        options_output.simresults = {}
 
-        if (s.my_trades.length) {
-          s.my_trades.push({
-            price: s.period.close,
-            size: s.balance.asset,
-            type: 'sell',
-            time: s.period.time
-          })
-        }
-        s.balance.currency = n(s.net_currency).add(n(s.period.close).multiply(s.balance.asset)).format('0.00000000')
-
-        s.balance.asset = 0
-        s.lookback.unshift(s.period)
-        var profit = s.start_capital ? n(s.balance.currency).subtract(s.start_capital).divide(s.start_capital) : n(0)
-        output_lines.push('end balance: ' + n(s.balance.currency).format('0.00000000').yellow + ' (' + profit.format('0.00%') + ')')
-        //console.log('start_capital', s.start_capital)
-        //console.log('start_price', n(s.start_price).format('0.00000000'))
-        //console.log('close', n(s.period.close).format('0.00000000'))
-        var buy_hold = s.start_price ? n(s.period.close).multiply(n(s.start_capital).divide(s.start_price)) : n(s.balance.currency)
-        //console.log('buy hold', buy_hold.format('0.00000000'))
-        var buy_hold_profit = s.start_capital ? n(buy_hold).subtract(s.start_capital).divide(s.start_capital) : n(0)
-        output_lines.push('buy hold: ' + buy_hold.format('0.00000000').yellow + ' (' + n(buy_hold_profit).format('0.00%') + ')')
-        output_lines.push('vs. buy hold: ' + n(s.balance.currency).subtract(buy_hold).divide(buy_hold).format('0.00%').yellow)
-        output_lines.push(s.my_trades.length + ' trades over ' + s.day_count + ' days (avg ' + n(s.my_trades.length / s.day_count).format('0.00') + ' trades/day)')
-        var last_buy
-        var losses = 0, sells = 0
-        s.my_trades.forEach(function (trade) {
-          if (trade.type === 'buy') {
-            last_buy = trade.price
-          }
-          else {
-            if (last_buy && trade.price < last_buy) {
-              losses++
-            }
-            sells++
-          }
-        })
-        if (s.my_trades.length) {
-          output_lines.push('win/loss: ' + (sells - losses) + '/' + losses)
-          output_lines.push('error rate: ' + (sells ? n(losses).divide(sells).format('0.00%') : '0.00%').yellow)
-        }
-        options_output.simresults.start_capital = s.start_capital
-        options_output.simresults.last_buy_price = s.last_buy_price
-        options_output.simresults.last_assest_value = s.period.close
+        var summary = simReport.summary(s, sim_report.metrics)
+        output_lines = output_lines.concat(summary.lines)
+        options_output.simresults = summary.simresults
         options_output.net_currency = s.net_currency
-        options_output.simresults.asset_capital = s.asset_capital
-        options_output.simresults.currency = n(s.balance.currency).value()
-        options_output.simresults.profit = profit.value()
-        options_output.simresults.buy_hold = buy_hold.value()
-        options_output.simresults.buy_hold_profit = buy_hold_profit.value()
-        options_output.simresults.total_trades = s.my_trades.length
-        options_output.simresults.length_days = s.day_count
-        options_output.simresults.total_sells = sells
-        options_output.simresults.total_losses = losses
-        options_output.simresults.vs_buy_hold = n(s.balance.currency).subtract(buy_hold).divide(buy_hold).value() * 100.00
 
         let options_json = JSON.stringify(options_output, null, 2)
         if (so.show_options) {
@@ -189,7 +185,15 @@ module.exports = function (program, conf) {
           console.log(line)
         })
 
-        if (so.backtester_generation >= 0)
+        if (cmd.report) {
+          fs.writeFileSync(cmd.report, JSON.stringify(sim_report, null, 2))
+          console.log('wrote', cmd.report)
+        }
+
+        if (so.result_file) {
+          fs.writeFileSync(path.resolve(so.result_file), options_json, {encoding: 'utf8'})
+        }
+        else if (so.backtester_generation >= 0)
         {
           var file_name = so.strategy.replace('_','')+'_'+ so.selector.normalized.replace('_','').toLowerCase()+'_'+so.backtester_generation
           fs.writeFileSync(path.resolve(__dirname, '..', 'simulations','sim_'+file_name+'.json'),options_json, {encoding: 'utf8'})
@@ -236,6 +240,41 @@ module.exports = function (program, conf) {
           })
       }
 
+      function exitError (message, err) {
+        console.error('\n' + message)
+        console.error(err)
+        process.exit(1)
+      }
+
+      // the largest cached candle size --period and the strategy's timeframes are made of, the
+      // candles of the range are built from the trades if some are missing
+      function pickCandleSize (cb) {
+        var size = candles.sizeFor([so.period_length].concat(Object.keys(s.timeframes)))
+        var reason = null
+        if (s.tick_data) reason = 'the strategy needs every trade'
+        else if (orderBookReplay) reason = '--replay_order_book needs every trade'
+        else if (so.symmetrical) reason = '--symmetrical needs every trade'
+        else if (String(so.fill_model).toLowerCase() === 'queue') reason = 'the queue fill model needs every trade'
+        else if (so.sell_stop_pct || so.buy_stop_pct || so.profit_stop_enable_pct) reason = 'the stops are triggered by every trade'
+        else if (so.order_type !== 'taker') reason = 'maker orders are filled by every trade'
+        else if (!size) reason = 'no size in c.candle_sizes divides the period of ' + so.period_length
+        if (reason) {
+          console.log('replaying the trades, ' + reason)
+          return cb(null)
+        }
+        var from = query_start ? tb(query_start).resize(size).toMilliseconds() : 0
+        var to = so.end ? tb(so.end).resize(size).add(1).toMilliseconds() : null
+        candles.covers(so.selector.normalized, size, from, to, function (err, covered) {
+          if (err) return exitError('error reading the candle cache', err)
+          if (covered) return cb(size)
+          console.log('building the ' + size + ' candles of ' + so.selector.normalized + ' from the trades...')
+          candles.rebuild(so.selector.normalized, [size], from, to, function (err) {
+            if (err) return exitError('error building the ' + size + ' candles', err)
+            cb(size)
+          })
+        })
+      }
+
       var getNext = async () => {
         var opts = {
           query: {
@@ -264,7 +303,10 @@ module.exports = function (program, conf) {
           if (!opts.query.time) opts.query.time = {}
           opts.query.time['$gte'] = query_start
         }
-        var collectionCursor = tradesCollection
+        if (candle_size) {
+          opts.query.size = candle_size
+        }
+        var collectionCursor = (candle_size ? candles : tradesCollection)
           .find(opts.query)
           .sort(opts.sort)
           .limit(opts.limit)
@@ -274,6 +316,7 @@ module.exports = function (program, conf) {
 
         var numTrades = 0
         var lastTrade
+        var batch = []
 
         var onCollectionCursorEnd = () => {
           if (numTrades === 0) {
@@ -299,21 +342,47 @@ module.exports = function (program, conf) {
           onCollectionCursorEnd()
         }
 
-        collectionCursorStream.on('data', function(trade) {
-          lastTrade = trade
+        collectionCursorStream.on('data', function(doc) {
+          lastTrade = doc
           numTrades++
-          if (so.symmetrical && reversing) {
-            trade.orig_time = trade.time
-            trade.time = reverse_point + (reverse_point - trade.time)
-          }
-          eventBus.emit('trade', trade)
+          var trades = candle_size ? candleCache.toTrades(doc).filter(function (trade) {
+            return !so.end || trade.time <= so.end
+          }) : [doc]
+          trades.forEach(function (trade) {
+            if (so.symmetrical && reversing) {
+              trade.orig_time = trade.time
+              trade.time = reverse_point + (reverse_point - trade.time)
+            }
+            if (!orderBookReplay || reversing) {
+              eventBus.emit('trade', trade)
+            }
+            else {
+              batch.push(trade)
+            }
+          })
 
           if (numTrades && totalTrades && totalTrades == numTrades) {
-            onCollectionCursorEnd()
+            if (!batch.length) {
+              return onCollectionCursorEnd()
+            }
+            // snapshots are attached to the trades they precede before the batch goes to the engine
+            orderBookReplay.attach(batch, function (err) {
+              if (err) return exitError('error reading order book snapshots', err)
+              batch.forEach(function (trade) {
+                eventBus.emit('trade', trade)
+              })
+              onCollectionCursorEnd()
+            })
           }
         })
       }
 
-      return getNext()
+      if (!so.use_candles) {
+        return getNext()
+      }
+      pickCandleSize(function (size) {
+        candle_size = size
+        getNext()
+      })
     })
 }
@@ -16,6 +16,13 @@ c.mongo.password = null
 c.mongo.replicaSet = null
 c.mongo.authMechanism = null
 
+// where trades, sessions and sim results are kept: 'mongo', or 'file' for flat files under c.file_store.path
+// (relative to the zenbot directory). The file store needs no database server, but keeps the
+// trades of a selector in memory while they are used, so it is meant for development and CI.
+c.storage = process.env.ZENBOT_STORAGE || 'mongo'
+c.file_store = {}
+c.file_store.path = 'data/db'
+
 // default selector. only used if omitting [selector] argument from a command.
 c.selector = 'gdax.BTC-USD'
 // name of default trade strategy
@@ -107,6 +114,23 @@ c.therock = {}
 c.therock.key = 'YOUR-API-KEY'
 c.therock.secret = 'YOUR-SECRET'
 
+// to trade any other exchange of ccxt, with a selector like ccxt:kucoin.BTC-USDT, enter its API credentials
+// under its ccxt id (with a password or uid for the exchanges that want one):
+c.ccxt = {}
+c.ccxt.kucoin = {}
+c.ccxt.kucoin.key = 'YOUR-API-KEY'
+c.ccxt.kucoin.secret = 'YOUR-SECRET'
+c.ccxt.kucoin.password = 'YOUR-PASSPHRASE'
+// what the adapter reads from ccxt's `has` can be corrected, e.g. for an exchange that ignores the start of fetchTrades:
+// c.ccxt.kucoin.history_scan = false // or 'forward'
+// c.ccxt.kucoin.post_only = true
+// c.ccxt.kucoin.stop_orders = true
+
+// the mock exchange of extensions/exchanges/_stub/server.js, for trying zenbot offline (selector _stub.BTC-USD)
+c.stub = {}
+c.stub.url = 'http://localhost:7802'
+c.stub.history_scan = 'backward' // or 'forward' to backfill by time
+
 // Optional stop-order triggers:
 
 // sell if price drops below this % of bought price (0 to disable)
@@ -117,6 +141,10 @@ c.buy_stop_pct = 0
 c.profit_stop_enable_pct = 0
 // maintain a trailing stop this % below the high-water mark of profit
 c.profit_stop_pct = 1
+// place the stops above as resting orders on the exchange, if the exchange supports it
+c.native_stops = false
+// native stop-limit orders sell no lower than this % below the stop price
+c.stop_limit_pct = 0.5
 
 // Order execution rules:
 
@@ -132,6 +160,26 @@ c.order_adjust_time = 5000
 c.max_sell_loss_pct = 99
 // avoid buying at a loss above this pct set to 0 to ensure buying at a lower price...
 c.max_buy_loss_pct = 99
+// size buys so that a move of risk_stop_mult times the volatility against the position loses this % of the equity (null to disable)
+c.risk_per_trade_pct = null
+// volatility measure for risk sizing: 'atr' or 'stddev'
+c.risk_volatility = 'atr'
+// number of periods to measure the volatility over
+c.risk_periods = 14
+// multiple of the volatility a position is expected to move against us
+c.risk_stop_mult = 2
+// stop buying for the day/week once the equity dropped this % from its start (null to disable)
+c.max_daily_loss_pct = null
+c.max_weekly_loss_pct = null
+// never hold more than this % of the equity in the asset (null to disable)
+c.max_exposure_pct = null
+// trade on margin: sell signals open shorts, buy and sell size on leverage times the equity (bitfinex, kraken, binance)
+c.margin = false
+c.leverage = 1
+// for sim and paper trading, daily interest in % on the borrowed asset or currency, charged hourly
+c.borrow_rate_pct = 0.02
+// for sim and paper trading, liquidate the position once the equity falls to this % of the position value
+c.maintenance_margin_pct = 15
 // ms to poll order status
 c.order_poll_time = 5000
 // ms to wait for settlement (after an order cancel)
@@ -153,8 +201,10 @@ c.use_fee_asset = false
 c.days = 14
 // defaults to a high number of lookback periods
 c.keep_lookback_periods = 50000
-// ms to poll new trades at
+// ms to poll new trades at, or to save the session at where the exchange streams them
 c.poll_trades = 30000
+// poll the trades even on exchanges that stream them over a WebSocket (binance, bitfinex, gdax, kraken)
+c.poll_only = false
 // amount of currency to start simulations with
 c.currency_capital = 1000
 // amount of asset to start simulations with
@@ -167,12 +217,37 @@ c.rsi_periods = 14
 c.balance_snapshot_period = '15m'
 // avg. amount of slippage to apply to sim trades
 c.avg_slippage_pct = 0.045
+// how sim and paper orders get filled: 'simple' fills as soon as the price crosses the order,
+// 'queue' estimates the volume queued ahead of it from the traded volume at that price and fills partially
+c.fill_model = 'simple'
+// minutes of traded volume the queue fill model looks back at
+c.queue_window = 60
+// share of the traded volume at a price assumed to be queued ahead of a new order
+c.queue_factor = 1
+// order latency of the simulated exchange in ms
+c.sim_latency = 100
+// fee tiers by 30 day traded volume for sim and paper trading, e.g. '0:0.1:0.2,50000:0.08:0.18' (volume:maker %:taker %). null for the exchange fees
+c.fee_tiers = null
+// candle sizes backfill and import aggregate the trades into for sim --use_candles, e.g. '1m,1h'. '' to not keep candles
+c.candle_sizes = '1m,1h'
+// for sim, replay the candles instead of the trades where the periods come out the same
+c.use_candles = false
+// number of price levels per side in recorded order book snapshots (backfill/trade --record_order_book)
+c.order_book_depth = 10
+// seconds between order book snapshots
+c.order_book_interval = 60
 // time to leave an order open, default to 1 day (this feature is not supported on all exchanges, currently: GDAX)
 c.cancel_after = 'day'
 // load and use previous trades for stop-order triggers and loss protection (live/paper mode only)
 c.use_prev_trades = false
 // minimum number of previous trades to load if use_prev_trades is enabled, set to 0 to disable and use trade time instead
 c.min_prev_trades = 0
+// when trading several selectors at once (e.g. gdax.BTC-USD,gdax.ETH-USD), split capital by 'fixed' weights or 'risk_parity'
+c.allocation = 'fixed'
+// comma separated weights for fixed allocation, in selector order. null for equal weights
+c.weights = null
+// number of periods to measure volatility at for risk_parity allocation
+c.vol_periods = 20
 
 // Notifiers:
 c.notifiers = {}
@@ -180,6 +255,9 @@ c.notifiers = {}
 //common
 
 c.notifiers.only_completed_trades = false // Filter to notifier's messages for getting Commpleted Trades info.
+// interactive notifiers take commands (/help lists them) only from the ids in their .users list,
+// and buys and sells only after a /confirm within this many seconds
+c.notifiers.confirm_seconds = 60
 
 // xmpp config
 c.notifiers.xmpp = {}
@@ -189,6 +267,8 @@ c.notifiers.xmpp.password = 'Password'
 c.notifiers.xmpp.host = 'domain.com'
 c.notifiers.xmpp.port = 5222
 c.notifiers.xmpp.to = 'MeMyselfAndI@domain.com'
+c.notifiers.xmpp.interactive = false // true to take commands by chat
+c.notifiers.xmpp.users = [] // jids allowed to send commands, e.g. ['MeMyselfAndI@domain.com']
 // end xmpp configs
 
 // pushbullets configs
@@ -209,6 +289,10 @@ c.notifiers.ifttt.eventName = 'zenbot'
 c.notifiers.slack = {}
 c.notifiers.slack.on = false
 c.notifiers.slack.webhook_url = ''
+c.notifiers.slack.interactive = false // true to take commands through a bot user
+c.notifiers.slack.bot_token = '' // the bot user's token (xoxb-...)
+c.notifiers.slack.channel = '' // only take commands from this channel id, '' for any channel the bot is in
+c.notifiers.slack.users = [] // slack user ids allowed to send commands
 // end slack config
 
 // ADAMANT Messenger config
@@ -236,6 +320,10 @@ c.notifiers.discord.token = 'YOUR-WEBHOOK-TOKEN'
 c.notifiers.discord.username = '' // default "Zenbot"
 c.notifiers.discord.avatar_url = ''
 c.notifiers.discord.color = null // color as a decimal
+c.notifiers.discord.interactive = false // true to read commands from the channel of the webhook with a bot
+c.notifiers.discord.bot_token = 'YOUR-BOT-TOKEN'
+c.notifiers.discord.channel_id = 'YOUR-CHANNEL-ID'
+c.notifiers.discord.users = [] // discord user ids allowed to send commands
 // end discord configs
 
 // prowl configs
@@ -265,8 +353,39 @@ c.notifiers.telegram.on = false // false telegram disabled; true telegram enable
 c.notifiers.telegram.interactive = false // true telegram is interactive
 c.notifiers.telegram.bot_token = 'YOUR-BOT-TOKEN'
 c.notifiers.telegram.chat_id = 'YOUR-CHAT-ID' // the id of the chat the messages should be send in
+c.notifiers.telegram.users = [] // telegram user ids allowed to send commands in that chat
 // end telegram configs
 
+// webhook configs, the body is a JSON template, see "Webhook" in docs/README.md
+c.notifiers.webhook = {}
+c.notifiers.webhook.on = false // false webhook disabled; true webhook enabled (url should be correct)
+c.notifiers.webhook.url = 'https://example.com/zenbot'
+c.notifiers.webhook.method = 'POST'
+c.notifiers.webhook.headers = {} // e.g. {'Authorization': 'Bearer YOUR-TOKEN'}
+c.notifiers.webhook.body = {event: '{{event}}', title: '{{title}}', message: '{{message}}', selector: '{{selector}}', price: '{{price}}', size: '{{size}}', time: '{{time}}'}
+c.notifiers.webhook.templates = {} // per event type, e.g. {stop: {body: {text: 'stop {{signal}} at {{price}}'}}}
+c.notifiers.webhook.events = [] // only these event types (buy, sell, stop, liquidation, error, balance, message), all when empty
+c.notifiers.webhook.retries = 3 // retries on errors and 429/5xx answers
+c.notifiers.webhook.retry_delay = 1000 // ms, doubles with every retry
+// end webhook configs
+
+// email configs
+c.notifiers.email = {}
+c.notifiers.email.on = false // false email disabled; true email enabled (smtp server should be correct)
+c.notifiers.email.host = 'smtp.example.com'
+c.notifiers.email.port = 587 // 465 with secure = true
+c.notifiers.email.secure = false // true for TLS from the start, otherwise STARTTLS when the server offers it
+c.notifiers.email.user = 'YOUR-SMTP-USER'
+c.notifiers.email.password = 'YOUR-SMTP-PASSWORD'
+c.notifiers.email.allow_insecure_auth = false // true to send the password to a server without TLS or STARTTLS
+c.notifiers.email.from = 'zenbot <zenbot@example.com>'
+c.notifiers.email.to = ['you@example.com']
+c.notifiers.email.subject = '[zenbot] {{title}}'
+c.notifiers.email.text = '{{message}}'
+c.notifiers.email.templates = {} // per event type, e.g. {error: {subject: '[zenbot] error on {{selector}}'}}
+c.notifiers.email.events = ['buy', 'sell', 'stop', 'liquidation', 'error']
+// end email configs
+
 // output
 c.output  = {}
 
@@ -275,3 +394,4 @@ c.output.api = {}
 c.output.api.on = true
 c.output.api.ip = '0.0.0.0' // IPv4 or IPv6 address to listen on, uses all available interfaces if omitted
 c.output.api.port = 0 // 0 = random port, set to 17365 if you use docker
+c.output.api.token = null // set a long random string to enable the /api control endpoints and the /ws stream
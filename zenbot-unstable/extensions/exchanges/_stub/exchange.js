@@ -1,29 +1,75 @@
-const superagent = require('superagent')
+const http = require('http')
+  , querystring = require('querystring')
 
+// The adapter of the mock exchange in ./server.js, a reference for the contract in
+// lib/exchange-contract.js that runs offline. c.stub.url points at the server (default
+// http://localhost:7802), c.stub.history_scan = 'forward' pages the trades by time instead.
 module.exports = function container (conf) {
 
+  var stub_conf = conf.stub || {}
+  var base_url = stub_conf.url || 'http://localhost:7802'
+  var retry_delay = stub_conf.retry_delay || 1000
+
   var theExchange = {}
 
   // TODO: phase out, in favor of calling the method getDirection().
   //  It will help define a clean interface/design for future exchange plugins.
-  theExchange.historyScan = conf.historyScan || 'backward'
+  theExchange.historyScan = conf.historyScan || stub_conf.history_scan || 'backward'
+  theExchange.makerFee = 0.1
+  theExchange.takerFee = 0.1
 
   // TODO: phase the use of the name out.. define a cleaner interface for exchanges, so its easier to define how to write one.
   theExchange.name = 'stub'
   theExchange.getName = function() {
     return 'stub'
   }
-    
+
   theExchange.getDirection = function() {
-    return 'backward'
+    return theExchange.historyScan
   }
 
   theExchange.getMakerFee = function() {
-    return 0.1
+    return theExchange.makerFee
   }
 
   theExchange.getTakerFee = function() {
-    return 0.1
+    return theExchange.takerFee
+  }
+
+  // rate limited requests are tried again, other errors go to cb as {code: 'HTTP_STATUS', body}
+  function call (method, route, data, cb) {
+    var payload = method === 'GET' || !data ? '' : JSON.stringify(data)
+    if (method === 'GET' && data) route += '?' + querystring.stringify(data)
+    function send () {
+      var req = http.request(base_url + route, {method: method, headers: {'Content-Type': 'application/json'}}, function (res) {
+        var body = ''
+        res.setEncoding('utf8')
+        res.on('data', function (chunk) {
+          body += chunk
+        })
+        res.on('end', function () {
+          if (res.statusCode === 429) {
+            return setTimeout(send, retry_delay)
+          }
+          try {
+            body = JSON.parse(body)
+          }
+          catch (err) {
+            return cb(err)
+          }
+          if (res.statusCode !== 200) {
+            var err = new Error('non-200 status: ' + res.statusCode)
+            err.code = 'HTTP_STATUS'
+            err.body = body
+            return cb(err, body)
+          }
+          cb(null, body)
+        })
+      })
+      req.on('error', cb)
+      req.end(payload)
+    }
+    send()
   }
 
   theExchange.getProducts = function () {
@@ -31,27 +77,101 @@ module.exports = function container (conf) {
   }
 
   theExchange.getTrades = function (opts, cb) {
-    var url = 'http://localhost:7802/'
+    var query = {}
+    if (theExchange.historyScan === 'forward') {
+      if (opts.from) query.from = opts.from
+    }
+    else if (opts.to) {
+      query.to = opts.to
+    }
+    call('GET', '/products/' + opts.product_id + '/trades', query, function (err, body) {
+      if (err) return cb(err)
+      cb(null, body.map(function (trade) {
+        return {
+          trade_id: trade.trade_id,
+          time: trade.time,
+          size: Number(trade.size),
+          price: Number(trade.price),
+          side: trade.side
+        }
+      }))
+    })
+  }
+
+  theExchange.getBalance = function (opts, cb) {
+    call('GET', '/accounts', null, function (err, body) {
+      if (err) return cb(err)
+      var balance = {asset: 0, asset_hold: 0, currency: 0, currency_hold: 0}
+      body.forEach(function (account) {
+        if (account.currency === opts.asset) {
+          balance.asset = account.balance
+          balance.asset_hold = account.hold
+        }
+        if (account.currency === opts.currency) {
+          balance.currency = account.balance
+          balance.currency_hold = account.hold
+        }
+      })
+      cb(null, balance)
+    })
+  }
 
-    if (opts.to !== undefined) {
-      url += '?mostRecentTradeId=' + opts.to
+  theExchange.getQuote = function (opts, cb) {
+    call('GET', '/products/' + opts.product_id + '/ticker', null, function (err, body) {
+      if (err) return cb(err)
+      cb(null, {bid: body.bid, ask: body.ask})
+    })
+  }
+
+  function placeOrder (side, opts, cb) {
+    var order = {
+      product_id: opts.product_id,
+      side: side,
+      type: opts.order_type === 'taker' ? 'market' : 'limit',
+      price: opts.price,
+      size: opts.size,
+      post_only: opts.order_type !== 'taker' && opts.post_only !== false
     }
+    call('POST', '/orders', order, function (err, body) {
+      if (err && body && body.message === 'Insufficient funds') {
+        return cb(null, {status: 'rejected', reject_reason: 'balance'})
+      }
+      if (err && body && body.message === 'invalid price') {
+        return cb(null, {status: 'rejected', reject_reason: 'price'})
+      }
+      if (err) return cb(err)
+      cb(null, body)
+    })
+  }
 
-    superagent.get(url).end(function (err, response) {
-      var v = JSON.parse(response.text)
+  theExchange.buy = function (opts, cb) {
+    placeOrder('buy', opts, cb)
+  }
 
-      var rtn = []
-      v.forEach((vv) => { 
-        var obj = JSON.parse(vv) 
+  theExchange.sell = function (opts, cb) {
+    placeOrder('sell', opts, cb)
+  }
 
-        obj.id = 
+  theExchange.getOrder = function (opts, cb) {
+    call('GET', '/orders/' + opts.order_id, null, cb)
+  }
 
-          rtn.push(obj) })
+  theExchange.getOpenOrders = function (opts, cb) {
+    call('GET', '/orders', {product_id: opts.product_id, status: 'open'}, cb)
+  }
 
-      cb(null, rtn)
-      // TODO: handle the case where there is no server on the other end
+  // cancelling an order that is done or gone is not an error
+  theExchange.cancelOrder = function (opts, cb) {
+    call('DELETE', '/orders/' + opts.order_id, null, function (err) {
+      if (err && err.code !== 'HTTP_STATUS') return cb(err)
+      cb()
     })
   }
 
+  theExchange.getCursor = function (trade) {
+    if (theExchange.historyScan === 'forward') return trade.time || trade
+    return trade.trade_id
+  }
+
   return theExchange
 }
@@ -0,0 +1,270 @@
+let http = require('http')
+  , url = require('url')
+  , WebSocket = require('ws')
+  , n = require('numbro')
+  , _ = require('lodash')
+
+// A mock exchange for the stub adapter, so adapters, backfill and the conformance suite in
+// test/extensions/exchanges/conformance.js run without a network or an account:
+//
+//   node extensions/exchanges/_stub/server.js [port]
+//
+// It keeps trades, a quote, balances and limit orders per product in memory. The trades
+// answer pages of `limit` (default 100) older than `?to=<trade_id>` or from `?from=<time>` on,
+// market trades fill the resting orders they cross, partially if they are smaller, and
+// post-only orders crossing the quote are rejected. Tests drive it through the methods
+// returned here, or through the same calls under POST /control/<method> with a JSON array
+// of arguments. ws://host:port/ feeds {type: 'trade', product_id, trade} and {type: 'order', order}.
+module.exports = function mockExchange (opts) {
+  opts = opts || {}
+  let products = opts.products || require('./products.json')
+  let page_size = opts.page_size || 100
+  let trades = {}
+  let quotes = {}
+  let balances = {}
+  let orders = {}
+  let last_trade_id = 0
+  let last_order_id = 0
+  let rate_limited = 0
+  let server, wss
+
+  products.forEach(function (product) {
+    let product_id = product.asset + '-' + product.currency
+    trades[product_id] = []
+    quotes[product_id] = {bid: 99, ask: 101}
+    balances[product.asset] = balances[product.asset] || {balance: 0, hold: 0}
+    balances[product.currency] = balances[product.currency] || {balance: 0, hold: 0}
+  })
+
+  function product (product_id) {
+    return _.find(products, function (product) {
+      return product.asset + '-' + product.currency === product_id
+    })
+  }
+
+  function broadcast (message) {
+    if (!wss) return
+    let json = JSON.stringify(message)
+    wss.clients.forEach(function (client) {
+      if (client.readyState === WebSocket.OPEN) client.send(json)
+    })
+  }
+
+  // what an order holds: the currency of a buy, the asset of a sell
+  function holdOf (order) {
+    let p = product(order.product_id)
+    let remaining = n(order.size).subtract(order.filled_size).value()
+    return order.side === 'buy'
+      ? {currency: p.currency, amount: n(remaining).multiply(order.price).value()}
+      : {currency: p.asset, amount: remaining}
+  }
+
+  // limit orders fill at their price
+  function fill (order, size) {
+    let p = product(order.product_id)
+    let total = n(size).multiply(order.price).value()
+    if (order.side === 'buy') {
+      balances[p.currency].balance = n(balances[p.currency].balance).subtract(total).value()
+      balances[p.currency].hold = n(balances[p.currency].hold).subtract(total).value()
+      balances[p.asset].balance = n(balances[p.asset].balance).add(size).value()
+    }
+    else {
+      balances[p.asset].balance = n(balances[p.asset].balance).subtract(size).value()
+      balances[p.asset].hold = n(balances[p.asset].hold).subtract(size).value()
+      balances[p.currency].balance = n(balances[p.currency].balance).add(total).value()
+    }
+    order.executed_value = n(order.executed_value).add(total).value()
+    order.filled_size = n(order.filled_size).add(size).value()
+    if (order.filled_size >= order.size) {
+      order.status = 'done'
+      order.done_at = Date.now()
+      order.done_reason = 'filled'
+    }
+    broadcast({type: 'order', order: order})
+  }
+
+  let exchange = {
+    // a market trade, filling the resting orders it crosses
+    trade: function (product_id, trade) {
+      trade = Object.assign({trade_id: ++last_trade_id, time: Date.now(), side: 'buy'}, trade)
+      trades[product_id].push(trade)
+      let left = Number(trade.size)
+      _.values(orders).filter(function (order) {
+        return order.product_id === product_id && order.status === 'open'
+      }).forEach(function (order) {
+        if (left <= 0) return
+        let crosses = order.side === 'buy' ? trade.price <= order.price : trade.price >= order.price
+        if (!crosses) return
+        let size = Math.min(left, n(order.size).subtract(order.filled_size).value())
+        left = n(left).subtract(size).value()
+        fill(order, size)
+      })
+      broadcast({type: 'trade', product_id: product_id, trade: trade})
+      return trade
+    },
+
+    // count trades a second apart, ending now
+    seedTrades: function (product_id, count, price) {
+      let start = Date.now() - count * 1000
+      for (let i = 0; i < count; i++) {
+        trades[product_id].push({trade_id: ++last_trade_id, time: start + i * 1000, price: price || 100, size: 0.1, side: i % 2 ? 'sell' : 'buy'})
+      }
+    },
+
+    setQuote: function (product_id, bid, ask) {
+      quotes[product_id] = {bid: bid, ask: ask}
+    },
+
+    setBalance: function (currency, amount) {
+      balances[currency] = {balance: amount, hold: 0}
+    },
+
+    // answer the next count requests with 429
+    rateLimit: function (count) {
+      rate_limited = count
+    },
+
+    listen: function (port, cb) {
+      server = http.createServer(handle)
+      wss = new WebSocket.Server({server: server})
+      server.listen(port, '127.0.0.1', function () {
+        cb && cb(exchange.url())
+      })
+      return exchange
+    },
+
+    url: function () {
+      return 'http://127.0.0.1:' + server.address().port
+    },
+
+    close: function (cb) {
+      wss.clients.forEach(function (client) {
+        client.terminate()
+      })
+      wss.close(function () {
+        server.close(cb)
+      })
+    }
+  }
+
+  function placeOrder (body) {
+    let p = product(body.product_id)
+    if (!p) return [404, {message: 'unknown product ' + body.product_id}]
+    let quote = quotes[body.product_id]
+    let order = {
+      id: String(++last_order_id),
+      product_id: body.product_id,
+      side: body.side,
+      type: body.type || 'limit',
+      price: body.type === 'market' ? (body.side === 'buy' ? quote.ask : quote.bid) : Number(body.price),
+      size: Number(body.size),
+      post_only: !!body.post_only,
+      filled_size: 0,
+      executed_value: 0,
+      status: 'open',
+      created_at: Date.now()
+    }
+    if (!(order.size > 0) || (p.min_size && order.size < Number(p.min_size))) return [400, {message: 'size is too small'}]
+    if (!(order.price > 0)) return [400, {message: 'invalid price'}]
+    if (order.post_only && order.type === 'limit' && (order.side === 'buy' ? order.price >= quote.ask : order.price <= quote.bid)) {
+      order.status = 'rejected'
+      order.reject_reason = 'post only'
+      orders[order.id] = order
+      return [200, order]
+    }
+    let hold = holdOf(order)
+    let balance = balances[hold.currency]
+    if (n(balance.balance).subtract(balance.hold).value() < hold.amount) return [400, {message: 'Insufficient funds'}]
+    balance.hold = n(balance.hold).add(hold.amount).value()
+    orders[order.id] = order
+    broadcast({type: 'order', order: order})
+    if (order.type === 'market') fill(order, order.size)
+    return [200, order]
+  }
+
+  function route (method, parts, query, body) {
+    if (method === 'POST' && parts[0] === 'control' && typeof exchange[parts[1]] === 'function' && ['listen', 'close', 'url'].indexOf(parts[1]) === -1) {
+      return [200, exchange[parts[1]].apply(exchange, body || []) || {}]
+    }
+    if (rate_limited > 0) {
+      rate_limited--
+      return [429, {message: 'Too many requests'}]
+    }
+    if (method === 'GET' && parts[0] === 'products' && parts.length === 1) return [200, products]
+    if (method === 'GET' && parts[0] === 'products' && parts[2] === 'trades') {
+      let list = trades[parts[1]]
+      if (!list) return [404, {message: 'unknown product ' + parts[1]}]
+      let limit = Number(query.limit) || page_size
+      if (query.from !== undefined) {
+        return [200, list.filter(function (trade) { return trade.time >= Number(query.from) }).slice(0, limit)]
+      }
+      let older = query.to !== undefined ? list.filter(function (trade) { return trade.trade_id < Number(query.to) }) : list
+      return [200, older.slice(-limit).reverse()]
+    }
+    if (method === 'GET' && parts[0] === 'products' && parts[2] === 'ticker') {
+      if (!quotes[parts[1]]) return [404, {message: 'unknown product ' + parts[1]}]
+      return [200, quotes[parts[1]]]
+    }
+    if (method === 'GET' && parts[0] === 'accounts') {
+      return [200, _.map(balances, function (balance, currency) {
+        return {currency: currency, balance: balance.balance, hold: balance.hold, available: n(balance.balance).subtract(balance.hold).value()}
+      })]
+    }
+    if (parts[0] === 'orders') {
+      if (method === 'POST' && parts.length === 1) return placeOrder(body || {})
+      if (method === 'GET' && parts.length === 1) {
+        return [200, _.values(orders).filter(function (order) {
+          return (!query.product_id || order.product_id === query.product_id) && (!query.status || order.status === query.status)
+        })]
+      }
+      let order = orders[parts[1]]
+      if (!order) return [404, {message: 'order not found'}]
+      if (method === 'GET') return [200, order]
+      if (method === 'DELETE') {
+        if (order.status !== 'open') return [400, {message: 'Order already done'}]
+        let hold = holdOf(order)
+        balances[hold.currency].hold = n(balances[hold.currency].hold).subtract(hold.amount).value()
+        order.status = 'cancelled'
+        order.done_at = Date.now()
+        order.done_reason = 'canceled'
+        broadcast({type: 'order', order: order})
+        return [200, {id: order.id}]
+      }
+    }
+    return [404, {message: 'not found'}]
+  }
+
+  function handle (req, res) {
+    let body = ''
+    req.on('data', function (chunk) {
+      body += chunk
+    })
+    req.on('end', function () {
+      let parsed = url.parse(req.url, true)
+      let result
+      try {
+        result = route(req.method, parsed.pathname.split('/').filter(Boolean), parsed.query, body ? JSON.parse(body) : null)
+      }
+      catch (err) {
+        result = [400, {message: err.message}]
+      }
+      res.statusCode = result[0]
+      res.setHeader('Content-Type', 'application/json')
+      if (result[0] === 429) res.setHeader('Retry-After', '1')
+      res.end(JSON.stringify(result[1]))
+    })
+  }
+
+  return exchange
+}
+
+if (require.main === module) {
+  let mock = module.exports()
+  require('./products.json').forEach(function (product) {
+    mock.seedTrades(product.asset + '-' + product.currency, 1000)
+    mock.setBalance(product.currency, 10000)
+  })
+  mock.listen(Number(process.argv[2]) || 7802, function (address) {
+    console.log('mock exchange listening on ' + address)
+  })
+}
@@ -33,6 +33,52 @@ module.exports = function binance (conf) {
     return split[0] + '/' + split[1]
   }
 
+  // BNB-BTC to the raw market id BNBBTC, for endpoints ccxt has no unified method for
+  function marketId(product_id) {
+    return product_id.split('-').join('')
+  }
+
+  // --margin trades the cross margin account, which keeps loans instead of positions:
+  // orders against the position repay the loan, the others borrow what they need
+  var margin_position = 0
+  var margin_status = { NEW: 'open', PARTIALLY_FILLED: 'open', FILLED: 'closed' }
+
+  function createOrder (client, opts, size, args) {
+    if (!opts.margin) {
+      return client.createOrder(joinProduct(opts.product_id), opts.type, opts.side, size, opts.price, args)
+    }
+    var params = {
+      symbol: marketId(opts.product_id),
+      side: opts.side.toUpperCase(),
+      type: opts.type.toUpperCase(),
+      quantity: size,
+      sideEffectType: (opts.side === 'buy' ? margin_position < 0 : margin_position > 0) ? 'AUTO_REPAY' : 'MARGIN_BUY'
+    }
+    if (opts.type === 'limit') {
+      params.price = opts.price
+      params.timeInForce = args.timeInForce
+    }
+    return client.sapiPostMarginOrder(params).then(function (body) {
+      return { id: String(body.orderId) }
+    })
+  }
+
+  // margin orders in the shape of ccxt's fetchOrder
+  function fetchOrder (client, order, order_id, product_id) {
+    if (!order || !order.margin) {
+      return client.fetchOrder(order_id, joinProduct(product_id))
+    }
+    return client.sapiGetMarginOrder({ symbol: marketId(product_id), orderId: order_id }).then(function (body) {
+      var filled = parseFloat(body.executedQty)
+      return {
+        status: margin_status[body.status] || 'canceled',
+        amount: body.origQty,
+        remaining: parseFloat(body.origQty) - filled,
+        average: filled ? parseFloat(body.cummulativeQuoteQty) / filled : null
+      }
+    })
+  }
+
   function retry (method, args, err) {
     if (method !== 'getTrades') {
       console.error(('\nBinance API is down! unable to call ' + method + ', retrying in 20s').red)
@@ -52,6 +98,31 @@ module.exports = function binance (conf) {
     historyScanUsesTime: true,
     makerFee: 0.1,
     takerFee: 0.1,
+    margin: true,
+
+    // trades and the best bid and ask for lib/trade-feed.js
+    stream: {
+      url: function (product_id) {
+        var stream = marketId(product_id).toLowerCase()
+        return 'wss://stream.binance.com:9443/stream?streams=' + stream + '@trade/' + stream + '@bookTicker'
+      },
+      parse: function (message) {
+        var data = message.data || {}
+        if (data.e === 'trade') {
+          return {trades: [{
+            trade_id: String(data.t),
+            time: data.T,
+            size: parseFloat(data.q),
+            price: parseFloat(data.p),
+            // the taker's side, like ccxt
+            side: data.m ? 'sell' : 'buy'
+          }]}
+        }
+        if (data.b && data.a) {
+          return {quote: {bid: data.b, ask: data.a}}
+        }
+      }
+    },
 
     getProducts: function () {
       return require('./products.json')
@@ -105,6 +176,28 @@ module.exports = function binance (conf) {
     getBalance: function (opts, cb) {
       var func_args = [].slice.call(arguments)
       var client = authedClient()
+      if (opts.margin) {
+        return client.sapiGetMarginAccount().then(result => {
+          var balance = {asset: 0, currency: 0, asset_hold: 0, currency_hold: 0}
+          result.userAssets.forEach(function (row) {
+            // what is left after paying back the loan and its interest
+            if (row.asset === opts.currency) {
+              balance.currency = parseFloat(row.netAsset)
+              balance.currency_hold = parseFloat(row.locked)
+            }
+            if (row.asset === opts.asset) {
+              balance.asset = parseFloat(row.netAsset)
+              balance.asset_hold = parseFloat(row.locked)
+            }
+          })
+          margin_position = balance.asset
+          cb(null, balance)
+        })
+          .catch(function (error) {
+            console.error('An error occurred', error)
+            return retry('getBalance', func_args)
+          })
+      }
       client.fetchBalance().then(result => {
         var balance = {asset: 0, currency: 0}
         Object.keys(result).forEach(function (key) {
@@ -149,10 +242,38 @@ module.exports = function binance (conf) {
         })
     },
 
+    getOrderBook: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = publicClient()
+      client.fetchOrderBook(joinProduct(opts.product_id), opts.depth || 10).then(result => {
+        cb(null, {
+          bids: result.bids,
+          asks: result.asks
+        })
+      })
+        .catch(function(error) {
+          console.error('An error ocurred', error)
+          return retry('getOrderBook', func_args)
+        })
+    },
+
     cancelOrder: function (opts, cb) {
       var func_args = [].slice.call(arguments)
       var client = authedClient()
-      client.cancelOrder(opts.order_id, joinProduct(opts.product_id)).then(function (body) {
+      var order = orders['~' + opts.order_id]
+      if (order && order.order_list_id) {
+        // an oco order is cancelled as a whole
+        return client.privateDeleteOrderList({ symbol: marketId(opts.product_id), orderListId: order.order_list_id }).then(function () {
+          cb(null)
+        }, function (err) {
+          if (err.message && err.message.match(new RegExp(/-2011|UNKNOWN_ORDER/))) return cb()
+          return retry('cancelOrder', func_args, err)
+        })
+      }
+      var cancel = order && order.margin ?
+        client.sapiDeleteMarginOrder({ symbol: marketId(opts.product_id), orderId: opts.order_id }) :
+        client.cancelOrder(opts.order_id, joinProduct(opts.product_id))
+      cancel.then(function (body) {
         if (body && (body.message === 'Order already done' || body.message === 'order not found')) return cb()
         cb(null)
       }, function(err){
@@ -193,7 +314,7 @@ module.exports = function binance (conf) {
       opts.side = 'buy'
       delete opts.order_type
       var order = {}
-      client.createOrder(joinProduct(opts.product_id), opts.type, opts.side, this.roundToNearest(opts.size, opts), opts.price, args).then(result => {
+      createOrder(client, opts, this.roundToNearest(opts.size, opts), args).then(result => {
         if (result && result.message === 'Insufficient funds') {
           order = {
             status: 'rejected',
@@ -209,7 +330,8 @@ module.exports = function binance (conf) {
           post_only: !!opts.post_only,
           created_at: new Date().getTime(),
           filled_size: '0',
-          ordertype: opts.order_type
+          ordertype: opts.order_type,
+          margin: !!opts.margin
         }
         orders['~' + result.id] = order
         cb(null, order)
@@ -249,7 +371,7 @@ module.exports = function binance (conf) {
       opts.side = 'sell'
       delete opts.order_type
       var order = {}
-      client.createOrder(joinProduct(opts.product_id), opts.type, opts.side, this.roundToNearest(opts.size, opts), opts.price, args).then(result => {
+      createOrder(client, opts, this.roundToNearest(opts.size, opts), args).then(result => {
         if (result && result.message === 'Insufficient funds') {
           order = {
             status: 'rejected',
@@ -265,7 +387,8 @@ module.exports = function binance (conf) {
           post_only: !!opts.post_only,
           created_at: new Date().getTime(),
           filled_size: '0',
-          ordertype: opts.order_type
+          ordertype: opts.order_type,
+          margin: !!opts.margin
         }
         orders['~' + result.id] = order
         cb(null, order)
@@ -287,6 +410,80 @@ module.exports = function binance (conf) {
       })
     },
 
+    placeStop: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      var size = this.roundToNearest(opts.size, opts)
+      client.createOrder(joinProduct(opts.product_id), 'STOP_LOSS_LIMIT', 'sell', size, opts.stop_limit_price || opts.stop_price, { stopPrice: opts.stop_price, timeInForce: 'GTC' }).then(result => {
+        var order = {
+          id: result.id,
+          status: 'open',
+          price: opts.stop_limit_price || opts.stop_price,
+          stop_price: opts.stop_price,
+          size: size,
+          created_at: new Date().getTime(),
+          filled_size: '0',
+          ordertype: 'stop'
+        }
+        orders['~' + result.id] = order
+        cb(null, order)
+      }).catch(function (error) {
+        console.error('An error occurred', error)
+
+        // {"code":-2010,"msg":"Order would trigger immediately."}
+        if (error.message.match(new RegExp(/-1013|MIN_NOTIONAL|-2010/))) {
+          return cb(null, {
+            status: 'rejected',
+            reject_reason: error.message.match(/immediately/) ? 'price' : 'balance'
+          })
+        }
+
+        return retry('placeStop', func_args)
+      })
+    },
+
+    placeOco: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      var size = this.roundToNearest(opts.size, opts)
+      client.privatePostOrderOco({
+        symbol: marketId(opts.product_id),
+        side: 'SELL',
+        quantity: size,
+        price: opts.price,
+        stopPrice: opts.stop_price,
+        stopLimitPrice: opts.stop_limit_price || opts.stop_price,
+        stopLimitTimeInForce: 'GTC'
+      }).then(result => {
+        // the order list is tracked under its own id, fills are looked up on its two legs
+        var order = {
+          id: 'oco-' + result.orderListId,
+          order_list_id: result.orderListId,
+          legs: result.orders.map(function (leg) { return leg.orderId }),
+          status: 'open',
+          price: opts.price,
+          stop_price: opts.stop_price,
+          size: size,
+          created_at: result.transactionTime || new Date().getTime(),
+          filled_size: '0',
+          ordertype: 'oco'
+        }
+        orders['~' + order.id] = order
+        cb(null, order)
+      }).catch(function (error) {
+        console.error('An error occurred', error)
+
+        if (error.message.match(new RegExp(/-1013|MIN_NOTIONAL|-2010/))) {
+          return cb(null, {
+            status: 'rejected',
+            reject_reason: error.message.match(/immediately|price relationship/i) ? 'price' : 'balance'
+          })
+        }
+
+        return retry('placeOco', func_args)
+      })
+    },
+
     roundToNearest: function(numToRound, opts) {
       var numToRoundTo = _.find(this.getProducts(), { 'asset': opts.product_id.split('-')[0], 'currency': opts.product_id.split('-')[1] }).min_size
       numToRoundTo = 1 / (numToRoundTo)
@@ -294,15 +491,65 @@ module.exports = function binance (conf) {
       return Math.floor(numToRound * numToRoundTo) / numToRoundTo
     },
 
+    // the open orders of the product, for reconciling the trade journal after a restart
+    getOpenOrders: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      client.fetchOpenOrders(joinProduct(opts.product_id)).then(function (bodies) {
+        cb(null, bodies.map(function (body) {
+          var order = orders['~' + body.id] || {
+            id: body.id,
+            price: body.price,
+            size: body.amount,
+            created_at: body.timestamp
+          }
+          order.status = 'open'
+          order.tradetype = body.side
+          order.filled_size = body.filled
+          orders['~' + body.id] = order
+          return order
+        }))
+      }, function (err) {
+        return retry('getOpenOrders', func_args, err)
+      })
+    },
+
     getOrder: function (opts, cb) {
       var func_args = [].slice.call(arguments)
       var client = authedClient()
-      var order = orders['~' + opts.order_id]
-      client.fetchOrder(opts.order_id, joinProduct(opts.product_id)).then(function (body) {
+      // orders placed before a restart are not cached
+      var order = orders['~' + opts.order_id] || (orders['~' + opts.order_id] = {id: opts.order_id, status: 'open'})
+      if (order && order.legs) {
+        return Promise.all(order.legs.map(function (leg) {
+          return client.fetchOrder(leg, joinProduct(opts.product_id))
+        })).then(function (bodies) {
+          var filled = _.find(bodies, function (body) { return body.status === 'closed' })
+          if (filled) {
+            order.status = 'done'
+            order.done_at = new Date().getTime()
+            order.filled_size = filled.filled
+            order.price = filled.average || filled.price
+          } else if (_.every(bodies, function (body) { return body.status === 'canceled' || body.status === 'expired' })) {
+            order.status = 'cancelled'
+          }
+          cb(null, order)
+        }, function(err) {
+          return retry('getOrder', func_args, err)
+        })
+      }
+      fetchOrder(client, order, opts.order_id, opts.product_id).then(function (body) {
+        if (body.status === 'canceled') {
+          order.status = 'cancelled'
+          return cb(null, order)
+        }
         if (body.status !== 'open' && body.status !== 'canceled') {
           order.status = 'done'
           order.done_at = new Date().getTime()
           order.filled_size = parseFloat(body.amount) - parseFloat(body.remaining)
+          if (order.stop_price && body.average) {
+            // a triggered stop fills at the market, not at its limit price
+            order.price = body.average
+          }
           return cb(null, order)
         }
         cb(null, order)
@@ -93,6 +93,11 @@ module.exports = function bitfinex (conf) {
     order.price = ws_order[16]
     order.price_avg = ws_order[17]
 
+    // a triggered stop fills at the market, book it at the average price
+    if (order.stop_price && order.status === 'done' && ws_order[17]) {
+      order.price = ws_order[17]
+    }
+
     ws_orders['~' + cid] = order
   }
 
@@ -422,6 +427,45 @@ module.exports = function bitfinex (conf) {
     historyScanUsesTime: true,
     makerFee: 0.1,
     takerFee: 0.2,
+    // the margin wallet trades positions, shorts included
+    margin: !!(conf.bitfinex && conf.bitfinex.wallet === 'margin'),
+
+    // the public trades and ticker for lib/trade-feed.js, state maps the channel ids to their channels
+    stream: {
+      url: function () {
+        return 'wss://api-pub.bitfinex.com/ws/2'
+      },
+      subscribe: function (product_id) {
+        return [
+          {event: 'subscribe', channel: 'trades', symbol: 't' + joinProduct(product_id)},
+          {event: 'subscribe', channel: 'ticker', symbol: 't' + joinProduct(product_id)}
+        ]
+      },
+      parse: function (message, state) {
+        if (message.event === 'subscribed') {
+          state[message.chanId] = message.channel
+          return
+        }
+        if (!Array.isArray(message) || message[1] === 'hb') return
+        var channel = state[message[0]]
+        if (channel === 'trades') {
+          // a snapshot of the recent trades first, then every trade as it executes ('te', 'tu' repeats it)
+          var trades = message[1] === 'te' ? [message[2]] : Array.isArray(message[1]) ? message[1] : []
+          return {trades: trades.map(function (trade) {
+            return {
+              trade_id: trade[0],
+              time: trade[1],
+              size: Math.abs(trade[2]),
+              price: trade[3],
+              side: trade[2] > 0 ? 'buy' : 'sell'
+            }
+          })}
+        }
+        if (channel === 'ticker' && Array.isArray(message[1])) {
+          return {quote: {bid: message[1][0], ask: message[1][2]}}
+        }
+      }
+    },
 
     getProducts: function () {
       return require('./products.json')
@@ -613,6 +657,10 @@ module.exports = function bitfinex (conf) {
         }
       ]
 
+      if (opts.price_aux_limit) {
+        ws_order[3].price_aux_limit = String(opts.price_aux_limit)
+      }
+
       try {
         ws_client.send(ws_order)
       }
@@ -630,6 +678,27 @@ module.exports = function bitfinex (conf) {
       return cb(null, order)
     },
 
+    placeStop: function (opts, cb) {
+      let walletName = conf.bitfinex.wallet.toUpperCase() === 'EXCHANGE' ? 'EXCHANGE ' : ''
+      let params = {
+        product_id: opts.product_id,
+        size: opts.size,
+        price: opts.stop_price,
+        type: walletName + 'STOP',
+        post_only: false
+      }
+      if (opts.stop_limit_price) {
+        params.type = walletName + 'STOP LIMIT'
+        params.price_aux_limit = opts.stop_limit_price
+      }
+      exchange.trade('sell', params, function (err, order) {
+        if (order) {
+          order.stop_price = opts.stop_price
+        }
+        cb(err, order)
+      })
+    },
+
     buy: function (opts, cb) {
       exchange.trade('buy', opts, cb)
     },
@@ -226,7 +226,7 @@ module.exports = function bittrex(conf) {
       var args = {
         market: joinProduct(opts.product_id),
         type: 'both',
-        depth: 10
+        depth: opts.depth || 10
       }
       bittrex_public.getorderbook(args, function(data) {
         if (typeof data !== 'object') {
@@ -248,7 +248,9 @@ module.exports = function bittrex(conf) {
           buyOrderRate: data.result.buy[0].Rate,
           buyOrderAmount: data.result.buy[0].Quantity,
           sellOrderRate: data.result.sell[0].Rate,
-          sellOrderAmount: data.result.sell[0].Quantity
+          sellOrderAmount: data.result.sell[0].Quantity,
+          bids: data.result.buy.map(function (level) { return [level.Rate, level.Quantity] }),
+          asks: data.result.sell.map(function (level) { return [level.Rate, level.Quantity] })
         })
       })
     },
@@ -0,0 +1,337 @@
+const ccxt = require('ccxt')
+  , fs = require('fs')
+  , path = require('path')
+  , child_process = require('child_process')
+  , _ = require('lodash')
+
+// Any exchange ccxt supports, selected as ccxt:<exchange>.ASSET-CURRENCY (see lib/load-exchange.js).
+// The products are the markets of the exchange, cached in ./products/<exchange>.json by
+// `update-products.sh <exchange>`, which runs by itself the first time they are needed.
+// What the exchange can do comes from ccxt's `has`, c.ccxt.<exchange> can correct it.
+module.exports = function container (conf, ccxt_id) {
+  if (!ccxt_id) {
+    throw new Error('\nselect an exchange of ccxt as ccxt:<exchange>.ASSET-CURRENCY')
+  }
+  if (ccxt.exchanges.indexOf(ccxt_id) === -1) {
+    throw new Error('\nccxt does not support the exchange ' + ccxt_id)
+  }
+
+  var ccxt_conf = (conf.ccxt && conf.ccxt[ccxt_id]) || {}
+  var retry_delay = ccxt_conf.retry_delay || 20000
+  var products_path = path.resolve(__dirname, 'products', ccxt_id + '.json')
+  var products = null
+  var public_client, authed_client
+
+  function createClient (credentials) {
+    return new ccxt[ccxt_id](_.omitBy(Object.assign({ enableRateLimit: true, options: ccxt_conf.options || {} }, credentials), _.isUndefined))
+  }
+
+  function publicClient () {
+    if (!public_client) public_client = createClient({})
+    return public_client
+  }
+
+  function authedClient () {
+    if (!authed_client) {
+      if (!ccxt_conf.key || ccxt_conf.key === 'YOUR-API-KEY') {
+        throw new Error('\nplease configure your ' + ccxt_id + ' credentials as c.ccxt.' + ccxt_id + ' in ' + path.resolve(__dirname, '../../../conf.js'))
+      }
+      authed_client = createClient({ apiKey: ccxt_conf.key, secret: ccxt_conf.secret, password: ccxt_conf.password, uid: ccxt_conf.uid })
+    }
+    return authed_client
+  }
+
+  // BTC-EUR to the ccxt symbol BTC/EUR
+  function symbol (product_id) {
+    return product_id.split('-').join('/')
+  }
+
+  // ccxt fees are fractions, zenbot's percentages
+  function percent (fee) {
+    return Number((fee * 100).toFixed(6))
+  }
+
+  // a ccxt precision, in decimal places or as a tick size, as an increment like 0.01
+  function increment (precision) {
+    if (typeof precision !== 'number') return '0.00000001'
+    if (publicClient().precisionMode === ccxt.TICK_SIZE) return precision.toFixed(12).replace(/\.?0+$/, '')
+    precision = Math.max(0, precision)
+    return Math.pow(10, -precision).toFixed(precision)
+  }
+
+  function toProduct (market) {
+    var limits = market.limits || {}
+    var precision = market.precision || {}
+    return _.omitBy({
+      id: market.id,
+      asset: market.base,
+      currency: market.quote,
+      min_size: (limits.amount || {}).min,
+      max_size: (limits.amount || {}).max,
+      min_total: (limits.cost || {}).min,
+      increment: increment(precision.price),
+      asset_increment: increment(precision.amount),
+      label: market.symbol,
+      maker_fee: typeof market.maker === 'number' ? percent(market.maker) : undefined,
+      taker_fee: typeof market.taker === 'number' ? percent(market.taker) : undefined
+    }, _.isUndefined)
+  }
+
+  // what the engine expects of an adapter, from what ccxt says the exchange has
+  var has = publicClient().has
+  var capabilities = _.defaults(_.pick(ccxt_conf, ['history_scan', 'post_only', 'stop_orders']), {
+    // ccxt pages the trades forward, from a time on
+    history_scan: has.fetchTrades ? 'forward' : false,
+    post_only: !!has.createPostOnlyOrder,
+    stop_orders: !!(has.createStopOrder || has.createStopLimitOrder || has.createStopMarketOrder)
+  })
+
+  function retry (method, args, err) {
+    // rate limits are expected, ccxt throttles the requests after them
+    if (method !== 'getTrades' && !(err instanceof ccxt.DDoSProtection)) {
+      console.error(('\n' + ccxt_id + ' API is down! unable to call ' + method + ', retrying in ' + (retry_delay / 1000) + 's').red)
+      if (err) console.error(err)
+      console.error(args.slice(0, -1))
+    }
+    setTimeout(function () {
+      exchange[method].apply(exchange, args)
+    }, retry_delay)
+  }
+
+  // network errors and rate limits are tried again, other errors go to cb
+  function failed (method, args, cb) {
+    return function (err) {
+      // an order may have been placed when the request timed out, so it is not placed twice
+      var placing = method === 'buy' || method === 'sell' || method === 'placeStop'
+      if (err instanceof ccxt.NetworkError && !(placing && err instanceof ccxt.RequestTimeout)) {
+        return retry(method, args, err)
+      }
+      cb(err)
+    }
+  }
+
+  // why ccxt refused an order, in the engine's terms, other refusals (e.g. an InvalidOrder for a
+  // size below the minimum) are errors
+  function rejectReason (err) {
+    if (ccxt.OrderImmediatelyFillable && err instanceof ccxt.OrderImmediatelyFillable) return 'post only'
+    if (err instanceof ccxt.InsufficientFunds) return 'balance'
+    return null
+  }
+
+  var orders = {}
+  var statuses = { open: 'open', closed: 'done', canceled: 'cancelled', expired: 'cancelled', rejected: 'rejected' }
+
+  // an order as ccxt answers it, into the engine's order
+  function update (order, body) {
+    var status = statuses[body.status]
+    if (!order.created_at) order.created_at = body.timestamp || new Date().getTime()
+    if (body.filled !== undefined && body.filled !== null) order.filled_size = body.filled
+    if (status === 'done' && order.status !== 'done') {
+      order.done_at = body.lastTradeTimestamp || new Date().getTime()
+      if (order.stop_price && body.average) {
+        // a triggered stop fills at the market, not at its limit price
+        order.price = body.average
+      }
+    }
+    if (status === 'rejected') order.reject_reason = order.post_only ? 'post only' : 'balance'
+    if (status) order.status = status
+    return order
+  }
+
+  function placeOrder (side, opts, cb) {
+    var func_args = [opts, cb]
+    var client = authedClient()
+    var taker = opts.order_type === 'taker'
+    var post_only = !taker && opts.post_only !== false
+    var params = {}
+    if (post_only && capabilities.post_only) params.postOnly = true
+    // without post-only orders the quote tells whether the order would take liquidity
+    var quote = post_only && !capabilities.post_only ? client.fetchTicker(symbol(opts.product_id)) : Promise.resolve(null)
+    quote.then(function (quote) {
+      if (quote && (side === 'buy' ? Number(opts.price) >= quote.ask : Number(opts.price) <= quote.bid)) {
+        return { status: 'rejected', reject_reason: 'post only' }
+      }
+      return client.createOrder(symbol(opts.product_id), taker ? 'market' : 'limit', side, Number(opts.size), taker ? undefined : Number(opts.price), params).then(function (body) {
+        var order = {
+          id: body.id,
+          status: 'open',
+          price: opts.price,
+          size: opts.size,
+          post_only: post_only,
+          created_at: body.timestamp || new Date().getTime(),
+          filled_size: '0',
+          ordertype: opts.order_type
+        }
+        orders['~' + body.id] = order
+        return update(order, body)
+      })
+    }).then(function (order) {
+      cb(null, order)
+    }, function (err) {
+      var reason = rejectReason(err)
+      if (reason) return cb(null, { status: 'rejected', reject_reason: reason })
+      failed(side, func_args, cb)(err)
+    })
+  }
+
+  var exchange = {
+    name: 'ccxt:' + ccxt_id,
+    historyScan: capabilities.history_scan,
+    historyScanUsesTime: true,
+    makerFee: 0.1,
+    takerFee: 0.2,
+    dynamicFees: true,
+    capabilities: capabilities,
+
+    getProducts: function () {
+      if (products) return products
+      if (!fs.existsSync(products_path)) {
+        // the engine needs the products right away, so the first load waits for the markets
+        child_process.execFileSync(process.execPath, [path.resolve(__dirname, 'update-products.sh'), ccxt_id], { stdio: 'inherit' })
+      }
+      products = JSON.parse(fs.readFileSync(products_path, 'utf8'))
+      return products
+    },
+
+    // the markets of the exchange as products, also written to the cache
+    loadProducts: function (cb) {
+      publicClient().loadMarkets().then(function (markets) {
+        products = _.values(markets).filter(function (market) {
+          return market.active !== false && market.spot !== false
+        }).map(toProduct)
+        if (!fs.existsSync(path.dirname(products_path))) fs.mkdirSync(path.dirname(products_path))
+        fs.writeFileSync(products_path, JSON.stringify(products, null, 2))
+        cb(null, products)
+      }, cb)
+    },
+
+    // the fees of the market traded
+    setFees: function (opts) {
+      var product = _.find(exchange.getProducts(), { asset: opts.asset, currency: opts.currency })
+      if (product && product.maker_fee !== undefined) exchange.makerFee = product.maker_fee
+      if (product && product.taker_fee !== undefined) exchange.takerFee = product.taker_fee
+    },
+
+    getTrades: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      publicClient().fetchTrades(symbol(opts.product_id), opts.from || undefined).then(function (trades) {
+        cb(null, trades.map(function (trade) {
+          return {
+            // not every exchange numbers its trades
+            trade_id: trade.id || [trade.timestamp, trade.price, trade.amount].join('-'),
+            time: trade.timestamp,
+            size: Number(trade.amount),
+            price: Number(trade.price),
+            side: trade.side
+          }
+        }))
+      }, failed('getTrades', func_args, cb))
+    },
+
+    getBalance: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      authedClient().fetchBalance().then(function (result) {
+        var balance = { asset: 0, asset_hold: 0, currency: 0, currency_hold: 0 }
+        if (result[opts.asset]) {
+          balance.asset = Number(result[opts.asset].total) || 0
+          balance.asset_hold = Number(result[opts.asset].used) || 0
+        }
+        if (result[opts.currency]) {
+          balance.currency = Number(result[opts.currency].total) || 0
+          balance.currency_hold = Number(result[opts.currency].used) || 0
+        }
+        cb(null, balance)
+      }, failed('getBalance', func_args, cb))
+    },
+
+    getQuote: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      publicClient().fetchTicker(symbol(opts.product_id)).then(function (result) {
+        cb(null, { bid: result.bid, ask: result.ask })
+      }, failed('getQuote', func_args, cb))
+    },
+
+    buy: function (opts, cb) {
+      placeOrder('buy', opts, cb)
+    },
+
+    sell: function (opts, cb) {
+      placeOrder('sell', opts, cb)
+    },
+
+    getOrder: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      // orders placed before a restart are not cached
+      var order = orders['~' + opts.order_id] || (orders['~' + opts.order_id] = { id: opts.order_id, status: 'open' })
+      authedClient().fetchOrder(opts.order_id, symbol(opts.product_id)).then(function (body) {
+        cb(null, update(order, body))
+      }, failed('getOrder', func_args, cb))
+    },
+
+    cancelOrder: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      authedClient().cancelOrder(opts.order_id, symbol(opts.product_id)).then(function () {
+        cb()
+      }, function (err) {
+        // the order is done or gone already
+        if (err instanceof ccxt.OrderNotFound) return cb()
+        failed('cancelOrder', func_args, cb)(err)
+      })
+    },
+
+    getCursor: function (trade) {
+      return (trade.time || trade)
+    }
+  }
+
+  if (has.fetchOrderBook) {
+    exchange.getOrderBook = function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      publicClient().fetchOrderBook(symbol(opts.product_id), opts.depth || 10).then(function (result) {
+        cb(null, { bids: result.bids, asks: result.asks })
+      }, failed('getOrderBook', func_args, cb))
+    }
+  }
+
+  // the open orders of the product, for reconciling the trade journal after a restart
+  if (has.fetchOpenOrders) {
+    exchange.getOpenOrders = function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      authedClient().fetchOpenOrders(symbol(opts.product_id)).then(function (bodies) {
+        cb(null, bodies.map(function (body) {
+          var order = orders['~' + body.id] || (orders['~' + body.id] = { id: body.id, price: body.price, size: body.amount, status: 'open' })
+          order.tradetype = body.side
+          return update(order, body)
+        }))
+      }, failed('getOpenOrders', func_args, cb))
+    }
+  }
+
+  // ccxt passes stopPrice on to the exchanges with stop orders
+  if (capabilities.stop_orders) {
+    exchange.placeStop = function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var price = opts.stop_limit_price || opts.stop_price
+      authedClient().createOrder(symbol(opts.product_id), opts.stop_limit_price ? 'limit' : 'market', 'sell', Number(opts.size), opts.stop_limit_price ? Number(price) : undefined, { stopPrice: Number(opts.stop_price) }).then(function (body) {
+        var order = {
+          id: body.id,
+          status: 'open',
+          price: price,
+          stop_price: opts.stop_price,
+          size: opts.size,
+          created_at: body.timestamp || new Date().getTime(),
+          filled_size: '0',
+          ordertype: 'stop'
+        }
+        orders['~' + body.id] = order
+        cb(null, update(order, body))
+      }, function (err) {
+        var reason = rejectReason(err)
+        if (reason) return cb(null, { status: 'rejected', reject_reason: reason })
+        failed('placeStop', func_args, cb)(err)
+      })
+    }
+  }
+
+  return exchange
+}
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// caches the markets of a ccxt exchange as its products: ./update-products.sh <exchange>
+let ccxt_id = process.argv[2]
+if (!ccxt_id) {
+  console.error('usage: update-products.sh <exchange>, one of require(\'ccxt\').exchanges')
+  process.exit(1)
+}
+
+require('./exchange')({}, ccxt_id).loadProducts(function (err, products) {
+  if (err) {
+    console.error('An error occurred', err)
+    process.exit(1)
+  }
+  console.log('wrote', products.length, 'products of', ccxt_id)
+  process.exit()
+})
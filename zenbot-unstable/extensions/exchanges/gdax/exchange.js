@@ -251,6 +251,30 @@ module.exports = function gdax (conf) {
     takerFee: 0.3,
     backfillRateLimit: 335,
 
+    // the public feed of lib/trade-feed.js, the websocket client above follows the orders
+    stream: {
+      url: function () {
+        return conf.gdax.websocketURI || 'wss://ws-feed.pro.coinbase.com'
+      },
+      subscribe: function (product_id) {
+        return [{type: 'subscribe', product_ids: [product_id], channels: ['matches', 'ticker', 'heartbeat']}]
+      },
+      parse: function (message) {
+        if (message.type === 'match') {
+          return {trades: [{
+            trade_id: message.trade_id,
+            time: new Date(message.time).getTime(),
+            size: Number(message.size),
+            price: Number(message.price),
+            side: message.side
+          }]}
+        }
+        if (message.type === 'ticker' && message.best_bid) {
+          return {quote: {bid: message.best_bid, ask: message.best_ask}}
+        }
+      }
+    },
+
     getProducts: function () {
       return require('./products.json')
     },
@@ -357,6 +381,20 @@ module.exports = function gdax (conf) {
       })
     },
 
+    getOrderBook: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = publicClient(opts.product_id)
+      if(so.debug) console.log('getproductorderbook call')
+      client.getProductOrderBook(opts.product_id, {level: 2}, function (err, resp, body) {
+        if (!err) err = statusErr(resp, body)
+        if (err) return retry('getOrderBook', func_args, err)
+        cb(null, {
+          bids: body.bids.slice(0, opts.depth || 10),
+          asks: body.asks.slice(0, opts.depth || 10)
+        })
+      })
+    },
+
     cancelOrder: function (opts, cb) {
       var func_args = [].slice.call(arguments)
       var client = authedClient()
@@ -468,6 +506,44 @@ module.exports = function gdax (conf) {
       })
     },
 
+    // stop-limit sell, rests on the book once stop_price is hit
+    placeStop: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      var params = {
+        product_id: opts.product_id,
+        size: opts.size,
+        price: opts.stop_limit_price || opts.stop_price,
+        stop: 'loss',
+        stop_price: opts.stop_price,
+        type: 'limit'
+      }
+
+      if (so.debug) {
+        console.log('placeStop call')
+      }
+
+      client.sell(params, function (err, resp, body) {
+        if (body && body.message === 'Insufficient funds') {
+          return cb(null, {
+            status: 'rejected',
+            reject_reason: 'balance'
+          })
+        }
+
+        if (!err) {
+          err = statusErr(resp, body)
+        }
+
+        if (err) {
+          return retry('placeStop', func_args, err)
+        }
+
+        orders['~' + body.id] = body
+        cb(null, body)
+      })
+    },
+
     getOrder: function (opts, cb) {
       if(websocket_cache[opts.product_id] && websocket_cache[opts.product_id].orders['~' + opts.order_id]) {
         let order_cache = websocket_cache[opts.product_id].orders['~' + opts.order_id]
@@ -494,7 +570,7 @@ module.exports = function gdax (conf) {
 
         if (resp.statusCode === 404) {
           // order was cancelled. recall from cache
-          body = orders['~' + opts.order_id]
+          body = orders['~' + opts.order_id] || {id: opts.order_id}
           body.status = 'done'
           body.done_reason = 'canceled'
         }
@@ -507,6 +583,25 @@ module.exports = function gdax (conf) {
       })
     },
 
+    // the open orders of the product, for reconciling the trade journal after a restart
+    getOpenOrders: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      client.getOrders({product_id: opts.product_id, status: 'open'}, function (err, resp, body) {
+        if (!err) {
+          err = statusErr(resp, body)
+        }
+        if (err) {
+          return retry('getOpenOrders', func_args, err)
+        }
+        body.forEach(function (order) {
+          order.tradetype = order.side
+          orders['~' + order.id] = order
+        })
+        cb(null, body)
+      })
+    },
+
     // return the property used for range querying.
     getCursor: function (trade) {
       return trade.trade_id
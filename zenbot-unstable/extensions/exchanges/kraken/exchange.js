@@ -92,9 +92,46 @@ module.exports = function container(conf) {
     historyScan: 'forward',
     makerFee: 0.16,
     takerFee: 0.26,
+    margin: true,
     // The limit for the public API is not documented, 1750 ms between getTrades in backfilling seems to do the trick to omit warning messages.
     backfillRateLimit: 3500,
 
+    // trades and the spread for lib/trade-feed.js, the websocket API names the pairs like the labels
+    stream: {
+      url: function() {
+        return 'wss://ws.kraken.com'
+      },
+      subscribe: function(product_id) {
+        var product = exchange.getProducts().find(function(product) {
+          return product.asset + '-' + product.currency === product_id
+        })
+        var pair = product ? product.label : product_id.replace('-', '/')
+        return [
+          {event: 'subscribe', pair: [pair], subscription: {name: 'trade'}},
+          {event: 'subscribe', pair: [pair], subscription: {name: 'spread'}}
+        ]
+      },
+      parse: function(message) {
+        // events like heartbeats are objects, channel updates arrays
+        if (!Array.isArray(message)) return
+        if (message[2] === 'trade') {
+          return {trades: message[1].map(function(trade) {
+            return {
+              // the same id as getTrades
+              trade_id: Number(trade[2]) + trade[1] + trade[0],
+              time: moment.unix(Number(trade[2])).valueOf(),
+              size: parseFloat(trade[1]),
+              price: parseFloat(trade[0]),
+              side: trade[3] == 'b' ? 'buy' : 'sell'
+            }
+          })}
+        }
+        if (message[2] === 'spread') {
+          return {quote: {bid: message[1][0], ask: message[1][1]}}
+        }
+      }
+    },
+
     getProducts: function() {
       return require('./products.json')
     },
@@ -174,7 +211,33 @@ module.exports = function container(conf) {
           balance.asset_hold = '0'
         }
 
-        cb(null, balance)
+        if (!opts.margin) return cb(null, balance)
+        // margin positions are not in the balance: a long is asset bought with borrowed currency,
+        // a short is borrowed asset sold for currency
+        client.api('OpenPositions', null, function(error, data) {
+          if (error) {
+            if (error.message.match(recoverableErrors)) {
+              return retry('getBalance', args, error)
+            }
+            console.error(('\ngetBalance error:').red)
+            console.error(error)
+            return cb(error)
+          }
+          if (data.error.length) {
+            return cb(data.error.join(','))
+          }
+          var pair = joinProductFormatted(opts.asset + '-' + opts.currency)
+          Object.keys(data.result).forEach(function(txid) {
+            var position = data.result[txid]
+            if (position.pair !== pair) return
+            var sign = position.type === 'buy' ? 1 : -1
+            var open = n(position.vol).subtract(position.vol_closed).value()
+            var cost = n(position.cost).multiply(open).divide(position.vol).value()
+            balance.asset = n(balance.asset).add(sign * open).format('0.00000000')
+            balance.currency = n(balance.currency).subtract(sign * cost).subtract(position.fee).format('0.00000000')
+          })
+          cb(null, balance)
+        })
       })
     },
 
@@ -203,6 +266,34 @@ module.exports = function container(conf) {
       })
     },
 
+    getOrderBook: function(opts, cb) {
+      var args = [].slice.call(arguments)
+      var client = publicClient()
+      var pair = joinProductFormatted(opts.product_id)
+      client.api('Depth', {
+        pair: pair,
+        count: opts.depth || 10
+      }, function(error, data) {
+        if (error) {
+          if (error.message.match(recoverableErrors)) {
+            return retry('getOrderBook', args, error)
+          }
+          console.error(('\ngetOrderBook error:').red)
+          console.error(error)
+          return cb(error)
+        }
+        if (data.error.length) {
+          return cb(data.error.join(','))
+        }
+        // the result is keyed by kraken's own pair name, e.g. XXBTZUSD
+        var book = data.result[pair] || data.result[Object.keys(data.result)[0]]
+        cb(null, {
+          bids: book.bids,
+          asks: book.asks
+        })
+      })
+    },
+
     cancelOrder: function(opts, cb) {
       var args = [].slice.call(arguments)
       var client = authedClient()
@@ -234,7 +325,7 @@ module.exports = function container(conf) {
       var params = {
         pair: joinProductFormatted(opts.product_id),
         type: type,
-        ordertype: (opts.order_type === 'taker' ? 'market' : 'limit'),
+        ordertype: opts.ordertype || (opts.order_type === 'taker' ? 'market' : 'limit'),
         volume: opts.size,
         trading_agreement: conf.kraken.tosagree
       }
@@ -244,6 +335,13 @@ module.exports = function container(conf) {
       if ('price' in opts) {
         params.price = opts.price
       }
+      if ('price2' in opts) {
+        params.price2 = opts.price2
+      }
+      if (opts.margin) {
+        // kraken takes margin orders at 2:1 and up, the position is still sized by the bot
+        params.leverage = Math.max(2, Math.round(opts.leverage || 1))
+      }
       if (so.debug) {
         console.log('\nFunction: trade')
         console.log(params)
@@ -307,6 +405,25 @@ module.exports = function container(conf) {
       exchange.trade('sell', opts, cb)
     },
 
+    placeStop: function(opts, cb) {
+      var params = {
+        product_id: opts.product_id,
+        size: opts.size,
+        ordertype: 'stop-loss',
+        price: opts.stop_price
+      }
+      if (opts.stop_limit_price) {
+        params.ordertype = 'stop-loss-limit'
+        params.price2 = opts.stop_limit_price
+      }
+      exchange.trade('sell', params, function(err, order) {
+        if (order) {
+          order.stop_price = opts.stop_price
+        }
+        cb(err, order)
+      })
+    },
+
     getOrder: function(opts, cb) {
       var args = [].slice.call(arguments)
       var order = orders['~' + opts.order_id]
@@ -345,6 +462,11 @@ module.exports = function container(conf) {
           return cb(null, order)
         }
 
+        if (order.stop_price && orderData.status === 'canceled' && !Number(orderData.vol_exec)) {
+          order.status = 'cancelled'
+          return cb(null, order)
+        }
+
         if (orderData.status === 'closed' || (orderData.status === 'canceled' && orderData.reason === 'User canceled')) {
           order.status = 'done'
           order.done_at = new Date().getTime()
@@ -126,7 +126,7 @@ module.exports = function container (conf) {
       var client = publicClient()
       var params = {
         currencyPair: joinProduct(opts.product_id),
-        depth: 10
+        depth: opts.depth || 10
       }
       client._public('returnOrderBook', params, function (err,  data) {
         if (typeof data !== 'object') {
@@ -141,7 +141,9 @@ module.exports = function container (conf) {
           buyOrderRate: data.bids[0][0],
           buyOrderAmount: data.bids[0][1],
           sellOrderRate: data.asks[0][0],
-          sellOrderAmount: data.asks[0][1]
+          sellOrderAmount: data.asks[0][1],
+          bids: data.bids,
+          asks: data.asks
         })
       })
     },
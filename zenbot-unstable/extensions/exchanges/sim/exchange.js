@@ -1,18 +1,29 @@
-let path = require('path')
-  , n = require('numbro')
+let n = require('numbro')
   , _ = require('lodash')
+  , fillModel = require('../../../lib/fill-model')
+  , margin = require('../../../lib/margin')
+  , loadExchange = require('../../../lib/load-exchange')
 
 module.exports = function sim (conf, s) {
 
-  let latency = 100 // In milliseconds, enough to be realistic without being disruptive
   let so = s.options
+  // In milliseconds, the default is enough to be realistic without being disruptive
+  let latency = so.sim_latency === undefined ? 100 : so.sim_latency
   let exchange_id = so.selector.exchange_id
-  let real_exchange = require(path.resolve(__dirname, `../${exchange_id}/exchange`))(conf)
+  let real_exchange = loadExchange(exchange_id, conf)
+  let fill_model = fillModel({
+    model: so.fill_model,
+    latency: latency,
+    queue_window: so.queue_window,
+    queue_factor: so.queue_factor,
+    fee_tiers: so.fee_tiers
+  })
 
   var now
   var balance = { asset: so.asset_capital, currency: so.currency_capital, asset_hold: 0, currency_hold: 0 }
 
   var last_order_id = 1001
+  var last_charge = null
   var orders = {}
   var openOrders = {}
   let debug = false // debug output specific to the sim exchange
@@ -38,9 +49,13 @@ module.exports = function sim (conf, s) {
     makerFee: real_exchange.makerFee,
     takerFee: real_exchange.takerFee,
     dynamicFees: real_exchange.dynamicFees,
+    margin: !!real_exchange.margin,
 
     getProducts: real_exchange.getProducts,
 
+    // paper trading follows the stream of the real exchange
+    stream: so.mode === 'paper' ? real_exchange.stream : undefined,
+
     getTrades: function (opts, cb) {
       if (so.mode === 'paper') {
         return real_exchange.getTrades(opts, cb)
@@ -50,6 +65,14 @@ module.exports = function sim (conf, s) {
       }
     },
 
+    getOrderBook: function (opts, cb) {
+      if (so.mode === 'paper' && real_exchange.getOrderBook) {
+        return real_exchange.getOrderBook(opts, cb)
+      }
+      // in sim the recorded snapshots are replayed with the trades instead
+      cb(new Error('\norder book not available in sim mode'))
+    },
+
     getBalance: function (opts, cb) {
       setTimeout(function() {
         s.sim_asset = balance.asset
@@ -89,7 +112,7 @@ module.exports = function sim (conf, s) {
     buy: function (opts, cb) {
       setTimeout(function() {
         if (debug) console.log(`buying ${opts.size * opts.price} vs on hold: ${balance.currency} - ${balance.currency_hold} = ${balance.currency - balance.currency_hold}`)
-        if (opts.size * opts.price > (balance.currency - balance.currency_hold)) {
+        if (so.margin ? !withinLeverage('buy', opts.size, opts.price) : opts.size * opts.price > (balance.currency - balance.currency_hold)) {
           if (debug) console.log('nope')
           return cb(null, { status: 'rejected', reject_reason: 'balance'})
         }
@@ -114,6 +137,7 @@ module.exports = function sim (conf, s) {
           created_at: now
         }
 
+        fill_model.place(order, now)
         orders['~' + result.id] = order
         openOrders['~' + result.id] = order
         recalcHold()
@@ -124,7 +148,7 @@ module.exports = function sim (conf, s) {
     sell: function (opts, cb) {
       setTimeout(function() {
         if (debug) console.log(`selling ${opts.size} vs on hold: ${balance.asset} - ${balance.asset_hold} = ${balance.asset - balance.asset_hold}`)
-        if (opts.size > (balance.asset - balance.asset_hold)) {
+        if (so.margin ? !withinLeverage('sell', opts.size, opts.price) : opts.size > (balance.asset - balance.asset_hold)) {
           if (debug) console.log('nope')
           return cb(null, { status: 'rejected', reject_reason: 'balance'})
         }
@@ -148,6 +172,7 @@ module.exports = function sim (conf, s) {
           time: now,
           created_at: now
         }
+        fill_model.place(order, now)
         orders['~' + result.id] = order
         openOrders['~' + result.id] = order
         recalcHold()
@@ -155,6 +180,23 @@ module.exports = function sim (conf, s) {
       }, latency)
     },
 
+    // resting sell stop, sold at the market once a trade hits stop_price,
+    // but not below stop_limit_price if given
+    placeStop: function (opts, cb) {
+      placeStopOrder('stop', opts, cb)
+    },
+
+    // stop plus a take-profit limit sell at price, whichever fills first cancels the other
+    placeOco: function (opts, cb) {
+      placeStopOrder('oco', opts, cb)
+    },
+
+    getOpenOrders: function (opts, cb) {
+      setTimeout(function() {
+        cb(null, _.values(openOrders))
+      }, latency)
+    },
+
     getOrder: function (opts, cb) {
       setTimeout(function() {
         var order = orders['~' + opts.order_id]
@@ -174,12 +216,65 @@ module.exports = function sim (conf, s) {
       return now
     },
 
+    // the books of a paper session, see lib/paper-ledger.js
+    getState: function () {
+      return JSON.parse(JSON.stringify({
+        balance: balance,
+        orders: _.values(openOrders),
+        last_order_id: last_order_id,
+        last_charge: last_charge,
+        volume: fill_model.volume()
+      }))
+    },
+
+    setState: function (state) {
+      balance = state.balance
+      orders = {}
+      openOrders = {}
+      state.orders.forEach(function (order) {
+        orders['~' + order.id] = order
+        openOrders['~' + order.id] = order
+      })
+      last_order_id = Math.max(last_order_id, state.last_order_id)
+      last_charge = state.last_charge
+      state.volume.forEach(function (fill) {
+        updateFees(fill.time, fill.total)
+      })
+      recalcHold()
+    },
+
+    // returns the order that liquidated the margin position, if it came to that
     processTrade: function(trade) {
       var orders_changed = false
       
       now = trade.time
+      if (so.margin) chargeInterest(trade)
 
       _.each(openOrders, function(order) {
+        if (order.ordertype === 'stop' || order.ordertype === 'oco') {
+          // stops rest on the exchange, they are not subject to order_adjust_time
+          if (order.ordertype === 'oco' && !order.triggered && trade.price >= order.price) {
+            processSell(order, trade)
+            orders_changed = true
+          }
+          else if (order.triggered || trade.price <= order.stop_price) {
+            order.triggered = true
+            if (!order.stop_limit_price || trade.price >= order.stop_limit_price) {
+              processSell(order, trade, { price: trade.price, taker: true, slippage: true })
+              orders_changed = true
+            }
+          }
+          return
+        }
+        if (fill_model.queue) {
+          let fill = fill_model.fill(order, trade)
+          if (fill) {
+            if (order.tradetype === 'buy') processBuy(order, trade, fill)
+            else processSell(order, trade, fill)
+            orders_changed = true
+          }
+          return
+        }
         if (trade.time - order.time < so.order_adjust_time) {
           return // Not time yet
         }
@@ -193,34 +288,152 @@ module.exports = function sim (conf, s) {
         }
       })
 
+      fill_model.record(trade)
+
       if (orders_changed)
         recalcHold()
+
+      if (so.margin) return liquidate(trade)
     }
   }
 
-  function processBuy (buy_order, trade) {
-    let fee = 0
-    let size = Math.min(buy_order.remaining_size, trade.size)
-    let price = buy_order.price
+  // the position after the open orders and this one fill may be up to --leverage times the equity,
+  // orders that make it smaller always go through
+  function withinLeverage (tradetype, size, price) {
+    let before = Number(balance.asset)
+    _.each(openOrders, function (order) {
+      before += (order.tradetype === 'buy' ? 1 : -1) * Number(order.remaining_size)
+    })
+    let after = before + (tradetype === 'buy' ? 1 : -1) * Number(size)
+    if (Math.abs(after) <= Math.abs(before)) return true
+    // a little room for the price moving between sizing and placing the order
+    return Math.abs(after) * price <= margin.equity(balance, price) * (so.leverage || 1) * 1.01
+  }
 
-    // Add estimated slippage to price
-    if (so.order_type === 'maker') {
-      price = n(price).add(n(price).multiply(so.avg_slippage_pct / 100)).format('0.00000000')
+  // interest on the borrowed funds, charged every full hour
+  function chargeInterest (trade) {
+    let hour = 60 * 60 * 1000
+    if (last_charge === null) last_charge = trade.time
+    while (trade.time - last_charge >= hour) {
+      let fee = margin.borrowFee(balance, trade.price, so.borrow_rate_pct, hour)
+      if (fee) {
+        balance.currency = n(balance.currency).subtract(fee).format('0.00000000')
+        balance.interest = n(balance.interest || 0).add(fee).value()
+      }
+      last_charge += hour
     }
+  }
 
-    let total = n(price).multiply(size)
+  // once the price crosses the liquidation price the position is closed at the market
+  // and the open orders are cancelled
+  function liquidate (trade) {
+    let asset = Number(balance.asset)
+    let price = margin.liquidationPrice(balance, so.maintenance_margin_pct)
+    if (!price || (asset > 0 ? trade.price > price : trade.price < price)) return
+    _.each(openOrders, function (order) {
+      order.status = 'cancelled'
+    })
+    openOrders = {}
+    let tradetype = asset > 0 ? 'sell' : 'buy'
+    // a buy pays the fee in the asset, buy that much more to close the short
+    let size = tradetype === 'sell' ? asset : n(-asset / (1 - (exchange.takerFee || 0) / 100)).format('0.00000000')
+    let order = {
+      id: last_order_id++,
+      status: 'open',
+      price: trade.price,
+      size: Number(size),
+      orig_size: Number(size),
+      remaining_size: Number(size),
+      filled_size: 0,
+      ordertype: 'taker',
+      tradetype: tradetype,
+      liquidation: true,
+      orig_time: now,
+      time: now,
+      created_at: now
+    }
+    orders['~' + order.id] = order
+    let fill = { size: order.size, price: trade.price, taker: true, slippage: false }
+    if (tradetype === 'buy') processBuy(order, trade, fill)
+    else processSell(order, trade, fill)
+    recalcHold()
+    return order
+  }
 
-    // Compute fees
-    if (so.order_type === 'maker' && exchange.makerFee) {
-      fee = n(size).multiply(exchange.makerFee / 100).value()
+  function placeStopOrder (ordertype, opts, cb) {
+    setTimeout(function() {
+      if (opts.size > (balance.asset - balance.asset_hold)) {
+        return cb(null, { status: 'rejected', reject_reason: 'balance'})
+      }
+
+      var order = {
+        id: last_order_id++,
+        status: 'open',
+        price: ordertype === 'oco' ? opts.price : opts.stop_price,
+        stop_price: Number(opts.stop_price),
+        stop_limit_price: opts.stop_limit_price ? Number(opts.stop_limit_price) : null,
+        size: opts.size,
+        orig_size: opts.size,
+        remaining_size: opts.size,
+        filled_size: 0,
+        ordertype: ordertype,
+        tradetype: 'sell',
+        orig_time: now,
+        time: now,
+        created_at: now
+      }
+      orders['~' + order.id] = order
+      openOrders['~' + order.id] = order
+      recalcHold()
+      cb(null, order)
+    }, latency)
+  }
+
+  // size, price and fee of a fill. Without a fill from the fill model the order fills
+  // as much of the trade as it can at its own price, with estimated slippage for makers
+  function fillFor (order, trade, fill) {
+    fill = fill || {}
+    let size = fill.size || Math.min(order.remaining_size, trade.size)
+    let price = fill.price || order.price
+    let taker = fill.taker !== undefined ? fill.taker : so.order_type === 'taker'
+    let slippage = fill.slippage !== undefined ? fill.slippage : so.order_type === 'maker'
+
+    // Add estimated slippage to price
+    if (slippage) {
+      let pct = order.tradetype === 'buy' ? so.avg_slippage_pct : -so.avg_slippage_pct
+      price = n(price).add(n(price).multiply(pct / 100)).format('0.00000000')
+    }
+
+    let fee_pct = 0
+    if (taker && exchange.takerFee) {
+      fee_pct = exchange.takerFee
     }
-    else if (so.order_type === 'taker' && s.exchange.takerFee) {
-      fee = n(size).multiply(exchange.takerFee / 100).value()
+    else if (!taker && (so.order_type === 'maker' || fill.taker === false) && exchange.makerFee) {
+      fee_pct = exchange.makerFee
     }
+    return { size: size, price: price, fee_pct: fee_pct }
+  }
+
+  function updateFees (time, total) {
+    let fees = fill_model.addVolume(time, total)
+    if (fees) {
+      exchange.makerFee = fees.maker
+      exchange.takerFee = fees.taker
+    }
+  }
+
+  function processBuy (buy_order, trade, fill) {
+    fill = fillFor(buy_order, trade, fill)
+    let size = fill.size
+    let total = n(fill.price).multiply(size)
+
+    // Compute fees
+    let fee = n(size).multiply(fill.fee_pct / 100).value()
 
     // Update balance
     balance.asset = n(balance.asset).add(size).subtract(fee).format('0.00000000')
     balance.currency = n(balance.currency).subtract(total).format('0.00000000')
+    updateFees(trade.time, total.value())
 
     // Process existing order size changes
     let order = buy_order
@@ -238,29 +451,22 @@ module.exports = function sim (conf, s) {
     }
   }
 
-  function processSell (sell_order, trade) {
-    let fee = 0
-    let size = Math.min(sell_order.remaining_size, trade.size)
-    let price = sell_order.price
-
-    // Add estimated slippage to price
-    if (so.order_type === 'maker') {
-      price = n(price).subtract(n(price).multiply(so.avg_slippage_pct / 100)).format('0.00000000')
+  function processSell (sell_order, trade, fill) {
+    // A triggered stop sells at the market
+    if (fill && fill.taker && fill.price) {
+      sell_order.price = fill.price
     }
-
-    let total = n(price).multiply(size)
+    fill = fillFor(sell_order, trade, fill)
+    let size = fill.size
+    let total = n(fill.price).multiply(size)
 
     // Compute fees
-    if (so.order_type === 'maker' && exchange.makerFee) {
-      fee = n(total).multiply(exchange.makerFee / 100).value()
-    }
-    else if (so.order_type === 'taker' && exchange.takerFee) {
-      fee = n(total).multiply(exchange.takerFee / 100).value()
-    }
+    let fee = n(total).multiply(fill.fee_pct / 100).value()
 
     // Update balance
     balance.asset = n(balance.asset).subtract(size).value()
     balance.currency = n(balance.currency).add(total).subtract(fee).format('0.00000000')
+    updateFees(trade.time, total.value())
 
     // Process existing order size changes
     let order = sell_order
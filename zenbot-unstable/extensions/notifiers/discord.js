@@ -28,6 +28,31 @@ module.exports = function discord (config) {
       }
 
       request(options, callback)
+    },
+    // webhooks can only post, commands are read from the channel with a bot token
+    onMessage: function (callback) {
+      var last_id = null
+      function poll () {
+        var url = 'https://discord.com/api/v9/channels/' + config.channel_id + '/messages' + (last_id ? '?after=' + last_id : '?limit=1')
+        request({url: url, json: true, headers: {Authorization: 'Bot ' + config.bot_token}}, function (error, response, messages) {
+          if (error || response.statusCode !== 200) {
+            console.log('\nerror: discord messages ' + (error || response.statusCode))
+          }
+          else if (Array.isArray(messages)) {
+            // the first poll only finds where the channel is at, ids are growing numbers as strings
+            var first = !last_id
+            messages.sort(function (a, b) {
+              return a.id.length - b.id.length || (a.id < b.id ? -1 : 1)
+            }).forEach(function (message) {
+              last_id = message.id
+              if (!first && !message.webhook_id && !message.author.bot) callback(message.content, message.author.id)
+            })
+            if (first && !last_id) last_id = '0'
+          }
+          setTimeout(poll, (config.poll_seconds || 5) * 1000)
+        })
+      }
+      poll()
     }
   }
   return discord
@@ -0,0 +1,32 @@
+var smtp = require('../../lib/smtp')
+  , template = require('../../lib/template')
+
+// Mails notifications through an SMTP server, with the subject and text rendered from
+// c.notifiers.email.subject and .text, or .templates[<event type>] for single events.
+module.exports = function email (config) {
+  var email = {
+    pushMessage: function (title, message, event) {
+      if (config.events && config.events.length && event && config.events.indexOf(event.type) === -1) return
+      var vars = template.vars(title, message, event)
+      smtp.send({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        user: config.user,
+        password: config.password,
+        allow_insecure_auth: config.allow_insecure_auth
+      }, {
+        from: config.from,
+        to: config.to,
+        subject: template.render(template.pick(config, event, 'subject'), vars),
+        text: template.render(template.pick(config, event, 'text'), vars)
+      }, function (err) {
+        if (err) {
+          console.error('\nerror: email notification')
+          console.error(err.message.trim())
+        }
+      })
+    }
+  }
+  return email
+}
@@ -1,4 +1,5 @@
 var IncomingWebhook = require('@slack/client').IncomingWebhook
+  , RTMClient = require('@slack/client').RTMClient
 
 module.exports = function slack (config) {
   var slack = {
@@ -10,6 +11,18 @@ module.exports = function slack (config) {
           console.error(err)
         }
       })
+    },
+    // commands come in through a bot user, replies go out through the webhook
+    onMessage: function (callback) {
+      var rtm = new RTMClient(config.bot_token)
+      rtm.on('message', function (event) {
+        if (event.subtype || event.bot_id || (config.channel && event.channel !== config.channel)) return
+        callback(event.text, event.user)
+      })
+      rtm.start().catch(function (err) {
+        console.error('\nerror: slack bot')
+        console.error(err)
+      })
     }
   }
   return slack
@@ -10,7 +10,7 @@ module.exports = function telegram (config) {
         console.log('\nChat ID error: command coming from wrong chat: ' + message.chat.id)
         return
       }
-      cb(message.text)
+      cb(message.text, message.from && message.from.id)
     }
   }
   var telegram = {
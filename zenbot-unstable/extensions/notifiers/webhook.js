@@ -0,0 +1,55 @@
+var http = require('http')
+  , https = require('https')
+  , url = require('url')
+  , template = require('../../lib/template')
+
+// Posts every notification to a url, with the body rendered from a JSON template
+// (c.notifiers.webhook.body, or .templates[<event type>].body). Failed requests and
+// 429/5xx answers are retried with a growing delay.
+module.exports = function webhook (config) {
+  function send (body, attempt) {
+    var target = url.parse(config.url)
+    var method = (config.method || 'POST').toUpperCase()
+    var payload = method === 'GET' ? '' : JSON.stringify(body)
+    var headers = Object.assign({'Content-Type': 'application/json'}, config.headers)
+    if (payload) headers['Content-Length'] = Buffer.byteLength(payload)
+
+    function retry (reason) {
+      if (attempt < (config.retries || 0)) {
+        return setTimeout(function () {
+          send(body, attempt + 1)
+        }, (config.retry_delay || 1000) * Math.pow(2, attempt))
+      }
+      console.error('\nerror: webhook notification to ' + target.host + ', ' + reason)
+    }
+
+    var req = (target.protocol === 'https:' ? https : http).request({
+      method: method,
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      auth: target.auth,
+      headers: headers
+    }, function (res) {
+      res.resume()
+      if (res.statusCode === 429 || res.statusCode >= 500) return retry('status ' + res.statusCode)
+      if (res.statusCode >= 400) console.error('\nerror: webhook notification to ' + target.host + ', status ' + res.statusCode)
+    })
+    req.setTimeout(config.timeout || 10000, function () {
+      req.abort()
+    })
+    req.on('error', function (err) {
+      retry(err.message)
+    })
+    req.end(payload)
+  }
+
+  var webhook = {
+    pushMessage: function (title, message, event) {
+      if (config.events && config.events.length && event && config.events.indexOf(event.type) === -1) return
+      send(template.render(template.pick(config, event, 'body'), template.vars(title, message, event)), 0)
+    }
+  }
+  return webhook
+}
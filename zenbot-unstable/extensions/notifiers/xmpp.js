@@ -1,19 +1,31 @@
 var simplexmpp = require('simple-xmpp')
 
 module.exports = function xmpp (config) {
+  function connect () {
+    if (!simplexmpp.conn) {
+      simplexmpp.connect({
+        jid       : config.jid,
+        password  : config.password,
+        host      : config.host,
+        port      : config.port,
+        reconnect : true
+      })
+    }
+  }
+
   var xmpp = {
     pushMessage: function(title, message) {
-      if (!simplexmpp.conn) {
-        simplexmpp.connect({
-          jid       : config.jid,
-          password  : config.password,
-          host      : config.host,
-          port      : config.port,
-          reconnect : true
-        })
-      }
-
+      connect()
       simplexmpp.send(config.to, title + ': ' + message)
+    },
+    onMessage: function (callback) {
+      connect()
+      simplexmpp.on('chat', function (from, message) {
+        callback(message, from)
+      })
+      simplexmpp.on('error', function (err) {
+        console.log('\nerror: xmpp event ' + err)
+      })
     }
   }
   return xmpp
@@ -4,14 +4,18 @@ module.exports = function api () {
   let random_port = require('random-port')
   let path = require('path')
   let moment = require('moment')
+  let crypto = require('crypto')
+  let url = require('url')
+  let WebSocket = require('ws')
 
-  let run = function(reporter, tradeObject) {
+  // cb, if given, gets the http server once it listens
+  let run = function(reporter, tradeObject, traders, cb) {
     if (!reporter.port || reporter.port === 0) {
       random_port({from: 20000}, function(port) {
-        startServer(port, reporter.ip, tradeObject)
+        startServer(port, reporter.ip, tradeObject, reporter.token, traders, cb)
       })
     } else {
-      startServer(reporter.port, reporter.ip, tradeObject)
+      startServer(reporter.port, reporter.ip, tradeObject, reporter.token, traders, cb)
     }
   }
 
@@ -28,7 +32,132 @@ module.exports = function api () {
     max: 50
   });
 
-  let startServer = function(port, ip, tradeObject) {
+  // the token is sent as "Authorization: Bearer <token>" or as ?token=<token>
+  let authorized = function (token, headers, query) {
+    let given = Buffer.from(String(query.token || (headers.authorization || '').replace(/^Bearer\s+/i, '')))
+    let expected = Buffer.from(String(token))
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+
+  // /api/* controls the running traders, the same things the keyboard commands of `zenbot trade` do
+  let controlRouter = function (token, traders) {
+    let router = express.Router()
+    router.use(express.json())
+    router.use(function (req, res, next) {
+      if (!authorized(token, req.headers, req.query)) return res.status(401).send({error: 'unauthorized'})
+      next()
+    })
+
+    // the selector is optional when trading a single selector
+    let trader = function (req, res) {
+      let selector = (req.body && req.body.selector) || req.query.selector
+      let found = selector ? traders.find((t) => t.s.options.selector.normalized === selector) : traders[0]
+      if (!found) res.status(404).send({error: 'not trading ' + selector})
+      return found
+    }
+
+    let reply = function (t, data) {
+      return Object.assign({selector: t.s.options.selector.normalized}, data)
+    }
+
+    router.get('/options', function (req, res) {
+      let t = trader(req, res)
+      if (t) res.send(reply(t, {options: t.getOptions()}))
+    })
+
+    router.post('/options', function (req, res) {
+      let t = trader(req, res)
+      if (!t) return
+      try {
+        res.send(reply(t, {options: t.setOptions(objectWithoutKey(req.body || {}, 'selector'))}))
+      } catch (err) {
+        res.status(400).send({error: err.message})
+      }
+    })
+
+    // {"type": "market"} for a market order, a limit order otherwise
+    let signal = function (name, limit_key, market_key) {
+      router.post('/' + name, function (req, res) {
+        let t = trader(req, res)
+        if (!t) return
+        let market = req.body && req.body.type === 'market'
+        t.executeKey(market ? market_key : limit_key, {ctrl: false})
+        res.send(reply(t, {signal: name, type: market ? 'market' : 'limit'}))
+      })
+    }
+    signal('buy', 'b', 'B')
+    signal('sell', 's', 'S')
+
+    router.post('/cancel', function (req, res) {
+      let t = trader(req, res)
+      if (!t) return
+      t.executeKey('c', {ctrl: false})
+      res.send(reply(t, {cancelled: true}))
+    })
+
+    // {"on": true|false}, toggles without a body
+    router.post('/manual', function (req, res) {
+      let t = trader(req, res)
+      if (!t) return
+      let on = req.body && typeof req.body.on === 'boolean' ? req.body.on : !t.getOptions().manual
+      res.send(reply(t, {options: t.setOptions({manual: on})}))
+    })
+
+    return router
+  }
+
+  // pushes {type, selector, time, data} messages for closed periods, signals, orders and balance changes
+  let startStream = function (server, token, traders) {
+    let wss = new WebSocket.Server({
+      server: server,
+      path: '/ws',
+      verifyClient: function (info) {
+        return authorized(token, info.req.headers, url.parse(info.req.url, true).query)
+      }
+    })
+
+    let broadcast = function (type, selector, data) {
+      let message = JSON.stringify({type: type, selector: selector, time: new Date().getTime(), data: data})
+      wss.clients.forEach(function (client) {
+        if (client.readyState === WebSocket.OPEN) client.send(message)
+      })
+    }
+
+    traders.forEach(function (t) {
+      let selector = t.s.options.selector.normalized
+      let last_balance = null
+      t.eventBus.on('period', function (period) {
+        broadcast('period', selector, period)
+      })
+      t.eventBus.on('signal', function (signal) {
+        broadcast('signal', selector, {signal: signal})
+      })
+      t.eventBus.on('orderPlaced', function (type, order) {
+        broadcast('order', selector, Object.assign({event: 'placed', type: type}, order))
+      })
+      t.eventBus.on('orderAdjusted', function (type, order) {
+        broadcast('order', selector, Object.assign({event: 'adjusted', type: type}, order))
+      })
+      t.eventBus.on('orderPartiallyFilled', function (type, order) {
+        broadcast('order', selector, Object.assign({event: 'partially_filled', type: type}, order))
+      })
+      t.eventBus.on('orderExecuted', function (type, trade) {
+        broadcast('order', selector, Object.assign({event: 'executed', type: type}, trade))
+      })
+      t.eventBus.on('orderCancelled', function (type, order) {
+        broadcast('order', selector, Object.assign({event: 'cancelled', type: type}, order))
+      })
+      t.eventBus.on('balance', function (balance) {
+        // the balance is synced around every order check, only changes are pushed
+        let json = JSON.stringify(balance)
+        if (json === last_balance) return
+        last_balance = json
+        broadcast('balance', selector, balance)
+      })
+    })
+  }
+
+  let startServer = function(port, ip, tradeObject, token, traders, cb) {
     tradeObject.port = port
 
     app.set('views', path.join(__dirname+'/../../templates'))
@@ -54,13 +183,28 @@ module.exports = function api () {
       res.sendFile(path.join(__dirname+'../../../stats/index.html'))
     })
 
+    // without a token nobody can trade through the API
+    let control = token && traders
+    if (control) {
+      app.use('/api', controlRouter(token, traders))
+    }
+
+    let server
     if (ip && ip !== '0.0.0.0') {
-      app.listen(port, ip)
+      server = app.listen(port, ip)
       tradeObject.url = ip + ':' + port + '/'
     } else {
-      app.listen(port)
+      server = app.listen(port)
       tradeObject.url = require('ip').address() + ':' + port + '/'
     }
+    if (control) {
+      startStream(server, token, traders)
+    }
+    if (cb) {
+      server.on('listening', function () {
+        cb(server)
+      })
+    }
     console.log('Web GUI running on http://' + tradeObject.url)
   }
 
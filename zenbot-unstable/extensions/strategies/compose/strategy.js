@@ -0,0 +1,2 @@
+// see lib/compose.js, e.g. --compose=macd,rsi,momentum --vote=majority --rsi.rsi_periods=10
+module.exports = require('../../../lib/compose')()
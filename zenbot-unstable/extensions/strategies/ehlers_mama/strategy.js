@@ -82,7 +82,7 @@ module.exports = {
       } else if (s.options.price_source === 'ohlc4'){
         s.mama.src.unshift(tv.ohlc4(s.period))
       } else if (s.options.price_source === 'HAohlc4'){
-        s.mama.src.unshift(tv.HAohlc4(s))
+        s.mama.src.unshift(tv.HAohlc4(s.period, s.lookback[0]))
       }
 
       //s.mama.src.unshift((s.period.high + s.period.low) / 2)
@@ -27,15 +27,15 @@ module.exports = {
       if(!s.options.price_source || s.options.price_source === 'close'){
         s.period.src = s.period.close
       } else if (s.options.price_source === 'hl2'){
-        s.period.src = tv.hl2(s)
+        s.period.src = tv.hl2(s.period)
       } else if (s.options.price_source === 'hlc3'){
-        s.period.src = tv.hlc3(s)
+        s.period.src = tv.hlc3(s.period)
       } else if (s.options.price_source === 'ohlc4'){
-        s.period.src = tv.ohlc4(s)
+        s.period.src = tv.ohlc4(s.period)
       } else if (s.options.price_source === 'HAhlc3'){
-        s.period.src = tv.HAhlc3(s)
+        s.period.src = tv.HAhlc3(s.period, s.lookback[0])
       } else if (s.options.price_source === 'HAohlc4'){
-        s.period.src = tv.HAohlc4(s)
+        s.period.src = tv.HAohlc4(s.period, s.lookback[0])
       }
     
       let a = s.options.alpha
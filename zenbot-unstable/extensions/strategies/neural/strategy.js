@@ -1,137 +1,86 @@
 let convnetjs = require('convnetjs')
   , z = require('zero-fill')
   , n = require('numbro')
-  , ema = require('../../../lib/ema')
   , Phenotypes = require('../../../lib/phenotype')
-const cluster = require('cluster')
 
-// the below line starts you at 0 threads
-global.forks = 0
-// the below line is for calculating the last mean vs the now mean.
-var oldmean = 0
+// A small net predicts the return of the next period from the returns of the last --depth periods.
+// It learns online, one step per closed period, and is kept in the sessions collection between
+// runs (see lib/model-store.js).
+//
+// `zenbot sim --mode train` starts a new net, trains it on the first --train_pct % of the range,
+// saves it and then only trades, which validates it on data it has not seen. Other sims load the
+// saved net and keep learning without saving it, trade and paper save it every --save_periods.
 module.exports = {
   name: 'neural',
-  description: 'Use neural learning to predict future price. Buy = mean(last 3 real prices) < mean(current & last prediction)',
-  getOptions: function () {
-    this.option('period', 'Period length - longer gets a better average', String, '30m')
-    this.option('period_length', 'Period length set same as --period', String, '30m')
-    this.option('activation_1_type', 'Neuron Activation Type: sigmoid, tanh, relu', String, 'sigmoid')
-    this.option('neurons_1', 'Neurons in layer 1', Number, 5)
-    this.option('activation_2_type', 'Neuron Activation Type: sigmoid, tanh, relu', String, 'sigmoid')
+  description: 'Online learning neural net that predicts the return of the next period. Buy when it predicts a rise of at least --min_predict_pct, sell when it predicts a fall.',
+
+  getOptions: function (s) {
+    this.option('period', 'period length, same as --period_length', String, '30m')
+    this.option('period_length', 'period length, same as --period', String, '30m')
+    this.option('min_periods', 'min. number of history periods', Number, 52)
+    this.option('depth', 'number of past period returns the net predicts from', Number, 50)
+    this.option('activation_1_type', 'Neuron Activation Type: sigmoid, tanh, relu', String, 'tanh')
+    this.option('neurons_1', 'Neurons in layer 1', Number, 10)
+    this.option('activation_2_type', 'Neuron Activation Type: sigmoid, tanh, relu', String, 'tanh')
     this.option('neurons_2', 'Neurons in layer 2', Number, 5)
-    this.option('depth', 'Generally the same as min_predict for accuracy', Number, 50)
-    this.option('min_periods', 'Periods to train neural network with from', Number, 2000)
-    this.option('min_predict', 'Periods to predict next number from less than min_periods', Number, 50)
-    this.option('momentum', 'momentum of prediction between 0 and 1 - 0 is stock', Number, 0.0)
-    this.option('decay', 'decay of prediction, use teeny tiny increments beteween 0 and 1 - stock', Number, 0.001)
-    this.option('threads', 'Number of processing threads you\'d like to run (best for sim - Possibly broken', Number, 1)
-    this.option('learns', 'Number of times to \'learn\' the neural network with past data', Number, 10)
-    this.option('learningrate', 'The learning rate of the neural network between 0 and 1 - 0.01 is stock', Number, 0.01)
+    this.option('learningrate', 'The learning rate of the neural network between 0 and 1', Number, 0.01)
+    this.option('momentum', 'momentum of the learning between 0 and 1', Number, 0.9)
+    this.option('decay', 'weight decay of the learning, use tiny values', Number, 0.001)
+    this.option('learns', 'number of training passes over every new period', Number, 1)
+    this.option('min_predict_pct', 'buy or sell on predicted moves of at least this %', Number, 0)
+    this.option('train_pct', 'with sim --mode train, the % of the range to train on, the rest validates', Number, 70)
+    this.option('save_periods', 'when trading, save the net every this many periods', Number, 12)
+    this.option('model', 'name to save the net under (default: from the selector, period and shape of the net)', String, null)
+    this.option('seed', 'seed for the starting weights of a new net, so runs can be repeated (default: random)', Number, null)
+
+    let so = s.options
+    if (so && so.train) {
+      if (!so.start) throw new Error('\nsim --mode train needs --start or --days')
+      // before the engine fakes the clock
+      let end = so.end || new Date().getTime()
+      s.neural_train_until = so.start + (end - so.start) * so.train_pct / 100
+    }
   },
+
   calculate: function () {
   },
+
   onPeriod: function (s, cb) {
-    ema(s, 'neural', s.options.neural)
-    if (s.neural === undefined) {
-      // Create the net the first time it is needed and NOT on every run
-      s.neural = {
-        net : new convnetjs.Net(),
-        layer_defs : [
-          {type:'input', out_sx:5, out_sy:1, out_depth:s.options.depth},
-          {type:'fc', num_neurons: s.options.neurons_1, activation: s.options.activation_1_type},
-          {type:'fc', num_neurons: s.options.neurons_2, activation: s.options.activation_2_type},
-          {type:'regression', num_neurons:5}
-        ],
-        neuralDepth: s.options.depth
-      }
-      s.neural.net.makeLayers(s.neural.layer_defs)
-      s.neural.trainer = new convnetjs.SGDTrainer(s.neural.net, {learning_rate:s.options.learningrate, momentum:s.options.momentum, batch_size:1, l2_decay:s.options.decay})
-    }
-    if (cluster.isMaster) {
-      ema(s, 'neural', s.options.neural)
-      if (global.forks < s.options.threads) { cluster.fork(); global.forks++ }
-      cluster.on('exit', (code) => { process.exit(code) })
+    let store = this.store
+    if (s.neural) {
+      step(s, store)
+      return cb()
     }
-
-    if (cluster.isWorker) {
-      ema(s, 'neural', s.options.neural)
-      var tlp = []
-      var tll = []
-      // this thing is crazy run with trendline placed here. But there needs to be a coin lock so you dont buy late!
-      if (!s.in_preroll && s.lookback[s.options.min_periods]) {
-        var min_predict = s.options.min_predict > s.options.min_periods ? s.options.min_periods : s.options.min_predict
-        for (let i = 0; i < s.options.min_periods; i++) {
-          tll.push(s.lookback[i])
-        }
-        for (let i = 0; i < min_predict; i++) {
-          tlp.push(s.lookback[i])
-        }
-        var my_data = tll.reverse()
-        var learn = function () {
-          //Learns
-          for (var j = 0; j < s.options.learns; j++) {
-            for (var i = 0; i < my_data.length - s.neural.neuralDepth; i++) {
-              var data = my_data.slice(i, i + s.neural.neuralDepth)
-              var real_value = my_data[i + s.neural.neuralDepth]
-              var x = new convnetjs.Vol(5, 1, s.neural.neuralDepth, 0)
-
-              for (var k = 0; k < s.neural.neuralDepth; k++) {
-                x.set(0,0,k,data[k].open)
-                x.set(1,0,k,data[k].close)
-                x.set(2,0,k,data[k].high)
-                x.set(3,0,k,data[k].low)
-                x.set(4,0,k,data[k].volume)
-              }
-
-              s.neural.trainer.train(x, [real_value.open, real_value.close, real_value.high, real_value.low, real_value.volume])
-            }
-          }
-        }
-        var predict = function(data) {
-          var x = new convnetjs.Vol(5, 1, s.neural.neuralDepth, 0)
-
-          for (var k = 0; k < s.neural.neuralDepth; k++) {
-            x.set(0,0,k,data[k].open)
-            x.set(1,0,k,data[k].close)
-            x.set(2,0,k,data[k].high)
-            x.set(3,0,k,data[k].low)
-            x.set(4,0,k,data[k].volume)
-          }
-
-          var predicted_value = s.neural.net.forward(x)
-          return predicted_value.w[1] // close value - x.set(1,0,k,data[k].close)
-        }
-        learn()
-        var item = tlp.reverse()
-        s.prediction = predict(item)
-      }
-      // NORMAL onPeriod STUFF here
-      global.predi = s.prediction
-      //something strange is going on here
-      global.sig0 = global.predi > oldmean
-      if (
-        global.sig0 === false
-      )
-      {
-        s.signal = 'sell'
-      }
-      else if
-      (
-        global.sig0 === true
-      )
-      {
-        s.signal = 'buy'
-      }
-      oldmean = global.predi
+    create(s, store, function () {
+      step(s, store)
       cb()
-    }
+    })
   },
-  onReport: function () {
+
+  onReport: function (s) {
     var cols = []
-    cols.push(z(8, n(global.predi).format('0000.000000000'), ' '))
+    let prediction = s.neural ? s.neural.prediction : null
+    if (prediction === null) {
+      cols.push(z(9, '', ' '))
+    }
+    else {
+      cols.push(z(9, n(prediction / 100).format('+0.000%'), ' ')[prediction > 0 ? 'green' : 'red'])
+    }
     return cols
   },
 
+  onExit: function (s) {
+    let neural = s.neural
+    if (!s.options.train || !neural) return
+    if (!neural.saved) save(s, this.store)
+    let validation = neural.validation
+    let line = '\nneural: trained on ' + neural.samples + ' periods'
+    if (validation.count) {
+      line += ', validated on ' + validation.count + ': RMSE ' + n(Math.sqrt(validation.squared_error / validation.count) / 100).format('0.000%') + ' per period, direction right ' + n(validation.hits / validation.count).format('0.0%')
+    }
+    console.log(line)
+  },
+
   phenotypes: {
     // -- common
     period_length: Phenotypes.RangePeriod(1, 120, 'm'),
@@ -149,12 +98,140 @@ module.exports = {
     neurons_2: Phenotypes.Range(1, 20),
     activation_1_type: Phenotypes.ListOption(['sigmoid', 'tanh', 'relu']),
     activation_2_type: Phenotypes.ListOption(['sigmoid', 'tanh', 'relu']),
-    depth: Phenotypes.Range(1, 200),
-    min_predict: Phenotypes.Range(1, 200),
-    // momentum and decay and learning rate are decimals?
-    momentum: Phenotypes.RangeFloat(0, 1),
-    decay: Phenotypes.RangeFloat(0, 1),
-    learns: Phenotypes.Range(1, 500),
-    learningrate: Phenotypes.RangeFloat(0, 1)
+    depth: Phenotypes.Range(5, 100),
+    momentum: Phenotypes.RangeFloat(0, 0.99),
+    decay: Phenotypes.RangeFloat(0, 0.01),
+    learns: Phenotypes.Range(1, 10),
+    learningrate: Phenotypes.RangeFloat(0.001, 0.1),
+    min_predict_pct: Phenotypes.RangeFloat(0, 1)
+  }
+}
+
+function modelName (so) {
+  return so.model || ['neural', so.selector.normalized, so.period_length, so.depth, so.activation_1_type + so.neurons_1, so.activation_2_type + so.neurons_2].join('_')
+}
+
+// a new net, with the weights of the saved one unless training from scratch
+function create (s, store, cb) {
+  let so = s.options
+  let net = new convnetjs.Net()
+  net.makeLayers([
+    {type: 'input', out_sx: 1, out_sy: 1, out_depth: so.depth},
+    {type: 'fc', num_neurons: so.neurons_1, activation: so.activation_1_type},
+    {type: 'fc', num_neurons: so.neurons_2, activation: so.activation_2_type},
+    {type: 'regression', num_neurons: 1}
+  ])
+  if (so.seed !== null && typeof so.seed !== 'undefined') seedWeights(net, so.seed)
+  s.neural = {
+    net: net,
+    trainer: new convnetjs.SGDTrainer(net, {learning_rate: so.learningrate, momentum: so.momentum, batch_size: 1, l2_decay: so.decay}),
+    samples: 0,
+    prediction: null,
+    trend: null,
+    periods_since_save: 0,
+    saved: false,
+    validation: {count: 0, squared_error: 0, hits: 0}
+  }
+  if (so.train) return cb()
+  store.load(modelName(so), function (err, model) {
+    if (err) {
+      console.error('\ncould not load the neural net ' + modelName(so) + ', starting a new one')
+      console.error(err)
+    }
+    else if (model) {
+      try {
+        net.fromJSON(model.net)
+        s.neural.samples = model.samples
+      }
+      catch (e) {
+        console.error('\nthe saved neural net ' + modelName(so) + ' does not fit the options, starting a new one')
+      }
+    }
+    cb()
+  })
+}
+
+// the weights convnetjs starts with, gaussian with a std of sqrt(1 / inputs), drawn from a seeded
+// generator instead of Math.random
+function seedWeights (net, seed) {
+  let state = (Math.abs(Math.floor(seed)) % 2147483646) + 1
+  function random () {
+    state = (state * 16807) % 2147483647
+    return state / 2147483647
+  }
+  net.layers.forEach(function (layer) {
+    (layer.filters || []).forEach(function (filter) {
+      let std = Math.sqrt(1 / filter.w.length)
+      for (let i = 0; i < filter.w.length; i++) {
+        filter.w[i] = Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random()) * std
+      }
+    })
+  })
+}
+
+function save (s, store) {
+  let name = modelName(s.options)
+  s.neural.saved = true
+  s.neural.periods_since_save = 0
+  store.save(name, {net: s.neural.net.toJSON(), samples: s.neural.samples}, function (err) {
+    if (err) {
+      console.error('\ncould not save the neural net ' + name)
+      console.error(err)
+    }
+  })
+}
+
+// the last count period returns in %, newest first
+function returns (s, count) {
+  let periods = [s.period].concat(s.lookback.slice(0, count))
+  if (periods.length < count + 1) return null
+  let result = []
+  for (let i = 0; i < count; i++) {
+    result.push((periods[i].close / periods[i + 1].close - 1) * 100)
+  }
+  return result
+}
+
+function input (values) {
+  let x = new convnetjs.Vol(1, 1, values.length, 0)
+  values.forEach(function (value, i) {
+    x.set(0, 0, i, value)
+  })
+  return x
+}
+
+function step (s, store) {
+  let so = s.options
+  let neural = s.neural
+  let r = returns(s, so.depth + 1)
+  if (!r) return
+  let training = !so.train || s.period.time < s.neural_train_until
+
+  if (training) {
+    // the window before the period that just closed, and how that period went
+    let x = input(r.slice(1))
+    for (let i = 0; i < so.learns; i++) {
+      neural.trainer.train(x, [r[0]])
+    }
+    neural.samples++
+  }
+  else {
+    if (!neural.saved) save(s, store)
+    if (neural.prediction !== null) {
+      neural.validation.count++
+      neural.validation.squared_error += Math.pow(neural.prediction - r[0], 2)
+      if ((neural.prediction > 0) === (r[0] > 0)) neural.validation.hits++
+    }
+  }
+  if (!so.train && (so.mode === 'live' || so.mode === 'paper') && ++neural.periods_since_save >= so.save_periods) {
+    save(s, store)
+  }
+
+  neural.prediction = neural.net.forward(input(r.slice(0, so.depth))).w[0]
+  if (s.in_preroll || (so.train && training)) return
+  let trend = neural.prediction > 0 && neural.prediction >= so.min_predict_pct ? 'up' : neural.prediction < 0 && -neural.prediction >= so.min_predict_pct ? 'down' : null
+  if (trend && trend !== neural.trend) {
+    s.signal = trend === 'up' ? 'buy' : 'sell'
   }
+  if (trend) neural.trend = trend
 }
@@ -13,6 +13,7 @@ module.exports = {
     this.option('trendtrades_1', 'Trades for array 1 to be subtracted stddev and mean from', Number, 5)
     this.option('trendtrades_2', 'Trades for array 2 to be calculated stddev and mean from', Number, 53)
     this.option('min_periods', 'min_periods', Number, 1250)
+    this.ticks()
   },
   calculate: function () {
   },
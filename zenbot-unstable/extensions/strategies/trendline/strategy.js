@@ -21,6 +21,7 @@ module.exports = {
     this.option('min_periods', 'Basically avgpoints + a BUNCH of more preroll periods for anything less than 5s period', Number, 15000)
     this.option('markup_sell_pct', 'test', Number, 0)
     this.option('markdown_buy_pct', 'test', Number, 0)
+    this.ticks()
   },
 
   calculate: function () {
@@ -15,14 +15,21 @@ let _ = require('lodash')
 
 const spawn = require('child_process').spawn
 
-let simArgs, simTotalCount, parallelLimit, writeFile
+let simArgs, simTotalCount, parallelLimit, writeFile, pool
 
-let processOutput = function (output, taskStrategyName, pheno) {
+// sim writes its results to this file when run with --backtester_generation, or to --result_file
+let readSimulationResults = function (taskStrategyName, pheno) {
+  let selector = pheno.selector || pheno.exchangeMarketPair
+  let tFileName = pheno.result_file ? path.resolve(pheno.result_file) : path.resolve(__dirname, '..', 'simulations', 'sim_' + taskStrategyName.replace('_', '') + '_' + selector.toLowerCase().replace('_', '') + '_' + pheno.backtester_generation + '.json')
+  if (!fs.existsSync(tFileName)) return
+  let jsonBuffer = fs.readFileSync(tFileName, { encoding: 'utf8' })
+  fs.unlinkSync(tFileName)
+  return JSON.parse(jsonBuffer)
+}
+
+let processOutput = function (simulationResults, taskStrategyName, pheno) {
   let selector = pheno.selector || pheno.exchangeMarketPair
-  let tFileName = path.resolve(__dirname, '..', 'simulations', 'sim_' + taskStrategyName.replace('_', '') + '_' + selector.toLowerCase().replace('_', '') + '_' + pheno.backtester_generation + '.json')
-  let simulationResults
 
-  let outputArray
   let params
   let assetPriceLastBuy
   let lastAssestValue
@@ -38,32 +45,13 @@ let processOutput = function (output, taskStrategyName, pheno) {
   let losses
   let errorRate
   let days
+  let maxDrawdown
+  let sharpe
+  let sortino
+  let calmar
+  let exposure
   let start
   let end
-  // This can retrieve the results from 2 different places.  It defaults to reading it from the json file
-  // but if no file is found it will fall back to the older metheod of scraping the output of the sim process
-  // stdio scraping to be removed after full verification of functionality.
-  // todo: see above comment
-  if (fs.existsSync(tFileName)) {
-    let jsonBuffer
-    jsonBuffer = fs.readFileSync(tFileName, { encoding: 'utf8' })
-    simulationResults = JSON.parse(jsonBuffer)
-    fs.unlinkSync(tFileName)
-  }
-
-  // If somehow the sim file failed to write, this will most often recover it by parsing the last output
-  if (typeof (simulationResults) !== 'object') {
-    // Find everything between the first { and last }
-    outputArray = output.split('{')
-    outputArray.shift()
-    output = outputArray.join('{')
-
-    outputArray = output.split('}')
-    outputArray.pop()
-    output = outputArray.join('}')
-
-    simulationResults = JSON.parse(`{${output}}`)
-  }
 
   if (typeof (simulationResults) === 'object' && typeof simulationResults.simresults !== typeof undefined) {
     params = simulationResults
@@ -82,6 +70,11 @@ let processOutput = function (output, taskStrategyName, pheno) {
     losses = simulationResults.simresults.total_losses
     errorRate = simulationResults.simresults.total_losses / simulationResults.simresults.total_sells
     days = parseInt(simulationResults.days)
+    maxDrawdown = simulationResults.simresults.max_drawdown
+    sharpe = simulationResults.simresults.sharpe
+    sortino = simulationResults.simresults.sortino
+    calmar = simulationResults.simresults.calmar
+    exposure = simulationResults.simresults.exposure
     start = parseInt(simulationResults.start)
     end = parseInt(simulationResults.end || null)
   }
@@ -122,7 +115,6 @@ let processOutput = function (output, taskStrategyName, pheno) {
 
   if (typeof params === 'undefined') {
     console.log('busted params')
-    console.log(`output: ${JSON.stringify(output)}`)
     console.log(`simulationResults: ${JSON.stringify(simulationResults)}`)
   }
 
@@ -199,7 +191,12 @@ let processOutput = function (output, taskStrategyName, pheno) {
     roi: roi,
     selector: params.selector,
     strategy: params.strategy,
-    frequency: roundp((wins + losses) / days, 3)
+    frequency: roundp((wins + losses) / days, 3),
+    maxDrawdown: maxDrawdown,
+    sharpe: sharpe,
+    sortino: sortino,
+    calmar: calmar,
+    exposure: exposure
   }
 
 
@@ -446,6 +443,8 @@ module.exports = {
     simTotalCount = options.simTotalCount
     parallelLimit = options.parallelLimit
     writeFile = options.writeFile
+    // a lib/sim-pool.js to run the sims in, instead of a sim process each
+    pool = options.pool
   },
 
   deLint: function () {
@@ -508,7 +507,10 @@ module.exports = {
     if (argv.silent)
       cmdArgs.silent = true
 
-    cmdArgs.backtester_generation = phenotype.backtester_generation
+    if (phenotype.result_file)
+      delete cmdArgs.backtester_generation
+    else
+      cmdArgs.backtester_generation = phenotype.backtester_generation
 
     let zenbot_cmd = process.platform === 'win32' ? 'zenbot.bat' : './zenbot.sh'
     let command = `${zenbot_cmd} sim ${selector}`
@@ -528,6 +530,7 @@ module.exports = {
 
     return {
       commandString: command,
+      options: Object.assign({ selector: selector }, cmdArgs),
       queryStart: actualRange.start,
       queryEnd: actualRange.end
     }
@@ -540,16 +543,11 @@ module.exports = {
     phenotype['command'] = command
 
     command.startTime = moment()
-    var cmdArgs = command.commandString.split(' ')
-    var cmdName = cmdArgs.shift()
-    const proc = spawn(cmdName, cmdArgs)
-    var endData = ''
 
-    proc.on('exit', () => {
+    let finish = function (simulationResults, stdout) {
       let result = null
-      let stdout = endData.toString()
       try {
-        result = processOutput(stdout, taskStrategyName, phenotype)
+        result = processOutput(simulationResults, taskStrategyName, phenotype)
 
         command.endTime = moment()
         command.result = result
@@ -570,6 +568,27 @@ module.exports = {
       }
 
       cb(null, result)
+    }
+
+    if (pool) {
+      let progress = function (time) {
+        command.currentTimeString = moment(time).format('YYYY-MM-DD HH:mm:ss')
+      }
+      pool.run(command.options, progress, (err, simulationResults) => {
+        if (err) console.log(`\nsim ${command.iteration} failed: ${err.message.trim()}`)
+        finish(err ? undefined : simulationResults, '')
+      })
+      return
+    }
+
+    if (phenotype.result_file) ensureDirectoryExistence(phenotype.result_file)
+    var cmdArgs = command.commandString.split(' ')
+    var cmdName = cmdArgs.shift()
+    const proc = spawn(cmdName, cmdArgs)
+    var endData = ''
+
+    proc.on('exit', () => {
+      finish(readSimulationResults(taskStrategyName, phenotype), endData.toString())
     })
     proc.stdout.on('data', (data) => {
       if (data.length > 500) {
@@ -0,0 +1,194 @@
+let tb = require('timebucket')
+  , collectionService = require('./services/collection-service')
+
+// OHLCV candles of the stored trades per selector and size, for `zenbot sim --use_candles`.
+// backfill and import rebuild the candles of the range they saved for the sizes in
+// c.candle_sizes, sim builds the ones missing in its range (e.g. of trades recorded by
+// `zenbot trade`) before it replays them:
+//
+//   {selector, size, period_id, time, close_time, first_trade_time, latest_trade_time,
+//    open, high, low, close, volume, trades}
+//
+// Periods built from the candles of a size that divides --period have the same open, high,
+// low, close and volume as periods built from the trades.
+module.exports = function candleCache (conf) {
+  let sizes = String(conf.candle_sizes || '').split(',').map(function (size) {
+    return size.trim()
+  }).filter(Boolean)
+  let page_size = 1000
+  let collections = null
+
+  // looked up on first use, conf.db is set up by then
+  function candles () {
+    if (!collections) collections = {candles: collectionService(conf).getCandles(), trades: collectionService(conf).getTrades()}
+    return collections.candles
+  }
+
+  function trades () {
+    candles()
+    return collections.trades
+  }
+
+  // builds the candles of sizes starting at from and ending by to (null for now) from the stored
+  // trades, a candle reaching past either end is left as it is
+  function rebuild (selector, build_sizes, from, to, cb) {
+    let open = {}
+    let writes = []
+    // time and trade_id of the last trade read, the next page starts after it even if many
+    // trades share its time
+    let cursor = null
+
+    function save (candle) {
+      if (candle.time < from || (to && candle.close_time >= to)) return
+      candle.id = candle._id = selector + '-' + candle.period_id
+      candle.selector = selector
+      writes.push(candles().replaceOne({_id: candle.id}, candle, {upsert: true}))
+    }
+
+    function next () {
+      let query = {selector: selector, time: {$gte: cursor ? cursor.time : from}}
+      if (to) query.time.$lt = to
+      if (cursor) query.$or = [{time: {$gt: cursor.time}}, {trade_id: {$gt: cursor.trade_id}}]
+      trades().find(query).sort({time: 1, trade_id: 1}).limit(page_size).toArray(function (err, page) {
+        if (err) return cb(err)
+        page.forEach(function (trade) {
+          build_sizes.forEach(function (size) {
+            let candle = open[size]
+            if (candle && trade.time > candle.close_time) {
+              save(candle)
+              candle = null
+            }
+            if (!candle) {
+              candle = open[size] = start(trade, size)
+            }
+            add(candle, trade)
+          })
+        })
+        if (page.length === page_size) {
+          cursor = {time: page[page.length - 1].time, trade_id: page[page.length - 1].trade_id}
+          return next()
+        }
+        build_sizes.forEach(function (size) {
+          if (open[size]) save(open[size])
+        })
+        Promise.all(writes).then(function () {
+          cb()
+        }, cb)
+      })
+    }
+    next()
+  }
+
+  return {
+    sizes: sizes,
+
+    // called once trades of the selector between the times from and to are saved
+    update: function (selector, from, to, cb) {
+      if (!sizes.length || from === null) return cb()
+      let start = from
+      let end = to
+      sizes.forEach(function (size) {
+        start = Math.min(start, tb(from).resize(size).toMilliseconds())
+        end = Math.max(end, tb(to).resize(size).add(1).toMilliseconds())
+      })
+      rebuild(selector, sizes, start, end, cb)
+    },
+
+    rebuild: rebuild,
+
+    // the largest of the sizes every period length is a multiple of
+    sizeFor: function (lengths) {
+      return sizes.slice().sort(function (a, b) {
+        return length(b) - length(a)
+      }).find(function (size) {
+        return lengths.every(function (period_length) {
+          return length(period_length) % length(size) === 0
+        })
+      }) || null
+    },
+
+    // whether the candles of size starting at from and ending by to (null for now) hold every
+    // stored trade between them
+    covers: function (selector, size, from, to, cb) {
+      let range = {$gte: from}
+      if (to) range.$lt = to
+      Promise.all([
+        trades().find({selector: selector, time: range}).count(),
+        candles().find({selector: selector, size: size, time: range}).toArray()
+      ]).then(function (results) {
+        let count = 0
+        results[1].forEach(function (candle) {
+          count += candle.trades
+        })
+        cb(null, count === results[0])
+      }, cb)
+    },
+
+    find: function (query) {
+      return candles().find(query)
+    }
+  }
+}
+
+function length (size) {
+  return tb(0).resize(size).add(1).toMilliseconds()
+}
+
+function start (trade, size) {
+  let d = tb(trade.time).resize(size)
+  return {
+    size: size,
+    period_id: d.toString(),
+    time: d.toMilliseconds(),
+    close_time: d.add(1).toMilliseconds() - 1,
+    first_trade_time: trade.time,
+    open: trade.price,
+    high: trade.price,
+    low: trade.price,
+    close: trade.price,
+    volume: 0,
+    trades: 0
+  }
+}
+
+function add (candle, trade) {
+  candle.high = Math.max(candle.high, trade.price)
+  candle.low = Math.min(candle.low, trade.price)
+  candle.close = trade.price
+  candle.volume += trade.size
+  candle.latest_trade_time = trade.time
+  candle.trades++
+}
+
+// candles of size from trades in time order
+module.exports.aggregate = function (trades, size) {
+  let candles = []
+  trades.forEach(function (trade) {
+    let candle = candles[candles.length - 1]
+    if (!candle || trade.time > candle.close_time) {
+      candle = start(trade, size)
+      candles.push(candle)
+    }
+    add(candle, trade)
+  })
+  return candles
+}
+
+// the four trades sim replays a candle as, like `zenbot import` turns OHLCV files into trades:
+// up candles go open, low, high, close, down candles open, high, low, close
+module.exports.toTrades = function (candle) {
+  let up = candle.close >= candle.open
+  let prices = [candle.open, up ? candle.low : candle.high, up ? candle.high : candle.low, candle.close]
+  let span = candle.latest_trade_time - candle.first_trade_time
+  return prices.map(function (price, idx) {
+    let time = candle.first_trade_time + Math.floor(idx * span / 3)
+    return {
+      trade_id: candle.period_id + '-' + idx,
+      time: time,
+      size: candle.volume / 4,
+      price: price,
+      side: idx && price < prices[idx - 1] ? 'sell' : 'buy',
+      selector: candle.selector
+    }
+  })
+}
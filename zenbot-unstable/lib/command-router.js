@@ -0,0 +1,175 @@
+let crypto = require('crypto')
+  , n = require('numbro')
+  , { formatAsset, formatCurrency, formatPercent } = require('./format')
+
+// Chat commands for the interactive notifiers (telegram, discord, xmpp, slack), the same things
+// the keyboard and the API of `zenbot trade` do. Only users on the allowlist of their notifier
+// (c.notifiers.<name>.users) get an answer, buys and sells wait for a /confirm.
+//
+//   let router = commandRouter(conf, traders)
+//   router.handle('/buy market', {notifier: 'telegram', user: '1234', reply: function (text) {}})
+//
+// Traders are what `zenbot trade` starts per selector: {s, executeKey, getOptions, setOptions}.
+module.exports = function commandRouter (conf, traders) {
+  let active = 0
+  let pending = {}
+  let confirm_ms = (conf.notifiers && conf.notifiers.confirm_seconds || 60) * 1000
+
+  function allowed (from) {
+    let notifier = conf.notifiers && conf.notifiers[from.notifier]
+    let users = (notifier && notifier.users) || []
+    return users.map(String).indexOf(String(from.user)) !== -1
+  }
+
+  function trader () {
+    return traders[active]
+  }
+
+  function selector (t) {
+    return t.s.options.selector.normalized
+  }
+
+  function status (t) {
+    let s = t.s
+    let so = s.options
+    let lines = [selector(t) + ' ' + so.mode + (so.manual ? ', paused' : '') + ', ' + so.strategy + ' ' + so.period_length]
+    if (s.period) lines.push('price ' + formatCurrency(s.period.close, s.currency))
+    lines.push('last action ' + (s.action || 'none') + ', last signal ' + (s.last_signal || 'none'))
+    let capital = s.orig_capital || s.start_capital
+    if (s.period && capital) {
+      let equity = n(s.balance.asset).multiply(s.period.close).add(s.balance.currency).value()
+      lines.push('profit ' + formatPercent((equity - capital) / capital))
+    }
+    return lines.join('\n')
+  }
+
+  function balance (t) {
+    let s = t.s
+    let lines = [
+      formatAsset(s.balance.asset, s.asset) + (Number(s.balance.asset_hold) ? ' (' + formatAsset(s.balance.asset_hold, s.asset) + ' on hold)' : ''),
+      formatCurrency(s.balance.currency, s.currency) + (Number(s.balance.currency_hold) ? ' (' + formatCurrency(s.balance.currency_hold, s.currency) + ' on hold)' : '')
+    ]
+    if (s.period) lines.push('worth ' + formatCurrency(n(s.balance.asset).multiply(s.period.close).add(s.balance.currency).value(), s.currency))
+    return lines.join('\n')
+  }
+
+  function orders (t) {
+    let s = t.s
+    let lines = ['buy', 'sell'].filter(function (type) {
+      return s[type + '_order']
+    }).map(function (type) {
+      let order = s[type + '_order']
+      return type + ' ' + formatAsset(order.remaining_size || order.size, s.asset) + ' at ' + formatCurrency(order.price, s.currency)
+    })
+    if (s.stop_order) lines.push('stop ' + formatAsset(s.stop_order.size, s.asset) + ' at ' + formatCurrency(s.stop_order.stop_price, s.currency))
+    return lines.length ? lines.join('\n') : 'no open orders'
+  }
+
+  function options (t) {
+    let values = t.getOptions()
+    return Object.keys(values).map(function (k) {
+      return k + ' ' + values[k]
+    }).join('\n')
+  }
+
+  // set buy_pct 50 sell_stop_pct 5
+  function set (t, args) {
+    if (!args.length || args.length % 2) return 'usage: /set <option> <value> [<option> <value> ...]'
+    let changes = {}
+    for (let i = 0; i < args.length; i += 2) {
+      let value = args[i + 1]
+      changes[args[i]] = args[i] === 'manual' ? value === 'true' || value === 'on' : value
+    }
+    try {
+      t.setOptions(changes)
+    }
+    catch (err) {
+      return err.message
+    }
+  }
+
+  function use (args) {
+    let arg = args[0]
+    let idx = /^[1-9]$/.test(arg) ? Number(arg) - 1 : traders.findIndex(function (t) { return selector(t) === arg })
+    if (!traders[idx]) {
+      return 'trading ' + traders.map(function (t, i) { return (i + 1) + ') ' + selector(t) }).join(', ')
+    }
+    active = idx
+    return 'active selector ' + selector(traders[idx])
+  }
+
+  // the trade runs once the same user sends /confirm with the code
+  function ask (from, t, signal, market) {
+    let code = String(crypto.randomBytes(2).readUInt16BE(0) % 10000)
+    while (code.length < 4) code = '0' + code
+    pending[from.notifier + ':' + from.user] = {code: code, trader: t, signal: signal, market: market, expires: new Date().getTime() + confirm_ms}
+    return (market ? 'market ' : 'limit ') + signal + ' on ' + selector(t) + ', send /confirm ' + code + ' within ' + confirm_ms / 1000 + ' seconds'
+  }
+
+  function confirm (from, args) {
+    let key = from.notifier + ':' + from.user
+    let action = pending[key]
+    if (!action || action.expires < new Date().getTime()) {
+      delete pending[key]
+      return 'nothing to confirm'
+    }
+    if (args[0] !== action.code) return 'wrong code, send /confirm ' + action.code
+    delete pending[key]
+    let keys = {buy: ['b', 'B'], sell: ['s', 'S']}
+    action.trader.executeKey(keys[action.signal][action.market ? 1 : 0], {ctrl: false})
+  }
+
+  let help = [
+    '/status, /balance, /orders, /options',
+    '/pause, /resume: stop and start trading on signals',
+    '/buy, /sell [market]: trade after a /confirm',
+    '/cancel: cancel open orders',
+    '/set <option> <value>: change an option, see /options',
+    '/use <n|selector>: switch the selector commands go to'
+  ].join('\n')
+
+  let commands = {
+    help: function () { return help },
+    status: function () { return traders.map(status).join('\n\n') },
+    balance: function (t) { return balance(t) },
+    orders: function (t) { return orders(t) },
+    options: function (t) { return options(t) },
+    set: function (t, args) { return set(t, args) },
+    pause: function (t) { t.setOptions({manual: true}) },
+    resume: function (t) { t.setOptions({manual: false}) },
+    cancel: function (t) { t.executeKey('c', {ctrl: false}) },
+    use: function (t, args) { return use(args) },
+    buy: function (t, args, from) { return ask(from, t, 'buy', args[0] === 'market') },
+    sell: function (t, args, from) { return ask(from, t, 'sell', args[0] === 'market') },
+    confirm: function (t, args, from) { return confirm(from, args) }
+  }
+  // the trade keys of the keyboard wait for a /confirm like their commands
+  let keys = {b: 'buy', B: 'buy market', s: 'sell', S: 'sell market'}
+
+  return {
+    handle: function (text, from) {
+      if (!allowed(from)) {
+        console.log('\nignored ' + from.notifier + ' command from user ' + from.user + ', add the id to c.notifiers.' + from.notifier + '.users to allow it')
+        return
+      }
+      text = String(text || '').trim()
+      if (keys[text]) text = keys[text]
+      if (/^[1-9]$/.test(text)) text = 'use ' + text
+      let args = text.replace(/^\//, '').split(/\s+/)
+      let name = args.shift().toLowerCase().replace(/@.*$/, '')
+      let t = trader()
+      let reply
+      if (commands[name]) {
+        reply = commands[name](t, args, from)
+      }
+      else if (text.length === 1) {
+        // the other keys work like on the keyboard, they answer through pushMessage
+        t.executeCommand(text)
+      }
+      else {
+        reply = 'unknown command ' + name + ', see /help'
+      }
+      if (reply) from.reply(reply)
+    }
+  }
+}
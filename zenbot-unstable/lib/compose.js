@@ -0,0 +1,249 @@
+let path = require('path')
+  , Phenotypes = require('./phenotype')
+
+// Builds a strategy out of existing strategies and a voting rule:
+//
+//   --compose=macd,rsi:2,momentum     the strategies to combine, with an optional weight for the weighted vote
+//   --macd.ema_short_period=10        an option for one strategy only; options not set this way come from
+//                                     the command line and conf as usual, then from the strategy's default
+//   --vote=all|majority|unopposed|weighted|first_confirm
+//
+// In a conf file the same can be written as compose: [{strategy: 'macd', weight: 2, options: {...}}, ...].
+// Every strategy runs against its own view of s, so its s.signal, s.trend and the like do not leak into
+// the others, while s.period and s.lookback are shared.
+let votes = ['all', 'majority', 'unopposed', 'weighted', 'first_confirm']
+
+// options every strategy shares through the engine, never set per strategy
+let engine_options = ['period', 'period_length', 'min_periods']
+
+module.exports = function compose (preset) {
+  preset = preset || {}
+
+  return {
+    name: preset.name || 'compose',
+    description: preset.description || 'Combine other strategies with a voting rule (all, majority, unopposed, weighted, first_confirm).',
+
+    getOptions: function (s) {
+      let defaults = preset.options || {}
+      this.option('compose', 'comma separated strategies to combine, name:weight for the weighted vote', String, defaults.compose)
+      this.option('vote', 'all, majority, unopposed, weighted or first_confirm', String, defaults.vote || 'majority')
+      this.option('vote_threshold', 'weighted vote: share of the total weight needed for a signal', Number, defaults.vote_threshold || 0.5)
+      this.option('vote_window', 'number of periods a strategy\'s signal keeps counting as its vote', Number, defaults.vote_window || 1)
+      this.option('period_length', 'period length, same as --period', String, defaults.period_length || '1h')
+      this.option('min_periods', 'min. number of history periods', Number, defaults.min_periods)
+      if (!s || !s.options) return
+
+      let children = load(s)
+      if (!s.options.min_periods) {
+        s.options.min_periods = Math.max.apply(null, children.map(function (child) {
+          return child.s.options.min_periods || 1
+        }))
+      }
+    },
+
+    calculate: function (s) {
+      load(s).forEach(function (child) {
+        child.strategy.calculate(child.s)
+      })
+    },
+
+    onPeriod: function (s, cb) {
+      let children = load(s)
+      let i = 0
+      function next () {
+        if (i === children.length) {
+          s.signal = vote(children, s.options)
+          if (preset.onPeriod) return preset.onPeriod(s, cb)
+          return cb()
+        }
+        let child = children[i++]
+        child.s.signal = null
+        child.strategy.onPeriod.call(child.s.ctx, child.s, function () {
+          if (child.s.signal) {
+            child.vote = child.s.signal
+            child.age = 0
+          }
+          else {
+            child.age++
+          }
+          next()
+        })
+      }
+      next()
+    },
+
+    onReport: function (s) {
+      let cols = []
+      load(s).forEach(function (child) {
+        if (child.strategy.onReport) cols = cols.concat(child.strategy.onReport.call(child.s.ctx, child.s))
+      })
+      return cols
+    },
+
+    // presets like multi know their strategies up front
+    get phenotypes () {
+      return preset.options && preset.options.compose ? this.phenotypesFor({}) : undefined
+    },
+
+    // the genetic backtester optimizes the options of every composed strategy, e.g. macd.ema_short_period
+    phenotypesFor: function (options) {
+      options = Object.assign({}, preset.options, options)
+      if (!options.compose) return undefined
+      let phenotypes = common_phenotypes()
+      let rule = options.vote || 'majority'
+      if (rule === 'weighted') phenotypes.vote_threshold = Phenotypes.RangeFloat(0.1, 1)
+      parse(options).forEach(function (child) {
+        let strategy = require(path.resolve(__dirname, `../extensions/strategies/${child.name}/strategy`))
+        let names = optionNames(strategy)
+        Object.keys(strategy.phenotypes || {}).forEach(function (k) {
+          if (names.indexOf(k) !== -1 && engine_options.indexOf(k) === -1) {
+            phenotypes[child.name + '.' + k] = strategy.phenotypes[k]
+          }
+        })
+        if (rule === 'weighted') phenotypes[child.name + '.weight'] = Phenotypes.RangeFloat(0.1, 3)
+      })
+      return phenotypes
+    }
+  }
+
+  // the composed strategies live on s, next to the state they keep
+  function load (s) {
+    if (s.compose_children) return s.compose_children
+    let children = parse(s.options).map(function (child) {
+      let strategy = require(path.resolve(__dirname, `../extensions/strategies/${child.name}/strategy`))
+      let overrides = s.options[child.name] !== null && typeof s.options[child.name] === 'object' ? s.options[child.name] : {}
+      let view = Object.create(s)
+      view.options = Object.assign(Object.create(s.options), child.options, overrides)
+      engine_options.forEach(function (k) {
+        delete view.options[k]
+      })
+      view.ctx = {
+        option: function (name, desc, type, def) {
+          if (typeof view.options[name] === 'undefined') {
+            view.options[name] = def
+          }
+        },
+        timeframe: function (size, min_periods) {
+          s.ctx.timeframe(size, min_periods)
+        },
+        ticks: function () {
+          if (s.ctx.ticks) s.ctx.ticks()
+        },
+        store: s.ctx.store
+      }
+      if (strategy.getOptions) strategy.getOptions.call(view.ctx, view)
+      return {
+        name: child.name,
+        weight: overrides.weight !== undefined ? Number(overrides.weight) : child.weight,
+        strategy: strategy,
+        s: view,
+        vote: null,
+        age: 0
+      }
+    })
+    Object.defineProperty(s, 'compose_children', {value: children, enumerable: false})
+    return children
+  }
+}
+
+// [{name, weight, options}] from --compose or the conf file
+let parse = module.exports.parse = function (options) {
+  let list = options.compose
+  if (!list) {
+    throw new Error('\nno strategies to compose, set --compose=<strategy>,<strategy>,...')
+  }
+  if (typeof list === 'string') list = list.split(',')
+  let children = list.map(function (child) {
+    if (typeof child === 'string') {
+      let parts = child.trim().split(':')
+      child = {strategy: parts[0], weight: parts[1]}
+    }
+    let weight = child.weight === undefined || child.weight === '' ? 1 : Number(child.weight)
+    if (!child.strategy || isNaN(weight) || weight < 0) {
+      throw new Error('\ninvalid strategy in --compose: ' + JSON.stringify(child))
+    }
+    return {name: child.strategy, weight: weight, options: child.options || {}}
+  })
+  let names = children.map(function (child) { return child.name })
+  names.forEach(function (name, i) {
+    if (names.indexOf(name) !== i) {
+      throw new Error('\n' + name + ' is composed more than once, every strategy can only be used once')
+    }
+  })
+  if (votes.indexOf(options.vote || 'majority') === -1) {
+    throw new Error('\ninvalid --vote ' + options.vote + ', use one of ' + votes.join(', '))
+  }
+  return children
+}
+
+// the combined signal of the strategies' votes, a vote counts for vote_window periods
+let vote = module.exports.vote = function (children, options) {
+  let window = options.vote_window || 1
+  let active = children.map(function (child) {
+    return child.vote && child.age < window ? child.vote : null
+  })
+  let count = function (signal) {
+    return active.filter(function (v) { return v === signal }).length
+  }
+  let signal = null
+  switch (options.vote || 'majority') {
+  case 'all':
+    if (count('buy') === children.length) signal = 'buy'
+    else if (count('sell') === children.length) signal = 'sell'
+    break
+  case 'majority':
+    if (count('buy') > children.length / 2) signal = 'buy'
+    else if (count('sell') > children.length / 2) signal = 'sell'
+    break
+  case 'unopposed':
+    // at least two strategies signal the same way and none the other way
+    if (count('buy') >= 2 && count('sell') === 0) signal = 'buy'
+    else if (count('sell') >= 2 && count('buy') === 0) signal = 'sell'
+    break
+  case 'weighted': {
+    let total = 0, score = 0
+    children.forEach(function (child, i) {
+      total += child.weight
+      if (active[i]) score += active[i] === 'buy' ? child.weight : -child.weight
+    })
+    let threshold = options.vote_threshold === undefined ? 0.5 : options.vote_threshold
+    if (total && score > 0 && score / total >= threshold) signal = 'buy'
+    else if (total && score < 0 && -score / total >= threshold) signal = 'sell'
+    break
+  }
+  case 'first_confirm':
+    // the first strategy gives the signal, every other one has to agree within the window
+    if (children.length && children[0].age === 0 && count(active[0]) === children.length) signal = active[0]
+    break
+  }
+  if (signal) {
+    // every vote is used once
+    children.forEach(function (child) {
+      child.vote = null
+    })
+  }
+  return signal
+}
+
+// names of the options a strategy declares
+function optionNames (strategy) {
+  let names = []
+  if (strategy.getOptions) {
+    strategy.getOptions.call({option: function (name) { names.push(name) }, timeframe: function () {}, ticks: function () {}}, {options: {}})
+  }
+  return names
+}
+
+function common_phenotypes () {
+  return {
+    period_length: Phenotypes.RangePeriod(1, 120, 'm'),
+    markdown_buy_pct: Phenotypes.RangeFloat(-1, 5),
+    markup_sell_pct: Phenotypes.RangeFloat(-1, 5),
+    order_type: Phenotypes.ListOption(['maker', 'taker']),
+    sell_stop_pct: Phenotypes.Range0(1, 50),
+    buy_stop_pct: Phenotypes.Range0(1, 50),
+    profit_stop_enable_pct: Phenotypes.Range0(1, 20),
+    profit_stop_pct: Phenotypes.Range(1,20),
+    vote_window: Phenotypes.Range(1, 5)
+  }
+}
@@ -0,0 +1,292 @@
+let fs = require('fs')
+  , readline = require('readline')
+  , tb = require('timebucket')
+  , moment = require('moment')
+
+// Turns CSV exports into trades in the schema backfill stores:
+// {trade_id, time, size, price, side}. The header names the columns, in any order:
+//
+//   trades:  time,price,size[,side][,trade_id]
+//   ohlcv:   time,open,high,low,close[,volume]
+//
+// Times can be unix seconds, unix ms or ISO 8601 dates. Each candle becomes four trades at its
+// open, low/high and close, so sim sees the same range as in the candle.
+let aliases = {
+  time: ['time', 'timestamp', 'date', 'datetime', 'ts', 'unix'],
+  price: ['price', 'rate'],
+  size: ['size', 'amount', 'qty', 'quantity', 'volume'],
+  side: ['side', 'type', 'taker_side'],
+  trade_id: ['trade_id', 'tid', 'id'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'v']
+}
+
+// a function splitting the lines of a file into cells, with the delimiter of its header line
+let splitter = module.exports.splitter = function (header) {
+  let delimiter = [',', ';', '\t'].sort(function (a, b) {
+    return header.split(b).length - header.split(a).length
+  })[0]
+  return function (line) {
+    return line.split(delimiter).map(function (cell) { return cell.trim().replace(/^"(.*)"$/, '$1') })
+  }
+}
+
+// the cells of a line as an object keyed by the lower cased header
+let toRow = module.exports.row = function (header, cells) {
+  let row = {}
+  cells.forEach(function (cell, idx) {
+    if (header[idx]) row[header[idx]] = cell
+  })
+  return row
+}
+
+// rows of the file as objects keyed by the lower cased header
+module.exports.parse = function (text) {
+  let lines = text.split(/\r?\n/).filter(function (line) { return line.trim() })
+  if (!lines.length) return []
+  let split = splitter(lines[0])
+  let header = split(lines[0]).map(function (name) { return name.toLowerCase() })
+  return lines.slice(1).map(function (line) {
+    return toRow(header, split(line))
+  })
+}
+
+// unix seconds, unix ms or a date string to ms
+let toTime = module.exports.toTime = function (value) {
+  if (value === undefined || value === '') return NaN
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    let time = Number(value)
+    return Math.round(time < 1e11 ? time * 1000 : time)
+  }
+  // dates without a time zone are UTC
+  return moment.utc(value, moment.ISO_8601).valueOf()
+}
+
+// Checks rows and turns them into trades a batch at a time, so files too large to hold in memory
+// can be imported. names are the columns of the header:
+//
+//   let importer = csvImport.importer(names, {format, period, max_gap})
+//   importer.add(rows)    the trades of a batch of rows, sorted by time
+//   importer.result()     {format, candle_length, count, invalid, duplicates, gaps: [{from, to}],
+//                          oldest_time, newest_time}
+//
+// Duplicates are dropped and trades without a trade_id numbered within the batch and the one
+// before it, the candle length of an OHLCV file without a period is the smallest step between
+// the candles of its first batch.
+let importer = module.exports.importer = function (names, opts) {
+  opts = opts || {}
+  let columns = {}
+  Object.keys(aliases).forEach(function (field) {
+    columns[field] = aliases[field].filter(function (alias) { return names.indexOf(alias) !== -1 })[0]
+  })
+  let format = opts.format || (columns.open && columns.close ? 'ohlcv' : 'trades')
+  let required = format === 'ohlcv' ? ['time', 'open', 'high', 'low', 'close'] : ['time', 'price', 'size']
+  required.forEach(function (field) {
+    if (!columns[field]) {
+      throw new Error('\nno ' + field + ' column found for the ' + format + ' format, columns are: ' + names.join(', '))
+    }
+  })
+
+  let result = {format: format, candle_length: null, count: 0, invalid: 0, duplicates: 0, gaps: [], oldest_time: null, newest_time: null}
+  let length = format === 'ohlcv' && opts.period ? candleLength([], opts.period) : null
+  // keys and ids of this batch and the one before it
+  let seen = [{}, {}]
+  let seq = [{}, {}]
+  let prev = null
+
+  function toRecord (row) {
+    let record = {time: toTime(row[columns.time])}
+    required.slice(1).concat(format === 'ohlcv' ? ['volume'] : []).forEach(function (field) {
+      record[field] = columns[field] ? Number(row[columns[field]]) : 0
+    })
+    if (format === 'trades') {
+      record.side = /^(s|sell|ask)$/i.test(row[columns.side]) ? 'sell' : 'buy'
+      if (columns.trade_id && /^\d+$/.test(row[columns.trade_id])) record.trade_id = Number(row[columns.trade_id])
+    }
+    let valid = Object.keys(record).every(function (field) {
+      return field === 'side' || isFinite(record[field])
+    })
+    if (!valid || (format === 'trades' && !(record.price > 0))) return null
+    return record
+  }
+
+  function id (time) {
+    let count = seq[0][time] !== undefined ? seq[0][time] : (seq[1][time] || 0)
+    seq[0][time] = count + 1
+    return time * 100 + count
+  }
+
+  function gap (from, to) {
+    if (to - from > (opts.max_gap || length || 3600000)) {
+      result.gaps.push({from: from, to: to})
+    }
+  }
+
+  return {
+    format: format,
+
+    add: function (rows) {
+      seen = [{}, seen[0]]
+      seq = [{}, seq[0]]
+      let records = []
+      rows.forEach(function (row) {
+        let record = toRecord(row)
+        if (record) records.push(record)
+        else result.invalid++
+      })
+      records.sort(function (a, b) { return a.time - b.time })
+      records = records.filter(function (record) {
+        let key = format === 'ohlcv' ? record.time : record.trade_id !== undefined ? 'id' + record.trade_id : [record.time, record.price, record.size, record.side].join('|')
+        if (seen[0][key] || seen[1][key]) {
+          result.duplicates++
+          return false
+        }
+        seen[0][key] = true
+        return true
+      })
+      if (!records.length) return []
+
+      if (format === 'ohlcv' && !length) length = candleLength(records)
+      result.candle_length = length
+      let first = records[0].time
+      let last = records[records.length - 1].time
+      // files can run forward or backward in time
+      if (prev && first >= prev.last) gap(prev.last, first)
+      else if (prev && last <= prev.first) gap(last, prev.first)
+      records.forEach(function (record, idx) {
+        if (idx) gap(records[idx - 1].time, record.time)
+      })
+      prev = {first: first, last: last}
+
+      let trades = []
+      records.forEach(function (record) {
+        if (format === 'trades') {
+          trades.push({
+            trade_id: record.trade_id !== undefined ? record.trade_id : id(record.time),
+            time: record.time,
+            size: record.size,
+            price: record.price,
+            side: record.side
+          })
+          return
+        }
+        // up candles go open, low, high, close, down candles open, high, low, close
+        let up = record.close >= record.open
+        let prices = [record.open, up ? record.low : record.high, up ? record.high : record.low, record.close]
+        prices.forEach(function (price, idx) {
+          let time = record.time + Math.floor(idx * (length - 1) / 3)
+          trades.push({
+            trade_id: id(time),
+            time: time,
+            size: record.volume / 4,
+            price: price,
+            side: idx && price < prices[idx - 1] ? 'sell' : 'buy'
+          })
+        })
+      })
+      result.count += trades.length
+      result.oldest_time = Math.min(result.oldest_time === null ? Infinity : result.oldest_time, trades[0].time)
+      result.newest_time = Math.max(result.newest_time === null ? -Infinity : result.newest_time, trades[trades.length - 1].time)
+      return trades
+    },
+
+    result: function () {
+      return result
+    }
+  }
+}
+
+// the trades from parsed rows in one batch, sorted, with duplicates dropped and gaps reported:
+// {format, trades, invalid, duplicates, gaps: [{from, to}], candle_length}
+module.exports.normalize = function (rows, opts) {
+  let batch = importer(rows.length ? Object.keys(rows[0]) : [], opts)
+  let trades = batch.add(rows)
+  let result = batch.result()
+  return {format: result.format, trades: trades, invalid: result.invalid, duplicates: result.duplicates, gaps: result.gaps, candle_length: result.candle_length}
+}
+
+// Reads a CSV file line by line and passes its trades to onBatch(trades, done) batch_size rows
+// at a time, reading on once done is called. cb(err, result) gets importer().result().
+module.exports.read = function (file, opts, onBatch, cb) {
+  let batch_size = opts.batch_size || 1000
+  let input = fs.createReadStream(file)
+  let lines = readline.createInterface({input: input, crlfDelay: Infinity})
+  let header = null
+  let split = null
+  let batches = null
+  let rows = []
+  let busy = false
+  let ended = false
+  let failed = false
+
+  function fail (err) {
+    if (failed) return
+    failed = true
+    lines.close()
+    cb(err)
+  }
+
+  // lines already read keep coming for a while after a pause, they wait in rows
+  function next () {
+    if (failed) return
+    if (rows.length < batch_size && !ended) {
+      busy = false
+      return lines.resume()
+    }
+    busy = true
+    let batch = rows.splice(0, batch_size)
+    if (!batch.length) {
+      if (!batches) return fail(new Error('\nno rows found in ' + file))
+      return cb(null, batches.result())
+    }
+    let trades
+    try {
+      trades = batches.add(batch)
+    }
+    catch (err) {
+      return fail(err)
+    }
+    onBatch(trades, function (err) {
+      if (err) return fail(err)
+      setImmediate(next)
+    })
+  }
+
+  input.on('error', fail)
+  lines.on('line', function (line) {
+    if (failed || !line.trim()) return
+    if (!split) {
+      split = splitter(line)
+      header = split(line).map(function (name) { return name.toLowerCase() })
+      try {
+        batches = importer(header, opts)
+      }
+      catch (err) {
+        fail(err)
+      }
+      return
+    }
+    rows.push(toRow(header, split(line)))
+    if (rows.length >= batch_size && !busy) {
+      lines.pause()
+      next()
+    }
+  })
+  lines.on('close', function () {
+    ended = true
+    if (!busy) next()
+  })
+}
+
+// ms per candle, from --period or the smallest step between candles
+function candleLength (records, period) {
+  if (period) return tb(0).resize(period).add(1).toMilliseconds()
+  let length = Infinity
+  for (let idx = 1; idx < records.length; idx++) {
+    length = Math.min(length, records[idx].time - records[idx - 1].time)
+  }
+  return isFinite(length) && length > 0 ? length : 60000
+}
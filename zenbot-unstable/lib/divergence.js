@@ -0,0 +1,94 @@
+// Lines up what a live session did with what a sim of the same trades does, for
+// `zenbot divergence`. Signals are {time, type, price} as the engine keeps them on the
+// periods, fills are my_trades. Each live event is paired with the closest sim event of
+// the same type within the window, what is left over only happened on one side.
+
+function pair (live, sim, window) {
+  let used = []
+  let pairs = live.map(function (a) {
+    let best = -1
+    sim.forEach(function (b, idx) {
+      if (used[idx] || b.type !== a.type || Math.abs(b.time - a.time) > window) return
+      if (best < 0 || Math.abs(b.time - a.time) < Math.abs(sim[best].time - a.time)) best = idx
+    })
+    if (best < 0) return {live: a, sim: null}
+    used[best] = true
+    return {live: a, sim: sim[best]}
+  })
+  sim.forEach(function (b, idx) {
+    if (!used[idx]) pairs.push({live: null, sim: b})
+  })
+  return pairs.sort(function (a, b) {
+    return (a.live || a.sim).time - (b.live || b.sim).time
+  })
+}
+
+// the fee in currency, buys pay it in the asset
+function fee (fill) {
+  return (Number(fill.fee) || 0) * (fill.type === 'buy' ? Number(fill.price) : 1)
+}
+
+// sim minus live, prices relative to live
+function diff (pair, fills) {
+  if (!pair.live || !pair.sim) return pair
+  pair.diff = {
+    time: pair.sim.time - pair.live.time,
+    price: (pair.sim.price - pair.live.price) / pair.live.price
+  }
+  if (fills) {
+    pair.diff.size = Number(pair.sim.size) - Number(pair.live.size)
+    pair.diff.fee = fee(pair.sim) - fee(pair.live)
+  }
+  return pair
+}
+
+function summarize (pairs) {
+  let matched = pairs.filter(function (pair) { return pair.diff })
+  function avg (key, abs) {
+    if (!matched.length) return null
+    return matched.reduce(function (sum, pair) {
+      return sum + (abs ? Math.abs(pair.diff[key]) : pair.diff[key])
+    }, 0) / matched.length
+  }
+  return {
+    matched: matched.length,
+    live_only: pairs.filter(function (pair) { return !pair.sim }).length,
+    sim_only: pairs.filter(function (pair) { return !pair.live }).length,
+    avg_delay: avg('time'),
+    avg_price_diff: avg('price'),
+    avg_abs_price_diff: avg('price', true)
+  }
+}
+
+module.exports = {
+  pair: pair,
+
+  compare: function (live, sim, window) {
+    let signals = pair(live.signals, sim.signals, window).map(function (p) { return diff(p, false) })
+    let fills = pair(live.fills, sim.fills, window).map(function (p) { return diff(p, true) })
+    let summary = {signals: summarize(signals), fills: summarize(fills)}
+    summary.fills.live_fees = live.fills.reduce(function (sum, fill) { return sum + fee(fill) }, 0)
+    summary.fills.sim_fees = sim.fills.reduce(function (sum, fill) { return sum + fee(fill) }, 0)
+    return {signals: signals, fills: fills, summary: summary}
+  },
+
+  // the live balance before the first fill: the last balance with the fills undone,
+  // fees taken the way the sim exchange takes them
+  startBalance: function (balance, fills) {
+    let asset = Number(balance.asset)
+    let currency = Number(balance.currency)
+    fills.slice().reverse().forEach(function (fill) {
+      let size = Number(fill.size)
+      let total = size * Number(fill.price)
+      if (fill.type === 'buy') {
+        asset -= size - (Number(fill.fee) || 0)
+        currency += total
+      }
+      else {
+        asset += size
+        currency -= total - (Number(fill.fee) || 0)
+      }
+    })
+    return {asset: asset, currency: currency}
+  }
+}
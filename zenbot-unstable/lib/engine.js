@@ -14,6 +14,11 @@ let tb = require('timebucket')
   , lolex = require('lolex')
   , { formatAsset, formatPercent, formatCurrency } = require('./format')
   , debug = require('./debug')
+  , timeframes = require('./timeframes')
+  , riskManager = require('./risk')
+  , modelStore = require('./model-store')
+  , margin = require('./margin')
+  , loadExchange = require('./load-exchange')
 
 let clock
 let nice_errors = new RegExp(/(slippage protection|loss protection)/)
@@ -29,7 +34,7 @@ module.exports = function (s, conf) {
       s.exchange = require(path.resolve(__dirname, '../extensions/exchanges/sim/exchange'))(conf, s)
     }
     else {
-      s.exchange = require(path.resolve(__dirname, `../extensions/exchanges/${so.selector.exchange_id}/exchange`))(conf)
+      s.exchange = loadExchange(so.selector.exchange_id, conf)
     }
   }
   else if (so.mode === 'paper') {
@@ -39,6 +44,11 @@ module.exports = function (s, conf) {
     console.error('cannot trade ' + so.selector.normalized + ': exchange not implemented')
     process.exit(1)
   }
+  if (so.margin && !s.exchange.margin) {
+    console.error('cannot trade ' + so.selector.normalized + ' on margin: ' + so.selector.exchange_id + ' does not support margin trading')
+    process.exit(1)
+  }
+  if (so.margin && !(so.leverage >= 1)) so.leverage = 1
   s.product_id = so.selector.product_id
   s.asset = so.selector.asset
   s.currency = so.selector.currency
@@ -74,6 +84,7 @@ module.exports = function (s, conf) {
     let s_copy = JSON.parse(JSON.stringify(s))
     delete s_copy.options.mongo
     delete s_copy.lookback
+    delete s_copy.timeframes
     console.error(s_copy)
   }
 
@@ -82,13 +93,22 @@ module.exports = function (s, conf) {
       if (typeof so[name] === 'undefined') {
         so[name] = def
       }
-    }
+    },
+    timeframe: function (size, min_periods) {
+      timeframes.add(s, size, min_periods)
+    },
+    // strategies reacting to single trades declare it, sim --use_candles replays the trades for them
+    ticks: function () {
+      s.tick_data = true
+    },
+    store: modelStore(conf)
   }
 
   let asset_col_width = 0
   let deposit_col_width = 0
   let currency_col_width = 0
   s.lookback = []
+  s.timeframes = {}
   s.day_count = 1
   s.my_trades = []
   s.my_prev_trades = []
@@ -112,10 +132,19 @@ module.exports = function (s, conf) {
   }
 
   var notifier = notify(conf)
+  var risk = riskManager(so, pushMessage)
 
-  function pushMessage(title, message) {
+  // event is {type, ...} for notifiers with templates: buy, sell, stop, liquidation, error, balance or message
+  function pushMessage(title, message, event) {
     if (so.mode === 'live' || so.mode === 'paper') {
-      notifier.pushMessage(title, message)
+      notifier.pushMessage(title, message, Object.assign({
+        type: 'message',
+        selector: so.selector.normalized,
+        exchange: s.exchange.name,
+        asset: s.asset,
+        currency: s.currency,
+        time: now()
+      }, event))
     }
   }
 
@@ -165,6 +194,7 @@ module.exports = function (s, conf) {
     s.period.close = trade.price
     s.period.volume += trade.size
     s.period.latest_trade_time = trade.time
+    timeframes.update(s, trade)
     s.strategy.calculate(s)
     s.vol_since_last_blink += trade.size
     if (s.trades && s.last_trade_id !== trade.trade_id) {
@@ -185,7 +215,8 @@ module.exports = function (s, conf) {
       s.last_trade_worth = last_trade.type === 'buy' ? (s.period.close - last_trade.price) / last_trade.price : (last_trade.price - s.period.close) / last_trade.price
       if (!s.acted_on_stop) {
         if (last_trade.type === 'buy') {
-          if (do_sell_stop && s.sell_stop && s.period.close < s.sell_stop) {
+          // a resting native stop order covers the sell stop on the exchange side
+          if (do_sell_stop && s.sell_stop && !s.stop_order && s.period.close < s.sell_stop) {
             stop_signal = 'sell'
             console.log(('\nsell stop triggered at ' + formatPercent(s.last_trade_worth) + ' trade worth\n').red)
             s.stopTriggered = true
@@ -194,7 +225,7 @@ module.exports = function (s, conf) {
             s.profit_stop_high = Math.max(s.profit_stop_high || s.period.close, s.period.close)
             s.profit_stop = s.profit_stop_high - (s.profit_stop_high * (so.profit_stop_pct / 100))
           }
-          if (s.profit_stop && s.period.close < s.profit_stop && s.last_trade_worth > 0) {
+          if (s.profit_stop && s.period.close < s.profit_stop && s.last_trade_worth > 0 && !(s.stop_order && s.stop_order.stop_price >= s.profit_stop)) {
             stop_signal = 'sell'
             console.log(('\nprofit stop triggered at ' + formatPercent(s.last_trade_worth) + ' trade worth\n').green)
           }
@@ -208,6 +239,7 @@ module.exports = function (s, conf) {
       }
     }
     if (stop_signal) {
+      pushMessage('Stop triggered on ' + s.exchange.name.toUpperCase(), stop_signal + ' at ' + formatCurrency(s.period.close, s.currency) + ', ' + formatPercent(s.last_trade_worth) + ' trade worth\n', {type: 'stop', signal: stop_signal, price: s.period.close, trade_worth: s.last_trade_worth})
       if(so.reverse) {
         s.signal = (stop_signal == 'sell') ? 'buy' : 'sell'
         s.acted_on_stop = true
@@ -220,7 +252,7 @@ module.exports = function (s, conf) {
 
   function syncBalance (cb) {
     let pre_asset = so.mode === 'sim' ? s.sim_asset : s.balance.asset
-    s.exchange.getBalance({currency: s.currency, asset: s.asset}, function (err, balance) {
+    s.exchange.getBalance({currency: s.currency, asset: s.asset, margin: so.margin}, function (err, balance) {
       if (err) return cb(err)
       let diff_asset = n(pre_asset).subtract(balance.asset)
       s.balance = balance
@@ -229,8 +261,16 @@ module.exports = function (s, conf) {
 
         let post_currency = n(diff_asset).multiply(quote.ask)
         s.asset_capital = n(s.balance.asset).multiply(quote.ask).value()
-        let deposit = so.deposit ? Math.max(0, n(so.deposit).subtract(s.asset_capital)) : s.balance.currency // zero on negative
+        let deposit_cap = so.deposit
+        if (s.portfolio) {
+          // reserve only this selector's slice of the shared currency balance
+          s.portfolio.update(so.selector.normalized, {currency: s.balance.currency, asset_capital: s.asset_capital, price: quote.ask, lookback: s.lookback, time: now()})
+          let slice = s.portfolio.deposit(so.selector.normalized)
+          deposit_cap = so.deposit ? Math.min(so.deposit, slice) : slice
+        }
+        let deposit = (so.deposit || s.portfolio) ? Math.max(0, n(deposit_cap).subtract(s.asset_capital)) : s.balance.currency // zero on negative
         s.balance.deposit = n(deposit < s.balance.currency ? deposit : s.balance.currency).value()
+        if (so.margin) s.liquidation_price = margin.liquidationPrice(s.balance, so.maintenance_margin_pct)
         if (!s.start_capital) {
           s.start_price = n(quote.ask).value()
           s.start_capital = n(s.balance.deposit).add(s.asset_capital).value()
@@ -238,18 +278,21 @@ module.exports = function (s, conf) {
           s.net_currency = s.balance.deposit
 
           if (so.mode !== 'sim') {
-            pushMessage('Balance ' + s.exchange.name.toUpperCase(), 'sync balance ' + s.real_capital + ' ' + s.currency  + '\n')
+            pushMessage('Balance ' + s.exchange.name.toUpperCase(), 'sync balance ' + s.real_capital + ' ' + s.currency  + '\n', {type: 'balance', capital: s.real_capital})
           }
         } else {
           s.net_currency = n(s.net_currency).add(post_currency).value()
         }
 
+        eventBus.emit('balance', s.balance)
         cb(null, { balance, quote })
       })
     })
   }
 
   function placeOrder (type, opts, cb) {
+    // the order is still there when it gets re-placed at a new price
+    let adjusting = !!s[type + '_order']
     if (!s[type + '_order']) {
       s[type + '_order'] = {
         price: opts.price,
@@ -277,6 +320,10 @@ module.exports = function (s, conf) {
 
     order.product_id = s.product_id
     order.post_only = conf.post_only
+    if (so.margin) {
+      order.margin = true
+      order.leverage = so.leverage
+    }
     debug.msg('placing ' + type + ' order...')
     let order_copy = JSON.parse(JSON.stringify(order))
     s.exchange[type](order_copy, function (err, api_order) {
@@ -310,14 +357,16 @@ module.exports = function (s, conf) {
       order.time = new Date(api_order.created_at).getTime()
       order.local_time = now()
       order.status = api_order.status
+      eventBus.emit(adjusting ? 'orderAdjusted' : 'orderPlaced', type, order)
       //console.log('\ncreated ' + order.status + ' ' + type + ' order: ' + formatAsset(order.size) + ' at ' + formatCurrency(order.price) + ' (total ' + formatCurrency(n(order.price).multiply(order.size)) + ')\n')
 
       setTimeout(function() { checkOrder(order, type, cb) }, so.order_poll_time)
     })
   }
 
+  // zenbot trade sets s.feed to take the quote from the exchange's stream, see lib/trade-feed.js
   function getQuote (cb) {
-    s.exchange.getQuote({product_id: s.product_id}, function (err, quote) {
+    (s.feed || s.exchange).getQuote({product_id: s.product_id}, function (err, quote) {
       if (err) return cb(err)
       s.quote = quote
       cb(null, quote)
@@ -348,6 +397,8 @@ module.exports = function (s, conf) {
       return executeSignal(signal == 'buy' ? 'sell' : 'buy', _cb, size, is_reorder, is_taker, true)
     }
     let price, expected_fee, buy_pct, sell_pct, trades
+    // on margin a stop closes the position instead of turning it around
+    let close_only = so.margin && s.acted_on_stop
     delete s[(signal === 'buy' ? 'sell' : 'buy') + '_order']
     s.last_signal = signal
     if (!is_reorder && s[signal + '_order']) {
@@ -372,9 +423,25 @@ module.exports = function (s, conf) {
           console.error('\n')
           console.error(err)
           console.error('\n')
+          pushMessage('Error on ' + s.exchange.name.toUpperCase(), (err.desc || err.message) + '\n', {type: 'error', signal: signal, error: err.message.trim()})
         }
       }
     }
+    if (signal === 'sell' && s.stop_order) {
+      // release the asset held by the resting stop, unless the stop already sold it
+      return cancelNativeStop(function (err, filled) {
+        if (err || filled) return cb(err, null)
+        executeSignal(signal, _cb, size, is_reorder, is_taker, reverseCalled)
+      })
+    }
+    if (!is_reorder) {
+      eventBus.emit('signal', signal)
+      // saved with the period, `zenbot divergence` compares them with a sim of the same trades
+      if (s.period) {
+        if (!s.period.signals) s.period.signals = []
+        s.period.signals.push({time: now(), type: signal, price: s.period.close})
+      }
+    }
     syncBalance(function (err, { quote }) {
       let reorder_pct, fee, trade_balance, tradeable_balance, expected_fee
       if (err) {
@@ -382,7 +449,8 @@ module.exports = function (s, conf) {
         err.desc = 'could not execute ' + signal + ': error fetching quote'
         return cb(err)
       }
-      if (is_reorder && s[signal + '_order']) {
+      // on margin the reorder is for what is left of the order
+      if (is_reorder && s[signal + '_order'] && !so.margin) {
         if (signal === 'buy') {
           reorder_pct = n(size).multiply(s.buy_order.price).add(s.buy_order.fee).divide(s.balance.deposit).multiply(100)
         } else {
@@ -402,7 +470,15 @@ module.exports = function (s, conf) {
         if (is_reorder) {
           buy_pct = reorder_pct
         } else {
-          buy_pct = so.buy_pct
+          if (risk.halted()) {
+            console.log(('\nrefusing to buy, ' + risk.halted() + '\n').red)
+            return cb(null, null)
+          }
+          buy_pct = risk.buyPct(s, so.buy_pct, Number(price))
+          if (!(buy_pct > 0)) {
+            debug.msg('max. exposure reached, not buying')
+            return cb(null, null)
+          }
         }
         if (so.use_fee_asset) {
           fee = 0
@@ -411,13 +487,21 @@ module.exports = function (s, conf) {
         } else {
           fee = s.exchange.takerFee
         }
-        trade_balance = n(s.balance.deposit).divide(100).multiply(buy_pct)
-        tradeable_balance = n(s.balance.deposit).divide(100 + fee).multiply(buy_pct)
-        expected_fee = n(trade_balance).subtract(tradeable_balance).format('0.00000000', Math.ceil) // round up as the exchange will too
-        if (buy_pct + fee < 100) {
-          size = n(tradeable_balance).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
-        } else {
-          size = n(trade_balance).subtract(expected_fee).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        if (so.margin) {
+          if (!is_reorder) size = margin.buySize(s.balance, Number(price), {pct: buy_pct, leverage: so.leverage, fee: fee, close_only: close_only})
+          size = n(size).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+          tradeable_balance = n(size).multiply(price).value()
+          expected_fee = n(tradeable_balance).multiply(fee / 100).format('0.00000000', Math.ceil)
+        }
+        else {
+          trade_balance = n(s.balance.deposit).divide(100).multiply(buy_pct)
+          tradeable_balance = n(s.balance.deposit).divide(100 + fee).multiply(buy_pct)
+          expected_fee = n(trade_balance).subtract(tradeable_balance).format('0.00000000', Math.ceil) // round up as the exchange will too
+          if (buy_pct + fee < 100) {
+            size = n(tradeable_balance).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+          } else {
+            size = n(trade_balance).subtract(expected_fee).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+          }
         }
 
         if (isOrderTooSmall(s.product, size, price))
@@ -449,7 +533,7 @@ module.exports = function (s, conf) {
             return cb(err)
           }
         }
-        if (n(s.balance.deposit).subtract(s.balance.currency_hold || 0).value() < n(price).multiply(size).value() && s.balance.currency_hold > 0) {
+        if (!so.margin && n(s.balance.deposit).subtract(s.balance.currency_hold || 0).value() < n(price).multiply(size).value() && s.balance.currency_hold > 0) {
           debug.msg('buy delayed: ' + formatPercent(n(s.balance.currency_hold || 0).divide(s.balance.deposit).value()) + ' of funds (' + formatCurrency(s.balance.currency_hold, s.currency) + ') on hold')
           return setTimeout(function () {
             if (s.last_signal === signal) {
@@ -459,7 +543,7 @@ module.exports = function (s, conf) {
         }
 
         if(conf.notifiers && !conf.notifiers.only_completed_trades){
-          pushMessage('Buying ' + formatAsset(size, s.asset) + ' on ' + s.exchange.name.toUpperCase(), 'placing buy order at ' + formatCurrency(price, s.currency) + ', ' + formatCurrency(quote.bid - Number(price), s.currency) + ' under best bid\n')
+          pushMessage('Buying ' + formatAsset(size, s.asset) + ' on ' + s.exchange.name.toUpperCase(), 'placing buy order at ' + formatCurrency(price, s.currency) + ', ' + formatCurrency(quote.bid - Number(price), s.currency) + ' under best bid\n', {type: 'buy', status: 'placed', size: Number(size), price: Number(price)})
         }
         doOrder()
 
@@ -472,7 +556,13 @@ module.exports = function (s, conf) {
         } else {
           sell_pct = so.sell_pct
         }
-        size = n(s.balance.asset).multiply(sell_pct / 100).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        if (so.margin) {
+          if (!is_reorder) size = margin.sellSize(s.balance, Number(price), {pct: sell_pct, leverage: so.leverage, fee: so.order_type === 'taker' ? s.exchange.takerFee : s.exchange.makerFee, close_only: close_only})
+          size = n(size).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        }
+        else {
+          size = n(s.balance.asset).multiply(sell_pct / 100).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        }
 
         if (isOrderTooSmall(s.product, size, price))
           return cb(null, null)
@@ -501,7 +591,7 @@ module.exports = function (s, conf) {
           }
         }
 
-        if (n(s.balance.asset).subtract(s.balance.asset_hold || 0).value() < n(size).value()) {
+        if (!so.margin && n(s.balance.asset).subtract(s.balance.asset_hold || 0).value() < n(size).value()) {
           debug.msg('sell delayed: ' + formatPercent(n(s.balance.asset_hold || 0).divide(s.balance.asset).value()) + ' of funds (' + formatAsset(s.balance.asset_hold, s.asset) + ') on hold')
           return setTimeout(function () {
             if (s.last_signal === signal) {
@@ -511,7 +601,7 @@ module.exports = function (s, conf) {
         }
 
         if(conf.notifiers && !conf.notifiers.only_completed_trades){
-          pushMessage('Selling ' + formatAsset(size, s.asset) + ' on ' + s.exchange.name.toUpperCase(), 'placing sell order at ' + formatCurrency(price, s.currency) + ', ' + formatCurrency(Number(price) - quote.bid, s.currency) + ' over best ask\n')
+          pushMessage('Selling ' + formatAsset(size, s.asset) + ' on ' + s.exchange.name.toUpperCase(), 'placing sell order at ' + formatCurrency(price, s.currency) + ', ' + formatCurrency(Number(price) - quote.bid, s.currency) + ' over best ask\n', {type: 'sell', status: 'placed', size: Number(size), price: Number(price)})
         }
         doOrder()
 
@@ -548,6 +638,9 @@ module.exports = function (s, conf) {
           }
           return executeSignal(signal, _cb, remaining_size, true)
         }
+        if (signal === 'buy' && nativeStops()) {
+          placeNativeStop(logNativeStopError)
+        }
         cb(null, order)
       })
     }
@@ -615,7 +708,7 @@ module.exports = function (s, conf) {
           `${slippage} slippage (orig. price ${orig_price})\n` +
           `execution: ${execution_time}\n`
       console.log((order_complete).cyan)
-      pushMessage(`${trade_type} ${s.exchange.name.toUpperCase()}`, order_complete)
+      pushMessage(`${trade_type} ${s.exchange.name.toUpperCase()}`, order_complete, {type: trade_type, status: 'filled', size: Number(my_trade.size), price: Number(my_trade.price), fee: my_trade.fee, slippage: my_trade.slippage})
     }
 
     if(trade_type == 'sell' && !isNaN(profit) && profit <= 0) {
@@ -637,7 +730,20 @@ module.exports = function (s, conf) {
     delete s.profit_stop
     delete s.profit_stop_high
 
-    eventBus.emit('orderExecuted', trade_type)
+    eventBus.emit('orderExecuted', trade_type, my_trade)
+  }
+
+  // the sim exchange closed the margin position and cancelled the open orders
+  function liquidated (order) {
+    console.log(('\n' + (order.tradetype === 'buy' ? 'short' : 'long') + ' position liquidated at ' + formatCurrency(order.price, s.currency) + '\n').red)
+    delete s.buy_order
+    delete s.sell_order
+    executeOrder({order_id: order.id, time: order.done_at, orig_time: order.done_at, price: order.price, orig_price: order.price, size: order.size, orig_size: order.size}, order.tradetype)
+    s.my_trades[s.my_trades.length - 1].liquidation = true
+    // nothing left to stop out
+    delete s.buy_stop
+    delete s.sell_stop
+    pushMessage('Liquidated ' + s.exchange.name.toUpperCase(), formatAsset(order.size, s.asset) + ' ' + (order.tradetype === 'buy' ? 'bought' : 'sold') + ' at ' + formatCurrency(order.price, s.currency) + '\n', {type: 'liquidation', side: order.tradetype, size: Number(order.size), price: Number(order.price)})
   }
 
   function now () {
@@ -762,8 +868,10 @@ module.exports = function (s, conf) {
 
     updatePeriod(trade)
     if (!s.in_preroll) {
-      if (so.mode !== 'live')
-        s.exchange.processTrade(trade)
+      if (so.mode !== 'live') {
+        let liquidation = s.exchange.processTrade(trade)
+        if (liquidation) liquidated(liquidation)
+      }
 
       if (!so.manual) {
         executeStop()
@@ -820,6 +928,7 @@ module.exports = function (s, conf) {
               setTimeout(function() { checkHold(do_reorder, cb) }, conf.wait_for_settlement)
             }
             else {
+              eventBus.emit('orderCancelled', type, order)
               cb(null, do_reorder ? null : false)
             }
           })
@@ -847,6 +956,10 @@ module.exports = function (s, conf) {
           cb(null, order)
         })
       }
+      if (Number(api_order.filled_size) && Number(api_order.filled_size) !== Number(order.filled_size || 0)) {
+        order.filled_size = api_order.filled_size
+        eventBus.emit('orderPartiallyFilled', type, order)
+      }
       if (order.status === 'rejected' && (order.reject_reason === 'post only' || api_order.reject_reason === 'post only')) {
         debug.msg('post-only ' + type + ' failed, re-ordering')
         return cb(null, null)
@@ -900,6 +1013,172 @@ module.exports = function (s, conf) {
     })
   }
 
+  // --native_stops: keep the stop for the open position as a resting order on the exchange,
+  // so it still fires when the bot is not running. Adapters opt in with placeStop/placeOco.
+  function nativeStops () {
+    return so.native_stops && !so.reverse && typeof s.exchange.placeStop === 'function'
+  }
+
+  function nativeStopPrice () {
+    let stop_price = s.sell_stop || 0
+    // the trailing profit stop only ever sells above the buy price
+    if (s.profit_stop && s.profit_stop > s.last_buy_price) {
+      stop_price = Math.max(stop_price, s.profit_stop)
+    }
+    return stop_price
+  }
+
+  // without a trailing distance the profit stop sells as soon as the target is hit,
+  // which is a plain take-profit limit on exchanges that support OCO orders
+  function nativeTakeProfitPrice () {
+    if (!so.profit_stop_enable_pct || so.profit_stop_pct || !s.last_buy_price) return null
+    return n(s.last_buy_price).add(n(s.last_buy_price).multiply(so.profit_stop_enable_pct / 100)).value()
+  }
+
+  function logNativeStopError (err) {
+    if (err) {
+      console.error(('\ncould not place native stop order: ' + (err.desc || err.message)).red)
+    }
+  }
+
+  function placeNativeStop (_cb) {
+    s.placing_stop = true
+    let cb = function (err) {
+      s.placing_stop = false
+      _cb(err)
+    }
+    cancelNativeStop(function (err, filled) {
+      if (err || filled) return cb(err)
+      syncBalance(function (err) {
+        if (err) return cb(err)
+        let stop_price = nativeStopPrice()
+        let take_profit_price = nativeTakeProfitPrice()
+        let size = n(s.balance.asset).subtract(s.balance.asset_hold || 0).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        if (!stop_price || isOrderTooSmall(s.product, size, stop_price)) return cb()
+
+        let opts = {
+          product_id: s.product_id,
+          size: size,
+          stop_price: n(stop_price).format(s.product.increment, Math.floor),
+          stop_limit_price: so.stop_limit_pct ? n(stop_price).subtract(n(stop_price).multiply(so.stop_limit_pct / 100)).format(s.product.increment, Math.floor) : null
+        }
+        let method = 'placeStop'
+        if (take_profit_price && typeof s.exchange.placeOco === 'function') {
+          method = 'placeOco'
+          opts.price = n(take_profit_price).format(s.product.increment, Math.ceil)
+        }
+        debug.msg('placing native ' + (method === 'placeOco' ? 'oco' : 'stop') + ' order at ' + formatCurrency(opts.stop_price, s.currency))
+        s.exchange[method](opts, function (err, api_order) {
+          if (err) return cb(err)
+          if (api_order.status === 'rejected') {
+            err = new Error('\nstop order rejected')
+            err.desc = 'reject reason: ' + api_order.reject_reason
+            err.order = api_order
+            return cb(err)
+          }
+          s.stop_order = {
+            order_id: api_order.id,
+            oco: method === 'placeOco',
+            size: size,
+            orig_size: size,
+            stop_price: Number(opts.stop_price),
+            price: opts.stop_price,
+            orig_price: opts.stop_price,
+            orig_time: new Date(api_order.created_at).getTime()
+          }
+          cb()
+        })
+      })
+    })
+  }
+
+  function nativeStopFilled (api_order) {
+    return !!api_order && api_order.status === 'done' && api_order.done_reason !== 'canceled'
+  }
+
+  // book a filled stop order as a sell, returns false while it is still resting
+  function nativeStopDone (stop_order, api_order) {
+    if (!api_order) return false
+    if (!nativeStopFilled(api_order)) {
+      if (['done', 'rejected', 'cancelled', 'canceled'].indexOf(api_order.status) === -1) return false
+      debug.msg('native stop order ' + api_order.status + (api_order.reject_reason ? ': ' + api_order.reject_reason : ''))
+      delete s.stop_order
+      return true
+    }
+    delete s.stop_order
+    stop_order.time = new Date(api_order.done_at).getTime()
+    stop_order.price = api_order.price || stop_order.price
+    console.log(('\nnative stop order filled at ' + formatCurrency(stop_order.price, s.currency) + '\n').red)
+    executeOrder(stop_order, 'sell')
+    return true
+  }
+
+  function cancelNativeStop (cb) {
+    let stop_order = s.stop_order
+    if (!stop_order) return cb(null, false)
+    s.exchange.cancelOrder({order_id: stop_order.order_id, product_id: s.product_id}, function () {
+      s.exchange.getOrder({order_id: stop_order.order_id, product_id: s.product_id}, function (err, api_order) {
+        if (err) return cb(err)
+        let filled = nativeStopFilled(api_order)
+        if (!nativeStopDone(stop_order, api_order)) delete s.stop_order
+        cb(null, filled)
+      })
+    })
+  }
+
+  // checked once per period: pick up fills and trail the stop up behind the profit stop
+  function updateNativeStop () {
+    let stop_order = s.stop_order
+    if (s.placing_stop) return
+    if (!stop_order) {
+      // e.g. the trailing profit stop just got armed, or a sell signal was refused
+      if (s.action === 'bought' && nativeStopPrice() && nativeStopPrice() < s.period.close) {
+        placeNativeStop(logNativeStopError)
+      }
+      return
+    }
+    if (stop_order.busy) return
+    stop_order.busy = true
+    s.exchange.getOrder({order_id: stop_order.order_id, product_id: s.product_id}, function (err, api_order) {
+      stop_order.busy = false
+      if (err) return logNativeStopError(err)
+      if (nativeStopDone(stop_order, api_order)) {
+        return syncBalance(function () {})
+      }
+      let stop_price = nativeStopPrice()
+      if (!stop_order.oco && stop_price > stop_order.stop_price && stop_price < s.period.close) {
+        placeNativeStop(logNativeStopError)
+      }
+    })
+  }
+
+  // what paper trading keeps across restarts besides the balance and fills, see lib/paper-ledger.js
+  let resumable = ['buy_order', 'sell_order', 'stop_order', 'buy_stop', 'sell_stop', 'profit_stop', 'profit_stop_high',
+    'last_buy_price', 'last_sell_price', 'action', 'last_signal', 'buy_quarentine_time']
+
+  function resume (state) {
+    resumable.forEach(function (k) {
+      if (state[k] !== undefined && state[k] !== null) s[k] = state[k]
+    })
+    if (s.stop_order) delete s.stop_order.busy
+    ;['buy', 'sell'].forEach(function (type) {
+      let order = s[type + '_order']
+      if (!order || !order.order_id) return delete s[type + '_order']
+      // poll the order again like placeOrder does, a timeout re-places it at the new price
+      order.local_time = now()
+      checkOrder(order, type, function (err, api_order) {
+        if (err) {
+          console.error(('\ncould not resume ' + type + ' order').red)
+          return console.error(err)
+        }
+        if (api_order === null && s.last_signal === type && s[type + '_order']) {
+          return executeSignal(type, null, s[type + '_order'].remaining_size, true)
+        }
+        if (!api_order) delete s[type + '_order']
+      })
+    })
+  }
+
   var tradeProcessingQueue = async.queue(function({trade, is_preroll}, callback){
     onTrade(trade, is_preroll, callback)
   })
@@ -912,6 +1191,10 @@ module.exports = function (s, conf) {
     if (s.period && trade.time < s.period.time) {
       return
     }
+    if (trade.order_book) {
+      // replayed order book snapshot, see lib/order-book.js
+      s.order_book = trade.order_book
+    }
     var day = (new Date(trade.time)).getDate()
     if (s.last_day && day !== s.last_day) {
       s.day_count++
@@ -936,11 +1219,16 @@ module.exports = function (s, conf) {
           if (s.signal) {
             executeSignal(s.signal)
           }
+          else if (nativeStops()) {
+            updateNativeStop()
+          }
         }
         //s.action = null
         s.signal = null
         if (trade.time > s.period.close_time) {
+          if (!s.in_preroll) risk.update(s, trade.time)
           s.lookback.unshift(s.period)
+          eventBus.emit('period', s.period)
           initBuffer(trade)
         }
         withOnPeriod(trade, period_id, cb)
@@ -1000,6 +1288,10 @@ module.exports = function (s, conf) {
     },
 
     executeSignal: executeSignal,
+    getState: function () {
+      return JSON.parse(JSON.stringify(_.pick(s, resumable)))
+    },
+    resume: resume,
     writeReport: writeReport,
     syncBalance: syncBalance,
     pushMessage: pushMessage,
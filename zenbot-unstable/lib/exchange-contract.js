@@ -0,0 +1,87 @@
+// What the engine, backfill and trade expect of an adapter in extensions/exchanges/<name>/exchange.js,
+// see docs/developers.md. Every check returns a list of problems, empty when the value holds up.
+// The conformance suite in test/extensions/exchanges/conformance.js runs an adapter against these.
+
+let required = ['getProducts', 'getTrades', 'getBalance', 'getQuote', 'buy', 'sell', 'getOrder', 'cancelOrder', 'getCursor']
+let optional = ['getOrderBook', 'getOpenOrders', 'placeStop', 'placeOco', 'setFees', 'getTime']
+let statuses = ['open', 'done', 'cancelled', 'rejected']
+let reject_reasons = ['post only', 'balance', 'price']
+
+function isNumber (value) {
+  return value !== null && value !== '' && typeof value !== 'boolean' && isFinite(Number(value))
+}
+
+function numbers (obj, keys, what) {
+  return keys.filter(function (key) {
+    return !isNumber(obj[key])
+  }).map(function (key) {
+    return what + '.' + key + ' is not a number: ' + JSON.stringify(obj[key])
+  })
+}
+
+module.exports = {
+  required: required,
+  optional: optional,
+  statuses: statuses,
+  reject_reasons: reject_reasons,
+
+  adapter: function (exchange) {
+    let problems = []
+    if (typeof exchange.name !== 'string' || !exchange.name) problems.push('exchange.name is missing')
+    if (['forward', 'backward', false].indexOf(exchange.historyScan) === -1) {
+      problems.push('exchange.historyScan is ' + JSON.stringify(exchange.historyScan) + ', not forward, backward or false')
+    }
+    required.forEach(function (method) {
+      if (typeof exchange[method] !== 'function') problems.push('exchange.' + method + '() is missing')
+    })
+    optional.forEach(function (method) {
+      if (exchange[method] !== undefined && typeof exchange[method] !== 'function') problems.push('exchange.' + method + ' is not a function')
+    })
+    ;['makerFee', 'takerFee'].forEach(function (fee) {
+      if (exchange[fee] !== undefined && !isNumber(exchange[fee])) problems.push('exchange.' + fee + ' is not a number')
+    })
+    return problems
+  },
+
+  product: function (product) {
+    let problems = ['asset', 'currency', 'label'].filter(function (key) {
+      return typeof product[key] !== 'string' || !product[key]
+    }).map(function (key) {
+      return 'product.' + key + ' is missing'
+    })
+    return problems.concat(numbers(product, ['increment'], 'product'))
+  },
+
+  // times in ms, sizes and prices as numbers
+  trade: function (trade) {
+    let problems = numbers(trade, ['time', 'size', 'price'], 'trade')
+    if (trade.trade_id === undefined || trade.trade_id === null) problems.push('trade.trade_id is missing')
+    if (typeof trade.time !== 'number' || trade.time < 946684800000) problems.push('trade.time is not a timestamp in ms: ' + JSON.stringify(trade.time))
+    if (['buy', 'sell'].indexOf(trade.side) === -1) problems.push('trade.side is ' + JSON.stringify(trade.side) + ', not buy or sell')
+    return problems
+  },
+
+  balance: function (balance) {
+    return numbers(balance, ['asset', 'asset_hold', 'currency', 'currency_hold'], 'balance')
+  },
+
+  quote: function (quote) {
+    let problems = numbers(quote, ['bid', 'ask'], 'quote')
+    if (!problems.length && Number(quote.bid) > Number(quote.ask)) problems.push('quote.bid ' + quote.bid + ' is above quote.ask ' + quote.ask)
+    return problems
+  },
+
+  order: function (order) {
+    let problems = []
+    if (statuses.indexOf(order.status) === -1) problems.push('order.status is ' + JSON.stringify(order.status) + ', not one of ' + statuses.join(', '))
+    if (order.status === 'rejected') {
+      if (reject_reasons.indexOf(order.reject_reason) === -1) problems.push('order.reject_reason is ' + JSON.stringify(order.reject_reason) + ', not one of ' + reject_reasons.join(', '))
+      return problems
+    }
+    if (order.id === undefined || order.id === null) problems.push('order.id is missing')
+    if (isNaN(new Date(order.created_at).getTime())) problems.push('order.created_at is not a date: ' + JSON.stringify(order.created_at))
+    if (order.status === 'done' && isNaN(new Date(order.done_at).getTime())) problems.push('order.done_at is not a date: ' + JSON.stringify(order.done_at))
+    if (order.filled_size !== undefined) problems = problems.concat(numbers(order, ['filled_size'], 'order'))
+    return problems
+  }
+}
@@ -0,0 +1,446 @@
+let fs = require('fs')
+  , path = require('path')
+  , crypto = require('crypto')
+  , Readable = require('stream').Readable
+  , _ = require('lodash')
+
+// Flat-file storage with the part of the mongodb collection API zenbot uses, so
+// backfill, sim and paper trading work without a MongoDB server (c.storage = 'file').
+//
+// Each collection is a directory with one append-only JSON lines file per selector,
+// so a sim only loads the trades of the selector it runs. Every write appends the whole
+// document (or a delete marker) and the last line for an _id wins. Before every operation
+// the file is read on from where it was left, so writes of other processes
+// (like the backfill trade spawns) show up.
+module.exports = function fileStore (dir) {
+  let collections = {}
+  return {
+    collection: function (name) {
+      if (!collections[name]) collections[name] = collection(path.join(dir, name))
+      return collections[name]
+    }
+  }
+}
+
+let chunk_size = 16 * 1024 * 1024
+let no_selector = '_'
+
+function collection (dir) {
+  let partitions = {}
+
+  function partitionKey (selector) {
+    return typeof selector === 'string' ? encodeURIComponent(selector) : no_selector
+  }
+
+  function partition (key) {
+    if (!partitions[key]) {
+      partitions[key] = { file: path.join(dir, key + '.jsonl'), docs: new Map(), offset: 0, lines: 0, ino: null, sorted: {} }
+      sync(partitions[key])
+      compact(partitions[key])
+    }
+    else {
+      sync(partitions[key])
+    }
+    return partitions[key]
+  }
+
+  // the partitions a query or document can be in
+  function partitionsFor (selector) {
+    if (typeof selector === 'string') return [partition(partitionKey(selector))]
+    let keys = []
+    try {
+      keys = fs.readdirSync(dir).filter(function (file) {
+        return path.extname(file) === '.jsonl'
+      }).map(function (file) {
+        return path.basename(file, '.jsonl')
+      })
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    return _.union(keys, Object.keys(partitions)).map(partition)
+  }
+
+  // read the lines appended since the last sync
+  function sync (part) {
+    let stat
+    try {
+      stat = fs.statSync(part.file)
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      stat = { ino: null, size: 0 }
+    }
+    if (stat.ino !== part.ino || stat.size < part.offset) {
+      // replaced by a compaction
+      part.docs = new Map()
+      part.offset = part.lines = 0
+      part.ino = stat.ino
+      part.sorted = {}
+    }
+    if (stat.size === part.offset) return
+    let fd = fs.openSync(part.file, 'r')
+    try {
+      while (part.offset < stat.size) {
+        let buf = Buffer.alloc(Math.min(chunk_size, stat.size - part.offset))
+        fs.readSync(fd, buf, 0, buf.length, part.offset)
+        // only complete lines, a line can still be in the middle of being written
+        let end = buf.lastIndexOf(10)
+        if (end === -1) break
+        buf.toString('utf8', 0, end).split('\n').forEach(function (line) {
+          if (!line) return
+          let doc = JSON.parse(line)
+          part.lines++
+          if (doc.$deleted !== undefined) part.docs.delete(String(doc.$deleted))
+          else part.docs.set(String(doc._id), doc)
+        })
+        part.offset += end + 1
+      }
+    }
+    finally {
+      fs.closeSync(fd)
+    }
+    part.sorted = {}
+  }
+
+  // rewrite files that are mostly replaced and deleted lines
+  function compact (part) {
+    if (part.lines < 1000 || part.lines < part.docs.size * 2) return
+    let tmp = part.file + '.' + process.pid + '.tmp'
+    let lines = []
+    part.docs.forEach(function (doc) {
+      lines.push(JSON.stringify(doc))
+    })
+    fs.writeFileSync(tmp, lines.join('\n') + '\n')
+    // another process appended in the meantime, keep its lines and try again next time
+    if (fs.statSync(part.file).size !== part.offset) return fs.unlinkSync(tmp)
+    fs.renameSync(tmp, part.file)
+    sync(part)
+  }
+
+  function append (part, docs) {
+    mkdirs(dir)
+    fs.appendFileSync(part.file, docs.map(function (doc) {
+      return JSON.stringify(doc)
+    }).join('\n') + '\n')
+    sync(part)
+  }
+
+  function find (query, sort, limit) {
+    query = query || {}
+    let parts = partitionsFor(query.selector)
+    let fields = Object.keys(sort || {})
+    let docs = []
+    if (parts.length === 1 && fields.length && fields[0] !== '$natural' && isRange(query[fields[0]]) && fields.every(function (field) {
+      return sort[field] === sort[fields[0]]
+    })) {
+      docs = scanRange(parts[0], query, fields, sort[fields[0]], limit)
+    }
+    else {
+      parts.forEach(function (part) {
+        part.docs.forEach(function (doc) {
+          if (matches(doc, query)) docs.push(doc)
+        })
+      })
+      if (fields.length) docs.sort(comparator(sort))
+      // $natural is the order the documents were written in, which the scan keeps
+      if (fields.length === 1 && sort.$natural === -1) docs.reverse()
+      if (limit) docs = docs.slice(0, limit)
+    }
+    return docs.map(copy)
+  }
+
+  // walk the documents sorted by the queried field (and the other sort fields) from the start of
+  // the range, so paging through trades by time does not look at every trade every time
+  function scanRange (part, query, fields, direction, limit) {
+    let field = fields[0]
+    let range = query[field]
+    let key = fields.join(',')
+    if (!part.sorted[key]) {
+      let ascending = {}
+      fields.forEach(function (f) {
+        ascending[f] = 1
+      })
+      part.sorted[key] = Array.from(part.docs.values()).filter(function (doc) {
+        return doc[field] !== undefined && doc[field] !== null
+      }).sort(comparator(ascending))
+    }
+    let sorted = part.sorted[key]
+    let docs = []
+    let i, step
+    if (direction === -1) {
+      i = range.$lt === undefined && range.$lte === undefined ? sorted.length : bound(sorted, field, range.$lt !== undefined ? range.$lt : range.$lte, range.$lt === undefined)
+      i--
+      step = -1
+    }
+    else {
+      i = bound(sorted, field, range.$gt !== undefined ? range.$gt : range.$gte, range.$gt !== undefined)
+      step = 1
+    }
+    for (; i >= 0 && i < sorted.length && (!limit || docs.length < limit); i += step) {
+      if (matches(sorted[i], query)) docs.push(sorted[i])
+    }
+    return docs
+  }
+
+  // replaceOne and save look in the partition of the new document
+  function findForWrite (filter, doc) {
+    let parts = partitionsFor(filter.selector !== undefined ? filter.selector : doc.selector)
+    let by_id = filter._id !== undefined && !_.isObject(filter._id)
+    for (let i = 0; i < parts.length; i++) {
+      let found = by_id ? parts[i].docs.get(String(filter._id)) : null
+      if (found && !matches(found, filter)) found = null
+      if (!by_id) {
+        parts[i].docs.forEach(function (existing) {
+          if (!found && matches(existing, filter)) found = existing
+        })
+      }
+      if (found) return { part: parts[i], doc: found }
+    }
+    return null
+  }
+
+  function insert (docs) {
+    let byPartition = _.groupBy(docs, function (doc) {
+      if (doc._id === undefined) doc._id = newId()
+      return partitionKey(doc.selector)
+    })
+    _.forEach(byPartition, function (docs, key) {
+      let part = partition(key)
+      docs.forEach(function (doc) {
+        if (part.docs.has(String(doc._id))) {
+          let err = new Error('\nduplicate key ' + doc._id + ' in ' + dir)
+          err.code = 11000
+          throw err
+        }
+      })
+      append(part, docs)
+    })
+    return { insertedCount: docs.length, insertedId: docs.length === 1 ? docs[0]._id : undefined }
+  }
+
+  function replace (filter, doc, opts) {
+    let found = findForWrite(filter, doc)
+    if (!found && !(opts && opts.upsert)) return { matchedCount: 0, modifiedCount: 0 }
+    doc = _.assign({}, doc, { _id: found ? found.doc._id : (filter._id !== undefined ? filter._id : (doc._id !== undefined ? doc._id : newId())) })
+    let part = partition(partitionKey(doc.selector))
+    if (found && found.part !== part) append(found.part, [{ $deleted: doc._id }])
+    append(part, [doc])
+    return found ? { matchedCount: 1, modifiedCount: 1 } : { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id }
+  }
+
+  function cursor (query) {
+    let sort = null
+    let limit = 0
+    let self = {
+      sort: function (s) {
+        sort = s
+        return self
+      },
+      limit: function (l) {
+        limit = l
+        return self
+      },
+      toArray: function (cb) {
+        return respond(cb, function () {
+          return find(query, sort, limit)
+        })
+      },
+      count: function (applyLimit, cb) {
+        if (typeof applyLimit === 'function') {
+          cb = applyLimit
+          applyLimit = false
+        }
+        return respond(cb, function () {
+          return find(query, sort, applyLimit ? limit : 0).length
+        })
+      },
+      stream: function () {
+        let docs = null
+        let i = 0
+        let stream = new Readable({
+          objectMode: true,
+          read: function () {
+            try {
+              if (!docs) docs = find(query, sort, limit)
+            }
+            catch (err) {
+              return this.destroy(err)
+            }
+            this.push(i < docs.length ? docs[i++] : null)
+          }
+        })
+        stream.close = function () {
+          stream.destroy()
+        }
+        return stream
+      }
+    }
+    return self
+  }
+
+  return {
+    find: function (query) {
+      return cursor(query)
+    },
+
+    findOne: function (query, cb) {
+      return respond(cb, function () {
+        return find(query, null, 1)[0] || null
+      })
+    },
+
+    insertOne: function (doc, opts, cb) {
+      return respond(typeof opts === 'function' ? opts : cb, function () {
+        return insert([doc])
+      })
+    },
+
+    insertMany: function (docs, opts, cb) {
+      return respond(typeof opts === 'function' ? opts : cb, function () {
+        return insert(docs)
+      })
+    },
+
+    replaceOne: function (filter, doc, opts, cb) {
+      if (typeof opts === 'function') {
+        cb = opts
+        opts = {}
+      }
+      return respond(cb, function () {
+        return replace(filter, doc, opts)
+      })
+    },
+
+    save: function (doc, opts, cb) {
+      return respond(typeof opts === 'function' ? opts : cb, function () {
+        if (doc._id === undefined) return insert([doc])
+        return replace({ _id: doc._id }, doc, { upsert: true })
+      })
+    },
+
+    deleteMany: function (filter, opts, cb) {
+      return respond(typeof opts === 'function' ? opts : cb, function () {
+        let deleted = 0
+        partitionsFor(filter.selector).forEach(function (part) {
+          let markers = []
+          part.docs.forEach(function (doc) {
+            if (matches(doc, filter)) markers.push({ $deleted: doc._id })
+          })
+          if (markers.length) append(part, markers)
+          deleted += markers.length
+        })
+        return { deletedCount: deleted }
+      })
+    },
+
+    // documents are scanned in memory, ranges on the sort field use a sorted copy
+    createIndex: function (keys, opts, cb) {
+      return respond(typeof opts === 'function' ? opts : cb, function () {
+        return Object.keys(keys).join('_')
+      })
+    }
+  }
+}
+
+// run fn now, hand the result to a node callback later or return it as a promise
+function respond (cb, fn) {
+  let promise = new Promise(function (resolve) {
+    resolve(fn())
+  })
+  if (!cb) return promise
+  promise.then(function (result) {
+    setImmediate(cb, null, result)
+  }, function (err) {
+    setImmediate(cb, err)
+  })
+}
+
+let operators = {
+  $gt: function (value, arg) { return value > arg },
+  $gte: function (value, arg) { return value >= arg },
+  $lt: function (value, arg) { return value < arg },
+  $lte: function (value, arg) { return value <= arg },
+  $ne: function (value, arg) { return !equals(value, arg) },
+  $in: function (value, arg) { return arg.some(function (a) { return equals(value, a) }) },
+  $nin: function (value, arg) { return !arg.some(function (a) { return equals(value, a) }) },
+  $exists: function (value, arg) { return (value !== undefined) === !!arg }
+}
+
+function matches (doc, query) {
+  return Object.keys(query).every(function (field) {
+    let cond = query[field]
+    if (field === '$or') {
+      return cond.some(function (q) {
+        return matches(doc, q)
+      })
+    }
+    let value = _.get(doc, field)
+    if (!isOperators(cond)) return equals(value, cond)
+    return Object.keys(cond).every(function (op) {
+      if (!operators[op]) throw new Error('\nquery operator ' + op + ' is not supported by the file store')
+      if (op !== '$exists' && op !== '$ne' && op !== '$nin' && (value === undefined || value === null)) return false
+      return operators[op](value, cond[op])
+    })
+  })
+}
+
+function isOperators (cond) {
+  return _.isPlainObject(cond) && Object.keys(cond).length > 0 && Object.keys(cond).every(function (key) {
+    return key[0] === '$'
+  })
+}
+
+function isRange (cond) {
+  return isOperators(cond) && Object.keys(cond).every(function (op) {
+    return ['$gt', '$gte', '$lt', '$lte'].indexOf(op) !== -1
+  })
+}
+
+function equals (value, arg) {
+  return _.isEqual(value, arg)
+}
+
+// index of the first document past `value` (after = true) or at or past it
+function bound (sorted, field, value, after) {
+  if (value === undefined) return 0
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    let mid = (lo + hi) >>> 1
+    let v = sorted[mid][field]
+    if (v < value || (after && v === value)) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+function comparator (sort) {
+  let fields = Object.keys(sort)
+  return function (a, b) {
+    for (let i = 0; i < fields.length; i++) {
+      if (fields[i] === '$natural') continue
+      let x = _.get(a, fields[i])
+      let y = _.get(b, fields[i])
+      if (x === y) continue
+      if (x === undefined || x === null) return -sort[fields[i]]
+      if (y === undefined || y === null) return sort[fields[i]]
+      return x < y ? -sort[fields[i]] : sort[fields[i]]
+    }
+    return 0
+  }
+}
+
+function copy (doc) {
+  return JSON.parse(JSON.stringify(doc))
+}
+
+function newId () {
+  return crypto.randomBytes(12).toString('hex')
+}
+
+function mkdirs (dir) {
+  if (fs.existsSync(dir)) return
+  mkdirs(path.dirname(dir))
+  fs.mkdirSync(dir)
+}
@@ -0,0 +1,119 @@
+let n = require('numbro')
+  , _ = require('lodash')
+
+// Execution model for the sim exchange.
+// The 'simple' model keeps the old behaviour (fill as soon as the price crosses),
+// the 'queue' model estimates how much volume rests ahead of a limit order at its price
+// from the recently traded volume at that price, and only fills what trades past it.
+// Fee tiers apply to both models, picked by the traded volume of the last 30 days.
+module.exports = function fillModel (opts) {
+  opts = opts || {}
+  let latency = opts.latency || 0
+  let queue_window = (opts.queue_window || 60) * 60000
+  let queue_factor = opts.queue_factor === undefined ? 1 : Number(opts.queue_factor)
+  let tiers = parseTiers(opts.fee_tiers)
+  let tier_window = 30 * 86400000
+
+  let trades = []
+  let volume_at = {}
+  let fills = []
+  let fill_volume = 0
+
+  function priceKey (price) {
+    return String(Number(price))
+  }
+
+  return {
+    queue: opts.model === 'queue',
+
+    // keep the traded volume per price over the queue window
+    record: function (trade) {
+      trades.push(trade)
+      let key = priceKey(trade.price)
+      volume_at[key] = (volume_at[key] || 0) + Number(trade.size)
+      while (trades.length && trade.time - trades[0].time > queue_window) {
+        let old = trades.shift()
+        key = priceKey(old.price)
+        volume_at[key] -= Number(old.size)
+        if (volume_at[key] <= 1e-12) delete volume_at[key]
+      }
+    },
+
+    volumeAt: function (price) {
+      return volume_at[priceKey(price)] || 0
+    },
+
+    // new orders reach the book after the latency and join the back of the queue
+    place: function (order, time) {
+      order.active_at = (time || 0) + latency
+      order.queue_ahead = n(this.volumeAt(order.price)).multiply(queue_factor).value()
+    },
+
+    // part of the order a trade fills: {size, price, taker, slippage} or null
+    fill: function (order, trade) {
+      if (trade.time < order.active_at) return null
+      let remaining = Number(order.remaining_size)
+      if (!(remaining > 0)) return null
+
+      if (order.ordertype === 'taker') {
+        // takes liquidity at whatever prints after the latency
+        return { size: Math.min(remaining, trade.size), price: trade.price, taker: true, slippage: true }
+      }
+
+      let price = Number(order.price)
+      let through = order.tradetype === 'buy' ? trade.price < price : trade.price > price
+      if (!through && trade.price !== price) return null
+
+      let available = Number(trade.size)
+      if (through) {
+        // the whole price level was taken out
+        order.queue_ahead = 0
+      }
+      else {
+        let consumed = Math.min(order.queue_ahead, available)
+        order.queue_ahead = n(order.queue_ahead).subtract(consumed).value()
+        available = n(available).subtract(consumed).value()
+      }
+      if (available <= 0) return null
+      return { size: Math.min(remaining, available), price: order.price, taker: false, slippage: false }
+    },
+
+    // fees after adding a fill worth `total` in currency, null without fee tiers
+    addVolume: function (time, total) {
+      if (!tiers.length) return null
+      fills.push({ time: time, total: Number(total) })
+      fill_volume += Number(total)
+      while (fills.length && time - fills[0].time > tier_window) {
+        fill_volume -= fills.shift().total
+      }
+      return this.fees()
+    },
+
+    // the fills in the fee tier window, the paper ledger replays them through addVolume
+    volume: function () {
+      return fills.slice()
+    },
+
+    fees: function () {
+      if (!tiers.length) return null
+      let tier = _.findLast(tiers, function (tier) { return fill_volume >= tier.volume }) || tiers[0]
+      return { maker: tier.maker, taker: tier.taker }
+    }
+  }
+}
+
+// "0:0.1:0.2,50000:0.08:0.18" (30 day volume:maker %:taker %) or a list of {volume, maker, taker}
+function parseTiers (fee_tiers) {
+  if (!fee_tiers) return []
+  let tiers = fee_tiers
+  if (typeof fee_tiers === 'string') {
+    tiers = fee_tiers.split(',').map(function (tier) {
+      let parts = tier.split(':')
+      return { volume: Number(parts[0]), maker: Number(parts[1]), taker: Number(parts[2]) }
+    })
+  }
+  if (tiers.some(function (tier) { return isNaN(tier.volume) || isNaN(tier.maker) || isNaN(tier.taker) })) {
+    throw new Error('\ninvalid fee tiers: ' + JSON.stringify(fee_tiers) + ', expected volume:maker:taker,...')
+  }
+  return _.sortBy(tiers, 'volume')
+}
@@ -0,0 +1,132 @@
+let crypto = require('crypto')
+  , async = require('async')
+  , _ = require('lodash')
+  , collectionService = require('./services/collection-service')
+
+// The orders of `zenbot trade` as an append-only log: every time an order is placed, adjusted
+// (re-placed at a new price), partially filled, filled or cancelled, the order as the engine
+// sees it goes into the journal collection. Replaying the log gives the orders that were open
+// when the bot stopped, reconcile checks them against the exchange and the engine picks up
+// the ones that are still there, so a crash between placing and filling an order loses nothing.
+module.exports = function journal (conf, selector) {
+  let store = collectionService(conf).getJournal()
+  let seq = 0
+
+  function record (event, type, order) {
+    let entry = {
+      id: crypto.randomBytes(4).toString('hex'),
+      selector: selector,
+      time: new Date().getTime(),
+      seq: seq++,
+      event: event,
+      type: type,
+      order_id: order.order_id,
+      order: JSON.parse(JSON.stringify(order))
+    }
+    entry._id = entry.id
+    store.insertOne(entry, function (err) {
+      if (err) {
+        console.error('\nerror saving ' + event + ' ' + type + ' order to the journal')
+        console.error(err)
+      }
+    })
+  }
+
+  // the last open order per type, {buy: order, sell: order}
+  function replay (entries) {
+    let open = {}
+    entries.forEach(function (entry) {
+      let current = open[entry.type]
+      if (entry.event === 'placed' || entry.event === 'adjusted') {
+        open[entry.type] = entry.order
+      }
+      else if (current && current.order_id === entry.order_id) {
+        if (entry.event === 'partially_filled') open[entry.type] = entry.order
+        else delete open[entry.type]
+      }
+    })
+    return open
+  }
+
+  function load (cb) {
+    store.find({selector: selector}).sort({time: 1}).toArray(function (err, entries) {
+      if (err) return cb(err)
+      cb(null, replay(_.sortBy(entries, ['time', 'seq'])))
+    })
+  }
+
+  return {
+    // follows the order events of an engine, see lib/engine.js
+    attach: function (eventBus) {
+      eventBus.on('orderPlaced', function (type, order) {
+        record('placed', type, order)
+      })
+      eventBus.on('orderAdjusted', function (type, order) {
+        record('adjusted', type, order)
+      })
+      eventBus.on('orderPartiallyFilled', function (type, order) {
+        record('partially_filled', type, order)
+      })
+      eventBus.on('orderExecuted', function (type, my_trade) {
+        record('filled', type, my_trade)
+      })
+      eventBus.on('orderCancelled', function (type, order) {
+        record('cancelled', type, order)
+      })
+    },
+
+    load: load,
+    replay: replay,
+
+    // The open orders of the journal as engine state for engine.resume(): orders the exchange
+    // still has open or filled while the bot was down are kept, the engine polls them again
+    // and books the fills. The others were cancelled and are closed in the journal. Open
+    // orders on the exchange the journal does not know about are passed back as orphans.
+    reconcile: function (exchange, product_id, cb) {
+      load(function (err, open) {
+        if (err) return cb(err)
+        if (!exchange.getOpenOrders) return check(null)
+        exchange.getOpenOrders({product_id: product_id}, function (err, api_orders) {
+          if (err) return cb(err)
+          check(api_orders)
+        })
+
+        function check (api_orders) {
+          let state = {}
+          async.eachSeries(Object.keys(open), function (type, done) {
+            let order = open[type]
+            let keep = function () {
+              state[type + '_order'] = order
+              state.last_signal = type
+              done()
+            }
+            let api_order = _.find(api_orders, function (api_order) {
+              return String(api_order.id) === String(order.order_id)
+            })
+            if (api_order) {
+              if (Number(api_order.filled_size)) order.filled_size = api_order.filled_size
+              return keep()
+            }
+            exchange.getOrder({order_id: order.order_id, product_id: product_id}, function (err, api_order) {
+              if (err) return done(err)
+              // gdax answers cancelled orders as done with a done_reason
+              let gone = !api_order || api_order.status === 'cancelled' || api_order.status === 'rejected' || api_order.done_reason === 'canceled'
+              if (!gone) return keep()
+              record('cancelled', type, order)
+              done()
+            })
+          }, function (err) {
+            if (err) return cb(err)
+            let known = _.map(open, function (order) {
+              return String(order.order_id)
+            })
+            let orphans = _.filter(api_orders, function (api_order) {
+              return known.indexOf(String(api_order.id)) === -1
+            })
+            cb(null, state, orphans)
+          })
+        }
+      })
+    }
+  }
+}
@@ -0,0 +1,12 @@
+var path = require('path')
+
+// The adapter of an exchange_id: extensions/exchanges/<exchange_id>/exchange.js, or for
+// ccxt:<exchange> the generic ccxt adapter, which is told the ccxt exchange to wrap.
+module.exports = function loadExchange (exchange_id, conf) {
+  var ccxt_id = null
+  if (exchange_id.indexOf('ccxt:') === 0) {
+    ccxt_id = exchange_id.slice(5)
+    exchange_id = 'ccxt'
+  }
+  return require(path.resolve(__dirname, `../extensions/exchanges/${exchange_id}/exchange`))(conf, ccxt_id)
+}
@@ -0,0 +1,53 @@
+// Position math for --margin, where the asset balance goes negative on a short
+// and the currency balance goes negative on a leveraged long.
+
+function equity (balance, price) {
+  return Number(balance.currency) + Number(balance.asset) * price
+}
+
+module.exports = {
+  equity: equity,
+
+  // value of the position as a multiple of the equity
+  leverage: function (balance, price) {
+    let value = equity(balance, price)
+    return value > 0 ? Math.abs(Number(balance.asset)) * price / value : Infinity
+  },
+
+  // price at which the equity falls to maintenance_pct % of the position,
+  // null when the position can not be liquidated
+  liquidationPrice: function (balance, maintenance_pct) {
+    let asset = Number(balance.asset)
+    let currency = Number(balance.currency)
+    let m = (maintenance_pct || 0) / 100
+    if (!asset) return null
+    let price = asset > 0 ? -currency / (asset * (1 - m)) : -currency / (asset * (1 + m))
+    return price > 0 && isFinite(price) ? price : null
+  },
+
+  // interest on what is borrowed: the asset sold short and the currency spent beyond the balance
+  borrowFee: function (balance, price, rate_pct, ms) {
+    let borrowed = Math.max(0, -Number(balance.asset)) * price + Math.max(0, -Number(balance.currency))
+    return borrowed * (rate_pct || 0) / 100 * ms / 86400000
+  },
+
+  // asset to buy on a buy signal: cover the short, then go long on pct % of
+  // leverage times the equity. A stop only closes the position.
+  buySize: function (balance, price, opts) {
+    let asset = Number(balance.asset)
+    // the fee is paid in the asset, buy that much more to close the short
+    let cover = Math.max(0, -asset) / (1 - (opts.fee || 0) / 100)
+    if (opts.close_only) return cover
+    let target = equity(balance, price) * opts.leverage * opts.pct / 100 / price / (1 + (opts.fee || 0) / 100)
+    return cover + Math.max(0, target - Math.max(0, asset))
+  },
+
+  // asset to sell on a sell signal: close the long, then go short the same way
+  sellSize: function (balance, price, opts) {
+    let asset = Number(balance.asset)
+    let close = Math.max(0, asset)
+    if (opts.close_only) return close
+    let target = equity(balance, price) * opts.leverage * opts.pct / 100 / price / (1 + (opts.fee || 0) / 100)
+    return close + Math.max(0, target - Math.max(0, -asset))
+  }
+}
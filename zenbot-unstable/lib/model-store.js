@@ -0,0 +1,31 @@
+let collectionService = require('./services/collection-service')
+
+// What strategies learn, kept in the sessions collection between runs under a name of their
+// choice. Strategies get it as this.store. The db is used through promises, in sim the engine
+// fakes the timers the file store calls back with.
+module.exports = function modelStore (conf) {
+  function sessions () {
+    return collectionService(conf).getSessions()
+  }
+
+  return {
+    load: function (name, cb) {
+      Promise.resolve().then(function () {
+        return sessions().findOne({_id: 'model.' + name})
+      }).then(function (doc) {
+        cb(null, doc ? doc.model : null)
+      }, cb)
+    },
+
+    save: function (name, model, cb) {
+      let doc = {_id: 'model.' + name, id: 'model.' + name, model: model, updated: new Date().getTime()}
+      Promise.resolve().then(function () {
+        return sessions().replaceOne({_id: doc._id}, doc, {upsert: true})
+      }).then(function () {
+        if (cb) cb(null)
+      }, function (err) {
+        if (cb) cb(err)
+      })
+    }
+  }
+}
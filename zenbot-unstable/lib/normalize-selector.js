@@ -1,4 +1,5 @@
 module.exports = function (selector) {
   var parts = selector.split('.')
-  return parts[0].toLowerCase() + '.' + (parts[1] || '').toUpperCase()
+  // ccxt:<exchange>.BTC/EUR takes the pair in the symbol notation of ccxt too
+  return parts[0].toLowerCase() + '.' + (parts[1] || '').toUpperCase().replace('/', '-')
 }
\ No newline at end of file
@@ -1,4 +1,11 @@
+// engines trading several selectors in one process share their notifiers,
+// interactive notifiers (e.g. telegram polling) must only be connected once
+var instances = new WeakMap()
+
 module.exports = function notifier (conf) {
+  if (conf.notifiers && instances.has(conf.notifiers)) {
+    return instances.get(conf.notifiers)
+  }
   var active_notifiers = []
   var interactive_notifiers = []
 
@@ -14,8 +21,9 @@ module.exports = function notifier (conf) {
     }
   }
 
-  return {
-    pushMessage: function (title, message) {
+  var instance = {
+    // event is {type, selector, ...}, see pushMessage in lib/engine.js
+    pushMessage: function (title, message, event) {
       if (conf.debug) {
         console.log(`${title}: ${message}`)
       }
@@ -24,16 +32,29 @@ module.exports = function notifier (conf) {
         if (conf.debug) {
           console.log(`Sending push message via ${notifier.notifier_name}`)
         }
-        notifier.pushMessage(title, message)
+        notifier.pushMessage(title, message, event)
       })
     },
+    // callback(text, from), from is {notifier, user, reply} and replies go back to the same notifier
     onMessage: function (callback) {
       interactive_notifiers.forEach((notifier) => {
         if (conf.debug) {
           console.log(`Receiving message from ${notifier.notifier_name}`)
         }
-        notifier.onMessage(callback)
+        notifier.onMessage(function (text, user) {
+          callback(text, {
+            notifier: notifier.notifier_name,
+            user: user,
+            reply: function (message) {
+              notifier.pushMessage('Reply', message, {type: 'reply', time: new Date().getTime()})
+            }
+          })
+        })
       })
     }
   }
+  if (conf.notifiers) {
+    instances.set(conf.notifiers, instance)
+  }
+  return instance
 }
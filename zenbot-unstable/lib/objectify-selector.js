@@ -1,4 +1,7 @@
 var normalizeSelector = require('./normalize-selector')
+
+// exchange.ASSET-CURRENCY, or ccxt:<exchange>.ASSET-CURRENCY for any exchange of ccxt, whose
+// exchange_id ccxt:<exchange> lib/load-exchange.js resolves to extensions/exchanges/ccxt
 module.exports =  function(selector) {
   var rtn
 
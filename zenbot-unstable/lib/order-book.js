@@ -0,0 +1,131 @@
+let _ = require('lodash')
+
+// Order book snapshots: recorded from an exchange's getOrderBook into the
+// order_books collection, and replayed next to the trades in sim as s.order_book.
+// A snapshot is {selector, time, bids: [[price, size], ...], asks: [[price, size], ...]},
+// best prices first.
+module.exports = {
+  // keep the top `depth` levels of what getOrderBook returned, as numbers
+  normalize: function (book, depth) {
+    function side (levels) {
+      return (levels || []).slice(0, depth || undefined).map(function (level) {
+        return [Number(level[0]), Number(level[1])]
+      })
+    }
+    return { bids: side(book.bids), asks: side(book.asks) }
+  },
+
+  // (bid volume - ask volume) / total volume over the top `levels` levels, from -1 to 1
+  imbalance: function (book, levels) {
+    if (!book) return 0
+    let bids = _.sumBy((book.bids || []).slice(0, levels || undefined), 1)
+    let asks = _.sumBy((book.asks || []).slice(0, levels || undefined), 1)
+    return bids + asks ? (bids - asks) / (bids + asks) : 0
+  },
+
+  recorder: function (exchange, collection, selector, opts) {
+    opts = opts || {}
+    let depth = opts.depth || 10
+    let interval = (opts.interval || 60) * 1000
+    let timer = null
+
+    if (typeof exchange.getOrderBook !== 'function') {
+      throw new Error('\ncannot record order books for ' + selector.normalized + ': exchange does not offer order book data')
+    }
+
+    function snapshot (cb) {
+      exchange.getOrderBook({product_id: selector.product_id, depth: depth}, function (err, book) {
+        if (err) return cb(err)
+        if (!book || !book.bids) return cb(new Error('\nempty order book for ' + selector.normalized))
+        let time = new Date().getTime()
+        let snapshot = module.exports.normalize(book, depth)
+        snapshot.id = selector.normalized + '-' + time
+        snapshot._id = snapshot.id
+        snapshot.selector = selector.normalized
+        snapshot.time = time
+        collection.replaceOne({_id: snapshot.id}, snapshot, {upsert: true})
+          .then(function () {
+            cb(null, snapshot)
+          })
+          .catch(cb)
+      })
+    }
+
+    return {
+      snapshot: snapshot,
+
+      // take a snapshot every interval, errors are logged and the next snapshot is tried anyway
+      start: function (onSnapshot) {
+        function tick () {
+          snapshot(function (err, book) {
+            if (err) {
+              console.error(('\nerror recording order book for ' + selector.normalized).red)
+              console.error(err)
+              return
+            }
+            if (onSnapshot) onSnapshot(book)
+          })
+        }
+        tick()
+        timer = setInterval(tick, interval)
+      },
+
+      stop: function () {
+        clearInterval(timer)
+        timer = null
+      }
+    }
+  },
+
+  // sets trade.order_book on the first trade of a batch after every recorded snapshot
+  replay: function (collection, selector) {
+    let current = null
+    let loaded_until = null
+
+    function find (query, sort, limit, cb) {
+      let cursor = collection.find(query).sort(sort)
+      if (limit) cursor = cursor.limit(limit)
+      cursor.toArray(cb)
+    }
+
+    return {
+      attach: function (trades, cb) {
+        if (!trades.length) return cb()
+        let first = _.minBy(trades, 'time').time
+        let last = _.maxBy(trades, 'time').time
+
+        function load (books) {
+          trades.forEach(function (trade) {
+            let changed = false
+            while (books.length && books[0].time <= trade.time) {
+              current = books.shift()
+              changed = true
+            }
+            if (changed) trade.order_book = current
+          })
+          cb()
+        }
+
+        let query = {selector: selector.normalized, time: {$lte: last}}
+        if (loaded_until !== null) {
+          query.time.$gt = loaded_until
+          loaded_until = Math.max(loaded_until, last)
+          return find(query, {time: 1}, 0, function (err, books) {
+            if (err) return cb(err)
+            load(books)
+          })
+        }
+        // first batch: start from the latest snapshot taken before it
+        loaded_until = last
+        find({selector: selector.normalized, time: {$lte: first}}, {time: -1}, 1, function (err, before) {
+          if (err) return cb(err)
+          query.time.$gt = first
+          find(query, {time: 1}, 0, function (err, books) {
+            if (err) return cb(err)
+            load(before.concat(books))
+          })
+        })
+      }
+    }
+  }
+}
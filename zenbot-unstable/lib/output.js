@@ -2,13 +2,14 @@ var path = require('path')
 
 module.exports = function output (conf) {
 
-  var initializeOutput = function(tradeObject) {
+  // traders: what commands/trade.js runs, for outputs that control trading
+  var initializeOutput = function(tradeObject, traders) {
     for (var output in conf.output) {
       if (conf.output[output].on) {
         if (conf.debug) {
           console.log(`initializing output ${output}`)
         }
-        require(path.resolve(__dirname, `../extensions/output/${output}`))(conf).run(conf.output[output], tradeObject)
+        require(path.resolve(__dirname, `../extensions/output/${output}`))(conf).run(conf.output[output], tradeObject, traders)
       }
     }
   }
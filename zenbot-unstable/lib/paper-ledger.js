@@ -0,0 +1,44 @@
+let collectionService = require('./services/collection-service')
+
+// The books of a paper trading session: the balance, open orders and fee volume of the sim
+// exchange and the open orders and stops of the engine go on the session document, the fills
+// are the my_trades of the session. `zenbot trade --paper` saves them with the session and
+// resumes them on the next start with the same --session name.
+module.exports = function paperLedger (conf, name, selector) {
+  let id = 'paper.' + name + '.' + selector
+  let store = collectionService(conf)
+
+  return {
+    id: id,
+
+    // the session saved last time with its fills, null for a new ledger
+    load: function (cb) {
+      store.getSessions().find({_id: id, selector: selector}).limit(1).toArray(function (err, docs) {
+        if (err) return cb(err)
+        if (!docs.length || !docs[0].ledger) return cb(null, null)
+        store.getMyTrades().find({selector: selector, session_id: id}).sort({time: 1}).toArray(function (err, my_trades) {
+          if (err) return cb(err)
+          cb(null, {session: docs[0], my_trades: my_trades})
+        })
+      })
+    },
+
+    // starting over with new capital, the old fills would not add up with it
+    reset: function (cb) {
+      store.getMyTrades().deleteMany({selector: selector, session_id: id}, cb)
+    },
+
+    resume: function (s, engine, saved) {
+      s.exchange.setState(saved.session.ledger.exchange)
+      s.my_trades = saved.my_trades
+      engine.resume(saved.session.ledger.engine)
+    },
+
+    snapshot: function (s, engine) {
+      return {
+        exchange: s.exchange.getState(),
+        engine: engine.getState()
+      }
+    }
+  }
+}
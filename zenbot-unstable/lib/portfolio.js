@@ -0,0 +1,123 @@
+let n = require('numbro')
+  , _ = require('lodash')
+
+// Shared capital allocator for trading several selectors from one process.
+// Every engine reports its balance on syncBalance and gets back the slice of
+// the portfolio (in currency) it is allowed to hold, see deposit().
+module.exports = function portfolio (selectors, opts) {
+  opts = opts || {}
+  let method = opts.allocation || 'fixed'
+  let vol_periods = opts.vol_periods || 20
+  // in live mode engines on the same exchange share one wallet, in paper mode
+  // every engine gets its own sim wallet funded with its initial weight
+  let shared_wallet = opts.mode !== 'paper'
+  let members = {}
+  // latest currency balance reported for each shared wallet, older reports
+  // miss what the other engines bought or sold since
+  let wallets = {}
+
+  selectors.forEach(function (selector, idx) {
+    members[selector.normalized] = {
+      selector: selector.normalized,
+      group: selector.exchange_id + '.' + selector.currency,
+      currency: selector.currency,
+      fixed_weight: opts.weights && opts.weights[idx] !== undefined ? Number(opts.weights[idx]) : 1,
+      volatility: null,
+      balance_currency: 0,
+      asset_capital: 0
+    }
+  })
+
+  let total_fixed = _.sumBy(_.values(members), 'fixed_weight')
+  if (!total_fixed) {
+    throw new Error('\nportfolio weights must add up to more than 0')
+  }
+
+  // standard deviation of period-over-period returns, newest periods first
+  function volatility (lookback) {
+    let closes = lookback.slice(0, vol_periods + 1).map(function (period) { return period.close })
+    if (closes.length < 3) return null
+    let returns = []
+    for (let idx = 0; idx < closes.length - 1; idx++) {
+      returns.push((closes[idx] - closes[idx + 1]) / closes[idx + 1])
+    }
+    let avg = _.mean(returns)
+    let variance = _.sumBy(returns, function (r) { return Math.pow(r - avg, 2) }) / returns.length
+    return Math.sqrt(variance)
+  }
+
+  function weights () {
+    let list = _.values(members)
+    let raw = {}
+    if (method === 'risk_parity' && list.every(function (m) { return m.volatility > 0 })) {
+      list.forEach(function (m) { raw[m.selector] = 1 / m.volatility })
+    }
+    else {
+      // fixed weights, also used by risk parity until every member has enough lookback
+      list.forEach(function (m) { raw[m.selector] = m.fixed_weight })
+    }
+    let total = _.sum(_.values(raw))
+    return _.mapValues(raw, function (w) { return w / total })
+  }
+
+  function groupCapital (group) {
+    let list = _.filter(members, {group: group})
+    let currency = shared_wallet ? (wallets[group] && wallets[group].currency) : _.sumBy(list, 'balance_currency')
+    return n(currency || 0).add(_.sumBy(list, 'asset_capital')).value()
+  }
+
+  return {
+    selectors: _.keys(members),
+
+    // initial weight of a member, used to split paper trading capital
+    weight: function (selector) {
+      return members[selector].fixed_weight / total_fixed
+    },
+
+    update: function (selector, data) {
+      let member = members[selector]
+      member.balance_currency = Number(data.currency) || 0
+      member.asset_capital = Number(data.asset_capital) || 0
+      let time = data.time || new Date().getTime()
+      if (!wallets[member.group] || time >= wallets[member.group].time) {
+        wallets[member.group] = {currency: member.balance_currency, time: time}
+      }
+      if (data.price) member.price = data.price
+      if (data.lookback) member.volatility = volatility(data.lookback)
+    },
+
+    // currency value this member is allowed to hold, including the asset it already owns
+    deposit: function (selector) {
+      let member = members[selector]
+      let group_weight = _.sum(_.filter(members, {group: member.group}).map(function (m) { return weights()[m.selector] }))
+      if (!group_weight) return 0
+      return n(groupCapital(member.group)).multiply(weights()[selector] / group_weight).value()
+    },
+
+    weights: weights,
+
+    toJSON: function () {
+      let current = weights()
+      let groups = _.uniq(_.map(members, 'group'))
+      return {
+        allocation: method,
+        members: _.values(members).map(function (m) {
+          return {
+            selector: m.selector,
+            currency: m.currency,
+            weight: current[m.selector],
+            volatility: m.volatility,
+            asset_capital: m.asset_capital,
+            price: m.price
+          }
+        }),
+        totals: groups.map(function (group) {
+          return {
+            currency: group.split('.')[1],
+            capital: groupCapital(group)
+          }
+        })
+      }
+    }
+  }
+}
@@ -0,0 +1,89 @@
+let moment = require('moment')
+  , colors = require('colors')
+  , stddev = require('./stddev')
+
+// Risk rules the engine applies to every buy, the same way in sim and trade:
+//
+//   --risk_per_trade_pct=1     size buys so that a move against the position of --risk_stop_mult times the
+//                              volatility (--risk_volatility=atr|stddev over --risk_periods) costs 1% of the equity
+//   --max_daily_loss_pct=5     stop buying for the rest of the day once the equity is 5% under the day's start
+//   --max_weekly_loss_pct=10   the same for the (ISO) week
+//   --max_exposure_pct=50      never hold more than 50% of the equity in the asset
+//
+// Days and weeks follow the trade times in UTC, so a sim halts where a live trader would.
+// Sells are never blocked, a halted trader can still get out of its position.
+module.exports = function risk (so, notify) {
+  let windows = [
+    {name: 'daily', format: 'YYYY-MM-DD', pct: so.max_daily_loss_pct},
+    {name: 'weekly', format: 'GGGG-[W]WW', pct: so.max_weekly_loss_pct}
+  ]
+
+  function equity (s, price) {
+    return Number(s.balance.currency) + Number(s.balance.asset) * price
+  }
+
+  // price range the position is expected to move against us, per unit of asset
+  function volatility (s) {
+    let periods = so.risk_periods || 14
+    if (s.lookback.length < periods + 1) return null
+    if (so.risk_volatility === 'stddev') {
+      stddev(s, 'risk_stddev', periods, 'close')
+      return s.period.risk_stddev || null
+    }
+    // average true range
+    let sum = 0
+    for (let idx = 0; idx < periods; idx++) {
+      let period = s.lookback[idx]
+      let prev_close = s.lookback[idx + 1].close
+      sum += Math.max(period.high - period.low, Math.abs(period.high - prev_close), Math.abs(period.low - prev_close))
+    }
+    return sum / periods || null
+  }
+
+  return {
+    // called as periods close, tracks the equity at the start of every day and week
+    update: function (s, time) {
+      if (!s.start_capital) return
+      let value = equity(s, s.period.close)
+      windows.forEach(function (w) {
+        let id = moment.utc(time).format(w.format)
+        if (w.id !== id) {
+          w.id = id
+          w.start = value
+          w.halted = false
+        }
+        else if (w.pct && !w.halted && value < w.start * (1 - w.pct / 100)) {
+          w.halted = true
+          let msg = w.name + ' loss of ' + ((w.start - value) / w.start * 100).toFixed(2) + '% reached the ' + w.pct + '% limit, no buys until the ' + (w.name === 'daily' ? 'next day' : 'next week')
+          console.log(colors.red('\n' + msg + '\n'))
+          notify('Trading halted on ' + so.selector.normalized, msg)
+        }
+      })
+    },
+
+    // the reason buys are halted, if they are
+    halted: function () {
+      let w = windows.filter(function (w) { return w.halted })[0]
+      return w ? w.name + ' loss limit of ' + w.pct + '% reached' : null
+    },
+
+    // the % of the deposit to buy with at price, within the sizing and exposure rules
+    buyPct: function (s, buy_pct, price) {
+      let deposit = Number(s.balance.deposit)
+      if (!deposit) return buy_pct
+      let value = equity(s, price)
+      if (so.risk_per_trade_pct) {
+        let vol = volatility(s)
+        if (vol) {
+          let size = value * so.risk_per_trade_pct / 100 / ((so.risk_stop_mult || 2) * vol)
+          buy_pct = Math.min(buy_pct, size * price / deposit * 100)
+        }
+      }
+      if (so.max_exposure_pct) {
+        let room = value * so.max_exposure_pct / 100 - Number(s.balance.asset) * price
+        buy_pct = Math.min(buy_pct, Math.max(0, room) / deposit * 100)
+      }
+      return buy_pct
+    }
+  }
+}
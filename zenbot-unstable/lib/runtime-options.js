@@ -0,0 +1,30 @@
+// Options `zenbot trade` lets the API (extensions/output/api.js) and the chat commands
+// (lib/command-router.js) change while it trades.
+let order_types = ['maker', 'taker']
+let names = ['buy_pct', 'sell_pct', 'markdown_buy_pct', 'markup_sell_pct', 'sell_stop_pct', 'buy_stop_pct', 'profit_stop_enable_pct', 'profit_stop_pct', 'max_slippage_pct', 'order_type', 'manual']
+
+module.exports = {
+  names: names,
+  order_types: order_types,
+
+  // the values to set for changes, throws on an option that cannot be changed or a bad value
+  parse: function (changes) {
+    let values = {}
+    Object.keys(changes).forEach(function (k) {
+      if (names.indexOf(k) === -1) {
+        throw new Error(k + ' cannot be changed while trading, use one of: ' + names.join(', '))
+      }
+      if (k === 'order_type' && !order_types.includes(changes[k])) {
+        throw new Error('order_type must be one of: ' + order_types.join(', '))
+      }
+      if (k === 'manual' && typeof changes[k] !== 'boolean') {
+        throw new Error('manual must be true or false')
+      }
+      if (k !== 'order_type' && k !== 'manual' && (isNaN(parseFloat(changes[k])) || !(Number(changes[k]) >= 0))) {
+        throw new Error(k + ' must be a number >= 0')
+      }
+      values[k] = (k === 'order_type' || k === 'manual') ? changes[k] : Number(changes[k])
+    })
+    return values
+  }
+}
@@ -1,34 +1,53 @@
 module.exports = function (conf) {
+  // conf.db.file is set by boot.js when c.storage is 'file', see lib/file-store.js
+  function collection (name) {
+    return conf.db.file ? conf.db.file.collection(name) : conf.db.mongo.collection(name)
+  }
+
   return {
     getTrades: () => {
-      conf.db.mongo.collection('trades').createIndex({selector: 1, time: 1})
-      return conf.db.mongo.collection('trades')
+      collection('trades').createIndex({selector: 1, time: 1, trade_id: 1})
+      return collection('trades')
     },	
 
     getResumeMarkers: () => {
-      conf.db.mongo.collection('resume_markers').createIndex({selector: 1, to: -1})
-      return conf.db.mongo.collection('resume_markers')
+      collection('resume_markers').createIndex({selector: 1, to: -1})
+      return collection('resume_markers')
     },
 
     getBalances: () => {
-      return conf.db.mongo.collection('balances')
+      return collection('balances')
     },
 
     getSessions: () => {
-      return conf.db.mongo.collection('sessions')
+      return collection('sessions')
     },
 
     getPeriods: () => {
-      return conf.db.mongo.collection('periods')
+      return collection('periods')
     },
 
     getMyTrades: () => {
-      return conf.db.mongo.collection('my_trades')
+      return collection('my_trades')
+    },
+
+    getJournal: () => {
+      collection('journal').createIndex({selector: 1, time: 1})
+      return collection('journal')
     },
 
     getSimResults: () => {
-      return conf.db.mongo.collection('sim_results')
+      return collection('sim_results')
+    },
+
+    getCandles: () => {
+      collection('candles').createIndex({selector: 1, size: 1, time: 1})
+      return collection('candles')
+    },
+
+    getOrderBooks: () => {
+      collection('order_books').createIndex({selector: 1, time: 1})
+      return collection('order_books')
     }
   }
 }
-
@@ -1,5 +1,6 @@
 var objectifySelector = require('../objectify-selector')
-var path = require('path')
+var loadExchange = require('../load-exchange')
+var tradeFeed = require('../trade-feed')
 
 module.exports = function (conf) {    
   // ASSUMES c.selector has been set, for example, with whatever command line parameters there may have been. 
@@ -18,7 +19,7 @@ module.exports = function (conf) {
     }
     var rtn = undefined
     try {
-      rtn = require(path.resolve(__dirname, `../../extensions/exchanges/${exchangeId}/exchange`))(conf)
+      rtn = loadExchange(exchangeId, conf)
     }
     catch(err) {
       // hold comment
@@ -31,6 +32,12 @@ module.exports = function (conf) {
     return _getExchange(exchangeId)
   }
 
+  // the trades and quote of a product as the exchange streams them, over REST where it does not,
+  // see lib/trade-feed.js
+  theService.getFeed = (exchange, opts) => {
+    return tradeFeed(exchange || _getExchange(), Object.assign({product_id: selector && selector.product_id}, opts))
+  }
+
   theService.getSelector = () => {
     return selector
   }
@@ -0,0 +1,107 @@
+let { parentPort, workerData } = require('worker_threads')
+  , EventEmitter = require('events')
+  , tb = require('timebucket')
+  , moment = require('moment')
+  , _ = require('lodash')
+  , objectifySelector = require('./objectify-selector')
+  , engineFactory = require('./engine')
+  , timeframes = require('./timeframes')
+  , simReport = require('./sim-report')
+  , simPool = require('./sim-pool')
+
+// One sim of lib/sim-pool.js: asks for the trades of its range, feeds them to an engine like
+// `zenbot sim` does and posts back what sim writes with --backtester_generation.
+
+// the engine fakes the timers from the first trade on, batches go on with the real ones
+let defer = setImmediate
+let batch_size = 1000
+
+let conf = workerData.conf
+conf.eventBus = new EventEmitter()
+
+// the conf defaults sim gets through its command options, then the options of this run
+let s = { options: {} }
+let so = s.options
+Object.keys(conf).forEach(function (k) {
+  if (!_.isObject(conf[k])) so[k] = conf[k]
+})
+Object.assign(so, workerData.options)
+if (!so.quarentine_time) {
+  so.quarentine_time = 10
+}
+
+if (so.start) {
+  so.start = moment(String(so.start), 'YYYYMMDDhhmm').valueOf()
+  if (so.days && !so.end) {
+    so.end = tb(so.start).resize('1d').add(so.days).toMilliseconds()
+  }
+}
+if (so.end) {
+  so.end = moment(String(so.end), 'YYYYMMDDhhmm').valueOf()
+  if (so.days && !so.start) {
+    so.start = tb(so.end).resize('1d').subtract(so.days).toMilliseconds()
+  }
+}
+if (!so.start && so.days) {
+  so.start = tb('1d').subtract(so.days).toMilliseconds()
+}
+so.days = moment(so.end).diff(moment(so.start), 'days')
+
+so.stats = false
+so.show_options = false
+so.verbose = false
+so.silent = true
+so.selector = objectifySelector(so.selector)
+so.mode = 'sim'
+
+let engine = engineFactory(s, conf)
+if (!so.min_periods) so.min_periods = 1
+let report = simReport(s)
+let signals = []
+conf.eventBus.on('period', function (period) {
+  if (!so.start || period.time >= so.start) report.record(period)
+  if (period.signals) signals = signals.concat(period.signals)
+})
+let query_start = so.start ? timeframes.start(s, tb(so.start).resize(so.period_length).subtract(so.min_periods + 2).toMilliseconds(), so.start) : null
+
+function feed (trades) {
+  let idx = 0
+  while (query_start && idx < trades.length && trades.time[idx] < query_start) idx++
+  let next = function () {
+    let end = Math.min(idx + batch_size, trades.length)
+    for (; idx < end; idx++) {
+      if (so.end && trades.time[idx] > so.end) break
+      conf.eventBus.emit('trade', simPool.unpack(trades, idx))
+    }
+    if (s.period) parentPort.postMessage({progress: s.period.time})
+    if (idx === end && idx < trades.length) return defer(next)
+    engine.exit(exitSim)
+  }
+  next()
+}
+
+function exitSim () {
+  if (!s.period) {
+    return parentPort.postMessage({error: 'no trades found for ' + so.selector.normalized + ' between ' + moment(query_start).format('YYYYMMDDHHmm') + ' and ' + moment(so.end).format('YYYYMMDDHHmm')})
+  }
+  report.record(s.period)
+  // the summary closes the position with a sell of its own
+  let my_trades = s.my_trades.slice()
+  let summary = simReport.summary(s, report.build().metrics)
+  let result = {}
+  Object.keys(so).sort().forEach(function (k) {
+    result[k] = so[k]
+  })
+  result.simresults = summary.simresults
+  result.net_currency = s.net_currency
+  if (workerData.details) {
+    result.my_trades = my_trades
+    result.signals = signals.concat(s.period.signals || [])
+  }
+  parentPort.postMessage({result: JSON.parse(JSON.stringify(result))})
+}
+
+parentPort.once('message', function (msg) {
+  feed(msg.trades)
+})
+parentPort.postMessage({range: {selector: so.selector.normalized, from: query_start, to: so.end || null}})
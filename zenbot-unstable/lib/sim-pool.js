@@ -0,0 +1,127 @@
+let path = require('path')
+  , os = require('os')
+  , async = require('async')
+  , _ = require('lodash')
+  , collectionService = require('./services/collection-service')
+
+let worker_threads = null
+try {
+  worker_threads = require('worker_threads')
+}
+catch (err) {
+  // node 10 needs --experimental-worker, callers fall back to one sim process per run
+}
+
+let columns = ['time', 'price', 'size', 'side', 'trade_id']
+
+// Runs sims in worker threads (lib/sim-pool-worker.js) on trades that are read once per selector
+// and shared between the workers, instead of a `zenbot sim` process per run that reads all the
+// trades again. The engine installs its fake clock once per module, so each run gets a fresh worker.
+//
+//   let pool = simPool(conf, {concurrency: 4})
+//   pool.run({selector: 'gdax.BTC-USD', strategy: 'trend_ema', days: 14, ...}, onProgress, cb)
+//
+// The options are the ones `zenbot sim` takes, cb gets what sim writes with --backtester_generation.
+// With {details: true} the result also has the my_trades and signals of the run.
+module.exports = function simPool (conf, opts) {
+  opts = opts || {}
+  if (!worker_threads) {
+    throw new Error('\nworker threads are not available in node ' + process.version + ', run with --experimental-worker or upgrade node')
+  }
+  let trades = collectionService(conf).getTrades()
+  let loaded = {}
+  // the db connection and the event bus can not be sent to a worker
+  let worker_conf = JSON.parse(JSON.stringify(_.omit(conf, ['db', 'eventBus'])))
+
+  // one load at a time, runs that fit in what is loaded already reuse it
+  let loads = async.queue(function (range, cb) {
+    let have = loaded[range.selector]
+    let from = range.from || 0
+    let to = range.to || Infinity
+    if (have && have.from <= from && have.to >= to) return cb(null, have.trades)
+    if (have) {
+      from = Math.min(from, have.from)
+      to = Math.max(to, have.to)
+    }
+    let query = {selector: range.selector, time: {$gte: from}}
+    if (isFinite(to)) query.time.$lte = to
+    trades.find(query).sort({time: 1}).toArray(function (err, docs) {
+      if (err) return cb(err)
+      loaded[range.selector] = {from: from, to: to, trades: module.exports.pack(docs)}
+      cb(null, loaded[range.selector].trades)
+    })
+  }, 1)
+
+  let runs = async.queue(function (task, cb) {
+    let done = false
+    let finish = function (err, result) {
+      if (done) return
+      done = true
+      worker.terminate()
+      cb(err, result)
+    }
+    let worker = new worker_threads.Worker(path.resolve(__dirname, 'sim-pool-worker.js'), {
+      workerData: {conf: worker_conf, options: task.options, details: !!opts.details},
+      stdout: true
+    })
+    // like the output of a sim process, nobody reads it
+    worker.stdout.resume()
+    worker.on('message', function (msg) {
+      if (msg.range) {
+        loads.push(msg.range, function (err, packed) {
+          if (err) return finish(err)
+          worker.postMessage({trades: packed})
+        })
+      }
+      else if (msg.progress) {
+        if (task.progress) task.progress(msg.progress)
+      }
+      else if (msg.error) {
+        finish(new Error('\n' + msg.error))
+      }
+      else {
+        finish(null, msg.result)
+      }
+    })
+    worker.on('error', finish)
+    worker.on('exit', function (code) {
+      finish(new Error('\nsim worker exited with code ' + code))
+    })
+  }, opts.concurrency || os.cpus().length)
+
+  return {
+    run: function (options, progress, cb) {
+      runs.push({options: options, progress: progress}, cb)
+    }
+  }
+}
+
+module.exports.available = !!worker_threads
+
+// trades as columns of shared memory, the workers read them without a copy
+module.exports.pack = function (docs) {
+  let Memory = global.SharedArrayBuffer || ArrayBuffer
+  let packed = {length: docs.length}
+  columns.forEach(function (name) {
+    packed[name] = new Float64Array(new Memory(docs.length * Float64Array.BYTES_PER_ELEMENT))
+  })
+  docs.forEach(function (trade, idx) {
+    packed.time[idx] = trade.time
+    packed.price[idx] = trade.price
+    packed.size[idx] = trade.size
+    packed.side[idx] = trade.side === 'sell' ? 1 : 0
+    // the engine only compares ids, exchanges with string ids get the position instead
+    packed.trade_id[idx] = isFinite(trade.trade_id) ? trade.trade_id : idx
+  })
+  return packed
+}
+
+module.exports.unpack = function (packed, idx) {
+  return {
+    trade_id: packed.trade_id[idx],
+    time: packed.time[idx],
+    size: packed.size[idx],
+    price: packed.price[idx],
+    side: packed.side[idx] ? 'sell' : 'buy'
+  }
+}
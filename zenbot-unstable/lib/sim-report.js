@@ -0,0 +1,229 @@
+let tb = require('timebucket')
+  , n = require('numbro')
+  , colors = require('colors')
+
+// Machine readable results of a sim: the equity curve per period, every fill, the round trips
+// with their MAE/MFE (worst and best price move while open, from the period highs and lows)
+// and the usual ratios.
+// sim records every closed period and builds the report once the run is done.
+module.exports = function simReport (s) {
+  let so = s.options
+  let periods = []
+
+  return {
+    record: function (period) {
+      let last = periods[periods.length - 1]
+      if (last && last.time === period.time) periods.pop()
+      periods.push({
+        time: period.time,
+        close_time: period.close_time,
+        high: period.high,
+        low: period.low,
+        close: period.close,
+        equity: Number(s.balance.currency) + Number(s.balance.asset) * period.close
+      })
+    },
+
+    build: function () {
+      let period_ms = tb(0).resize(so.period_length).add(1).toMilliseconds()
+      let fills = s.my_trades.map(function (trade) {
+        let fill = {
+          time: trade.time,
+          type: trade.type,
+          price: Number(trade.price),
+          size: Number(trade.size),
+          fee: trade.fee,
+          slippage: trade.slippage,
+          order_type: trade.order_type,
+          execution_time: trade.execution_time
+        }
+        if (trade.liquidation) fill.liquidation = true
+        return fill
+      })
+      let trades = roundTrips(fills, periods, so.margin)
+
+      let peak = 0
+      let equity = periods.map(function (period) {
+        peak = Math.max(peak, period.equity)
+        let open = trades.some(function (trade) {
+          return trade.entry_time <= period.close_time && (trade.exit_time === null || trade.exit_time >= period.time)
+        })
+        return {
+          time: period.time,
+          close: period.close,
+          equity: period.equity,
+          drawdown: peak ? (peak - period.equity) / peak : 0,
+          in_position: open
+        }
+      })
+
+      let metrics = module.exports.metrics(equity.map(function (point) { return point.equity }), period_ms)
+      let closed = trades.filter(function (trade) { return trade.exit_time !== null })
+      metrics.trades = closed.length
+      metrics.win_rate = closed.length ? closed.filter(function (trade) { return trade.profit > 0 }).length / closed.length : null
+      metrics.exposure = equity.length ? equity.filter(function (point) { return point.in_position }).length / equity.length : 0
+      // in currency, buy fees are paid in the asset
+      metrics.fees = fills.reduce(function (sum, fill) {
+        return sum + (Number(fill.fee) || 0) * (fill.type === 'buy' ? fill.price : 1)
+      }, 0)
+
+      return {
+        selector: so.selector.normalized,
+        strategy: so.strategy,
+        period_length: so.period_length,
+        start: periods.length ? periods[0].time : null,
+        end: periods.length ? periods[periods.length - 1].close_time : null,
+        metrics: metrics,
+        equity: equity,
+        fills: fills,
+        trades: trades
+      }
+    }
+  }
+}
+
+// return and risk ratios of an equity curve sampled every period_ms, annualized, without a risk free rate
+module.exports.metrics = function (equity, period_ms) {
+  let per_year = 365 * 86400000 / period_ms
+  let returns = []
+  for (let idx = 1; idx < equity.length; idx++) {
+    if (equity[idx - 1]) returns.push(equity[idx] / equity[idx - 1] - 1)
+  }
+  let mean = returns.length ? returns.reduce(function (a, b) { return a + b }, 0) / returns.length : 0
+  let deviation = function (values) {
+    return values.length ? Math.sqrt(values.reduce(function (sum, r) { return sum + r * r }, 0) / values.length) : 0
+  }
+  let std = deviation(returns.map(function (r) { return r - mean }))
+  let downside = deviation(returns.map(function (r) { return Math.min(r, 0) }))
+
+  let peak = 0, max_drawdown = 0
+  equity.forEach(function (value) {
+    peak = Math.max(peak, value)
+    if (peak) max_drawdown = Math.max(max_drawdown, (peak - value) / peak)
+  })
+  let start = equity[0], end = equity[equity.length - 1]
+  // not compounded, a few good days would otherwise compound into an absurd yearly return
+  let annual_return = mean * per_year
+
+  return {
+    return: start ? end / start - 1 : 0,
+    annual_return: annual_return,
+    max_drawdown: max_drawdown,
+    sharpe: std ? mean / std * Math.sqrt(per_year) : null,
+    sortino: downside ? mean / downside * Math.sqrt(per_year) : null,
+    calmar: max_drawdown ? annual_return / max_drawdown : null
+  }
+}
+
+// closes the position at the last price and works out the numbers sim prints and stores under
+// simresults: {lines, simresults}. The sim worker pool (lib/sim-pool.js) uses it too.
+module.exports.summary = function (s, metrics) {
+  let lines = []
+  let so = s.options || {}
+  if (s.my_trades.length) {
+    s.my_trades.push({
+      price: s.period.close,
+      size: Math.abs(s.balance.asset),
+      type: s.balance.asset < 0 ? 'buy' : 'sell',
+      time: s.period.time
+    })
+  }
+  // on margin the currency balance has the borrowing fees and liquidations in it
+  s.balance.currency = n(so.margin ? s.balance.currency : s.net_currency).add(n(s.period.close).multiply(s.balance.asset)).format('0.00000000')
+
+  s.balance.asset = 0
+  s.lookback.unshift(s.period)
+  let profit = s.start_capital ? n(s.balance.currency).subtract(s.start_capital).divide(s.start_capital) : n(0)
+  lines.push('end balance: ' + colors.yellow(n(s.balance.currency).format('0.00000000')) + ' (' + profit.format('0.00%') + ')')
+  let buy_hold = s.start_price ? n(s.period.close).multiply(n(s.start_capital).divide(s.start_price)) : n(s.balance.currency)
+  let buy_hold_profit = s.start_capital ? n(buy_hold).subtract(s.start_capital).divide(s.start_capital) : n(0)
+  lines.push('buy hold: ' + colors.yellow(buy_hold.format('0.00000000')) + ' (' + n(buy_hold_profit).format('0.00%') + ')')
+  lines.push('vs. buy hold: ' + colors.yellow(n(s.balance.currency).subtract(buy_hold).divide(buy_hold).format('0.00%')))
+  if (so.margin) {
+    lines.push('borrowing fees: ' + colors.yellow(n(s.balance.interest || 0).format('0.00000000')) + ', liquidations: ' + s.my_trades.filter(function (trade) { return trade.liquidation }).length)
+  }
+  lines.push(s.my_trades.length + ' trades over ' + s.day_count + ' days (avg ' + n(s.my_trades.length / s.day_count).format('0.00') + ' trades/day)')
+  let last_buy
+  let losses = 0, sells = 0
+  s.my_trades.forEach(function (trade) {
+    if (trade.type === 'buy') {
+      last_buy = trade.price
+    }
+    else {
+      if (last_buy && trade.price < last_buy) {
+        losses++
+      }
+      sells++
+    }
+  })
+  if (s.my_trades.length) {
+    lines.push('win/loss: ' + (sells - losses) + '/' + losses)
+    lines.push('error rate: ' + colors.yellow(sells ? n(losses).divide(sells).format('0.00%') : '0.00%'))
+  }
+  let ratio = function (value) { return value === null ? '-' : n(value).format('0.00') }
+  lines.push('max drawdown: ' + colors.yellow(n(metrics.max_drawdown).format('0.00%')) + ', sharpe: ' + ratio(metrics.sharpe) + ', sortino: ' + ratio(metrics.sortino) + ', calmar: ' + ratio(metrics.calmar) + ', exposure: ' + n(metrics.exposure).format('0.00%'))
+
+  return {
+    lines: lines,
+    simresults: {
+      start_capital: s.start_capital,
+      last_buy_price: s.last_buy_price,
+      last_assest_value: s.period.close,
+      asset_capital: s.asset_capital,
+      currency: n(s.balance.currency).value(),
+      profit: profit.value(),
+      buy_hold: buy_hold.value(),
+      buy_hold_profit: buy_hold_profit.value(),
+      total_trades: s.my_trades.length,
+      length_days: s.day_count,
+      total_sells: sells,
+      total_losses: losses,
+      vs_buy_hold: n(s.balance.currency).subtract(buy_hold).divide(buy_hold).value() * 100.00,
+      max_drawdown: metrics.max_drawdown,
+      sharpe: metrics.sharpe,
+      sortino: metrics.sortino,
+      calmar: metrics.calmar,
+      win_rate: metrics.win_rate,
+      exposure: metrics.exposure
+    }
+  }
+}
+
+// a buy opens a round trip (or adds to it), the next sell closes it, like the win/loss count of sim
+// on margin sells open shorts, and a fill bigger than the open position turns it around
+function roundTrips (fills, periods, margin) {
+  let trades = []
+  let open = null
+  fills.forEach(function (fill) {
+    let side = fill.type === 'buy' ? 'long' : 'short'
+    let size = fill.size
+    if (open && open.side !== side) {
+      open.exit_time = fill.time
+      open.exit_price = fill.price
+      open.profit = (fill.price - open.entry_price) / open.entry_price * (open.side === 'long' ? 1 : -1)
+      // fees and rounding leave a little over when the fill only closes
+      size = margin && size - open.size > open.size / 100 ? size - open.size : 0
+      open = null
+    }
+    if (!size || (side === 'short' && !margin)) return
+    if (!open) {
+      open = {side: side, entry_time: fill.time, exit_time: null, entry_price: fill.price, exit_price: null, size: 0, profit: null}
+      trades.push(open)
+    }
+    open.entry_price = (open.entry_price * open.size + fill.price * size) / (open.size + size) || fill.price
+    open.size += size
+  })
+  trades.forEach(function (trade) {
+    let low = trade.entry_price, high = trade.entry_price
+    periods.forEach(function (period) {
+      if (period.close_time >= trade.entry_time && (trade.exit_time === null || period.time <= trade.exit_time)) {
+        low = Math.min(low, period.low)
+        high = Math.max(high, period.high)
+      }
+    })
+    let sign = trade.side === 'long' ? 1 : -1
+    trade.mae = ((trade.side === 'long' ? low : high) - trade.entry_price) / trade.entry_price * sign
+    trade.mfe = ((trade.side === 'long' ? high : low) - trade.entry_price) / trade.entry_price * sign
+  })
+  return trades
+}
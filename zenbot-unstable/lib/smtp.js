@@ -0,0 +1,141 @@
+let net = require('net')
+  , tls = require('tls')
+  , os = require('os')
+
+// Sends one plain text mail per connection, for the email notifier. TLS from the start with
+// secure: true (port 465), otherwise STARTTLS when the server offers it, then AUTH PLAIN
+// when a user is set. The password is only sent unencrypted with allow_insecure_auth.
+//
+//   smtp.send({host, port, secure, user, password, allow_insecure_auth}, {from, to, subject, text}, cb)
+
+// subjects and names outside of ASCII go as encoded words
+function header (value) {
+  value = String(value).replace(/[\r\n]+/g, ' ')
+  return /^[\x20-\x7e]*$/.test(value) ? value : '=?UTF-8?B?' + Buffer.from(value, 'utf8').toString('base64') + '?='
+}
+
+function address (value) {
+  let match = String(value).match(/<([^>]+)>/)
+  return match ? match[1] : String(value).trim()
+}
+
+function message (mail, to) {
+  let body = Buffer.from(String(mail.text), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n')
+  return [
+    'From: ' + header(mail.from),
+    'To: ' + to.map(header).join(', '),
+    'Subject: ' + header(mail.subject),
+    'Date: ' + new Date().toUTCString(),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n')
+}
+
+module.exports.send = function (opts, mail, cb) {
+  let to = [].concat(mail.to)
+  let socket = null
+  let lines = []
+  let partial = ''
+  let handler = null
+  let done = false
+  let encrypted = !!opts.secure
+
+  function finish (err) {
+    if (done) return
+    done = true
+    if (socket) socket.destroy()
+    cb(err || null)
+  }
+
+  function attach (sock) {
+    socket = sock
+    socket.setEncoding('utf8')
+    socket.setTimeout(opts.timeout || 30000, function () {
+      finish(new Error('\nsmtp: timeout'))
+    })
+    socket.on('data', onData)
+    socket.on('error', finish)
+  }
+
+  // replies can span lines, "250-..." goes on and "250 ..." ends it
+  function onData (chunk) {
+    let parts = (partial + chunk).split('\r\n')
+    partial = parts.pop()
+    parts.forEach(function (line) {
+      lines.push(line)
+      if (/^\d{3}(?!-)/.test(line)) {
+        let reply = {code: Number(line.slice(0, 3)), lines: lines}
+        lines = []
+        if (handler) handler(reply)
+      }
+    })
+  }
+
+  function command (line, codes, next) {
+    handler = function (reply) {
+      if (codes.indexOf(reply.code) === -1) {
+        return finish(new Error('\nsmtp: ' + (line ? line.split(' ')[0] + ' ' : '') + 'failed with ' + reply.lines.join(' ')))
+      }
+      next(reply)
+    }
+    if (line !== null) socket.write(line + '\r\n')
+  }
+
+  function ehlo (next) {
+    command('EHLO ' + (opts.name || os.hostname()), [250], function (reply) {
+      next(reply.lines.map(function (line) { return line.slice(4).toUpperCase() }))
+    })
+  }
+
+  function starttls (next) {
+    command('STARTTLS', [220], function () {
+      socket.removeListener('data', onData)
+      attach(tls.connect({socket: socket, servername: opts.host, rejectUnauthorized: opts.reject_unauthorized !== false}))
+      encrypted = true
+      ehlo(next)
+    })
+  }
+
+  function auth (next) {
+    if (!opts.user) return next()
+    if (!encrypted && !opts.allow_insecure_auth) {
+      return finish(new Error('\nsmtp: no TLS to ' + opts.host + ', not sending the password unencrypted. Use secure: true or a server with STARTTLS, or set c.notifiers.email.allow_insecure_auth to send it anyway.'))
+    }
+    let plain = Buffer.from('\u0000' + opts.user + '\u0000' + (opts.password || ''), 'utf8').toString('base64')
+    command('AUTH PLAIN ' + plain, [235], next)
+  }
+
+  function deliver () {
+    command('MAIL FROM:<' + address(mail.from) + '>', [250], function () {
+      let rcpt = function (idx) {
+        if (idx === to.length) {
+          return command('DATA', [354], function () {
+            command(message(mail, to) + '\r\n.', [250], function () {
+              command('QUIT', [221], function () { finish() })
+            })
+          })
+        }
+        command('RCPT TO:<' + address(to[idx]) + '>', [250, 251], function () {
+          rcpt(idx + 1)
+        })
+      }
+      rcpt(0)
+    })
+  }
+
+  let port = opts.port || (opts.secure ? 465 : 587)
+  attach(opts.secure ? tls.connect({host: opts.host, port: port, servername: opts.host, rejectUnauthorized: opts.reject_unauthorized !== false}) : net.connect({host: opts.host, port: port}))
+  command(null, [220], function () {
+    ehlo(function (features) {
+      if (!opts.secure && opts.starttls !== false && features.indexOf('STARTTLS') !== -1) {
+        return starttls(function () {
+          auth(deliver)
+        })
+      }
+      auth(deliver)
+    })
+  })
+}
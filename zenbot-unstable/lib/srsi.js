@@ -7,12 +7,12 @@ module.exports = function srsi(s, key, rsi_periods, k_periods, d_periods) {
   if (s.lookback.length >= samplesRequiredForStochRSI - 1) {
     let RSI = []
 
-    if (typeof s.period.rsi !== 'undefined') {
-      RSI.push(s.period.rsi)
-    } else {
+    // an rsi of lib/rsi.js (it keeps its averages on the period) is computed again on every trade,
+    // the one of the first trade of the period is not the one at its close
+    if (typeof s.period.rsi === 'undefined' || typeof s.period.rsi_avg_gain !== 'undefined') {
       rsi(s, 'rsi', rsi_periods)
-      RSI.push(s.period.rsi)
     }
+    RSI.push(s.period.rsi)
 
     s.lookback.slice(0, samplesRequiredForStochRSI - 1).forEach(function (period) {
       if (period.rsi) {
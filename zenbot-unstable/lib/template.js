@@ -0,0 +1,54 @@
+let _ = require('lodash')
+
+// {{name}} placeholders for notifier messages. Dotted names reach into objects, missing values
+// render empty. Objects and arrays are rendered leaf by leaf, and a string that is nothing but
+// one placeholder keeps the type of its value, so JSON templates can carry numbers.
+function render (template, vars) {
+  if (typeof template === 'string') {
+    let only = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/)
+    if (only) {
+      let value = _.get(vars, only[1])
+      return value === undefined ? null : value
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, function (match, name) {
+      let value = _.get(vars, name)
+      if (value === undefined || value === null) return ''
+      return _.isObject(value) ? JSON.stringify(value) : String(value)
+    })
+  }
+  if (Array.isArray(template)) {
+    return template.map(function (item) {
+      return render(item, vars)
+    })
+  }
+  if (_.isPlainObject(template)) {
+    return _.mapValues(template, function (item) {
+      return render(item, vars)
+    })
+  }
+  return template
+}
+
+module.exports = {
+  render: render,
+
+  // what the templates of a notifier can use: the title and message every notifier gets
+  // and the fields of the event, see pushMessage in lib/engine.js
+  vars: function (title, message, event) {
+    event = event || {type: 'message'}
+    return Object.assign({}, event, {
+      title: title,
+      message: String(message).trim(),
+      event: event.type,
+      date: new Date(event.time || new Date().getTime()).toISOString()
+    })
+  },
+
+  // the template for the type of the event, or the default one
+  pick: function (config, event, name) {
+    let type = event && event.type
+    let templates = config.templates || {}
+    if (templates[type] && templates[type][name] !== undefined) return templates[type][name]
+    return config[name]
+  }
+}
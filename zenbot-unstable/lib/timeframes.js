@@ -0,0 +1,65 @@
+let tb = require('timebucket')
+
+// Higher timeframes next to the one set by --period. A strategy declares them in getOptions:
+//
+//   this.timeframe('4h', 20)     4h periods, with history loaded for 20 of them before the start
+//
+// and reads them in calculate/onPeriod as s.timeframes['4h'].period and s.timeframes['4h'].lookback.
+// Trading is not held back until there are 20, a strategy checks s.timeframes['4h'].lookback.length.
+// A timeframe looks like s to the indicators in lib/, e.g. ema(s.timeframes['4h'], 'trend_ema', 20).
+let size_spec = /^\d+(ms|s|m|h|d|w|M|y)$/
+
+module.exports = {
+  add: function (s, size, min_periods) {
+    if (typeof size !== 'string' || !size.match(size_spec)) {
+      throw new Error('\ninvalid timeframe ' + size + ', use a period like 4h or 1d')
+    }
+    s.timeframes = s.timeframes || {}
+    let timeframe = s.timeframes[size] || {size: size, min_periods: 0, options: {period_length: size}, period: null, lookback: []}
+    timeframe.min_periods = Math.max(timeframe.min_periods, min_periods || 0)
+    s.timeframes[size] = timeframe
+    return timeframe
+  },
+
+  // feeds a trade to every timeframe, closing its period when the trade is past it
+  update: function (s, trade) {
+    Object.keys(s.timeframes || {}).forEach(function (size) {
+      let timeframe = s.timeframes[size]
+      if (timeframe.period && trade.time > timeframe.period.close_time) {
+        timeframe.lookback.unshift(timeframe.period)
+        if (s.options.keep_lookback_periods && timeframe.lookback.length > s.options.keep_lookback_periods) {
+          timeframe.lookback.pop()
+        }
+        timeframe.period = null
+      }
+      if (!timeframe.period) {
+        let d = tb(trade.time).resize(size)
+        timeframe.period = {
+          period_id: d.toString(),
+          size: size,
+          time: d.toMilliseconds(),
+          open: trade.price,
+          high: trade.price,
+          low: trade.price,
+          close: trade.price,
+          volume: 0,
+          close_time: d.add(1).toMilliseconds() - 1
+        }
+      }
+      let period = timeframe.period
+      period.high = Math.max(trade.price, period.high)
+      period.low = Math.min(trade.price, period.low)
+      period.close = trade.price
+      period.volume += trade.size
+      period.latest_trade_time = trade.time
+    })
+  },
+
+  // the earliest of start and the time every timeframe needs for its min_periods before end
+  start: function (s, start, end) {
+    Object.keys(s.timeframes || {}).forEach(function (size) {
+      start = Math.min(start, tb(end).resize(size).subtract(s.timeframes[size].min_periods + 2).toMilliseconds())
+    })
+    return start
+  }
+}
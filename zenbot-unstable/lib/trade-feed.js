@@ -0,0 +1,159 @@
+let WebSocket = require('ws')
+  , moment = require('moment')
+
+// The trades and the quote of a product as the exchange streams them, for `zenbot trade`.
+// Adapters opt in with `exchange.stream`, see docs/developers.md:
+//
+//   {
+//     url (product_id),          the WebSocket to connect to
+//     subscribe (product_id),    optional, the messages to send once it is open
+//     parse (message, state)     a message into {trades, quote}, state is kept per connection
+//   }
+//
+// getTrades and getQuote answer like the adapter would. Until the stream is up, while it is
+// down and for adapters without one they ask the adapter's REST API instead, which also fills
+// the gap a reconnect leaves: the stream takes over once the REST trades reach the first
+// trade streamed since it connected.
+module.exports = function tradeFeed (exchange, opts) {
+  let product_id = opts.product_id
+  let stream = opts.poll_only ? null : exchange.stream
+  let reconnect_delay = opts.reconnect_delay || 5000
+  let timeout = opts.timeout || 60000
+  let quote_ttl = opts.quote_ttl || 10000
+  let max_buffer = opts.max_buffer || 10000
+  let ws = null
+  let live = false
+  let gap = true
+  let closed = false
+  let buffer = []
+  let quote = null
+  let last_message, watchdog, reconnect_timer, notifying
+  let on_trades = function () {}
+
+  function log (message) {
+    console.error('\n' + moment().format('YYYY-MM-DD HH:mm:ss') + ' - ' + exchange.name + ' trade stream ' + message)
+  }
+
+  function cursor (trade) {
+    return exchange.getCursor(trade)
+  }
+
+  function notify () {
+    if (notifying) return
+    notifying = true
+    setImmediate(function () {
+      notifying = false
+      on_trades()
+    })
+  }
+
+  function connect () {
+    let state = {}
+    gap = true
+    buffer = []
+    ws = new WebSocket(stream.url(product_id))
+    ws.on('open', function () {
+      live = true
+      last_message = Date.now()
+      let messages = stream.subscribe ? stream.subscribe(product_id) : []
+      messages.forEach(function (message) {
+        ws.send(JSON.stringify(message))
+      })
+    })
+    ws.on('ping', function () {
+      last_message = Date.now()
+    })
+    ws.on('message', function (data) {
+      last_message = Date.now()
+      let update
+      try {
+        update = stream.parse(JSON.parse(data), state) || {}
+      }
+      catch (err) {
+        return log('sent a message it could not parse: ' + String(data).slice(0, 200))
+      }
+      if (update.quote) {
+        quote = {bid: update.quote.bid, ask: update.quote.ask, time: Date.now()}
+      }
+      if (update.trades && update.trades.length) {
+        buffer = buffer.concat(update.trades).slice(-max_buffer)
+        if (!gap) notify()
+      }
+    })
+    ws.on('error', function (err) {
+      log('error: ' + err.message)
+    })
+    ws.on('close', function () {
+      live = false
+      ws = null
+      if (closed) return
+      log('closed, polling until it reconnects in ' + (reconnect_delay / 1000) + 's')
+      reconnect_timer = setTimeout(connect, reconnect_delay)
+    })
+  }
+
+  // the REST trades reach the stream, or there were none since the last ones taken
+  function fillGap (trades) {
+    if (trades.length) {
+      if (!buffer.length) return
+      let newest = Math.max.apply(null, trades.map(cursor))
+      let oldest = Math.min.apply(null, buffer.map(cursor))
+      if (newest < oldest) return
+    }
+    gap = false
+    if (buffer.length) notify()
+  }
+
+  return {
+    // onTrades is called when streamed trades are waiting for getTrades
+    start: function (onTrades) {
+      if (onTrades) on_trades = onTrades
+      if (!stream) return
+      connect()
+      watchdog = setInterval(function () {
+        if (live && Date.now() - last_message > timeout) {
+          log('went quiet, reconnecting')
+          ws.terminate()
+        }
+      }, Math.min(timeout, 10000))
+    },
+
+    close: function () {
+      closed = true
+      clearInterval(watchdog)
+      clearTimeout(reconnect_timer)
+      if (ws) ws.terminate()
+    },
+
+    streaming: function () {
+      return live && !gap
+    },
+
+    getTrades: function (opts, cb) {
+      if (!live || gap) {
+        return exchange.getTrades(opts, function (err, trades) {
+          if (err) return cb(err)
+          if (live && gap) fillGap(trades)
+          cb(null, trades)
+        })
+      }
+      let trades = buffer.filter(function (trade) {
+        return !opts.from || cursor(trade) >= opts.from
+      })
+      buffer = []
+      setImmediate(function () {
+        cb(null, trades)
+      })
+    },
+
+    getQuote: function (opts, cb) {
+      if (live && quote && opts.product_id === product_id && Date.now() - quote.time < quote_ttl) {
+        let fresh = {bid: quote.bid, ask: quote.ask}
+        return setImmediate(function () {
+          cb(null, fresh)
+        })
+      }
+      exchange.getQuote(opts, cb)
+    }
+  }
+}
@@ -0,0 +1,73 @@
+let moment = require('moment')
+  , n = require('numbro')
+
+// Helpers for walk-forward optimization in the genetic backtester.
+// The --start/--end range is split into rolling folds: parameters are evolved on
+// the in-sample window and then scored only on the out-of-sample window right after it.
+module.exports = {
+  folds: function (start, end, in_sample_days, out_of_sample_days) {
+    let day = 86400000
+    let in_sample = in_sample_days * day
+    let out_of_sample = out_of_sample_days * day
+    let folds = []
+    if (!(in_sample > 0) || !(out_of_sample > 0)) return folds
+
+    for (let fold_start = start; fold_start + in_sample + out_of_sample <= end; fold_start += out_of_sample) {
+      folds.push({
+        fold: folds.length + 1,
+        in_sample: { start: fold_start, end: fold_start + in_sample },
+        out_of_sample: { start: fold_start + in_sample, end: fold_start + in_sample + out_of_sample }
+      })
+    }
+    return folds
+  },
+
+  // chain the out-of-sample returns of every fold into one equity curve per strategy
+  equityCurve: function (folds, strategy, start_capital) {
+    let equity = start_capital
+    let curve = []
+    folds.forEach(function (fold) {
+      let result = fold.strategies && fold.strategies[strategy]
+      if (!result || !result.out_of_sample) return
+      let oos = result.out_of_sample
+      if (!curve.length) {
+        curve.push({ time: fold.out_of_sample.start, fold: 0, equity: equity })
+      }
+      let fold_return = oos.startCapital ? n(oos.endBalance).divide(oos.startCapital).subtract(1).value() : 0
+      equity = n(equity).multiply(1 + fold_return).value()
+      curve.push({ time: fold.out_of_sample.end, fold: fold.fold, fold_return: fold_return, equity: equity })
+    })
+    return curve
+  },
+
+  // one row per fold and strategy for the csv report
+  rows: function (folds) {
+    let rows = []
+    folds.forEach(function (fold) {
+      Object.keys(fold.strategies || {}).forEach(function (strategy) {
+        let result = fold.strategies[strategy]
+        let oos = result.out_of_sample || {}
+        rows.push({
+          fold: fold.fold,
+          strategy: strategy,
+          in_sample_start: module.exports.formatTime(fold.in_sample.start),
+          in_sample_end: module.exports.formatTime(fold.in_sample.end),
+          out_of_sample_start: module.exports.formatTime(fold.out_of_sample.start),
+          out_of_sample_end: module.exports.formatTime(fold.out_of_sample.end),
+          in_sample_fitness: result.in_sample_fitness,
+          in_sample_roi: result.in_sample_roi,
+          out_of_sample_roi: oos.roi,
+          out_of_sample_vs_buy_hold: oos.vsBuyHold,
+          out_of_sample_wins: oos.wins,
+          out_of_sample_losses: oos.losses,
+          params: oos.params
+        })
+      })
+    })
+    return rows
+  },
+
+  formatTime: function (time) {
+    return moment(time).format('YYYYMMDDHHmm')
+  }
+}
@@ -22,6 +22,11 @@
  * --runGenerations=<int>                 if used run this number of generations, will be shown 1 less due to generations starts at 0
  * --minTrades=<int>                      Minimum wins before generation is considured fit to evolve
  * --fitnessCalcType=<wl / profit / classic / profitwl> Default: Classic. wl will score the highes for wins and losses, profit doesn't care about wins and losses only the higest end balance, classic uses original claculation / profitwl tries to get the highest profit using the lowest win/loss ratio
+ * --walkForward=<true>|<false>          split --start/--end into rolling folds, evolve on each in-sample window and score the best phenotype on the following out-of-sample window
+ * --wfInSampleDays=<int>                 walk-forward in-sample window in days, default 14
+ * --wfOutOfSampleDays=<int>              walk-forward out-of-sample window in days (also the step between folds), default 7
+ * --wfGenerations=<int>                  generations to evolve on each in-sample window, default 3
+ * --workers=<true>|<false>              run the sims in worker threads that share one copy of the trades, default true where node supports it
  *
  *
  * any parameters for sim and or strategy can be passed in and will override the genetic test generated parameter
@@ -39,6 +44,8 @@ let path = require('path')
 let colors = require('colors')
 let Phenotypes = require('../../lib/phenotype')
 let Backtester = require('../../lib/backtester')
+let SimPool = require('../../lib/sim-pool')
+let WalkForward = require('../../lib/walk-forward')
 let argv = require('yargs').argv
 let z = require('zero-fill')
 let n = require('numbro')
@@ -63,6 +70,7 @@ let noStatSave = false
 let ignoreLaunchFitness = false
 let minimumTrades = 0
 let fitnessCalcType = 'classic'
+let walkForward = null
 
 let readSimDataFile = (iteration) => {
   let jsonFileName = `simulations/${population_data}/gen_${generationCount}/sim_${iteration}.json`
@@ -151,6 +159,7 @@ function saveLaunchFiles(saveLauchFile, configuration) {
   let lFinenamewin32 = new String().concat('./gen.', configuration.selector.toLowerCase(), '.bat')
   delete configuration.generateLaunch
   delete configuration.backtester_generation
+  delete configuration.result_file
 
   let bestOverallCommand = generateCommandParams(configuration)
   let lastFitnessLevel = -9999.0
@@ -223,6 +232,12 @@ function simulateGeneration(generateLaunchFile) {
   let ofGenerations = (!isUndefined(runGenerations)) ? `of ${runGenerations}` : ''
 
   console.log(`\n\n=== Simulating generation ${++generationCount} ${ofGenerations} ===\n`)
+  if (walkForward) {
+    let fold = walkForward.folds[walkForward.fold]
+    simArgs.start = WalkForward.formatTime(fold.in_sample.start)
+    simArgs.end = WalkForward.formatTime(fold.in_sample.end)
+    console.log(`Walk-forward fold ${fold.fold} of ${walkForward.folds.length}, generation ${walkForward.generation + 1} of ${walkForward.generations}, in-sample ${simArgs.start} - ${simArgs.end}\n`)
+  }
   Backtester.resetMonitor()
   Backtester.ensureBackfill()
 
@@ -358,12 +373,14 @@ function simulateGeneration(generateLaunchFile) {
     //Display best of the generation
     console.log('\n\nGeneration\'s Best Results')
     let bestOverallResult = []
+    let generationBest = {}
     let prefix = './zenbot.sh sim '
     selectedStrategies.forEach((v) => {
       let best = pools[v]['pool'].best()
       let bestCommand
 
       if (best.sim) {
+        generationBest[v] = best
         console.log(`(${best.sim.strategy}) Sim Fitness ${best.sim.fitness}, VS Buy and Hold: ${z(5, (n(best.sim.vsBuyHold).format('0.0') + '%'), ' ').yellow} BuyAndHold Balance: ${z(5, (n(best.sim.buyHold).format('0.000000')), ' ').yellow}  End Balance: ${z(5, (n(best.sim.endBalance).format('0.000000')), ' ').yellow}, Wins/Losses ${best.sim.wins}/${best.sim.losses}, ROI ${z(5, (n(best.sim.roi).format('0.000000')), ' ').yellow}.`)
         bestCommand = generateCommandParams(best.sim)
         bestOverallResult.push(best.sim)
@@ -401,6 +418,12 @@ function simulateGeneration(generateLaunchFile) {
       pools[v]['pool'] = pools[v]['pool'].evolve()
     })
 
+    if (walkForward) {
+      return walkForwardStep(generationBest, () => {
+        generationProcessing = false
+      })
+    }
+
     if (!isUndefined(runGenerations) && runGenerations <= generationCount) {
       process.exit()
     }
@@ -409,6 +432,94 @@ function simulateGeneration(generateLaunchFile) {
   })
 }
 
+// After --wfGenerations on the in-sample window, run the best phenotype of every strategy
+// on the out-of-sample window that follows it and move on to the next fold.
+function walkForwardStep(generationBest, cb) {
+  walkForward.generation++
+  if (walkForward.generation < walkForward.generations) return cb()
+
+  let fold = walkForward.folds[walkForward.fold]
+  simArgs.start = WalkForward.formatTime(fold.out_of_sample.start)
+  simArgs.end = WalkForward.formatTime(fold.out_of_sample.end)
+  console.log(`\n\n=== Scoring fold ${fold.fold} out-of-sample ${simArgs.start} - ${simArgs.end} ===\n`)
+
+  fold.strategies = {}
+  let tasks = selectedStrategies.filter(v => generationBest[v]).map(v => {
+    return cb => {
+      let best = generationBest[v]
+      let phenotype = Object.assign({}, best)
+      delete phenotype.sim
+      delete phenotype.command
+      delete phenotype.backtester_generation
+      phenotype.result_file = `simulations/${population_data}/walk_forward/fold_${fold.fold}_${v}_result.json`
+      phenotype.exchangeMarketPair = argv.selector
+
+      let command = Backtester.buildCommand(v, phenotype, `simulations/${population_data}/walk_forward/fold_${fold.fold}_${v}_result.html`)
+      command.iteration = `fold_${fold.fold}_${v}`
+      Backtester.runCommand(v, phenotype, command, (err, result) => {
+        fold.strategies[v] = {
+          in_sample_fitness: best.sim.fitness,
+          in_sample_roi: best.sim.roi,
+          out_of_sample: result
+        }
+        if (result) {
+          console.log(`\n(${v}) fold ${fold.fold} in-sample ROI ${best.sim.roi}, out-of-sample ROI ${z(5, n(result.roi).format('0.000'), ' ').yellow}, VS Buy and Hold: ${z(5, (n(result.vsBuyHold).format('0.0') + '%'), ' ').yellow}`)
+        }
+        cb(null, result)
+      })
+    }
+  })
+
+  parallel(tasks, PARALLEL_LIMIT, () => {
+    saveWalkForwardReport()
+    walkForward.fold++
+    walkForward.generation = 0
+    if (walkForward.fold >= walkForward.folds.length) {
+      console.log('\n\nWalk-forward completed, combined out-of-sample equity:')
+      selectedStrategies.forEach((v) => {
+        let curve = WalkForward.equityCurve(walkForward.folds, v, walkForward.startCapital)
+        if (curve.length) {
+          console.log(`(${v}) ${n(curve[0].equity).format('0.000000')} -> ${n(curve[curve.length - 1].equity).format('0.000000').yellow} over ${curve.length - 1} folds`)
+        }
+      })
+      process.exit()
+    }
+    cb()
+  })
+}
+
+function saveWalkForwardReport() {
+  let folds = walkForward.folds.filter(fold => fold.strategies)
+  let equity = {}
+  let equityRows = []
+  selectedStrategies.forEach((v) => {
+    equity[v] = WalkForward.equityCurve(folds, v, walkForward.startCapital)
+    equity[v].forEach((point) => {
+      equityRows.push(Object.assign({ strategy: v, date: WalkForward.formatTime(point.time) }, point))
+    })
+  })
+  let report = {
+    selector: argv.selector,
+    start: WalkForward.formatTime(walkForward.start),
+    end: WalkForward.formatTime(walkForward.end),
+    in_sample_days: walkForward.inSampleDays,
+    out_of_sample_days: walkForward.outOfSampleDays,
+    generations_per_fold: walkForward.generations,
+    folds: folds,
+    equity: equity
+  }
+  let dir = `simulations/${population_data}`
+  Backtester.writeFileAndFolder(`${dir}/walk_forward.json`, JSON.stringify(report, null, 2))
+  let rows = WalkForward.rows(folds)
+  if (rows.length) {
+    Backtester.writeFileAndFolder(`${dir}/walk_forward_folds.csv`, new Json2csvParser().parse(rows))
+  }
+  if (equityRows.length) {
+    Backtester.writeFileAndFolder(`${dir}/walk_forward_equity.csv`, new Json2csvParser().parse(equityRows))
+  }
+  console.log(`> Finished writing walk-forward report to ${dir}/walk_forward.json`)
+}
+
 console.log(`\n--==${VERSION}==--`)
 console.log(new Date().toUTCString() + '\n')
 
@@ -437,6 +548,11 @@ if (simArgs.help || !(simArgs.use_strategies)) {
   console.log('--fitnessCalcType=<wl / profit / classic / profitwl> Default: Classic.')
   console.log('                  wl will score the highes for wins and losses, profit does not care about wins and losses only the higest end balance,')
   console.log('                  classic uses original claculation / profitwl tries to get the highest profit using the lowest win/loss ratio')
+  console.log('--walkForward=<true>|<false>  evolve on rolling in-sample windows of --start/--end and score on the following out-of-sample window')
+  console.log('--wfInSampleDays=<int>  walk-forward in-sample window in days, default 14')
+  console.log('--wfOutOfSampleDays=<int>  walk-forward out-of-sample window in days, default 7')
+  console.log('--wfGenerations=<int>  generations to evolve on each in-sample window, default 3')
+  console.log('--workers=<true>|<false>  run the sims in worker threads that share one copy of the trades, default true')
   process.exit(0)
 }
 
@@ -446,6 +562,9 @@ delete simArgs.population
 delete simArgs['$0'] // This comes in to argv all by itself
 delete simArgs['_']  // This comes in to argv all by itself
 
+let useWorkers = simArgs.workers !== false && simArgs.workers !== 'false' && SimPool.available
+delete simArgs.workers
+
 if (simArgs.maxCores) {
   if (simArgs.maxCores < 1) PARALLEL_LIMIT = 1
   else PARALLEL_LIMIT = simArgs.maxCores
@@ -462,6 +581,32 @@ if (simArgs.fitnessCalcType) {
 }
 
 
+if (simArgs.walkForward) {
+  let wfEnd = argv.end ? moment(String(argv.end), 'YYYYMMDDHHmm') : moment()
+  let wfStart = argv.start ? moment(String(argv.start), 'YYYYMMDDHHmm') : wfEnd.clone().subtract(argv.days || 30, 'days')
+  walkForward = {
+    start: wfStart.valueOf(),
+    end: wfEnd.valueOf(),
+    inSampleDays: Number(simArgs.wfInSampleDays) || 14,
+    outOfSampleDays: Number(simArgs.wfOutOfSampleDays) || 7,
+    generations: Number(simArgs.wfGenerations) || 3,
+    startCapital: Number(argv.currency_capital) || 1000,
+    fold: 0,
+    generation: 0
+  }
+  walkForward.folds = WalkForward.folds(walkForward.start, walkForward.end, walkForward.inSampleDays, walkForward.outOfSampleDays)
+  if (!walkForward.folds.length) {
+    console.log('--walkForward needs a --start/--end range longer than --wfInSampleDays + --wfOutOfSampleDays')
+    process.exit(1)
+  }
+  // every fold sets its own --start/--end
+  delete simArgs.days
+}
+delete simArgs.walkForward
+delete simArgs.wfInSampleDays
+delete simArgs.wfOutOfSampleDays
+delete simArgs.wfGenerations
+
 if (!isUndefined(simArgs.runGenerations)) {
   if (simArgs.runGenerations) {
     runGenerations = simArgs.runGenerations - 1
@@ -490,7 +635,8 @@ for (var i = 0; i < selectedStrategies.length; i++) {
   let v = selectedStrategies[i]
   let strategyPool = pools[v] = {}
   let strategyData = require(path.resolve(__dirname, `../../extensions/strategies/${v}/strategy`))
-  let strategyPhenotypes = strategyData.phenotypes
+  // composed strategies (lib/compose.js) optimize the options of the strategies they are given with --compose
+  let strategyPhenotypes = strategyData.phenotypesFor ? strategyData.phenotypesFor(simArgs) : strategyData.phenotypes
 
   if (strategyPhenotypes) {
     let evolve = true
@@ -572,12 +718,26 @@ process.on('SIGUSR2', exitHandler.bind(null, { exit: true }))
 process.on('uncaughtException', exitHandler.bind(null, { exit: true }))
 // END - exitHandler
 
-Backtester.init({
-  simArgs: simArgs,
-  simTotalCount: populationSize * selectedStrategies.length,
-  parallelLimit: PARALLEL_LIMIT,
-  writeFile: writeSimDataFile
-})
-setInterval(() => {
-  if (generationProcessing == false) simulateGeneration(generateLaunchFile)
-}, 1000)
+let startBacktest = function (pool) {
+  Backtester.init({
+    simArgs: simArgs,
+    simTotalCount: populationSize * selectedStrategies.length,
+    parallelLimit: PARALLEL_LIMIT,
+    writeFile: writeSimDataFile,
+    pool: pool
+  })
+  setInterval(() => {
+    if (generationProcessing == false) simulateGeneration(generateLaunchFile)
+  }, 1000)
+}
+
+if (useWorkers) {
+  // the pool reads the trades from the db itself, once
+  require('../../boot')((err, zenbot) => {
+    if (err) throw err
+    startBacktest(SimPool(zenbot.conf, { concurrency: PARALLEL_LIMIT }))
+  })
+}
+else {
+  startBacktest(null)
+}
@@ -0,0 +1,65 @@
+let fs = require('fs')
+  , path = require('path')
+  , spawn = require('child_process').spawn
+  , fileStore = require('../../lib/file-store')
+
+// `zenbot sim` on a file store of made up trades, for specs that compare other ways of running
+// a sim with it:
+//
+//   seed(dir, cb)                     a random walk of _stub.BTC-USD over 2020-01-01 00:00 to about
+//                                     12:30, a trade every 7.5s on average, in a file store in dir
+//                                     and dir/conf.js pointing zenbot at it
+//   run(dir, name, options, cb)       cb(err, result, report), the json of --result_file and --report
+let root = path.resolve(__dirname, '../..')
+let selector = '_stub.BTC-USD'
+
+module.exports = {
+  selector: selector,
+
+  // the conf overrides dir/conf.js holds
+  conf: function (dir) {
+    return { storage: 'file', file_store: { path: path.join(dir, 'db') } }
+  },
+
+  seed: function (dir, cb) {
+    let overrides = module.exports.conf(dir)
+    fs.writeFileSync(path.join(dir, 'conf.js'), 'module.exports = ' + JSON.stringify(overrides) + '\n')
+    let trades = fileStore(overrides.file_store.path).collection('trades')
+    let seed = 42
+    function random () {
+      seed = (seed * 16807) % 2147483647
+      return seed / 2147483647
+    }
+    let time = 1577836800000
+    let price = 7000
+    let saves = []
+    for (let i = 0; i < 6000; i++) {
+      time += Math.floor(random() * 15000)
+      price = Math.round(price * (1 + (random() - 0.5) / 100) * 100) / 100
+      let trade = { trade_id: i, selector: selector, time: time, size: Math.round(random() * 1000) / 100, price: price, side: random() > 0.5 ? 'buy' : 'sell' }
+      trade.id = trade._id = selector + '-' + i
+      saves.push(trades.replaceOne({ _id: trade.id }, trade, { upsert: true }))
+    }
+    Promise.all(saves).then(() => cb(), cb)
+  },
+
+  // options like {strategy: 'trend_ema', use_candles: true}, true for a flag
+  run: function (dir, name, options, cb) {
+    let result_file = path.join(dir, name + '.json')
+    let report_file = path.join(dir, name + '-report.json')
+    let args = [path.join(root, 'zenbot.js'), 'sim', selector, '--conf', path.join(dir, 'conf.js'), '--result_file', result_file, '--report', report_file, '--filename', 'none', '--silent']
+    Object.keys(options).forEach((k) => {
+      args.push('--' + k)
+      if (options[k] !== true) args.push(options[k])
+    })
+    let sim = spawn(process.execPath, args, { cwd: root, stdio: ['ignore', 'ignore', 'pipe'] })
+    let stderr = ''
+    sim.stderr.on('data', (data) => stderr += data)
+    sim.on('close', (code) => {
+      if (code !== 0 || !fs.existsSync(result_file)) {
+        return cb(new Error('zenbot sim exited with ' + code + ' without a result:\n' + stderr))
+      }
+      cb(null, JSON.parse(fs.readFileSync(result_file, 'utf8')), JSON.parse(fs.readFileSync(report_file, 'utf8')))
+    })
+  }
+}
@@ -0,0 +1,21 @@
+let fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+
+// A new directory in the os temp dir for the files of a spec, and removing it with all in it:
+//
+//   beforeEach(() => dir = tempDir('file-store'))
+//   afterEach(() => tempDir.remove(dir))
+module.exports = function tempDir (name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'zenbot-' + name + '-'))
+}
+
+module.exports.remove = function remove (file) {
+  if (fs.statSync(file).isDirectory()) {
+    fs.readdirSync(file).forEach((child) => remove(path.join(file, child)))
+    fs.rmdirSync(file)
+  }
+  else {
+    fs.unlinkSync(file)
+  }
+}
@@ -0,0 +1,217 @@
+let http = require('http')
+  , fs = require('fs')
+  , path = require('path')
+  , mock = require('mock-require')
+  , conformance = require('./conformance')
+  , mockExchange = require('../../../extensions/exchanges/_stub/server')
+  , objectifySelector = require('../../../lib/objectify-selector')
+
+// a stand-in for ccxt with a single exchange, mockx, that speaks to the mock exchange over http
+class NetworkError extends Error {}
+class DDoSProtection extends NetworkError {}
+class RateLimitExceeded extends DDoSProtection {}
+class RequestTimeout extends NetworkError {}
+class ExchangeError extends Error {}
+class InsufficientFunds extends ExchangeError {}
+class InvalidOrder extends ExchangeError {}
+class OrderNotFound extends InvalidOrder {}
+
+let statuses = { open: 'open', done: 'closed', cancelled: 'canceled', rejected: 'rejected' }
+
+class MockX {
+  constructor (config) {
+    this.url = config.options.url
+    this.has = Object.assign({ fetchTrades: true, fetchOpenOrders: true }, config.options.has)
+    this.precisionMode = 2
+  }
+
+  request (method, route, body) {
+    return new Promise((resolve, reject) => {
+      let req = http.request(this.url + route, { method: method, headers: { 'Content-Type': 'application/json' } }, (res) => {
+        let data = ''
+        res.on('data', (chunk) => { data += chunk })
+        res.on('end', () => {
+          data = JSON.parse(data)
+          if (res.statusCode === 429) return reject(new RateLimitExceeded(data.message))
+          if (res.statusCode === 404 || (method === 'DELETE' && res.statusCode === 400)) return reject(new OrderNotFound(data.message))
+          if (data.message === 'Insufficient funds') return reject(new InsufficientFunds(data.message))
+          if (res.statusCode !== 200) return reject(new ExchangeError(data.message))
+          resolve(data)
+        })
+      })
+      req.on('error', (err) => reject(new NetworkError(err.message)))
+      req.end(body ? JSON.stringify(body) : '')
+    })
+  }
+
+  order (body) {
+    return { id: body.id, timestamp: body.created_at, lastTradeTimestamp: body.done_at, status: statuses[body.status], side: body.side, price: body.price, amount: body.size, filled: body.filled_size }
+  }
+
+  loadMarkets () {
+    return this.request('GET', '/products').then((products) => {
+      let markets = {}
+      products.forEach((product) => {
+        markets[product.label] = {
+          id: product.asset + product.currency,
+          symbol: product.label,
+          base: product.asset,
+          quote: product.currency,
+          active: true,
+          precision: { price: 2, amount: 8 },
+          limits: { amount: { min: Number(product.min_size), max: Number(product.max_size) } },
+          maker: 0.001,
+          taker: 0.002
+        }
+      })
+      return markets
+    })
+  }
+
+  fetchTrades (symbol, since) {
+    return this.request('GET', '/products/' + symbol.replace('/', '-') + '/trades' + (since ? '?from=' + since : '')).then((trades) => trades.map((trade) => {
+      return { id: String(trade.trade_id), timestamp: trade.time, side: trade.side, price: trade.price, amount: trade.size }
+    }))
+  }
+
+  fetchBalance () {
+    return this.request('GET', '/accounts').then((accounts) => {
+      let balance = {}
+      accounts.forEach((account) => {
+        balance[account.currency] = { free: account.available, used: account.hold, total: account.balance }
+      })
+      return balance
+    })
+  }
+
+  fetchTicker (symbol) {
+    return this.request('GET', '/products/' + symbol.replace('/', '-') + '/ticker')
+  }
+
+  createOrder (symbol, type, side, amount, price, params) {
+    return this.request('POST', '/orders', { product_id: symbol.replace('/', '-'), type: type, side: side, size: amount, price: price, post_only: !!params.postOnly }).then((body) => this.order(body))
+  }
+
+  fetchOrder (id) {
+    return this.request('GET', '/orders/' + id).then((body) => this.order(body))
+  }
+
+  fetchOpenOrders (symbol) {
+    return this.request('GET', '/orders?status=open&product_id=' + symbol.replace('/', '-')).then((bodies) => bodies.map((body) => this.order(body)))
+  }
+
+  cancelOrder (id) {
+    return this.request('DELETE', '/orders/' + id)
+  }
+}
+
+let fakeCcxt = {
+  exchanges: ['mockx'],
+  mockx: MockX,
+  TICK_SIZE: 4,
+  NetworkError, DDoSProtection, RateLimitExceeded, RequestTimeout, ExchangeError, InsufficientFunds, InvalidOrder, OrderNotFound
+}
+
+let products_path = path.resolve(__dirname, '../../../extensions/exchanges/ccxt/products/mockx.json')
+
+function adapter (options, ccxt_conf) {
+  mock('ccxt', fakeCcxt)
+  let exchange = mock.reRequire('../../../extensions/exchanges/ccxt/exchange')
+  return exchange({ ccxt: { mockx: Object.assign({ key: 'key', secret: 'secret', retry_delay: 10, options: options }, ccxt_conf) } }, 'mockx')
+}
+
+function harness (has) {
+  return (cb) => {
+    let mock = mockExchange()
+    mock.listen(0, (url) => {
+      let exchange = adapter({ url: url, has: has })
+      exchange.loadProducts((err) => {
+        expect(err).toBeFalsy()
+        cb({
+          exchange: exchange,
+          product_id: 'BTC-USD',
+          asset: 'BTC',
+          currency: 'USD',
+          seedTrades: (count) => mock.seedTrades('BTC-USD', count),
+          setQuote: (bid, ask) => mock.setQuote('BTC-USD', bid, ask),
+          setBalance: (currency, amount) => mock.setBalance(currency, amount),
+          trade: (price, size) => mock.trade('BTC-USD', { price: price, size: size }),
+          rateLimit: (count) => mock.rateLimit(count),
+          close: (done) => mock.close(done)
+        })
+      })
+    })
+  }
+}
+
+describe('ccxt exchange', () => {
+  afterAll(() => {
+    mock.stopAll()
+    if (fs.existsSync(products_path)) fs.unlinkSync(products_path)
+    if (!fs.readdirSync(path.dirname(products_path)).length) fs.rmdirSync(path.dirname(products_path))
+  })
+
+  conformance('ccxt, checking post-only orders against the quote,', harness({}))
+  conformance('ccxt, with post-only orders,', harness({ createPostOnlyOrder: true }))
+
+  it('maps the capabilities of the exchange, c.ccxt.<exchange> wins', () => {
+    let exchange = adapter({ has: { fetchTrades: false, fetchOpenOrders: false, createStopOrder: true } })
+    expect(exchange.historyScan).toBe(false)
+    expect(exchange.getOpenOrders).toBeUndefined()
+    expect(typeof exchange.placeStop).toBe('function')
+    exchange = adapter({ has: { createStopOrder: true } }, { history_scan: false, stop_orders: false })
+    expect(exchange.historyScan).toBe(false)
+    expect(exchange.placeStop).toBeUndefined()
+    expect(exchange.capabilities).toEqual({ history_scan: false, post_only: false, stop_orders: false })
+  })
+
+  it('takes the products and fees from the markets', (done) => {
+    let mock = mockExchange()
+    mock.listen(0, (url) => {
+      let exchange = adapter({ url: url })
+      exchange.loadProducts((err) => {
+        expect(err).toBeFalsy()
+        // a second adapter reads them from the cache
+        exchange = adapter({ url: url })
+        expect(exchange.getProducts()).toEqual([{ id: 'BTCUSD', asset: 'BTC', currency: 'USD', min_size: 0.002, max_size: 2000, increment: '0.01', asset_increment: '0.00000001', label: 'BTC/USD', maker_fee: 0.1, taker_fee: 0.2 }])
+        expect(exchange.dynamicFees).toBe(true)
+        exchange.setFees({ asset: 'BTC', currency: 'USD' })
+        expect(exchange.makerFee).toBe(0.1)
+        expect(exchange.takerFee).toBe(0.2)
+        mock.close(done)
+      })
+    })
+  })
+
+  it('rejects an order for the balance only on InsufficientFunds', (done) => {
+    let mock = mockExchange()
+    mock.listen(0, (url) => {
+      let exchange = adapter({ url: url, has: { createPostOnlyOrder: true } })
+      exchange.loadProducts((err) => {
+        expect(err).toBeFalsy()
+        let createOrder = spyOn(MockX.prototype, 'createOrder').and.returnValue(Promise.reject(new InsufficientFunds('not enough USD')))
+        exchange.buy({ product_id: 'BTC-USD', price: '100', size: '1' }, (err, order) => {
+          expect(err).toBeFalsy()
+          expect(order).toEqual({ status: 'rejected', reject_reason: 'balance' })
+          createOrder.and.returnValue(Promise.reject(new InvalidOrder('amount must be greater than 0.01')))
+          exchange.buy({ product_id: 'BTC-USD', price: '100', size: '0.001' }, (err, order) => {
+            expect(err instanceof InvalidOrder).toBe(true)
+            expect(order).toBeUndefined()
+            mock.close(done)
+          })
+        })
+      })
+    })
+  })
+
+  it('is selected as ccxt:<exchange>.<pair>', () => {
+    mock('ccxt', fakeCcxt)
+    mock.reRequire('../../../extensions/exchanges/ccxt/exchange')
+    let selector = objectifySelector('ccxt:MockX.btc/usd')
+    expect(selector).toEqual({ exchange_id: 'ccxt:mockx', product_id: 'BTC-USD', asset: 'BTC', currency: 'USD', normalized: 'ccxt:mockx.BTC-USD' })
+    let loadExchange = mock.reRequire('../../../lib/load-exchange')
+    expect(loadExchange(selector.exchange_id, { ccxt: { mockx: { options: {} } } }).name).toBe('ccxt:mockx')
+    expect(() => loadExchange('ccxt:nope', {})).toThrowError(/does not support the exchange nope/)
+    expect(() => loadExchange('ccxt', {})).toThrowError(/ccxt:<exchange>/)
+  })
+})
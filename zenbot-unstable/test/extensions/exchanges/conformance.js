@@ -0,0 +1,180 @@
+let contract = require('../../../lib/exchange-contract')
+
+// The conformance suite for exchange adapters, see "Testing an adapter" in docs/developers.md.
+// `setup(cb)` is called before every spec and passes a harness for a fresh market to cb:
+//
+//   {
+//     exchange,                  the adapter, pointed at a mock of the exchange
+//     product_id, asset, currency,
+//     seedTrades(count),         count past trades, a second apart up to now
+//     setQuote(bid, ask),
+//     setBalance(currency, amount),
+//     trade(price, size),        a market trade, filling the resting orders it crosses
+//     rateLimit(count),          the next count requests are answered as rate limited
+//     close(cb)
+//   }
+module.exports = function conformance (name, setup) {
+  describe(name + ' adapter conformance', () => {
+    let h, exchange
+
+    beforeEach((done) => {
+      setup((harness) => {
+        h = harness
+        exchange = h.exchange
+        h.setQuote(99, 101)
+        h.setBalance(h.asset, 2)
+        h.setBalance(h.currency, 1000)
+        done()
+      })
+    })
+
+    afterEach((done) => {
+      h.close(done)
+    })
+
+    function order (type, opts, cb) {
+      exchange[type](Object.assign({ product_id: h.product_id, order_type: 'maker', post_only: true }, opts), (err, api_order) => {
+        expect(err).toBeFalsy()
+        expect(contract.order(api_order)).toEqual([])
+        cb(api_order)
+      })
+    }
+
+    function getOrder (api_order, cb) {
+      exchange.getOrder({ order_id: api_order.id, product_id: h.product_id }, (err, api_order) => {
+        expect(err).toBeFalsy()
+        expect(contract.order(api_order)).toEqual([])
+        cb(api_order)
+      })
+    }
+
+    it('has the methods and products of the contract', () => {
+      expect(contract.adapter(exchange)).toEqual([])
+      let products = exchange.getProducts()
+      expect(products.length).toBeGreaterThan(0)
+      products.forEach((product) => expect(contract.product(product)).toEqual([]))
+      expect(products.some((product) => product.asset + '-' + product.currency === h.product_id)).toBe(true)
+    })
+
+    it('pages the trades in the direction of historyScan without gaps or duplicates', (done) => {
+      h.seedTrades(250)
+      let seen = {}
+      let pages = 0
+      let backward = exchange.historyScan === 'backward'
+      // backfill starts a backward scan without a cursor
+      let cursor = backward ? null : exchange.getCursor(new Date().getTime() - 86400000)
+      function next () {
+        let opts = { product_id: h.product_id }
+        if (backward) opts.to = cursor
+        else opts.from = cursor
+        exchange.getTrades(opts, (err, trades) => {
+          expect(err).toBeFalsy()
+          if (!trades.length || ++pages > 20) {
+            expect(Object.keys(seen).length).toBe(250)
+            return done()
+          }
+          trades.forEach((trade) => {
+            expect(contract.trade(trade)).toEqual([])
+            expect(seen[trade.trade_id]).toBeUndefined()
+            seen[trade.trade_id] = true
+          })
+          let cursors = trades.map((trade) => exchange.getCursor(trade))
+          // like backfill: older than the oldest cursor, or from the newest on
+          cursor = backward ? Math.min.apply(null, cursors) : Math.max.apply(null, cursors) + 1
+          next()
+        })
+      }
+      next()
+    })
+
+    it('reports the balance and the quote', (done) => {
+      exchange.getBalance({ asset: h.asset, currency: h.currency }, (err, balance) => {
+        expect(err).toBeFalsy()
+        expect(contract.balance(balance)).toEqual([])
+        expect(Number(balance.asset)).toBe(2)
+        expect(Number(balance.currency)).toBe(1000)
+        exchange.getQuote({ product_id: h.product_id }, (err, quote) => {
+          expect(err).toBeFalsy()
+          expect(contract.quote(quote)).toEqual([])
+          expect(Number(quote.bid)).toBe(99)
+          expect(Number(quote.ask)).toBe(101)
+          done()
+        })
+      })
+    })
+
+    it('fills a limit order partially and then completely', (done) => {
+      order('buy', { price: '100.00', size: '1.00000000' }, (api_order) => {
+        expect(api_order.status).toBe('open')
+        exchange.getBalance({ asset: h.asset, currency: h.currency }, (err, balance) => {
+          expect(Number(balance.currency_hold)).toBe(100)
+          h.trade(100, 0.4)
+          getOrder(api_order, (partial) => {
+            expect(partial.status).toBe('open')
+            expect(Number(partial.filled_size)).toBeCloseTo(0.4, 8)
+            h.trade(99.5, 0.6)
+            getOrder(api_order, (filled) => {
+              expect(filled.status).toBe('done')
+              exchange.getBalance({ asset: h.asset, currency: h.currency }, (err, balance) => {
+                expect(Number(balance.asset)).toBeCloseTo(3, 8)
+                expect(Number(balance.currency_hold)).toBeCloseTo(0, 8)
+                done()
+              })
+            })
+          })
+        })
+      })
+    })
+
+    it('rejects a post-only order that would take liquidity', (done) => {
+      order('buy', { price: '102.00', size: '1.00000000' }, (api_order) => {
+        let check = (api_order) => {
+          expect(api_order.status).toBe('rejected')
+          expect(api_order.reject_reason).toBe('post only')
+          done()
+        }
+        // some exchanges accept the order and reject it right after
+        if (api_order.status === 'rejected') return check(api_order)
+        getOrder(api_order, check)
+      })
+    })
+
+    it('rejects an order larger than the balance', (done) => {
+      order('sell', { price: '110.00', size: '5.00000000' }, (api_order) => {
+        expect(api_order.status).toBe('rejected')
+        expect(api_order.reject_reason).toBe('balance')
+        done()
+      })
+    })
+
+    it('cancels an open order, twice without an error', (done) => {
+      order('sell', { price: '110.00', size: '1.00000000' }, (api_order) => {
+        exchange.cancelOrder({ order_id: api_order.id, product_id: h.product_id }, (err) => {
+          expect(err).toBeFalsy()
+          getOrder(api_order, (cancelled) => {
+            // gdax style adapters answer done with a done_reason
+            expect(cancelled.status === 'cancelled' || cancelled.done_reason === 'canceled').toBe(true)
+            exchange.cancelOrder({ order_id: api_order.id, product_id: h.product_id }, (err) => {
+              expect(err).toBeFalsy()
+              if (!exchange.getOpenOrders) return done()
+              exchange.getOpenOrders({ product_id: h.product_id }, (err, open) => {
+                expect(err).toBeFalsy()
+                expect(open.map((o) => String(o.id))).not.toContain(String(api_order.id))
+                done()
+              })
+            })
+          })
+        })
+      })
+    })
+
+    it('tries rate limited requests again', (done) => {
+      h.rateLimit(2)
+      exchange.getQuote({ product_id: h.product_id }, (err, quote) => {
+        expect(err).toBeFalsy()
+        expect(contract.quote(quote)).toEqual([])
+        done()
+      })
+    })
+  })
+}
@@ -0,0 +1,130 @@
+var mock = require('mock-require')
+  , path = require('path')
+
+describe('Sim exchange', function () {
+  var exchange
+
+  beforeEach(function () {
+    jasmine.clock().install()
+    mock(path.resolve(__dirname, '../../../extensions/exchanges/test_exchange/exchange'), function () {
+      return {
+        getProducts: function () { return [] },
+        makerFee: 0.1,
+        takerFee: 0.2
+      }
+    })
+    var sim = mock.reRequire('../../../extensions/exchanges/sim/exchange')
+    exchange = sim({}, {
+      options: {
+        selector: { exchange_id: 'test_exchange' },
+        asset_capital: 2,
+        currency_capital: 0,
+        avg_slippage_pct: 0,
+        order_type: 'maker',
+        order_adjust_time: 30000
+      }
+    })
+  })
+
+  afterEach(function () {
+    jasmine.clock().uninstall()
+    mock.stopAll()
+  })
+
+  function call (method, opts) {
+    var result
+    exchange[method](opts, function (err, data) { result = data })
+    jasmine.clock().tick(100)
+    return result
+  }
+
+  function trade (price, time) {
+    exchange.processTrade({ price: price, size: 10, time: time || 1000 })
+  }
+
+  describe('placeStop', function () {
+    it('holds the asset and sells at the market once the stop price is hit', function () {
+      var order = call('placeStop', { size: 2, stop_price: 90 })
+      expect(call('getBalance', {}).asset_hold).toBe(2)
+
+      trade(95)
+      expect(call('getOrder', { order_id: order.id }).status).toBe('open')
+
+      trade(89)
+      order = call('getOrder', { order_id: order.id })
+      expect(order.status).toBe('done')
+      expect(order.price).toBe(89)
+      var balance = call('getBalance', {})
+      expect(balance.asset).toBe(0)
+      // taker fee on the fill
+      expect(Number(balance.currency)).toBeCloseTo(178 - 0.356, 8)
+    })
+
+    it('does not sell below the stop limit price', function () {
+      var order = call('placeStop', { size: 2, stop_price: 90, stop_limit_price: 88 })
+      trade(85)
+      expect(call('getOrder', { order_id: order.id }).status).toBe('open')
+      trade(88.5, 2000)
+      expect(call('getOrder', { order_id: order.id }).status).toBe('done')
+    })
+
+    it('rejects stops larger than the free asset balance', function () {
+      expect(call('placeStop', { size: 3, stop_price: 90 }).reject_reason).toBe('balance')
+    })
+
+    it('can be cancelled', function () {
+      var order = call('placeStop', { size: 2, stop_price: 90 })
+      call('cancelOrder', { order_id: order.id })
+      trade(80)
+      expect(call('getOrder', { order_id: order.id }).status).toBe('cancelled')
+      expect(call('getBalance', {}).asset).toBe(2)
+    })
+  })
+
+  describe('getState', function () {
+    it('carries the balance and open orders over to a new exchange', function () {
+      var order = call('sell', { size: 1, price: 110 })
+      var state = exchange.getState()
+      var sim = mock.reRequire('../../../extensions/exchanges/sim/exchange')
+      exchange = sim({}, {
+        options: { selector: { exchange_id: 'test_exchange' }, asset_capital: 5, currency_capital: 0, avg_slippage_pct: 0, order_type: 'maker' }
+      })
+      exchange.setState(state)
+      var balance = call('getBalance', {})
+      expect(balance.asset).toBe(2)
+      expect(balance.asset_hold).toBe(1)
+      trade(111)
+      expect(call('getOrder', { order_id: order.id }).status).toBe('done')
+      expect(call('sell', { size: 1, price: 120 }).id).not.toBe(order.id)
+    })
+  })
+
+  describe('getOpenOrders', function () {
+    it('lists the orders that are not filled or cancelled', function () {
+      var sell = call('sell', { size: 1, price: 110 })
+      var other = call('sell', { size: 1, price: 120 })
+      call('cancelOrder', { order_id: other.id })
+      expect(call('getOpenOrders', {}).map(function (order) { return order.id })).toEqual([sell.id])
+      trade(111)
+      expect(call('getOpenOrders', {})).toEqual([])
+    })
+  })
+
+  describe('placeOco', function () {
+    it('takes profit at the limit price', function () {
+      var order = call('placeOco', { size: 2, price: 110, stop_price: 90 })
+      trade(111)
+      order = call('getOrder', { order_id: order.id })
+      expect(order.status).toBe('done')
+      expect(order.price).toBe(110)
+    })
+
+    it('sells at the stop when the price drops first', function () {
+      var order = call('placeOco', { size: 2, price: 110, stop_price: 90 })
+      trade(89)
+      order = call('getOrder', { order_id: order.id })
+      expect(order.status).toBe('done')
+      expect(order.price).toBe(89)
+    })
+  })
+})
@@ -0,0 +1,62 @@
+let mock = require('mock-require')
+
+// the stream descriptors of lib/trade-feed.js against recorded messages, the SDKs are not used
+function adapter (name, conf) {
+  mock('ccxt', {})
+  mock('coinbase-pro', {})
+  mock('kraken-api', function () {})
+  mock('bitfinex-api-node', function () {})
+  return mock.reRequire('../../../extensions/exchanges/' + name + '/exchange')(conf || {})
+}
+
+describe('Exchange streams', () => {
+  afterAll(() => {
+    mock.stopAll()
+  })
+
+  it('binance parses trades and the book ticker', () => {
+    let stream = adapter('binance').stream
+    expect(stream.url('BNB-BTC')).toBe('wss://stream.binance.com:9443/stream?streams=bnbbtc@trade/bnbbtc@bookTicker')
+    expect(stream.parse({ stream: 'bnbbtc@trade', data: { e: 'trade', t: 12345, p: '0.001', q: '100', T: 1600000000000, m: true } })).toEqual({
+      trades: [{ trade_id: '12345', time: 1600000000000, size: 100, price: 0.001, side: 'sell' }]
+    })
+    expect(stream.parse({ stream: 'bnbbtc@bookTicker', data: { u: 1, s: 'BNBBTC', b: '0.0009', B: '1', a: '0.0011', A: '1' } })).toEqual({
+      quote: { bid: '0.0009', ask: '0.0011' }
+    })
+  })
+
+  it('bitfinex parses the trade snapshot, executed trades and the ticker by channel', () => {
+    let stream = adapter('bitfinex', { bitfinex: {} }).stream
+    expect(stream.subscribe('BTC-USD')[0]).toEqual({ event: 'subscribe', channel: 'trades', symbol: 'tBTCUSD' })
+    let state = {}
+    stream.parse({ event: 'subscribed', channel: 'trades', chanId: 17 }, state)
+    stream.parse({ event: 'subscribed', channel: 'ticker', chanId: 18 }, state)
+    expect(stream.parse([17, [[2, 1600000000001, -0.5, 10001], [1, 1600000000000, 0.5, 10000]]], state).trades.map((trade) => trade.trade_id)).toEqual([2, 1])
+    expect(stream.parse([17, 'te', [3, 1600000000002, -0.25, 10002]], state)).toEqual({
+      trades: [{ trade_id: 3, time: 1600000000002, size: 0.25, price: 10002, side: 'sell' }]
+    })
+    expect(stream.parse([17, 'tu', [3, 1600000000002, -0.25, 10002]], state)).toEqual({ trades: [] })
+    expect(stream.parse([17, 'hb'], state)).toBeUndefined()
+    expect(stream.parse([18, [10001, 1, 10002, 1, 0, 0, 10001, 1, 10100, 9900]], state)).toEqual({ quote: { bid: 10001, ask: 10002 } })
+  })
+
+  it('gdax parses matches and the ticker', () => {
+    let stream = adapter('gdax', { gdax: {} }).stream
+    expect(stream.subscribe('BTC-USD')).toEqual([{ type: 'subscribe', product_ids: ['BTC-USD'], channels: ['matches', 'ticker', 'heartbeat'] }])
+    expect(stream.parse({ type: 'match', trade_id: 10, side: 'buy', size: '0.1', price: '10000.00', time: '2020-09-13T12:26:40.000Z' })).toEqual({
+      trades: [{ trade_id: 10, time: 1600000000000, size: 0.1, price: 10000, side: 'buy' }]
+    })
+    expect(stream.parse({ type: 'ticker', best_bid: '9999.99', best_ask: '10000.01' })).toEqual({ quote: { bid: '9999.99', ask: '10000.01' } })
+    expect(stream.parse({ type: 'heartbeat' })).toBeUndefined()
+  })
+
+  it('kraken parses trades with the ids of getTrades and the spread', () => {
+    let stream = adapter('kraken').stream
+    expect(stream.subscribe('XXBT-ZUSD')[0]).toEqual({ event: 'subscribe', pair: ['XBT/USD'], subscription: { name: 'trade' } })
+    expect(stream.parse([0, [['10000.0', '0.5', '1600000000.1234', 's', 'l', '']], 'trade', 'XBT/USD'])).toEqual({
+      trades: [{ trade_id: 1600000000.1234 + '0.5' + '10000.0', time: 1600000000123, size: 0.5, price: 10000, side: 'sell' }]
+    })
+    expect(stream.parse([1, ['9999.9', '10000.1', '1600000000.1', '1', '1'], 'spread', 'XBT/USD'])).toEqual({ quote: { bid: '9999.9', ask: '10000.1' } })
+    expect(stream.parse({ event: 'heartbeat' })).toBeUndefined()
+  })
+})
@@ -0,0 +1,76 @@
+let http = require('http')
+  , WebSocket = require('ws')
+  , conformance = require('./conformance')
+  , mockExchange = require('../../../extensions/exchanges/_stub/server')
+  , stub = require('../../../extensions/exchanges/_stub/exchange')
+
+function harness (history_scan) {
+  return (cb) => {
+    let mock = mockExchange()
+    mock.listen(0, (url) => {
+      cb({
+        exchange: stub({ stub: { url: url, retry_delay: 10, history_scan: history_scan } }),
+        product_id: 'BTC-USD',
+        asset: 'BTC',
+        currency: 'USD',
+        seedTrades: (count) => mock.seedTrades('BTC-USD', count),
+        setQuote: (bid, ask) => mock.setQuote('BTC-USD', bid, ask),
+        setBalance: (currency, amount) => mock.setBalance(currency, amount),
+        trade: (price, size) => mock.trade('BTC-USD', { price: price, size: size }),
+        rateLimit: (count) => mock.rateLimit(count),
+        close: (done) => mock.close(done)
+      })
+    })
+  }
+}
+
+conformance('stub', harness('backward'))
+conformance('stub, paging forward,', harness('forward'))
+
+describe('Mock exchange', () => {
+  let mock
+
+  beforeEach((done) => {
+    mock = mockExchange()
+    mock.listen(0, () => done())
+  })
+
+  afterEach((done) => {
+    mock.close(done)
+  })
+
+  it('feeds trades and order updates over the websocket', (done) => {
+    let messages = []
+    let ws = new WebSocket(mock.url().replace('http', 'ws'))
+    ws.on('message', (data) => {
+      messages.push(JSON.parse(data))
+      if (messages.length < 3) return
+      expect(messages.map((message) => message.type)).toEqual(['order', 'order', 'trade'])
+      expect(messages[1].order.status).toBe('done')
+      expect(messages[2].trade.price).toBe(100)
+      ws.close()
+      done()
+    })
+    ws.on('open', () => {
+      mock.setBalance('USD', 1000)
+      let exchange = stub({ stub: { url: mock.url() } })
+      exchange.buy({ product_id: 'BTC-USD', price: '100', size: '1' }, (err) => {
+        expect(err).toBeFalsy()
+        mock.trade('BTC-USD', { price: 100, size: 2 })
+      })
+    })
+  })
+
+  it('takes control calls over http', (done) => {
+    let exchange = stub({ stub: { url: mock.url() } })
+    let req = http.request(mock.url() + '/control/setQuote', { method: 'POST' }, (res) => {
+      res.resume()
+      expect(res.statusCode).toBe(200)
+      exchange.getQuote({ product_id: 'BTC-USD' }, (err, quote) => {
+        expect(quote).toEqual({ bid: 10, ask: 11 })
+        done()
+      })
+    })
+    req.end(JSON.stringify(['BTC-USD', 10, 11]))
+  })
+})
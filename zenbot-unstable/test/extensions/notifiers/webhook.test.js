@@ -0,0 +1,66 @@
+let http = require('http')
+  , webhook = require('../../../extensions/notifiers/webhook')
+
+describe('Webhook notifier', () => {
+  let server, requests, statuses
+
+  beforeEach((done) => {
+    requests = []
+    statuses = []
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => body += chunk)
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null })
+        res.statusCode = statuses.shift() || 200
+        res.end()
+      })
+    })
+    server.listen(0, '127.0.0.1', done)
+  })
+
+  afterEach((done) => {
+    server.close(() => done())
+  })
+
+  function notifier (config) {
+    return webhook(Object.assign({ url: 'http://127.0.0.1:' + server.address().port + '/hook?x=1', retry_delay: 10 }, config))
+  }
+
+  it('sends the rendered template with the headers', (done) => {
+    notifier({
+      method: 'put',
+      headers: { Authorization: 'Bearer t' },
+      body: { text: '{{title}}', price: '{{price}}' },
+      templates: { stop: { body: { text: 'stop {{signal}}' } } }
+    }).pushMessage('Stop triggered', 'sell at 90\n', { type: 'stop', signal: 'sell', price: 90 })
+    setTimeout(() => {
+      expect(requests.length).toBe(1)
+      expect(requests[0].method).toBe('PUT')
+      expect(requests[0].url).toBe('/hook?x=1')
+      expect(requests[0].headers.authorization).toBe('Bearer t')
+      expect(requests[0].body).toEqual({ text: 'stop sell' })
+      done()
+    }, 100)
+  })
+
+  it('retries 5xx answers', (done) => {
+    spyOn(console, 'error')
+    statuses = [500, 503]
+    notifier({ retries: 3, body: { price: '{{price}}' } }).pushMessage('Buying', 'placing buy order', { type: 'buy', price: 100 })
+    setTimeout(() => {
+      expect(requests.length).toBe(3)
+      expect(requests[2].body).toEqual({ price: 100 })
+      expect(console.error).not.toHaveBeenCalled()
+      done()
+    }, 300)
+  })
+
+  it('skips events that are not listed', (done) => {
+    notifier({ events: ['error'], body: {} }).pushMessage('Buying', 'placing buy order', { type: 'buy' })
+    setTimeout(() => {
+      expect(requests.length).toBe(0)
+      done()
+    }, 50)
+  })
+})
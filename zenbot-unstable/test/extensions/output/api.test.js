@@ -0,0 +1,190 @@
+let http = require('http')
+  , crypto = require('crypto')
+  , EventEmitter = require('events')
+  , WebSocket = require('ws')
+  , runtimeOptions = require('../../../lib/runtime-options')
+  , api = require('../../../extensions/output/api')
+
+describe('API output', () => {
+  let token = 'secret-token'
+  let server, traders
+
+  // what commands/trade.js starts per selector, the keys it is sent are kept
+  function trader (selector) {
+    let so = { selector: { normalized: selector }, buy_pct: 99, sell_pct: 99, order_type: 'maker', manual: false }
+    let t = {
+      s: { options: so },
+      eventBus: new EventEmitter(),
+      keys: [],
+      executeKey: (key) => t.keys.push(key),
+      getOptions: () => {
+        let values = {}
+        runtimeOptions.names.forEach((k) => values[k] = so[k])
+        return values
+      },
+      setOptions: (changes) => {
+        Object.assign(so, runtimeOptions.parse(changes))
+        return t.getOptions()
+      }
+    }
+    return t
+  }
+
+  beforeEach((done) => {
+    traders = [trader('gdax.BTC-USD'), trader('gdax.ETH-USD')]
+    spyOn(console, 'log')
+    api().run({ ip: '127.0.0.1', token: token }, {}, traders, (listening) => {
+      server = listening
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    server.close(() => done())
+  })
+
+  function request (method, path, body, headers, cb) {
+    let data = body ? JSON.stringify(body) : ''
+    let req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: method,
+      path: path,
+      headers: Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }, headers)
+    }, (res) => {
+      let text = ''
+      res.on('data', (chunk) => text += chunk)
+      res.on('end', () => cb(res.statusCode, text ? JSON.parse(text) : null))
+    })
+    req.end(data)
+  }
+
+  function authorized (method, path, body, cb) {
+    request(method, path, body, { Authorization: 'Bearer ' + token }, cb)
+  }
+
+  it('answers 401 without the token or with a wrong one', (done) => {
+    request('GET', '/api/options', null, {}, (status, body) => {
+      expect(status).toBe(401)
+      expect(body).toEqual({ error: 'unauthorized' })
+      request('GET', '/api/options', null, { Authorization: 'Bearer secret-tokeX' }, (status) => {
+        expect(status).toBe(401)
+        request('POST', '/api/buy?token=short', {}, {}, (status) => {
+          expect(status).toBe(401)
+          expect(traders[0].keys).toEqual([])
+          request('GET', '/api/options?token=' + token, null, {}, (status, body) => {
+            expect(status).toBe(200)
+            expect(body.selector).toBe('gdax.BTC-USD')
+            done()
+          })
+        })
+      })
+    })
+  })
+
+  it('compares the token in constant time', (done) => {
+    spyOn(crypto, 'timingSafeEqual').and.callThrough()
+    request('GET', '/api/options', null, { Authorization: 'Bearer secret-tokeX' }, (status) => {
+      expect(status).toBe(401)
+      expect(crypto.timingSafeEqual).toHaveBeenCalledTimes(1)
+      let args = crypto.timingSafeEqual.calls.argsFor(0)
+      expect(args.map((buf) => buf.toString()).sort()).toEqual(['secret-tokeX', token])
+      authorized('GET', '/api/options', null, (status) => {
+        expect(status).toBe(200)
+        expect(crypto.timingSafeEqual).toHaveBeenCalledTimes(2)
+        done()
+      })
+    })
+  })
+
+  it('changes options and rejects bad values', (done) => {
+    let bad = [{ buy_pct: -1 }, { buy_pct: 'lots' }, { order_type: 'stop' }, { manual: 'yes' }, { period_length: '1m' }]
+    function next () {
+      let changes = bad.shift()
+      if (!changes) {
+        expect(traders[0].getOptions()).toEqual(jasmine.objectContaining({ buy_pct: 99, order_type: 'maker', manual: false }))
+        return authorized('POST', '/api/options', { selector: 'gdax.ETH-USD', buy_pct: '50', sell_stop_pct: 2 }, (status, body) => {
+          expect(status).toBe(200)
+          expect(body.selector).toBe('gdax.ETH-USD')
+          expect(body.options).toEqual(jasmine.objectContaining({ buy_pct: 50, sell_stop_pct: 2 }))
+          expect(traders[0].s.options.buy_pct).toBe(99)
+          done()
+        })
+      }
+      authorized('POST', '/api/options', changes, (status, body) => {
+        expect(status).toBe(400)
+        expect(body.error).toMatch(Object.keys(changes)[0])
+        next()
+      })
+    }
+    next()
+  })
+
+  it('places and cancels orders through the keys of the trader', (done) => {
+    authorized('POST', '/api/buy', {}, (status, body) => {
+      expect(body).toEqual({ selector: 'gdax.BTC-USD', signal: 'buy', type: 'limit' })
+      authorized('POST', '/api/sell', { type: 'market', selector: 'gdax.ETH-USD' }, (status, body) => {
+        expect(body).toEqual({ selector: 'gdax.ETH-USD', signal: 'sell', type: 'market' })
+        authorized('POST', '/api/cancel', {}, () => {
+          authorized('POST', '/api/manual', {}, (status, body) => {
+            expect(body.options.manual).toBe(true)
+            expect(traders[0].keys).toEqual(['b', 'c'])
+            expect(traders[1].keys).toEqual(['S'])
+            authorized('POST', '/api/buy', { selector: 'gdax.LTC-USD' }, (status) => {
+              expect(status).toBe(404)
+              done()
+            })
+          })
+        })
+      })
+    })
+  })
+
+  describe('stream', () => {
+    function connect (query) {
+      return new WebSocket('ws://127.0.0.1:' + server.address().port + '/ws' + query)
+    }
+
+    it('refuses connections without the token', (done) => {
+      let ws = connect('')
+      ws.on('unexpected-response', (req, res) => {
+        expect(res.statusCode).toBe(401)
+        done()
+      })
+    })
+
+    it('pushes periods, signals, orders and balance changes', (done) => {
+      let ws = connect('?token=' + token)
+      let messages = []
+      ws.on('message', (message) => {
+        messages.push(JSON.parse(message))
+        if (messages.length < 5) return
+        expect(messages.map((m) => [m.type, m.selector])).toEqual([
+          ['period', 'gdax.BTC-USD'],
+          ['signal', 'gdax.BTC-USD'],
+          ['order', 'gdax.ETH-USD'],
+          ['balance', 'gdax.BTC-USD'],
+          ['balance', 'gdax.BTC-USD']
+        ])
+        expect(messages[0].data).toEqual({ close: 100 })
+        expect(messages[1].data).toEqual({ signal: 'buy' })
+        expect(messages[2].data).toEqual({ event: 'placed', type: 'sell', price: 101, size: 1 })
+        expect(messages[3].data).toEqual({ currency: 1000, asset: 0 })
+        // the same balance again is not pushed
+        expect(messages[4].data).toEqual({ currency: 900, asset: 1 })
+        expect(typeof messages[0].time).toBe('number')
+        ws.on('close', () => done())
+        ws.close()
+      })
+      ws.on('open', () => {
+        let btc = traders[0].eventBus
+        btc.emit('period', { close: 100 })
+        btc.emit('signal', 'buy')
+        traders[1].eventBus.emit('orderPlaced', 'sell', { price: 101, size: 1 })
+        btc.emit('balance', { currency: 1000, asset: 0 })
+        btc.emit('balance', { currency: 1000, asset: 0 })
+        btc.emit('balance', { currency: 900, asset: 1 })
+      })
+    })
+  })
+})
@@ -0,0 +1,136 @@
+let fs = require('fs')
+  , path = require('path')
+  , tb = require('timebucket')
+  , timeframes = require('../../../lib/timeframes')
+  , candleCache = require('../../../lib/candle-cache')
+
+// Runs a strategy over a price series of ./series.js the way the engine does in sim: every candle
+// is replayed as four trades (see lib/candle-cache.js), calculate is called on every trade and
+// onPeriod when a period closes. A signal is taken as filled at the close right away, so
+// s.acted_on_trend, s.last_signal and s.my_trades are set like after a fill.
+//
+//   run(strategy, candles, options, cb)     cb(err, {signals, s}), signals like ['52 buy', '90 sell'],
+//                                           numbered by the period they were given in
+//   snapshot(strategy, signals)             compares the signals of every series, like {'range': [...]},
+//                                           to the ones saved in snapshots/<strategy>.json
+//
+// UPDATE_SNAPSHOTS=1 saves the signals instead, a snapshot that was not saved fails without it.
+let start = 1577836800000
+let snapshots = path.join(__dirname, 'snapshots')
+
+function length (period_length) {
+  return tb(0).resize(period_length).add(1).toMilliseconds()
+}
+
+module.exports = {
+  strategies: function () {
+    return fs.readdirSync(path.resolve(__dirname, '../../../extensions/strategies')).sort()
+  },
+
+  run: function (name, candles, options, cb) {
+    let strategy = require(path.resolve(__dirname, '../../../extensions/strategies', name, 'strategy'))
+    let selector = {exchange_id: 'test', product_id: 'BTC-USD', asset: 'BTC', currency: 'USD', normalized: 'test.BTC-USD'}
+    let s = {options: Object.assign({strategy: name, selector: selector, mode: 'sim'}, options), strategy: strategy, lookback: [], timeframes: {}, my_trades: [], my_prev_trades: []}
+    let so = s.options
+    s.ctx = {
+      option: function (name, desc, type, def) {
+        if (typeof so[name] === 'undefined') so[name] = def
+      },
+      timeframe: function (size, min_periods) {
+        timeframes.add(s, size, min_periods)
+      },
+      ticks: function () {
+        s.tick_data = true
+      },
+      // nothing learnt is kept between runs
+      store: {
+        load: function (name, cb) {
+          cb(null, null)
+        },
+        save: function (name, model, cb) {
+          if (cb) cb(null)
+        }
+      }
+    }
+    if (strategy.getOptions) strategy.getOptions.call(s.ctx, s)
+    if (typeof so.period_length === 'undefined') so.period_length = so.period
+    if (!so.min_periods) so.min_periods = 1
+    let period_ms = length(so.period_length)
+    let signals = []
+
+    let trades = []
+    candles.forEach(function (candle, idx) {
+      let time = start + idx * period_ms
+      trades = trades.concat(candleCache.toTrades(Object.assign({period_id: String(idx), first_trade_time: time, latest_trade_time: time + period_ms - 1}, candle)))
+    })
+
+    function take () {
+      if (!s.signal) return
+      signals.push(Math.round((s.period.time - start) / period_ms) + ' ' + s.signal)
+      s.last_signal = s.signal
+      s.acted_on_trend = true
+      s.action = s.signal === 'buy' ? 'bought' : 'sold'
+      s.my_trades.push({type: s.signal, price: s.period.close, time: s.period.latest_trade_time})
+      s.signal = null
+    }
+
+    function update (trade) {
+      if (!s.period) {
+        let d = tb(trade.time).resize(so.period_length)
+        s.period = {
+          period_id: d.toString(),
+          size: so.period_length,
+          time: d.toMilliseconds(),
+          open: trade.price,
+          high: trade.price,
+          low: trade.price,
+          close: trade.price,
+          volume: 0,
+          close_time: d.add(1).toMilliseconds() - 1
+        }
+      }
+      s.period.high = Math.max(trade.price, s.period.high)
+      s.period.low = Math.min(trade.price, s.period.low)
+      s.period.close = trade.price
+      s.period.volume += trade.size
+      s.period.latest_trade_time = trade.time
+      timeframes.update(s, trade)
+      strategy.calculate(s)
+      take()
+    }
+
+    let idx = 0
+    function next () {
+      while (idx < trades.length) {
+        let trade = trades[idx++]
+        if (s.period && trade.time > s.period.close_time) {
+          return strategy.onPeriod.call(s.ctx, s, function () {
+            take()
+            s.lookback.unshift(s.period)
+            s.period = null
+            update(trade)
+            setImmediate(next)
+          })
+        }
+        update(trade)
+      }
+      cb(null, {signals: signals, s: s})
+    }
+    next()
+  },
+
+  snapshot: function (name, signals) {
+    let file = path.join(snapshots, name + '.json')
+    if (!process.env.UPDATE_SNAPSHOTS) {
+      if (!fs.existsSync(file)) return fail('no snapshot for ' + name + ', run the specs with UPDATE_SNAPSHOTS=1 to save one')
+      expect(signals).toEqual(JSON.parse(fs.readFileSync(file, 'utf8')))
+      return
+    }
+    let sorted = {}
+    Object.keys(signals).sort().forEach(function (key) {
+      sorted[key] = signals[key]
+    })
+    if (!fs.existsSync(snapshots)) fs.mkdirSync(snapshots)
+    fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n')
+  }
+}
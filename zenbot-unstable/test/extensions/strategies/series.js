@@ -0,0 +1,78 @@
+// Price series for the strategy harness, one candle {open, high, low, close, volume} per period.
+// The noise is seeded, so a series comes out the same on every run:
+//
+//   trend(periods, {from, to})                    from one price to another
+//   range(periods, {price, amplitude, cycles})    swinging amplitude (a fraction) around price
+//   gap(periods, {price, at, pct})                flat, then pct up (or down) at period at
+//   flashCrash(periods, {price, at, pct, recovery})
+//                                                 flat, pct down at period at and back within recovery periods
+//
+// noise (default 0.002) and seed are options of every series.
+function generator (seed) {
+  seed = seed || 1
+  return function () {
+    seed = (seed * 16807) % 2147483647
+    return seed / 2147483647
+  }
+}
+
+// candles along the closes, opening at the previous close with wicks of the noise
+function candles (closes, opts) {
+  let random = generator(opts.seed)
+  let noise = opts.noise === undefined ? 0.002 : opts.noise
+  let prev = closes[0]
+  return closes.map(function (price) {
+    let close = round(price * (1 + (random() - 0.5) * 2 * noise))
+    let candle = {
+      open: prev,
+      high: round(Math.max(prev, close) * (1 + random() * noise)),
+      low: round(Math.min(prev, close) * (1 - random() * noise)),
+      close: close,
+      volume: round(10 + random() * 10)
+    }
+    prev = close
+    return candle
+  })
+}
+
+function round (price) {
+  return Math.round(price * 100) / 100
+}
+
+function closes (periods, fn) {
+  let result = []
+  for (let idx = 0; idx < periods; idx++) result.push(fn(idx))
+  return result
+}
+
+module.exports = {
+  trend: function (periods, opts) {
+    opts = Object.assign({from: 100, to: 150}, opts)
+    return candles(closes(periods, function (idx) {
+      return opts.from * Math.pow(opts.to / opts.from, idx / (periods - 1))
+    }), opts)
+  },
+
+  range: function (periods, opts) {
+    opts = Object.assign({price: 100, amplitude: 0.05, cycles: 4}, opts)
+    return candles(closes(periods, function (idx) {
+      return opts.price * (1 + opts.amplitude * Math.sin(2 * Math.PI * opts.cycles * idx / periods))
+    }), opts)
+  },
+
+  gap: function (periods, opts) {
+    opts = Object.assign({price: 100, at: Math.floor(periods / 2), pct: 10}, opts)
+    return candles(closes(periods, function (idx) {
+      return idx < opts.at ? opts.price : opts.price * (1 + opts.pct / 100)
+    }), opts)
+  },
+
+  flashCrash: function (periods, opts) {
+    opts = Object.assign({price: 100, at: Math.floor(periods / 2), pct: 20, recovery: 5}, opts)
+    return candles(closes(periods, function (idx) {
+      let since = idx - opts.at
+      if (since < 0 || since > opts.recovery) return opts.price
+      return opts.price * (1 - opts.pct / 100 * (1 - since / (opts.recovery + 1)))
+    }), opts)
+  }
+}
@@ -0,0 +1,119 @@
+let _ = require('lodash')
+  , harness = require('./harness')
+  , series = require('./series')
+
+describe('Strategies', () => {
+  let periods = 400
+  let standard = {
+    'trend up': series.trend(periods, { from: 100, to: 200 }),
+    'trend down': series.trend(periods, { from: 200, to: 100 }),
+    'range': series.range(periods),
+    'gap up': series.gap(periods, { pct: 10 }),
+    'gap down': series.gap(periods, { pct: -10 }),
+    'flash crash': series.flashCrash(periods)
+  }
+
+  function signals (name, candles, cb) {
+    harness.run(name, candles, {}, (err, result) => {
+      expect(err).toBeFalsy()
+      cb(result.signals)
+    })
+  }
+
+  it('trend_ema buys in an uptrend and sells when it turns down', (done) => {
+    signals('trend_ema', standard['trend up'], (up) => {
+      expect(up.length).toBeGreaterThan(0)
+      expect(up.filter((signal) => !/ buy$/.test(signal))).toEqual([])
+      signals('trend_ema', standard['trend down'], (down) => {
+        expect(down[0]).toMatch(/ sell$/)
+        done()
+      })
+    })
+  })
+
+  it('sar follows the trend', (done) => {
+    signals('sar', standard['trend up'], (up) => {
+      expect(up.map((signal) => signal.split(' ')[1])).toEqual(['buy'])
+      signals('sar', standard['trend down'], (down) => {
+        expect(down.map((signal) => signal.split(' ')[1])).toEqual(['sell'])
+        done()
+      })
+    })
+  })
+
+  it('rsi buys a flash crash', (done) => {
+    signals('rsi', standard['flash crash'], (crash) => {
+      expect(crash.length).toBe(1)
+      let period = Number(crash[0].split(' ')[0])
+      expect(crash[0]).toMatch(/ buy$/)
+      expect(period).not.toBeLessThan(periods / 2)
+      expect(period).toBeLessThan(periods / 2 + 20)
+      done()
+    })
+  })
+
+  // their signals are commented out
+  let silent = ['noop', 'vpt']
+
+  silent.forEach((name) => {
+    it(name + ' never signals', (done) => {
+      let names = Object.keys(standard)
+      function next () {
+        let key = names.shift()
+        if (!key) return done()
+        signals(name, standard[key], (result) => {
+          expect(result).toEqual([])
+          next()
+        })
+      }
+      next()
+    })
+  })
+
+  // signals of every other strategy on the standard series, against test/extensions/strategies/snapshots
+  describe('signal snapshots', () => {
+    let options = {
+      compose: { compose: 'trend_ema,macd' },
+      neural: { seed: 1, min_predict_pct: 0.2 },
+      speed: { baseline_periods: 100 },
+      stddev: { min_periods: 60 },
+      trendline: { avgpoints: 100 }
+    }
+    // more series for the strategies that need a long history, or signal on every period
+    let own = {
+      ehlers_ft: { 'one cycle': series.range(40, { cycles: 1 }) },
+      stddev: { 'short gap up': series.gap(80, { at: 66 }) },
+      trendline: { 'long gap up': series.gap(2120, { at: 2110, noise: 0 }) }
+    }
+
+    harness.strategies().filter((name) => silent.indexOf(name) === -1).forEach((name) => {
+      it(name, (done) => {
+        try {
+          require('../../../extensions/strategies/' + name + '/strategy')
+        }
+        catch (err) {
+          if (err.code !== 'MODULE_NOT_FOUND') throw err
+          fail(name + ' needs a module that is not installed, run npm install: ' + err.message.split('\n')[0])
+          return done()
+        }
+        let cases = Object.assign({}, standard, own[name])
+        let names = Object.keys(cases)
+        let result = {}
+        function next () {
+          let key = names.shift()
+          if (!key) {
+            expect(_.flatten(_.values(result)).length).toBeGreaterThan(0)
+            harness.snapshot(name, result)
+            return done()
+          }
+          harness.run(name, cases[key], options[name] || {}, (err, run) => {
+            expect(err).toBeFalsy()
+            result[key] = run.signals
+            next()
+          })
+        }
+        next()
+      }, 30000)
+    })
+  })
+})
@@ -0,0 +1,268 @@
+let tb = require('timebucket')
+  , fileStore = require('../../lib/file-store')
+  , candleCache = require('../../lib/candle-cache')
+  , strategy = require('../../extensions/strategies/trend_ema/strategy')
+  , tempDir = require('../_helpers/temp-dir')
+  , sim = require('../_helpers/sim')
+
+describe('CandleCache', () => {
+  let start = 1577836800000
+  let selector = 'test.BTC-USD'
+
+  // a random walk with several trades at the same ms now and then
+  function randomTrades (count) {
+    let seed = 42
+    function random () {
+      seed = (seed * 16807) % 2147483647
+      return seed / 2147483647
+    }
+    let trades = []
+    let time = start
+    let price = 7000
+    for (let i = 0; i < count; i++) {
+      if (random() > 0.2) time += Math.floor(random() * 15000)
+      price = Math.round((price * (1 + (random() - 0.5) / 100)) * 100) / 100
+      trades.push({ trade_id: i, id: selector + '-' + i, selector: selector, time: time, size: Math.round(random() * 1000) / 100, price: price, side: random() > 0.5 ? 'buy' : 'sell' })
+    }
+    return trades
+  }
+
+  function replay (candles) {
+    return candles.reduce((trades, candle) => trades.concat(candleCache.toTrades(candle)), [])
+  }
+
+  // periods and signals of trend_ema the way the engine runs it
+  function run (trades, period_length) {
+    let s = { options: { period_length: period_length, mode: 'sim' }, lookback: [] }
+    strategy.getOptions.call({ option: (name, desc, type, def) => { if (s.options[name] === undefined) s.options[name] = def } })
+    s.options.trend_ema = 6
+    s.options.oversold_rsi = 40
+    let signals = []
+    trades.forEach((trade) => {
+      if (s.period && trade.time > s.period.close_time) {
+        strategy.onPeriod(s, () => {})
+        if (s.signal) signals.push(s.period.period_id + ' ' + s.signal)
+        s.signal = null
+        s.lookback.unshift(s.period)
+        s.period = null
+      }
+      if (!s.period) {
+        let d = tb(trade.time).resize(period_length)
+        s.period = { period_id: d.toString(), time: d.toMilliseconds(), open: trade.price, high: trade.price, low: trade.price, close: trade.price, volume: 0, close_time: d.add(1).toMilliseconds() - 1 }
+      }
+      s.period.high = Math.max(trade.price, s.period.high)
+      s.period.low = Math.min(trade.price, s.period.low)
+      s.period.close = trade.price
+      s.period.volume += trade.size
+      strategy.calculate(s)
+    })
+    return { periods: s.lookback.reverse(), signals: signals }
+  }
+
+  it('aggregates trades into candles', () => {
+    let trades = [
+      { time: start + 1000, price: 10, size: 1 },
+      { time: start + 2000, price: 12, size: 2 },
+      { time: start + 3000, price: 9, size: 1 },
+      { time: start + 60000, price: 11, size: 4 }
+    ]
+    let candles = candleCache.aggregate(trades, '1m')
+    expect(candles.length).toBe(2)
+    expect(candles[0]).toEqual(jasmine.objectContaining({ size: '1m', time: start, close_time: start + 59999, first_trade_time: start + 1000, latest_trade_time: start + 3000, open: 10, high: 12, low: 9, close: 9, volume: 4, trades: 3 }))
+    expect(candleCache.toTrades(candles[0]).map((trade) => [trade.time, trade.price])).toEqual([[start + 1000, 10], [start + 1666, 12], [start + 2333, 9], [start + 3000, 9]])
+    expect(candleCache.toTrades(candles[1]).map((trade) => trade.price)).toEqual([11, 11, 11, 11])
+  })
+
+  it('gives the same periods and signals as the trades', () => {
+    let trades = randomTrades(5000)
+    let raw = run(trades, '5m')
+    expect(raw.periods.length).toBeGreaterThan(50)
+    expect(raw.signals.length).toBeGreaterThan(2)
+    ;['1m', '5m'].forEach((size) => {
+      let cached = run(replay(candleCache.aggregate(trades, size)), '5m')
+      expect(cached.signals).toEqual(raw.signals)
+      expect(cached.periods.length).toBe(raw.periods.length)
+      cached.periods.forEach((period, idx) => {
+        let expected = raw.periods[idx]
+        expect([period.period_id, period.open, period.high, period.low, period.close]).toEqual([expected.period_id, expected.open, expected.high, expected.low, expected.close])
+        expect(period.volume).toBeCloseTo(expected.volume, 8)
+        expect(typeof period.trend_ema).toBe(typeof expected.trend_ema)
+        expect(Math.abs((period.trend_ema || 0) - (expected.trend_ema || 0))).toBeLessThan(1e-8)
+        expect(period.oversold_rsi).toBe(expected.oversold_rsi)
+      })
+    })
+  })
+
+  describe('in the store', () => {
+    let dir, conf, trades
+
+    beforeEach(() => {
+      dir = tempDir('candle-cache')
+      conf = { db: { file: fileStore(dir) }, candle_sizes: '1m, 1h' }
+      trades = conf.db.file.collection('trades')
+    })
+
+    afterEach(() => {
+      tempDir.remove(dir)
+    })
+
+    function save (batch) {
+      return Promise.all(batch.map((trade) => trades.replaceOne({ _id: trade.id }, Object.assign({ _id: trade.id }, trade), { upsert: true })))
+    }
+
+    function stored (cache, size, cb) {
+      cache.find({ selector: selector, size: size }).sort({ time: 1 }).toArray((err, candles) => {
+        expect(err).toBeFalsy()
+        cb(candles.map((candle) => {
+          delete candle._id
+          delete candle.id
+          delete candle.selector
+          return candle
+        }))
+      })
+    }
+
+    it('picks the largest size the periods are made of', () => {
+      let cache = candleCache(conf)
+      expect(cache.sizes).toEqual(['1m', '1h'])
+      expect(cache.sizeFor(['15m'])).toBe('1m')
+      expect(cache.sizeFor(['2h', '4h'])).toBe('1h')
+      expect(cache.sizeFor(['2h', '90s'])).toBe(null)
+      expect(candleCache({}).sizeFor(['1h'])).toBe(null)
+    })
+
+    it('is updated as backfill saves batches and holds every trade', (done) => {
+      let cache = candleCache(conf)
+      let all = randomTrades(2500)
+      // backward like most backfills, overlapping batches
+      let batches = [all.slice(1200), all.slice(0, 1300)]
+      function next () {
+        let batch = batches.shift()
+        if (!batch) return check()
+        save(batch).then(() => {
+          cache.update(selector, batch[0].time, batch[batch.length - 1].time, (err) => {
+            expect(err).toBeFalsy()
+            next()
+          })
+        })
+      }
+      function check () {
+        stored(cache, '1m', (candles) => {
+          expect(candles).toEqual(candleCache.aggregate(all, '1m'))
+          stored(cache, '1h', (candles) => {
+            expect(candles).toEqual(candleCache.aggregate(all, '1h'))
+            cache.covers(selector, '1m', start, null, (err, covered) => {
+              expect(covered).toBe(true)
+              done()
+            })
+          })
+        })
+      }
+      next()
+    })
+
+    it('builds candles of more trades at one ms than fit in a page', (done) => {
+      let cache = candleCache(conf)
+      let all = randomTrades(2500).map((trade, i) => Object.assign(trade, { time: i < 2300 ? start + 1000 : trade.time + 1000 }))
+      save(all).then(() => {
+        cache.rebuild(selector, ['1m'], start, null, (err) => {
+          expect(err).toBeFalsy()
+          stored(cache, '1m', (candles) => {
+            expect(candles.reduce((count, candle) => count + candle.trades, 0)).toBe(2500)
+            expect(candles).toEqual(candleCache.aggregate(all, '1m'))
+            done()
+          })
+        })
+      })
+    })
+
+    it('tells when trades are missing and builds them', (done) => {
+      let cache = candleCache(conf)
+      let all = randomTrades(300)
+      save(all).then(() => {
+        cache.covers(selector, '1m', start, null, (err, covered) => {
+          expect(err).toBeFalsy()
+          expect(covered).toBe(false)
+          let to = tb(all[100].time).resize('1m').toMilliseconds()
+          cache.rebuild(selector, ['1m'], start, to, (err) => {
+            expect(err).toBeFalsy()
+            cache.covers(selector, '1m', start, to, (err, covered) => {
+              expect(covered).toBe(true)
+              cache.covers(selector, '1m', start, null, (err, covered) => {
+                expect(covered).toBe(false)
+                cache.rebuild(selector, ['1m'], start, null, () => {
+                  stored(cache, '1m', (candles) => {
+                    expect(candles).toEqual(candleCache.aggregate(all, '1m'))
+                    done()
+                  })
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+
+  describe('zenbot sim --use_candles', () => {
+    let dir
+    let options = { strategy: 'trend_ema', period: '5m', start: '202001010200', end: '202001011200' }
+
+    beforeEach((done) => {
+      dir = tempDir('use-candles')
+      sim.seed(dir, (err) => err ? done.fail(err) : done())
+    })
+
+    afterEach(() => {
+      tempDir.remove(dir)
+    })
+
+    function fill (f) {
+      return [f.type, f.time, f.price, f.size, f.fee]
+    }
+
+    // runs the sim on the trades and on the candles with the same options
+    function both (extra, cb) {
+      sim.run(dir, 'trades', Object.assign({}, options, extra), (err, raw, raw_report) => {
+        if (err) return cb(err)
+        sim.run(dir, 'candles', Object.assign({ use_candles: true }, options, extra), (err, cached, cached_report) => {
+          if (err) return cb(err)
+          expect(raw.simresults.total_trades).toBeGreaterThan(0)
+          expect(cached.simresults).toEqual(raw.simresults)
+          expect(cached.net_currency).toEqual(raw.net_currency)
+          expect(cached_report.metrics).toEqual(raw_report.metrics)
+          cb(null, raw_report.fills, cached_report.fills)
+        })
+      })
+    }
+
+    it('fills taker orders at the same prices within the candle of the trade', (done) => {
+      both({ order_type: 'taker' }, (err, raw, cached) => {
+        if (err) return done.fail(err)
+        expect(cached.length).toBe(raw.length)
+        cached.forEach((f, idx) => {
+          expect(fill(f).slice(2)).toEqual(fill(raw[idx]).slice(2))
+          expect(f.type).toBe(raw[idx].type)
+          expect(Math.abs(f.time - raw[idx].time)).toBeLessThan(60000)
+        })
+        done()
+      })
+    }, 60000)
+
+    it('replays the trades for maker orders', (done) => {
+      both({}, (err, raw, cached) => {
+        if (err) return done.fail(err)
+        expect(cached.map(fill)).toEqual(raw.map(fill))
+        done()
+      })
+    }, 60000)
+
+    it('replays the trades when stops are enabled', (done) => {
+      both({ order_type: 'taker', sell_stop_pct: 0.5 }, (err, raw, cached) => {
+        if (err) return done.fail(err)
+        expect(cached.map(fill)).toEqual(raw.map(fill))
+        done()
+      })
+    }, 60000)
+  })
+})
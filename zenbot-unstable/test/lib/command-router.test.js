@@ -0,0 +1,95 @@
+let commandRouter = require('../../lib/command-router')
+
+describe('CommandRouter', () => {
+  let traders, router, replies, from
+
+  function fakeTrader (selector) {
+    let options = { buy_pct: 100, manual: false }
+    return {
+      s: {
+        options: { selector: { normalized: selector }, mode: 'paper', strategy: 'noop', period_length: '1h' },
+        asset: 'BTC',
+        currency: 'USD',
+        balance: { asset: 1, currency: 500 },
+        period: { close: 100 },
+        start_capital: 500,
+        buy_order: { size: 2, remaining_size: 1.5, price: 99 }
+      },
+      executeKey: jasmine.createSpy('executeKey'),
+      executeCommand: jasmine.createSpy('executeCommand'),
+      getOptions: () => options,
+      setOptions: jasmine.createSpy('setOptions').and.callFake((changes) => {
+        if (changes.sell_pct === 'x') throw new Error('sell_pct must be a number >= 0')
+        Object.assign(options, changes)
+        return options
+      })
+    }
+  }
+
+  beforeEach(() => {
+    traders = [fakeTrader('gdax.BTC-USD'), fakeTrader('gdax.ETH-USD')]
+    router = commandRouter({ notifiers: { telegram: { users: [42] } } }, traders)
+    replies = []
+    from = { notifier: 'telegram', user: 42, reply: (text) => replies.push(text) }
+  })
+
+  it('ignores users that are not on the allowlist', () => {
+    spyOn(console, 'log')
+    router.handle('/pause', { notifier: 'telegram', user: 7, reply: (text) => replies.push(text) })
+    router.handle('/pause', { notifier: 'xmpp', user: '42', reply: (text) => replies.push(text) })
+    expect(traders[0].setOptions).not.toHaveBeenCalled()
+    expect(replies).toEqual([])
+  })
+
+  it('answers status, balance and orders', () => {
+    router.handle('/status@zenbot_bot', from)
+    expect(replies[0]).toContain('gdax.ETH-USD')
+    expect(replies[0]).toContain('profit +20.00%')
+    router.handle('balance', from)
+    expect(replies[1]).toContain('1.00000000 BTC')
+    router.handle('/orders', from)
+    expect(replies[2]).toContain('buy 1.50000000 BTC at 99')
+  })
+
+  it('trades only after the confirmation code', () => {
+    router.handle('/buy market', from)
+    let code = replies[0].match(/confirm (\d{4})/)[1]
+    router.handle('/confirm 99999', from)
+    expect(traders[0].executeKey).not.toHaveBeenCalled()
+    router.handle('/confirm ' + code, { notifier: 'telegram', user: '43', reply: () => {} })
+    expect(traders[0].executeKey).not.toHaveBeenCalled()
+    router.handle('/confirm ' + code, from)
+    expect(traders[0].executeKey).toHaveBeenCalledWith('B', { ctrl: false })
+    router.handle('/confirm ' + code, from)
+    expect(traders[0].executeKey.calls.count()).toBe(1)
+  })
+
+  it('lets the confirmation expire', () => {
+    jasmine.clock().install()
+    jasmine.clock().mockDate(new Date(0))
+    router.handle('s', from)
+    let code = replies[0].match(/confirm (\d{4})/)[1]
+    jasmine.clock().tick(61000)
+    router.handle('/confirm ' + code, from)
+    jasmine.clock().uninstall()
+    expect(traders[0].executeKey).not.toHaveBeenCalled()
+    expect(replies[1]).toBe('nothing to confirm')
+  })
+
+  it('changes options and switches selectors', () => {
+    router.handle('/use 2', from)
+    router.handle('/set buy_pct 50 manual on', from)
+    expect(traders[1].setOptions).toHaveBeenCalledWith({ buy_pct: '50', manual: true })
+    router.handle('/set sell_pct x', from)
+    expect(replies[replies.length - 1]).toContain('must be a number')
+    router.handle('/resume', from)
+    expect(traders[1].getOptions().manual).toBe(false)
+  })
+
+  it('passes the other keys on like the keyboard', () => {
+    router.handle('o', from)
+    expect(traders[0].executeCommand).toHaveBeenCalledWith('o')
+    router.handle('/sell_all', from)
+    expect(replies[0]).toContain('unknown command')
+  })
+})
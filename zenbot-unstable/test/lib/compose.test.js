@@ -0,0 +1,116 @@
+let mock = require('mock-require')
+  , path = require('path')
+
+describe('Compose', () => {
+  let compose
+
+  // a strategy that signals what the test sets in s.options.next and counts its own periods
+  function fakeStrategy (name) {
+    return {
+      name: name,
+      getOptions: function () {
+        this.option('length', 'length', Number, 10)
+        this.option('min_periods', 'min periods', Number, name === 'fake_a' ? 20 : 5)
+      },
+      calculate: function () {},
+      onPeriod: function (s, cb) {
+        s.periods = (s.periods || 0) + 1
+        s.signal = s.options.next || null
+        cb()
+      },
+      phenotypes: {
+        length: { type: 'int', min: 1, max: 20 },
+        min_periods: { type: 'int', min: 1, max: 20 },
+        not_an_option: { type: 'int', min: 1, max: 2 }
+      }
+    }
+  }
+
+  beforeEach(() => {
+    ['fake_a', 'fake_b', 'fake_c', 'fake_d'].forEach((name) => {
+      mock(path.resolve(__dirname, `../../extensions/strategies/${name}/strategy`), fakeStrategy(name))
+    })
+    compose = mock.reRequire('../../lib/compose')
+  })
+
+  afterEach(() => {
+    mock.stopAll()
+  })
+
+  function start (options) {
+    let s = { options: options, lookback: [], period: {} }
+    s.ctx = {
+      option: function (name, desc, type, def) {
+        if (typeof s.options[name] === 'undefined') s.options[name] = def
+      }
+    }
+    let strategy = compose()
+    strategy.getOptions.call(s.ctx, s)
+    return { s: s, strategy: strategy }
+  }
+
+  function period (run, signals) {
+    run.s.compose_children.forEach((child, i) => {
+      child.s.options.next = signals[i]
+    })
+    run.strategy.onPeriod(run.s, () => {})
+    return run.s.signal
+  }
+
+  it('gives every strategy its own options and state', () => {
+    let run = start({ compose: 'fake_a,fake_b', fake_b: { length: 3 }, length: 7 })
+    let [a, b] = run.s.compose_children
+    expect(a.s.options.length).toBe(7)
+    expect(b.s.options.length).toBe(3)
+    expect(run.s.options.min_periods).toBe(20)
+    period(run, [])
+    expect(a.s.periods).toBe(1)
+    expect(run.s.periods).toBeUndefined()
+  })
+
+  it('signals when the majority agrees', () => {
+    let run = start({ compose: 'fake_a,fake_b,fake_c', vote: 'majority' })
+    expect(period(run, ['buy', null, 'sell'])).toBe(null)
+    expect(period(run, ['buy', 'buy', 'sell'])).toBe('buy')
+  })
+
+  it('signals when all agree', () => {
+    let run = start({ compose: 'fake_a,fake_b', vote: 'all' })
+    expect(period(run, ['sell', null])).toBe(null)
+    expect(period(run, ['sell', 'sell'])).toBe('sell')
+  })
+
+  it('signals when two agree and none disagrees', () => {
+    let run = start({ compose: 'fake_a,fake_b,fake_c,fake_d', vote: 'unopposed' })
+    expect(period(run, ['buy', 'buy', 'buy', 'sell'])).toBe(null)
+    expect(period(run, ['sell', null, null, null])).toBe(null)
+    expect(period(run, ['sell', null, 'sell', null])).toBe('sell')
+  })
+
+  it('weighs the votes', () => {
+    let run = start({ compose: 'fake_a:3,fake_b,fake_c', vote: 'weighted', vote_threshold: 0.5 })
+    expect(period(run, ['buy', 'sell', null])).toBe(null)
+    expect(period(run, ['buy', null, null])).toBe('buy')
+  })
+
+  it('lets the first strategy signal once the others confirm within the window', () => {
+    let run = start({ compose: 'fake_a,fake_b', vote: 'first_confirm', vote_window: 2 })
+    expect(period(run, [null, 'sell'])).toBe(null)
+    expect(period(run, ['sell', null])).toBe('sell')
+    expect(period(run, ['sell', null])).toBe(null)
+  })
+
+  it('rejects unknown votes and strategies composed twice', () => {
+    expect(() => compose.parse({ compose: 'fake_a', vote: 'loudest' })).toThrow()
+    expect(() => compose.parse({ compose: 'fake_a,fake_a' })).toThrow()
+  })
+
+  it('optimizes the options of the composed strategies', () => {
+    let phenotypes = compose().phenotypesFor({ compose: 'fake_a,fake_b', vote: 'weighted' })
+    expect(phenotypes['fake_a.length']).toBeDefined()
+    expect(phenotypes['fake_b.weight']).toBeDefined()
+    expect(phenotypes['fake_a.min_periods']).toBeUndefined()
+    expect(phenotypes['fake_a.not_an_option']).toBeUndefined()
+    expect(compose().phenotypes).toBeUndefined()
+  })
+})
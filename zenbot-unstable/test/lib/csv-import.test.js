@@ -0,0 +1,131 @@
+let fs = require('fs')
+  , path = require('path')
+  , csvImport = require('../../lib/csv-import')
+  , tempDir = require('../_helpers/temp-dir')
+
+describe('CsvImport', () => {
+  let minute = 60000
+  let start = 1577836800000
+
+  it('reads trades with any delimiter and header order', () => {
+    let rows = csvImport.parse('Price;Amount;Timestamp;Side\n"100.5";2;1577836800;sell\n')
+    let result = csvImport.normalize(rows)
+    expect(result.format).toBe('trades')
+    expect(result.trades).toEqual([{ trade_id: 157783680000000, time: 1577836800000, size: 2, price: 100.5, side: 'sell' }])
+  })
+
+  it('reads ms, seconds and UTC dates', () => {
+    expect(csvImport.toTime('1577836800000')).toBe(1577836800000)
+    expect(csvImport.toTime('1577836800')).toBe(1577836800000)
+    expect(csvImport.toTime('2020-01-01 00:00:00')).toBe(1577836800000)
+    expect(csvImport.toTime('not a date')).toEqual(NaN)
+  })
+
+  it('drops invalid and duplicate rows', () => {
+    let rows = csvImport.parse([
+      'time,price,size,trade_id',
+      '2000,10,1,2',
+      '1000,10,1,1',
+      '2000,10,1,2',
+      'x,10,1,3',
+      '3000,0,1,4'
+    ].join('\n'))
+    let result = csvImport.normalize(rows)
+    expect(result.trades.map((trade) => trade.trade_id)).toEqual([1, 2])
+    expect(result.duplicates).toBe(1)
+    expect(result.invalid).toBe(2)
+  })
+
+  it('turns candles into trades along the candle', () => {
+    let rows = csvImport.parse(`time,open,high,low,close,volume\n${start},10,12,9,11,8\n${start + minute},11,11.5,10,10,4\n`)
+    let result = csvImport.normalize(rows)
+    expect(result.format).toBe('ohlcv')
+    expect(result.candle_length).toBe(minute)
+    expect(result.trades.slice(0, 4).map((trade) => trade.price)).toEqual([10, 9, 12, 11])
+    expect(result.trades.slice(4).map((trade) => trade.price)).toEqual([11, 11.5, 10, 10])
+    expect(result.trades[3].time).toBe(start + minute - 1)
+    expect(result.trades[0].size).toBe(2)
+  })
+
+  it('reports gaps', () => {
+    let rows = csvImport.parse(`time,open,high,low,close\n${start},1,1,1,1\n${start + minute},1,1,1,1\n${start + 5 * minute},1,1,1,1\n`)
+    let result = csvImport.normalize(rows, { period: '1m' })
+    expect(result.gaps).toEqual([{ from: start + minute, to: start + 5 * minute }])
+  })
+
+  it('refuses files without the needed columns', () => {
+    expect(() => csvImport.normalize(csvImport.parse('time,price\n1,2\n'))).toThrow()
+  })
+
+  describe('read', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = tempDir('csv-import')
+    })
+
+    afterEach(() => {
+      tempDir.remove(dir)
+    })
+
+    function write (lines) {
+      let file = path.join(dir, 'trades.csv')
+      fs.writeFileSync(file, lines.join('\n') + '\n')
+      return file
+    }
+
+    function read (file, opts, cb) {
+      let batches = []
+      csvImport.read(file, opts, (trades, done) => {
+        batches.push(trades)
+        setTimeout(done, 1)
+      }, (err, result) => cb(err, result, batches))
+    }
+
+    // trades a second apart, an hour missing after the 1500th
+    function rows (count) {
+      let lines = []
+      for (let i = 0; i < count; i++) {
+        lines.push([start + i * 1000 + (i >= 1500 ? 3600000 : 0), 100 + i % 7, 1].join(','))
+      }
+      return lines
+    }
+
+    it('reads and checks the file a batch of rows at a time', (done) => {
+      let lines = rows(2500)
+      // a page exported twice, across the first batch boundary
+      let file = write(['time,price,size'].concat(lines.slice(0, 1010), lines.slice(990, 1010), lines.slice(1010), ['x,1,1']))
+      read(file, { batch_size: 1000, max_gap: 60000 }, (err, result, batches) => {
+        expect(err).toBeFalsy()
+        expect(batches.map((batch) => batch.length)).toEqual([1000, 980, 520])
+        expect(result).toEqual(jasmine.objectContaining({ format: 'trades', count: 2500, invalid: 1, duplicates: 20, oldest_time: start, newest_time: start + 2499000 + 3600000 }))
+        expect(result.gaps).toEqual([{ from: start + 1499000, to: start + 1500000 + 3600000 }])
+        let all = [].concat.apply([], batches)
+        expect(all.map((trade) => trade.time)).toEqual(lines.map((line) => Number(line.split(',')[0])))
+        expect(new Set(all.map((trade) => trade.trade_id)).size).toBe(2500)
+        done()
+      })
+    })
+
+    it('reads files that run backward in time', (done) => {
+      let lines = rows(2500)
+      read(write(['time,price,size'].concat(lines.slice().reverse())), { batch_size: 1000, max_gap: 60000 }, (err, result, batches) => {
+        expect(err).toBeFalsy()
+        expect(result.count).toBe(2500)
+        expect(result.gaps).toEqual([{ from: start + 1499000, to: start + 1500000 + 3600000 }])
+        expect(batches[0][0].time).toBe(start + 1500000 + 3600000)
+        done()
+      })
+    })
+
+    it('fails on files without the needed columns or rows', (done) => {
+      read(write(['time,price', '1,2']), {}, (err) => {
+        expect(err.message).toMatch('no size column')
+        read(write(['']), {}, (err) => {
+          expect(err.message).toMatch('no rows')
+          done()
+        })
+      })
+    })
+  })
+})
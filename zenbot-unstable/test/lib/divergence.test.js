@@ -0,0 +1,46 @@
+let divergence = require('../../lib/divergence')
+
+describe('Divergence', () => {
+  let minute = 60000
+
+  it('pairs each live event with the closest sim event of its type', () => {
+    let live = [{ time: 10 * minute, type: 'buy' }, { time: 20 * minute, type: 'sell' }]
+    let sim = [{ time: 9 * minute, type: 'buy' }, { time: 11 * minute, type: 'sell' }, { time: 12 * minute, type: 'buy' }]
+    let pairs = divergence.pair(live, sim, 5 * minute)
+    expect(pairs.length).toBe(4)
+    expect(pairs[0]).toEqual({ live: live[0], sim: sim[0] })
+    expect(pairs[1]).toEqual({ live: null, sim: sim[1] })
+    expect(pairs[2]).toEqual({ live: null, sim: sim[2] })
+    expect(pairs[3]).toEqual({ live: live[1], sim: null })
+  })
+
+  it('measures the fills of the sim against the live ones', () => {
+    let live = {
+      signals: [{ time: 0, type: 'buy', price: 100 }],
+      fills: [{ time: minute, type: 'buy', price: 100, size: 1, fee: 0.001 }, { time: 9 * minute, type: 'sell', price: 110, size: 1, fee: 0.11 }]
+    }
+    let sim = {
+      signals: [{ time: 0, type: 'buy', price: 100 }],
+      fills: [{ time: 2 * minute, type: 'buy', price: 101, size: 0.99, fee: 0.002 }]
+    }
+    let result = divergence.compare(live, sim, 5 * minute)
+    expect(result.signals[0].diff).toEqual({ time: 0, price: 0 })
+    expect(result.fills[0].diff.time).toBe(minute)
+    expect(result.fills[0].diff.price).toBeCloseTo(0.01)
+    expect(result.fills[0].diff.size).toBeCloseTo(-0.01)
+    expect(result.fills[0].diff.fee).toBeCloseTo(0.102)
+    expect(result.summary.fills).toEqual(jasmine.objectContaining({ matched: 1, live_only: 1, sim_only: 0 }))
+    expect(result.summary.fills.live_fees).toBeCloseTo(0.21)
+  })
+
+  it('undoes the fills to find the starting balance', () => {
+    let fills = [
+      { type: 'buy', price: 100, size: 10, fee: 0.01 },
+      { type: 'sell', price: 110, size: 5, fee: 0.55 }
+    ]
+    // 1000 currency: buy 10 at 100, then sell 5 at 110
+    let balance = divergence.startBalance({ asset: 4.99, currency: 549.45 }, fills)
+    expect(balance.asset).toBeCloseTo(0)
+    expect(balance.currency).toBeCloseTo(1000)
+  })
+})
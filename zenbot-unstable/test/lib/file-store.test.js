@@ -0,0 +1,91 @@
+let fileStore = require('../../lib/file-store')
+  , tempDir = require('../_helpers/temp-dir')
+
+describe('FileStore', () => {
+  let dir, trades
+
+  beforeEach(() => {
+    dir = tempDir('file-store')
+    trades = fileStore(dir).collection('trades')
+  })
+
+  afterEach(() => {
+    tempDir.remove(dir)
+  })
+
+  function trade (selector, time) {
+    return { _id: selector + '-' + time, id: selector + '-' + time, selector: selector, time: time, price: 100 }
+  }
+
+  it('pages through trades by time like sim does', async () => {
+    await trades.insertMany([trade('gdax.BTC-USD', 3), trade('gdax.BTC-USD', 1), trade('gdax.BTC-USD', 2), trade('kraken.XXBT-ZUSD', 2)])
+    let cursor = trades.find({ selector: 'gdax.BTC-USD', time: { $gt: 1 } }).sort({ time: 1 }).limit(5)
+    expect(await cursor.count(true)).toBe(2)
+    let docs = await cursor.toArray()
+    expect(docs.map((doc) => doc.time)).toEqual([2, 3])
+
+    docs = await trades.find({ selector: 'gdax.BTC-USD', time: { $lte: 2 } }).sort({ time: -1 }).limit(1).toArray()
+    expect(docs.map((doc) => doc.time)).toEqual([2])
+  })
+
+  it('pages through trades of the same time by trade_id', async () => {
+    let docs = [5, 1, 3, 2, 4].map((trade_id) => Object.assign(trade('gdax.BTC-USD', trade_id), { time: 7, trade_id: trade_id }))
+    await trades.insertMany(docs.concat([Object.assign(trade('gdax.BTC-USD', 8), { trade_id: 0 })]))
+    let page = await trades.find({ selector: 'gdax.BTC-USD', time: { $gte: 7 } }).sort({ time: 1, trade_id: 1 }).limit(2).toArray()
+    expect(page.map((doc) => doc.trade_id)).toEqual([1, 2])
+    page = await trades.find({ selector: 'gdax.BTC-USD', time: { $gte: 7 }, $or: [{ time: { $gt: 7 } }, { trade_id: { $gt: 2 } }] }).sort({ time: 1, trade_id: 1 }).limit(5).toArray()
+    expect(page.map((doc) => doc.time + '/' + doc.trade_id)).toEqual(['7/3', '7/4', '7/5', '8/0'])
+  })
+
+  it('streams the results', (done) => {
+    trades.insertMany([trade('gdax.BTC-USD', 1), trade('gdax.BTC-USD', 2)], () => {
+      let times = []
+      trades.find({ selector: 'gdax.BTC-USD' }).sort({ time: 1 }).stream()
+        .on('data', (doc) => times.push(doc.time))
+        .on('end', () => {
+          expect(times).toEqual([1, 2])
+          done()
+        })
+    })
+  })
+
+  it('replaces and upserts documents', (done) => {
+    let marker = { _id: 'm1', selector: 'gdax.BTC-USD', from: 1, to: 2 }
+    trades.replaceOne({ _id: 'm1' }, marker, { upsert: true }, (err) => {
+      expect(err).toBe(null)
+      marker.to = 5
+      trades.replaceOne({ _id: 'm1' }, marker, { upsert: true }, () => {
+        trades.find({ selector: 'gdax.BTC-USD' }).toArray((err, docs) => {
+          expect(docs).toEqual([marker])
+          done()
+        })
+      })
+    })
+  })
+
+  it('deletes documents', async () => {
+    await trades.insertMany([trade('gdax.BTC-USD', 1), trade('gdax.BTC-USD', 2)])
+    await trades.deleteMany({ selector: 'gdax.BTC-USD', time: { $lt: 2 } })
+    let docs = await trades.find({}).toArray()
+    expect(docs.map((doc) => doc.time)).toEqual([2])
+  })
+
+  it('rejects duplicate ids', async () => {
+    await trades.insertOne(trade('gdax.BTC-USD', 1))
+    let err = await trades.insertOne(trade('gdax.BTC-USD', 1)).catch((err) => err)
+    expect(err.code).toBe(11000)
+  })
+
+  it('sees writes of other processes', async () => {
+    await trades.findOne({ selector: 'gdax.BTC-USD' })
+    await fileStore(dir).collection('trades').insertOne(trade('gdax.BTC-USD', 1))
+    expect((await trades.findOne({ selector: 'gdax.BTC-USD' })).time).toBe(1)
+  })
+
+  it('returns copies of the stored documents', async () => {
+    await trades.insertOne(trade('gdax.BTC-USD', 1))
+    let doc = await trades.findOne({ id: 'gdax.BTC-USD-1' })
+    doc.time = 10
+    expect((await trades.findOne({ id: 'gdax.BTC-USD-1' })).time).toBe(1)
+  })
+})
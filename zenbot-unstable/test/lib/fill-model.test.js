@@ -0,0 +1,82 @@
+let fillModel = require('../../lib/fill-model')
+
+describe('FillModel', () => {
+  function trade (price, size, time) {
+    return { price: price, size: size, time: time || 1000 }
+  }
+
+  function order (tradetype, price, size) {
+    return { tradetype: tradetype, ordertype: 'maker', price: price, size: size, remaining_size: size }
+  }
+
+  describe('queue model', () => {
+    it('puts the volume traded at the price ahead of a new order', () => {
+      let model = fillModel({ model: 'queue', queue_factor: 0.5 })
+      model.record(trade(100, 4))
+      model.record(trade(100, 2))
+      model.record(trade(101, 3))
+      let buy = order('buy', '100.00', 1)
+      model.place(buy, 1000)
+      expect(buy.queue_ahead).toBe(3)
+    })
+
+    it('fills only what trades at the price after the queue ahead', () => {
+      let model = fillModel({ model: 'queue' })
+      model.record(trade(100, 2))
+      let buy = order('buy', 100, 5)
+      model.place(buy, 1000)
+      expect(model.fill(buy, trade(100, 1.5, 2000))).toBe(null)
+      let fill = model.fill(buy, trade(100, 1.5, 3000))
+      expect(fill.size).toBe(1)
+      expect(fill.price).toBe(100)
+      expect(fill.taker).toBe(false)
+    })
+
+    it('fills orders the price trades through', () => {
+      let model = fillModel({ model: 'queue' })
+      model.record(trade(100, 50))
+      let sell = order('sell', 100, 2)
+      model.place(sell, 1000)
+      expect(model.fill(sell, trade(101, 3, 2000)).size).toBe(2)
+      expect(sell.queue_ahead).toBe(0)
+    })
+
+    it('does not fill before the latency has passed', () => {
+      let model = fillModel({ model: 'queue', latency: 500 })
+      let buy = order('buy', 100, 1)
+      model.place(buy, 1000)
+      expect(model.fill(buy, trade(99, 1, 1200))).toBe(null)
+      expect(model.fill(buy, trade(99, 1, 1500)).size).toBe(1)
+    })
+
+    it('forgets volume outside the queue window', () => {
+      let model = fillModel({ model: 'queue', queue_window: 1 })
+      model.record(trade(100, 5, 0))
+      model.record(trade(101, 1, 90000))
+      expect(model.volumeAt(100)).toBe(0)
+      expect(model.volumeAt(101)).toBe(1)
+    })
+  })
+
+  it('leaves fills to the sim exchange in the simple model', () => {
+    expect(fillModel({}).queue).toBe(false)
+  })
+
+  describe('fee tiers', () => {
+    it('lowers the fees with the 30 day volume', () => {
+      let model = fillModel({ fee_tiers: '0:0.1:0.2,1000:0.08:0.18' })
+      expect(model.fees()).toEqual({ maker: 0.1, taker: 0.2 })
+      expect(model.addVolume(0, 600)).toEqual({ maker: 0.1, taker: 0.2 })
+      expect(model.addVolume(1000, 600)).toEqual({ maker: 0.08, taker: 0.18 })
+      expect(model.addVolume(31 * 86400000, 10)).toEqual({ maker: 0.1, taker: 0.2 })
+    })
+
+    it('has no fees without tiers', () => {
+      expect(fillModel({}).addVolume(0, 100)).toBe(null)
+    })
+
+    it('rejects malformed tiers', () => {
+      expect(() => fillModel({ fee_tiers: '0:0.1' })).toThrow()
+    })
+  })
+})
@@ -0,0 +1,70 @@
+let EventEmitter = require('events')
+  , fileStore = require('../../lib/file-store')
+  , tradeJournal = require('../../lib/journal')
+  , tempDir = require('../_helpers/temp-dir')
+
+describe('Journal', () => {
+  let dir, conf, journal, eventBus
+
+  beforeEach(() => {
+    dir = tempDir('journal')
+    conf = { db: { file: fileStore(dir) } }
+    journal = tradeJournal(conf, 'test.BTC-USD')
+    eventBus = new EventEmitter()
+    journal.attach(eventBus)
+  })
+
+  afterEach(() => {
+    tempDir.remove(dir)
+  })
+
+  it('replays the orders that are still open', (done) => {
+    eventBus.emit('orderPlaced', 'buy', { order_id: 'a', price: 100, size: 1 })
+    eventBus.emit('orderCancelled', 'buy', { order_id: 'a', price: 100, size: 1 })
+    eventBus.emit('orderAdjusted', 'buy', { order_id: 'b', price: 101, size: 1 })
+    eventBus.emit('orderPartiallyFilled', 'buy', { order_id: 'b', price: 101, size: 1, filled_size: '0.4' })
+    eventBus.emit('orderPlaced', 'sell', { order_id: 'c', price: 110, size: 2 })
+    eventBus.emit('orderExecuted', 'sell', { order_id: 'c', price: 110, size: 2 })
+    journal.load((err, open) => {
+      expect(err).toBe(null)
+      expect(Object.keys(open)).toEqual(['buy'])
+      expect(open.buy).toEqual({ order_id: 'b', price: 101, size: 1, filled_size: '0.4' })
+      done()
+    })
+  })
+
+  it('reconciles the journal with the open orders of the exchange', (done) => {
+    eventBus.emit('orderPlaced', 'buy', { order_id: '1', price: 100, size: 1 })
+    eventBus.emit('orderPlaced', 'sell', { order_id: '2', price: 120, size: 1 })
+    let exchange = {
+      getOpenOrders: (opts, cb) => cb(null, [{ id: 1, status: 'open', filled_size: '0.5' }, { id: 9, status: 'open' }]),
+      getOrder: (opts, cb) => cb(null, { id: opts.order_id, status: 'cancelled' })
+    }
+    journal.reconcile(exchange, 'BTC-USD', (err, state, orphans) => {
+      expect(err).toBe(null)
+      expect(state.buy_order.order_id).toBe('1')
+      expect(state.buy_order.filled_size).toBe('0.5')
+      expect(state.sell_order).toBeUndefined()
+      expect(state.last_signal).toBe('buy')
+      expect(orphans.map((order) => order.id)).toEqual([9])
+      journal.load((err, open) => {
+        expect(Object.keys(open)).toEqual(['buy'])
+        done()
+      })
+    })
+  })
+
+  it('keeps orders that filled while the bot was down', (done) => {
+    eventBus.emit('orderPlaced', 'sell', { order_id: '3', price: 120, size: 1 })
+    eventBus.emit('orderPlaced', 'buy', { order_id: '4', price: 90, size: 1 })
+    let exchange = {
+      getOrder: (opts, cb) => cb(null, opts.order_id === '3' ? { status: 'done', price: 120 } : { status: 'done', done_reason: 'canceled' })
+    }
+    journal.reconcile(exchange, 'BTC-USD', (err, state, orphans) => {
+      expect(state.sell_order.order_id).toBe('3')
+      expect(state.buy_order).toBeUndefined()
+      expect(orphans).toEqual([])
+      done()
+    })
+  })
+})
@@ -0,0 +1,48 @@
+let margin = require('../../lib/margin')
+
+describe('Margin', () => {
+  it('finds the liquidation price of longs and shorts', () => {
+    // 2x long: 10 bought at 100 with 500 borrowed
+    let long = margin.liquidationPrice({ asset: 10, currency: -500 }, 10)
+    expect(margin.equity({ asset: 10, currency: -500 }, long)).toBeCloseTo(0.1 * 10 * long)
+    expect(long).toBeCloseTo(55.56, 2)
+    // 1x short: 10 sold at 100 on top of 1000
+    let short = margin.liquidationPrice({ asset: -10, currency: 2000 }, 10)
+    expect(margin.equity({ asset: -10, currency: 2000 }, short)).toBeCloseTo(0.1 * 10 * short)
+    expect(short).toBeCloseTo(181.82, 2)
+  })
+
+  it('does not liquidate what is not borrowed', () => {
+    expect(margin.liquidationPrice({ asset: 10, currency: 0 }, 10)).toBe(null)
+    expect(margin.liquidationPrice({ asset: 0, currency: 1000 }, 10)).toBe(null)
+  })
+
+  it('charges interest on the borrowed asset and currency', () => {
+    let day = 86400000
+    expect(margin.borrowFee({ asset: -10, currency: 2000 }, 100, 0.1, day)).toBeCloseTo(1)
+    expect(margin.borrowFee({ asset: 10, currency: -500 }, 100, 0.1, day / 2)).toBeCloseTo(0.25)
+    expect(margin.borrowFee({ asset: 10, currency: 500 }, 100, 0.1, day)).toBe(0)
+  })
+
+  it('turns a long into a short on a sell', () => {
+    let balance = { asset: 10, currency: 0 }
+    expect(margin.sellSize(balance, 100, { pct: 100, leverage: 1 })).toBeCloseTo(20)
+    expect(margin.sellSize(balance, 100, { pct: 100, leverage: 2 })).toBeCloseTo(30)
+    expect(margin.sellSize(balance, 100, { pct: 100, leverage: 2, close_only: true })).toBe(10)
+  })
+
+  it('covers the short and its fee on a buy', () => {
+    let balance = { asset: -10, currency: 2000 }
+    expect(margin.buySize(balance, 100, { pct: 100, leverage: 1, fee: 0, close_only: true })).toBe(10)
+    expect(margin.buySize(balance, 100, { pct: 100, leverage: 1, fee: 0 })).toBeCloseTo(20)
+    expect(margin.buySize(balance, 100, { pct: 50, leverage: 1, fee: 1, close_only: true }) * 0.99).toBeCloseTo(10)
+    // the equity is already in a long
+    expect(margin.buySize({ asset: 10, currency: 0 }, 100, { pct: 100, leverage: 1 })).toBe(0)
+  })
+
+  it('measures the leverage of a position', () => {
+    expect(margin.leverage({ asset: -10, currency: 2000 }, 100)).toBe(1)
+    expect(margin.leverage({ asset: 10, currency: -500 }, 100)).toBe(2)
+    expect(margin.leverage({ asset: 10, currency: -1000 }, 100)).toBe(Infinity)
+  })
+})
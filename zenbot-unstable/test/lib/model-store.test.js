@@ -0,0 +1,44 @@
+let fileStore = require('../../lib/file-store')
+  , modelStore = require('../../lib/model-store')
+  , tempDir = require('../_helpers/temp-dir')
+
+describe('ModelStore', () => {
+  let dir, store
+
+  beforeEach(() => {
+    dir = tempDir('model-store')
+    store = modelStore({ db: { file: fileStore(dir) } })
+  })
+
+  afterEach(() => {
+    tempDir.remove(dir)
+  })
+
+  it('loads nothing for a model that was never saved', (done) => {
+    store.load('neural_test', (err, model) => {
+      expect(err).toBe(null)
+      expect(model).toBe(null)
+      done()
+    })
+  })
+
+  it('replaces the saved model', (done) => {
+    store.save('neural_test', { samples: 1 }, () => {
+      store.save('neural_test', { samples: 2 }, () => {
+        store.load('neural_test', (err, model) => {
+          expect(model).toEqual({ samples: 2 })
+          done()
+        })
+      })
+    })
+  })
+
+  it('keeps models apart from the trading sessions', (done) => {
+    store.save('neural_test', { samples: 1 }, () => {
+      fileStore(dir).collection('sessions').find({ selector: 'test.BTC-USD' }).toArray((err, sessions) => {
+        expect(sessions.length).toBe(0)
+        done()
+      })
+    })
+  })
+})
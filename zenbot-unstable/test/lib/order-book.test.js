@@ -0,0 +1,83 @@
+let orderBook = require('../../lib/order-book')
+
+describe('OrderBook', () => {
+  let selector = { normalized: 'test.BTC-USD', product_id: 'BTC-USD' }
+
+  // enough of a mongo collection for the recorder and the replay
+  function collection (docs) {
+    return {
+      docs: docs || [],
+      find: function (query) {
+        let found = this.docs.filter(function (doc) {
+          return doc.selector === query.selector
+            && (query.time.$lte === undefined || doc.time <= query.time.$lte)
+            && (query.time.$gt === undefined || doc.time > query.time.$gt)
+        })
+        return {
+          sort: function (sort) {
+            found.sort(function (a, b) { return (a.time - b.time) * sort.time })
+            return this
+          },
+          limit: function (limit) {
+            found = found.slice(0, limit)
+            return this
+          },
+          toArray: function (cb) { cb(null, found) }
+        }
+      },
+      replaceOne: function (query, doc) {
+        this.docs.push(doc)
+        return Promise.resolve()
+      }
+    }
+  }
+
+  function book (time) {
+    return { selector: selector.normalized, time: time, bids: [[99, 1]], asks: [[101, 1]] }
+  }
+
+  it('normalizes levels to numbers and cuts them to the depth', () => {
+    let normalized = orderBook.normalize({ bids: [['99.5', '2'], ['99', '1']], asks: [['100', '3']] }, 1)
+    expect(normalized).toEqual({ bids: [[99.5, 2]], asks: [[100, 3]] })
+  })
+
+  it('measures the imbalance between bids and asks', () => {
+    let levels = { bids: [[99, 3], [98, 10]], asks: [[101, 1]] }
+    expect(orderBook.imbalance(levels, 1)).toBe(0.5)
+    expect(orderBook.imbalance(null)).toBe(0)
+  })
+
+  it('records snapshots from the exchange', (done) => {
+    let books = collection()
+    let exchange = {
+      getOrderBook: function (opts, cb) {
+        expect(opts).toEqual({ product_id: 'BTC-USD', depth: 1 })
+        cb(null, { bids: [['99', '1'], ['98', '1']], asks: [['101', '1']] })
+      }
+    }
+    orderBook.recorder(exchange, books, selector, { depth: 1 }).snapshot(function (err, snapshot) {
+      expect(err).toBe(null)
+      expect(snapshot.bids).toEqual([[99, 1]])
+      expect(books.docs).toEqual([snapshot])
+      done()
+    })
+  })
+
+  it('refuses to record exchanges without order book data', () => {
+    expect(() => orderBook.recorder({}, collection(), selector)).toThrow()
+  })
+
+  it('attaches each snapshot to the first trade after it', () => {
+    let replay = orderBook.replay(collection([book(500), book(1500), book(2500), book(4500)]), selector)
+    let trades = [{ time: 1000 }, { time: 2000 }, { time: 2200 }]
+    replay.attach(trades, function () {})
+    expect(trades[0].order_book.time).toBe(500)
+    expect(trades[1].order_book.time).toBe(1500)
+    expect(trades[2].order_book).toBe(undefined)
+
+    trades = [{ time: 3000 }, { time: 4000 }]
+    replay.attach(trades, function () {})
+    expect(trades[0].order_book.time).toBe(2500)
+    expect(trades[1].order_book).toBe(undefined)
+  })
+})
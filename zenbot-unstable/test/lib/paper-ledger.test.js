@@ -0,0 +1,72 @@
+let fileStore = require('../../lib/file-store')
+  , paperLedger = require('../../lib/paper-ledger')
+  , tempDir = require('../_helpers/temp-dir')
+
+describe('PaperLedger', () => {
+  let dir, conf, ledger
+
+  beforeEach(() => {
+    dir = tempDir('paper-ledger')
+    conf = { db: { file: fileStore(dir) } }
+    ledger = paperLedger(conf, 'test', 'test.BTC-USD')
+  })
+
+  afterEach(() => {
+    tempDir.remove(dir)
+  })
+
+  function save (cb) {
+    let s = {
+      exchange: { getState: () => ({ balance: { asset: 1, currency: 900 } }) }
+    }
+    let engine = { getState: () => ({ last_buy_price: 100 }) }
+    let session = { _id: ledger.id, id: ledger.id, selector: 'test.BTC-USD', orig_capital: 1000, ledger: ledger.snapshot(s, engine) }
+    conf.db.file.collection('sessions').replaceOne({ _id: ledger.id }, session, { upsert: true }, () => {
+      let my_trade = { _id: 'a1', id: 'a1', selector: 'test.BTC-USD', session_id: ledger.id, time: 1, type: 'buy', price: 100, size: 1 }
+      conf.db.file.collection('my_trades').insertOne(my_trade, cb)
+    })
+  }
+
+  it('loads nothing for a new session', (done) => {
+    ledger.load((err, saved) => {
+      expect(err).toBe(null)
+      expect(saved).toBe(null)
+      done()
+    })
+  })
+
+  it('resumes the books it saved', (done) => {
+    save(() => {
+      ledger.load((err, saved) => {
+        let s = { exchange: { setState: jasmine.createSpy('setState') } }
+        let engine = { resume: jasmine.createSpy('resume') }
+        ledger.resume(s, engine, saved)
+        expect(saved.session.orig_capital).toBe(1000)
+        expect(s.exchange.setState).toHaveBeenCalledWith({ balance: { asset: 1, currency: 900 } })
+        expect(engine.resume).toHaveBeenCalledWith({ last_buy_price: 100 })
+        expect(s.my_trades.map((trade) => trade.id)).toEqual(['a1'])
+        done()
+      })
+    })
+  })
+
+  it('keeps sessions of other names apart', (done) => {
+    save(() => {
+      paperLedger(conf, 'other', 'test.BTC-USD').load((err, saved) => {
+        expect(saved).toBe(null)
+        done()
+      })
+    })
+  })
+
+  it('drops the fills on reset', (done) => {
+    save(() => {
+      ledger.reset(() => {
+        ledger.load((err, saved) => {
+          expect(saved.my_trades.length).toBe(0)
+          done()
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,87 @@
+let portfolio = require('../../lib/portfolio')
+  , objectifySelector = require('../../lib/objectify-selector')
+
+function lookback (closes) {
+  // newest period first, like s.lookback
+  return closes.slice().reverse().map(function (close) { return { close: close } })
+}
+
+describe('Portfolio', () => {
+  let selectors = ['gdax.BTC-USD', 'gdax.ETH-USD'].map(objectifySelector)
+
+  describe('fixed allocation', () => {
+    it('splits the shared currency balance by weight', () => {
+      let p = portfolio(selectors, { weights: [3, 1] })
+      p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0 })
+      p.update('gdax.ETH-USD', { currency: 1000, asset_capital: 0 })
+      expect(p.deposit('gdax.BTC-USD')).toBe(750)
+      expect(p.deposit('gdax.ETH-USD')).toBe(250)
+    })
+
+    it('counts the asset already held against the total', () => {
+      let p = portfolio(selectors)
+      p.update('gdax.BTC-USD', { currency: 600, asset_capital: 400 })
+      p.update('gdax.ETH-USD', { currency: 600, asset_capital: 0 })
+      expect(p.deposit('gdax.BTC-USD')).toBe(500)
+      expect(p.deposit('gdax.ETH-USD')).toBe(500)
+    })
+
+    it('takes the currency from the latest report of the shared wallet', () => {
+      let p = portfolio(selectors)
+      p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0, time: 1000 })
+      p.update('gdax.ETH-USD', { currency: 1000, asset_capital: 0, time: 1000 })
+      // ETH buys 500 worth, BTC has not reported since
+      p.update('gdax.ETH-USD', { currency: 500, asset_capital: 500, time: 2000 })
+      expect(p.deposit('gdax.ETH-USD')).toBe(500)
+      expect(p.deposit('gdax.BTC-USD')).toBe(500)
+      // a report older than the latest one does not count
+      p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0, time: 1500 })
+      expect(p.deposit('gdax.BTC-USD')).toBe(500)
+      p.update('gdax.BTC-USD', { currency: 500, asset_capital: 0, time: 3000 })
+      expect(p.deposit('gdax.BTC-USD')).toBe(500)
+    })
+
+    it('adds up separate wallets in paper mode', () => {
+      let p = portfolio(selectors, { mode: 'paper' })
+      expect(p.weight('gdax.BTC-USD')).toBe(0.5)
+      p.update('gdax.BTC-USD', { currency: 500, asset_capital: 0 })
+      p.update('gdax.ETH-USD', { currency: 500, asset_capital: 0 })
+      expect(p.deposit('gdax.ETH-USD')).toBe(500)
+    })
+
+    it('keeps different currencies apart', () => {
+      let p = portfolio(['gdax.BTC-USD', 'gdax.ETH-BTC'].map(objectifySelector))
+      p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0 })
+      p.update('gdax.ETH-BTC', { currency: 2, asset_capital: 0 })
+      expect(p.deposit('gdax.BTC-USD')).toBe(1000)
+      expect(p.deposit('gdax.ETH-BTC')).toBe(2)
+    })
+  })
+
+  describe('risk parity allocation', () => {
+    it('gives the less volatile selector the larger slice', () => {
+      let p = portfolio(selectors, { allocation: 'risk_parity', vol_periods: 10 })
+      p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0, lookback: lookback([100, 101, 100, 101, 100, 101]) })
+      p.update('gdax.ETH-USD', { currency: 1000, asset_capital: 0, lookback: lookback([100, 104, 100, 104, 100, 104]) })
+      let weights = p.weights()
+      expect(weights['gdax.BTC-USD']).toBeGreaterThan(weights['gdax.ETH-USD'])
+      expect(p.deposit('gdax.BTC-USD') + p.deposit('gdax.ETH-USD')).toBeCloseTo(1000, 6)
+    })
+
+    it('falls back to fixed weights without enough lookback', () => {
+      let p = portfolio(selectors, { allocation: 'risk_parity' })
+      p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0, lookback: [] })
+      p.update('gdax.ETH-USD', { currency: 1000, asset_capital: 0, lookback: [] })
+      expect(p.deposit('gdax.BTC-USD')).toBe(500)
+    })
+  })
+
+  it('serializes to a summary for the dashboard', () => {
+    let p = portfolio(selectors)
+    p.update('gdax.BTC-USD', { currency: 1000, asset_capital: 0, price: 10000 })
+    let summary = JSON.parse(JSON.stringify({ portfolio: p })).portfolio
+    expect(summary.allocation).toBe('fixed')
+    expect(summary.members.length).toBe(2)
+    expect(summary.totals).toEqual([{ currency: 'USD', capital: 1000 }])
+  })
+})
@@ -0,0 +1,66 @@
+let risk = require('../../lib/risk')
+
+describe('Risk', () => {
+  let day = 24 * 60 * 60 * 1000
+  let messages, s
+
+  beforeEach(() => {
+    messages = []
+    s = {
+      start_capital: 1000,
+      balance: { currency: 1000, asset: 0, deposit: 1000 },
+      period: { close: 100 },
+      lookback: []
+    }
+  })
+
+  function manager (options) {
+    return risk(Object.assign({ selector: { normalized: 'test.BTC-USD' } }, options), (title, msg) => messages.push(msg))
+  }
+
+  it('halts buys for the day once the daily loss limit is reached', () => {
+    let r = manager({ max_daily_loss_pct: 5 })
+    r.update(s, 0)
+    s.balance.currency = 960
+    r.update(s, day / 2)
+    expect(r.halted()).toBe(null)
+    s.balance.currency = 940
+    r.update(s, day / 2)
+    expect(r.halted()).toMatch(/daily/)
+    expect(messages.length).toBe(1)
+    r.update(s, day + 1)
+    expect(r.halted()).toBe(null)
+  })
+
+  it('keeps the weekly limit over several days', () => {
+    let r = manager({ max_weekly_loss_pct: 10 })
+    // 1970-01-05 is a monday
+    r.update(s, 4 * day)
+    s.balance.currency = 880
+    r.update(s, 6 * day)
+    expect(r.halted()).toMatch(/weekly/)
+    r.update(s, 11 * day)
+    expect(r.halted()).toBe(null)
+  })
+
+  it('sizes buys by the average true range', () => {
+    for (let i = 0; i < 15; i++) s.lookback.push({ high: 105, low: 95, close: 100 })
+    let r = manager({ risk_per_trade_pct: 1, risk_periods: 14, risk_stop_mult: 2 })
+    // 1% of 1000 over 2 * 10 of range is 0.5 units at 100
+    expect(r.buyPct(s, 99, 100)).toBeCloseTo(5)
+    expect(r.buyPct(s, 2, 100)).toBe(2)
+  })
+
+  it('leaves the size alone without enough lookback', () => {
+    let r = manager({ risk_per_trade_pct: 1, risk_volatility: 'stddev' })
+    expect(r.buyPct(s, 99, 100)).toBe(99)
+  })
+
+  it('caps the exposure to the asset', () => {
+    s.balance = { currency: 600, asset: 4, deposit: 600 }
+    let r = manager({ max_exposure_pct: 50 })
+    expect(r.buyPct(s, 99, 100)).toBeCloseTo(100 / 600 * 100)
+    s.balance.asset = 6
+    expect(r.buyPct(s, 99, 100)).toBe(0)
+  })
+})
@@ -0,0 +1,54 @@
+let _ = require('lodash')
+  , fileStore = require('../../lib/file-store')
+  , simPool = require('../../lib/sim-pool')
+  , tempDir = require('../_helpers/temp-dir')
+  , sim = require('../_helpers/sim')
+
+describe('SimPool', () => {
+  it('packs trades into columns and reads them back', () => {
+    let trades = [
+      { trade_id: 7, time: 1577836800000, size: 0.5, price: 7200.5, side: 'buy', selector: 'gdax.BTC-USD' },
+      { trade_id: 'a-8', time: 1577836801000, size: 2, price: 7199, side: 'sell' }
+    ]
+    let packed = simPool.pack(trades)
+    expect(packed.length).toBe(2)
+    expect(simPool.unpack(packed, 0)).toEqual({ trade_id: 7, time: 1577836800000, size: 0.5, price: 7200.5, side: 'buy' })
+    expect(simPool.unpack(packed, 1)).toEqual({ trade_id: 1, time: 1577836801000, size: 2, price: 7199, side: 'sell' })
+  })
+
+  it('shares the trades with the workers', () => {
+    let packed = simPool.pack([{ trade_id: 1, time: 1, size: 1, price: 1, side: 'buy' }])
+    expect(packed.time.buffer instanceof global.SharedArrayBuffer).toBe(true)
+  })
+
+  describe('runs', () => {
+    let dir
+
+    beforeEach((done) => {
+      dir = tempDir('sim-pool')
+      sim.seed(dir, (err) => err ? done.fail(err) : done())
+    })
+
+    afterEach(() => {
+      tempDir.remove(dir)
+    })
+
+    it('give the same result as zenbot sim', (done) => {
+      let options = { strategy: 'trend_ema', period: '5m', start: '202001010200', end: '202001011200' }
+      sim.run(dir, 'sim', options, (err, expected) => {
+        if (err) return done.fail(err)
+        // the conf sim boots with, see boot.js
+        let conf = _.defaultsDeep({}, sim.conf(dir), require('../../conf-sample'))
+        conf.db = { file: fileStore(conf.file_store.path) }
+        simPool(conf, { concurrency: 1 }).run(Object.assign({ selector: sim.selector }, options), null, (err, result) => {
+          expect(err).toBeFalsy()
+          expect(expected.simresults.total_trades).toBeGreaterThan(0)
+          expect(result.simresults).toEqual(expected.simresults)
+          expect(result.net_currency).toEqual(expected.net_currency)
+          expect(_.pick(result, ['period_length', 'trend_ema', 'start', 'end', 'days'])).toEqual(_.pick(expected, ['period_length', 'trend_ema', 'start', 'end', 'days']))
+          done()
+        })
+      })
+    }, 60000)
+  })
+})
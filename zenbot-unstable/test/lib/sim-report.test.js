@@ -0,0 +1,110 @@
+let simReport = require('../../lib/sim-report')
+
+describe('SimReport', () => {
+  let hour = 60 * 60 * 1000
+  let s, report
+
+  beforeEach(() => {
+    s = {
+      options: { period_length: '1h', selector: { normalized: 'test.BTC-USD' }, strategy: 'noop' },
+      balance: { currency: 1000, asset: 0 },
+      my_trades: []
+    }
+    report = simReport(s)
+  })
+
+  function period (idx, low, high, close) {
+    report.record({ time: idx * hour, close_time: (idx + 1) * hour - 1, low: low, high: high, close: close })
+  }
+
+  it('records the equity curve with its drawdown', () => {
+    period(0, 100, 100, 100)
+    s.balance = { currency: 0, asset: 10 }
+    period(1, 90, 110, 110)
+    period(2, 80, 110, 88)
+    let result = report.build()
+    expect(result.equity.map((point) => point.equity)).toEqual([1000, 1100, 880])
+    expect(result.equity[2].drawdown).toBeCloseTo(0.2)
+    expect(result.metrics.max_drawdown).toBeCloseTo(0.2)
+    expect(result.metrics.return).toBeCloseTo(-0.12)
+  })
+
+  it('keeps one point per period', () => {
+    period(0, 100, 100, 100)
+    period(0, 100, 100, 101)
+    expect(report.build().equity.length).toBe(1)
+  })
+
+  it('pairs fills into round trips with MAE and MFE', () => {
+    s.my_trades = [
+      { time: hour + 1, type: 'buy', price: 100, size: 1, fee: 0.001, slippage: 0 },
+      { time: 3 * hour + 1, type: 'sell', price: 105, size: 1, fee: 0.1, slippage: 0.001 },
+      { time: 4 * hour + 1, type: 'buy', price: 100, size: 1, fee: 0, slippage: 0 }
+    ]
+    period(0, 50, 200, 100)
+    period(1, 95, 101, 100)
+    period(2, 90, 108, 100)
+    period(3, 100, 106, 105)
+    period(4, 99, 100, 100)
+    let result = report.build()
+    expect(result.fills.length).toBe(3)
+    expect(result.trades.length).toBe(2)
+    expect(result.trades[0]).toEqual(jasmine.objectContaining({ entry_price: 100, exit_price: 105, mae: -0.1, mfe: 0.08 }))
+    expect(result.trades[0].profit).toBeCloseTo(0.05)
+    expect(result.trades[1].exit_time).toBe(null)
+    expect(result.metrics.trades).toBe(1)
+    expect(result.metrics.win_rate).toBe(1)
+    expect(result.metrics.exposure).toBeCloseTo(4 / 5)
+    expect(result.metrics.fees).toBeCloseTo(0.2)
+  })
+
+  it('pairs shorts on margin', () => {
+    s.options.margin = true
+    s.my_trades = [
+      { time: hour + 1, type: 'sell', price: 100, size: 1, fee: 0.1, slippage: 0 },
+      { time: 2 * hour + 1, type: 'buy', price: 90, size: 2, fee: 0.002, slippage: 0 },
+      { time: 3 * hour + 1, type: 'sell', price: 95, size: 0.999, fee: 0.1, slippage: 0 }
+    ]
+    period(0, 100, 100, 100)
+    period(1, 88, 104, 90)
+    period(2, 90, 96, 95)
+    period(3, 95, 95, 95)
+    let result = report.build()
+    expect(result.trades.length).toBe(2)
+    expect(result.trades[0]).toEqual(jasmine.objectContaining({ side: 'short', entry_price: 100, exit_price: 90, mae: -0.04, mfe: 0.12 }))
+    expect(result.trades[0].profit).toBeCloseTo(0.1)
+    expect(result.trades[1]).toEqual(jasmine.objectContaining({ side: 'long', entry_price: 90, exit_price: 95, size: 1 }))
+    expect(result.metrics.win_rate).toBe(1)
+  })
+
+  it('closes the position for the summary', () => {
+    Object.assign(s, {
+      net_currency: 0,
+      start_capital: 1000,
+      start_price: 100,
+      day_count: 2,
+      lookback: [],
+      period: { time: 2 * hour, close: 120 },
+      balance: { currency: 0, asset: 10 },
+      my_trades: [
+        { time: hour, type: 'buy', price: 100, size: 10 }
+      ]
+    })
+    let summary = simReport.summary(s, simReport.metrics([1000, 1200], hour))
+    expect(s.my_trades.length).toBe(2)
+    expect(summary.simresults.currency).toBe(1200)
+    expect(summary.simresults.profit).toBeCloseTo(0.2)
+    expect(summary.simresults.buy_hold).toBe(1200)
+    expect(summary.simresults.total_sells).toBe(1)
+    expect(summary.simresults.total_losses).toBe(0)
+    expect(summary.lines[0]).toContain('end balance')
+  })
+
+  it('annualizes the ratios', () => {
+    let metrics = simReport.metrics([100, 101, 100, 102, 101, 103], 86400000)
+    expect(metrics.sharpe).toBeGreaterThan(0)
+    expect(metrics.sortino).toBeGreaterThan(metrics.sharpe)
+    expect(metrics.calmar).toBeGreaterThan(0)
+    expect(simReport.metrics([100, 100], 86400000).sharpe).toBe(null)
+  })
+})
@@ -0,0 +1,76 @@
+let net = require('net')
+  , smtp = require('../../lib/smtp')
+
+describe('SMTP', () => {
+  let server, received
+
+  // answers like a server without STARTTLS, and keeps what it got
+  function stub (options, cb) {
+    received = { commands: [], data: '' }
+    server = net.createServer((socket) => {
+      let reading = false
+      socket.setEncoding('utf8')
+      socket.write('220 stub ESMTP\r\n')
+      socket.on('data', (chunk) => {
+        if (reading) {
+          received.data += chunk
+          if (received.data.endsWith('\r\n.\r\n')) {
+            reading = false
+            socket.write('250 queued\r\n')
+          }
+          return
+        }
+        chunk.split('\r\n').filter(Boolean).forEach((line) => {
+          received.commands.push(line)
+          let verb = line.split(' ')[0]
+          if (verb === 'EHLO') socket.write('250-stub\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n')
+          else if (verb === 'AUTH') socket.write(options.auth === false ? '535 bad credentials\r\n' : '235 ok\r\n')
+          else if (verb === 'DATA') {
+            reading = true
+            socket.write('354 go ahead\r\n')
+          }
+          else if (verb === 'QUIT') socket.end('221 bye\r\n')
+          else socket.write('250 ok\r\n')
+        })
+      })
+    })
+    server.listen(0, '127.0.0.1', () => cb(server.address().port))
+  }
+
+  afterEach((done) => {
+    server.close(() => done())
+  })
+
+  it('delivers a mail', (done) => {
+    stub({}, (port) => {
+      smtp.send({ host: '127.0.0.1', port: port, user: 'bot', password: 'secret', allow_insecure_auth: true }, { from: 'zenbot <bot@example.com>', to: ['a@example.com', 'b@example.com'], subject: 'Prodáno', text: 'sell filled' }, (err) => {
+        expect(err).toBe(null)
+        expect(received.commands).toContain('AUTH PLAIN ' + Buffer.from('\u0000bot\u0000secret').toString('base64'))
+        expect(received.commands).toContain('MAIL FROM:<bot@example.com>')
+        expect(received.commands).toContain('RCPT TO:<b@example.com>')
+        expect(received.data).toContain('Subject: =?UTF-8?B?' + Buffer.from('Prodáno').toString('base64') + '?=')
+        expect(received.data).toContain(Buffer.from('sell filled').toString('base64'))
+        done()
+      })
+    })
+  })
+
+  it('does not send the password unencrypted unless allowed', (done) => {
+    stub({}, (port) => {
+      smtp.send({ host: '127.0.0.1', port: port, user: 'bot', password: 'secret' }, { from: 'bot@example.com', to: 'a@example.com', subject: 's', text: 't' }, (err) => {
+        expect(err.message).toContain('not sending the password unencrypted')
+        expect(received.commands.filter((line) => /^AUTH/.test(line))).toEqual([])
+        done()
+      })
+    })
+  })
+
+  it('fails on a rejected command', (done) => {
+    stub({ auth: false }, (port) => {
+      smtp.send({ host: '127.0.0.1', port: port, user: 'bot', password: 'wrong', allow_insecure_auth: true }, { from: 'bot@example.com', to: 'a@example.com', subject: 's', text: 't' }, (err) => {
+        expect(err.message).toContain('AUTH failed with 535 bad credentials')
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,23 @@
+let template = require('../../lib/template')
+
+describe('Template', () => {
+  let vars = template.vars('Buying 1 BTC', 'placing buy order\n', { type: 'buy', price: 100.5, size: 1, selector: 'gdax.BTC-USD', time: 1500000000000 })
+
+  it('renders placeholders in strings', () => {
+    expect(template.render('{{event}} {{selector}} at {{ price }}{{missing}}', vars)).toBe('buy gdax.BTC-USD at 100.5')
+    expect(template.render('{{message}}', vars)).toBe('placing buy order')
+    expect(vars.date).toBe('2017-07-14T02:40:00.000Z')
+  })
+
+  it('keeps the type of single placeholders in objects', () => {
+    let body = template.render({ text: '{{title}}', price: '{{price}}', tags: ['{{event}}', 1], none: '{{missing}}' }, vars)
+    expect(body).toEqual({ text: 'Buying 1 BTC', price: 100.5, tags: ['buy', 1], none: null })
+  })
+
+  it('picks the template of the event type', () => {
+    let config = { subject: '{{title}}', templates: { stop: { subject: 'stop' } } }
+    expect(template.pick(config, { type: 'stop' }, 'subject')).toBe('stop')
+    expect(template.pick(config, { type: 'buy' }, 'subject')).toBe('{{title}}')
+    expect(template.pick(config, undefined, 'subject')).toBe('{{title}}')
+  })
+})
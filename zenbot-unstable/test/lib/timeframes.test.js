@@ -0,0 +1,60 @@
+let timeframes = require('../../lib/timeframes')
+  , ema = require('../../lib/ema')
+
+describe('Timeframes', () => {
+  let hour = 60 * 60 * 1000
+  let s
+
+  beforeEach(() => {
+    s = { options: {} }
+  })
+
+  function trade (time, price) {
+    return { time: time, price: price, size: 1 }
+  }
+
+  it('rejects periods timebucket does not know', () => {
+    expect(() => timeframes.add(s, 'four hours')).toThrow()
+    expect(() => timeframes.add(s, '4h', 10)).not.toThrow()
+  })
+
+  it('keeps the highest min_periods for a timeframe declared twice', () => {
+    timeframes.add(s, '4h', 10)
+    timeframes.add(s, '4h', 20)
+    timeframes.add(s, '4h')
+    expect(s.timeframes['4h'].min_periods).toBe(20)
+  })
+
+  it('builds higher timeframe periods from the trades', () => {
+    timeframes.add(s, '4h')
+    timeframes.update(s, trade(0, 10))
+    timeframes.update(s, trade(hour, 12))
+    timeframes.update(s, trade(2 * hour, 9))
+    timeframes.update(s, trade(4 * hour, 11))
+    let tf = s.timeframes['4h']
+    expect(tf.lookback.length).toBe(1)
+    expect(tf.lookback[0]).toEqual(jasmine.objectContaining({ time: 0, open: 10, high: 12, low: 9, close: 9, volume: 3, close_time: 4 * hour - 1 }))
+    expect(tf.period).toEqual(jasmine.objectContaining({ time: 4 * hour, open: 11, close: 11, volume: 1 }))
+  })
+
+  it('trims the lookback to keep_lookback_periods', () => {
+    s.options.keep_lookback_periods = 2
+    timeframes.add(s, '1h')
+    for (let i = 0; i < 5; i++) timeframes.update(s, trade(i * hour, 10))
+    expect(s.timeframes['1h'].lookback.map((period) => period.time)).toEqual([3 * hour, 2 * hour])
+  })
+
+  it('works with the indicators', () => {
+    timeframes.add(s, '1h')
+    for (let i = 0; i < 4; i++) timeframes.update(s, trade(i * hour, 10 + i))
+    ema(s.timeframes['1h'], 'ema', 2)
+    expect(s.timeframes['1h'].period.ema).toBeDefined()
+  })
+
+  it('starts loading history early enough for every timeframe', () => {
+    let end = 100 * hour
+    expect(timeframes.start(s, 90 * hour, end)).toBe(90 * hour)
+    timeframes.add(s, '4h', 10)
+    expect(timeframes.start(s, 90 * hour, end)).toBe(100 * hour - 12 * 4 * hour)
+  })
+})
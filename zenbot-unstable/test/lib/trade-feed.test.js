@@ -0,0 +1,137 @@
+let WebSocket = require('ws')
+  , tradeFeed = require('../../lib/trade-feed')
+
+describe('Trade feed', () => {
+  let server, url, rest_trades, rest_calls, feed
+
+  function trade (id) {
+    return { trade_id: id, time: id, size: 1, price: 100 + id, side: 'buy' }
+  }
+
+  // streams {trades: [...]} and {quote: {...}} messages as they are sent, after a subscribe
+  let exchange = {
+    name: 'test',
+    stream: {
+      url: () => url,
+      subscribe: (product_id) => [{ subscribe: product_id }],
+      parse: (message) => message
+    },
+    getTrades: (opts, cb) => {
+      rest_calls.push(opts)
+      setImmediate(() => cb(null, rest_trades.filter((trade) => trade.trade_id >= opts.from)))
+    },
+    getQuote: (opts, cb) => {
+      setImmediate(() => cb(null, { bid: 1, ask: 2 }))
+    },
+    getCursor: (trade) => trade.trade_id
+  }
+
+  function subscribed (cb) {
+    server.once('connection', (socket) => {
+      socket.once('message', (data) => {
+        expect(JSON.parse(data)).toEqual({ subscribe: 'BTC-USD' })
+        cb(socket)
+      })
+    })
+  }
+
+  function getTrades (from, cb) {
+    feed.getTrades({ product_id: 'BTC-USD', from: from }, (err, trades) => {
+      expect(err).toBeFalsy()
+      cb(trades.map((trade) => trade.trade_id))
+    })
+  }
+
+  beforeEach((done) => {
+    rest_trades = [trade(1), trade(2), trade(3)]
+    rest_calls = []
+    server = new WebSocket.Server({ port: 0, host: '127.0.0.1' }, () => {
+      url = 'ws://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  afterEach((done) => {
+    feed.close()
+    server.close(done)
+  })
+
+  it('takes the trades over REST until they reach the stream, then from the stream', (done) => {
+    subscribed((socket) => {
+      socket.send(JSON.stringify({ trades: [trade(3), trade(4)], quote: { bid: 103, ask: 104 } }))
+      setTimeout(() => {
+        expect(feed.streaming()).toBe(false)
+        // the REST trades reach trade 3, the first one streamed
+        getTrades(2, (ids) => {
+          expect(ids).toEqual([2, 3])
+          expect(feed.streaming()).toBe(true)
+        })
+      }, 50)
+    })
+    let notified = 0
+    feed = tradeFeed(exchange, { product_id: 'BTC-USD' })
+    feed.start(() => {
+      if (notified++) return
+      getTrades(4, (ids) => {
+        expect(ids).toEqual([4])
+        expect(rest_calls.length).toBe(1)
+        feed.getQuote({ product_id: 'BTC-USD' }, (err, quote) => {
+          expect(quote).toEqual({ bid: 103, ask: 104 })
+          done()
+        })
+      })
+    })
+  })
+
+  it('polls while the stream is down and fills the gap over REST after it reconnects', (done) => {
+    subscribed((socket) => {
+      socket.send(JSON.stringify({ trades: [] }))
+      getTrades(4, (ids) => {
+        // no trades since, the stream is up to date
+        expect(ids).toEqual([])
+        expect(feed.streaming()).toBe(true)
+        subscribed((socket) => {
+          rest_trades.push(trade(4), trade(5))
+          socket.send(JSON.stringify({ trades: [trade(6)] }))
+          setTimeout(() => {
+            getTrades(4, (ids) => {
+              expect(ids).toEqual([4, 5])
+              // trade 5 does not reach trade 6 yet
+              expect(feed.streaming()).toBe(false)
+              rest_trades.push(trade(6))
+              getTrades(6, (ids) => {
+                expect(ids).toEqual([6])
+                expect(feed.streaming()).toBe(true)
+                done()
+              })
+            })
+          }, 50)
+        })
+        socket.terminate()
+        setTimeout(() => {
+          expect(feed.streaming()).toBe(false)
+          getTrades(4, (ids) => {
+            expect(ids).toEqual([])
+            expect(rest_calls.length).toBe(2)
+          })
+        }, 10)
+      })
+    })
+    feed = tradeFeed(exchange, { product_id: 'BTC-USD', reconnect_delay: 100 })
+    spyOn(console, 'error')
+    feed.start()
+  })
+
+  it('polls where the exchange does not stream', (done) => {
+    server.on('connection', () => fail('connected with --poll_only'))
+    feed = tradeFeed(exchange, { product_id: 'BTC-USD', poll_only: true })
+    feed.start()
+    getTrades(3, (ids) => {
+      expect(ids).toEqual([3])
+      feed.getQuote({ product_id: 'BTC-USD' }, (err, quote) => {
+        expect(quote).toEqual({ bid: 1, ask: 2 })
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,71 @@
+let WalkForward = require('../../lib/walk-forward')
+  , Backtester = require('../../lib/backtester')
+
+describe('WalkForward', () => {
+  let day = 86400000
+  let start = Date.UTC(2019, 0, 1)
+
+  describe('folds', () => {
+    it('splits the range into rolling in-sample/out-of-sample windows', () => {
+      let folds = WalkForward.folds(start, start + 36 * day, 14, 7)
+      expect(folds.length).toBe(3)
+      expect(folds[0].in_sample).toEqual({ start: start, end: start + 14 * day })
+      expect(folds[0].out_of_sample).toEqual({ start: start + 14 * day, end: start + 21 * day })
+      expect(folds[1].in_sample.start).toBe(start + 7 * day)
+      expect(folds[2].out_of_sample.end).toBe(start + 35 * day)
+    })
+
+    it('returns no folds when the range is too short', () => {
+      expect(WalkForward.folds(start, start + 10 * day, 14, 7)).toEqual([])
+      expect(WalkForward.folds(start, start + 30 * day, 14, 0)).toEqual([])
+    })
+  })
+
+  describe('equityCurve', () => {
+    it('chains the out-of-sample returns of every fold', () => {
+      let folds = WalkForward.folds(start, start + 28 * day, 14, 7)
+      folds[0].strategies = { macd: { out_of_sample: { startCapital: 1000, endBalance: 1100 } } }
+      folds[1].strategies = { macd: { out_of_sample: { startCapital: 1000, endBalance: 900 } } }
+      let curve = WalkForward.equityCurve(folds, 'macd', 1000)
+      expect(curve.length).toBe(3)
+      expect(curve[0]).toEqual({ time: folds[0].out_of_sample.start, fold: 0, equity: 1000 })
+      expect(curve[1].equity).toBeCloseTo(1100, 6)
+      expect(curve[2].equity).toBeCloseTo(990, 6)
+      expect(curve[2].time).toBe(folds[1].out_of_sample.end)
+    })
+
+    it('skips folds without an out-of-sample result', () => {
+      let folds = WalkForward.folds(start, start + 21 * day, 14, 7)
+      folds[0].strategies = { macd: { out_of_sample: null } }
+      expect(WalkForward.equityCurve(folds, 'macd', 1000)).toEqual([])
+    })
+  })
+
+  describe('rows', () => {
+    it('returns one row per fold and strategy', () => {
+      let folds = WalkForward.folds(start, start + 21 * day, 14, 7)
+      folds[0].strategies = {
+        macd: { in_sample_fitness: 1.5, in_sample_roi: 10, out_of_sample: { roi: 2, vsBuyHold: 1, wins: 3, losses: 1 } },
+        trend_ema: { in_sample_fitness: 0.5, in_sample_roi: 4, out_of_sample: null }
+      }
+      let rows = WalkForward.rows(folds)
+      expect(rows.length).toBe(2)
+      expect(rows[0].strategy).toBe('macd')
+      expect(rows[0].out_of_sample_roi).toBe(2)
+      expect(rows[0].in_sample_start).toBe(WalkForward.formatTime(start))
+      expect(rows[1].out_of_sample_roi).toBeUndefined()
+    })
+  })
+
+  describe('out-of-sample sims', () => {
+    it('write their results to their own file instead of a generation', () => {
+      Backtester.init({ simArgs: { start: '201901150000', end: '201901220000', period_length: '1h' } })
+      let phenotype = { selector: 'gdax.BTC-USD', ema_short_period: 12, result_file: 'simulations/test/walk_forward/fold_1_macd_result.json' }
+      let command = Backtester.buildCommand('macd', phenotype, 'fold_1_macd_result.html')
+      expect(command.commandString).toContain(' --result_file=simulations/test/walk_forward/fold_1_macd_result.json')
+      expect(command.commandString).not.toContain('backtester_generation')
+      phenotype = { selector: 'gdax.BTC-USD', ema_short_period: 12, backtester_generation: 3 }
+      expect(Backtester.buildCommand('macd', phenotype, 'sim_result.html').commandString).toContain(' --backtester_generation=3')
+    })
+  })
+})